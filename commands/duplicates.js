@@ -0,0 +1,95 @@
+const { supabase } = require('../lib/supabase');
+const storage = require('../lib/storage');
+const { systemActor } = require('../lib/audit');
+const { DEFAULT_MIN_SCORE, scanDuplicates, mergeCandidate } = require('../lib/duplicates');
+const { EXIT, CliError, confirm, resolveElection, writeSnapshot } = require('../lib/cli');
+
+const usage = 'duplicates [--min-score n] [--save] [--merge-above n]\n'
+  + '                                    Score duplicate voters; queue them for review or merge the surest pairs';
+
+function parseScore(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < 0 || score > 100) {
+    throw new CliError(`${name} must be an integer between 0 and 100`, EXIT.USAGE);
+  }
+  return score;
+}
+
+async function run(args, options, reporter) {
+  const minScore = parseScore(options['min-score'], '--min-score', DEFAULT_MIN_SCORE);
+  const mergeAbove = parseScore(options['merge-above'], '--merge-above', null);
+  const save = !options['dry-run'] && (options.save || mergeAbove !== null);
+
+  const election = await resolveElection(options);
+  reporter.log(`Scanning for duplicate voters of election "${election.name}"...\n`);
+  const { voters, candidates } = await scanDuplicates({ electionId: election.id, minScore, save });
+
+  reporter.log(`Total records scanned: ${voters}`);
+  reporter.log(`Candidate pairs with score >= ${minScore}: ${candidates.length}\n`);
+  candidates.forEach(candidate => {
+    const reasons = candidate.reasons
+      .map(reason => `${reason.field} ${reason.match ? '=' : '≠'} (${reason.points > 0 ? '+' : ''}${reason.points})`)
+      .join(', ');
+    reporter.log(`  IDs ${candidate.voter_a} / ${candidate.voter_b}: score ${candidate.score} - ${reasons}`);
+  });
+
+  const result = { command: 'duplicates', election: election.id, voters, minScore, saved: save, candidates };
+  const attention = candidates.length > 0 ? EXIT.ATTENTION : EXIT.OK;
+
+  if (mergeAbove === null || options['dry-run']) {
+    reporter.log(save ? '\n✓ Candidates added to the review queue' : '\nDry run - nothing was written');
+    reporter.report(result);
+    return attention;
+  }
+
+  // Only pending pairs are merged; reviewed ones keep their decision
+  const { data: pending, error } = await supabase
+    .from('duplicate_candidates')
+    .select('*')
+    .eq('election_id', election.id)
+    .eq('status', 'pending')
+    .gte('score', mergeAbove)
+    .order('score', { ascending: false });
+  if (error) throw error;
+
+  if (pending.length === 0) {
+    reporter.log(`\nNo pending pairs with score >= ${mergeAbove}`);
+    reporter.report({ ...result, merged: [] });
+    return attention;
+  }
+
+  if (!(await confirm(`\nMerge ${pending.length} pair(s) with score >= ${mergeAbove}?`, options))) {
+    reporter.log('\nOperation cancelled.');
+    return EXIT.CANCELLED;
+  }
+
+  const ids = [...new Set(pending.flatMap(c => [c.voter_a, c.voter_b]))];
+  const before = await storage.voters.findByIds(ids);
+  const snapshot = writeSnapshot('duplicates', before);
+  reporter.log(`\nSnapshot of affected voters: ${snapshot}`);
+
+  const actor = systemActor('maintenance-cli');
+  const merged = [];
+  const failed = [];
+  for (const candidate of pending) {
+    try {
+      const merge = await mergeCandidate(candidate.id, actor, { electionId: election.id });
+      merged.push({ candidate: candidate.id, merge: merge.id, survivor: merge.survivor_id, merged: merge.merged_id });
+      reporter.log(`  ✓ Merged ${merge.merged_id} into ${merge.survivor_id} (undo: merge ${merge.id})`);
+    } catch (mergeError) {
+      failed.push({ candidate: candidate.id, error: mergeError.message });
+      reporter.log(`  ✗ Pair ${candidate.id}: ${mergeError.message}`);
+    }
+  }
+
+  reporter.log('');
+  reporter.rule();
+  reporter.log(`Merged: ${merged.length}, failed: ${failed.length}`);
+  reporter.rule();
+
+  reporter.report({ ...result, snapshot, merged, failed });
+  return failed.length > 0 ? EXIT.ATTENTION : EXIT.OK;
+}
+
+module.exports = { usage, run };
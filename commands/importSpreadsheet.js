@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { voters } = require('../lib/storage');
+const { systemActor } = require('../lib/audit');
+const { chunk } = require('../lib/paging');
+const {
+  validateImportConfig,
+  readImportRows,
+  planImport,
+  saveImportRun,
+  applyImportRun
+} = require('../lib/importer');
+const { EXIT, CliError, confirm, resolveElection, writeSnapshot } = require('../lib/cli');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'imports', 'family-classification.json');
+
+const usage = 'import <file.xlsx> [--config f]   Import a spreadsheet with a column-mapping config';
+
+async function snapshotVoters(ids) {
+  let rows = [];
+  for (const batch of chunk(ids, 200)) {
+    rows = rows.concat(await voters.findByIds(batch));
+  }
+  return rows;
+}
+
+async function run(args, options, reporter) {
+  const [file] = args;
+  if (!file) throw new CliError('import needs a spreadsheet file', EXIT.USAGE);
+
+  const configPath = options.config || DEFAULT_CONFIG;
+  const config = validateImportConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+  const election = await resolveElection(options);
+  reporter.log(`Election: ${election.name} (#${election.id})`);
+  reporter.log(`File: ${file}`);
+  reporter.log(`Config: ${configPath}\n`);
+
+  const rows = readImportRows(XLSX.readFile(file), config);
+  const plan = await planImport(rows, config, election.id);
+  const { summary, changes, unmatched } = plan;
+
+  reporter.log(`Matched: ${summary.matched}`);
+  reporter.log(`Unmatched: ${summary.unmatched}`);
+  reporter.log(`Rejected: ${summary.rejected}`);
+  reporter.log(`Unchanged: ${summary.unchanged}`);
+  reporter.log(`Voters with changes: ${summary.changedVoters}`);
+  reporter.log(`Field changes: ${summary.changes}\n`);
+  changes.slice(0, 20).forEach(change => {
+    reporter.log(`  Row ${change.row}, voter ${change.voter_id}: ${change.field} "${change.old_value ?? ''}" → "${change.new_value ?? ''}"`);
+  });
+  if (changes.length > 20) reporter.log(`  ... and ${changes.length - 20} more`);
+  unmatched.slice(0, 20).forEach(item => reporter.log(`  ✗ Row ${item.row} (${item.key}): ${item.reason}`));
+  if (unmatched.length > 20) reporter.log(`  ... and ${unmatched.length - 20} more unmatched`);
+
+  const result = { command: 'import', election: election.id, file, config, dryRun: options['dry-run'], summary, changes, unmatched };
+  const attention = unmatched.length > 0 ? EXIT.ATTENTION : EXIT.OK;
+
+  if (options['dry-run'] || changes.length === 0) {
+    reporter.log(options['dry-run'] ? '\nDry run - nothing was written' : '\nNothing to change');
+    reporter.report(result);
+    return attention;
+  }
+
+  if (!(await confirm('\nDo you want to apply these changes?', options))) {
+    reporter.log('\nOperation cancelled.');
+    return EXIT.CANCELLED;
+  }
+
+  const snapshot = writeSnapshot('import', await snapshotVoters([...new Set(changes.map(c => c.voter_id))]));
+  reporter.log(`\nSnapshot of affected voters: ${snapshot}`);
+
+  const actor = systemActor('maintenance-cli');
+  const saved = await saveImportRun({ electionId: election.id, sourceName: path.basename(file), config, plan, actor });
+  const applied = await applyImportRun(saved.id, actor);
+
+  reporter.log('');
+  reporter.rule();
+  reporter.log('✓ Import complete!');
+  reporter.log(`Import #${applied.id}: applied ${applied.summary.applied}, conflicts ${applied.summary.conflicts}`);
+  reporter.log(`Roll back with POST /api/imports/${applied.id}/rollback`);
+  reporter.rule();
+
+  reporter.report({ ...result, importId: applied.id, snapshot, applied: applied.summary });
+  return applied.summary.conflicts > 0 ? EXIT.ATTENTION : attention;
+}
+
+module.exports = { usage, run };
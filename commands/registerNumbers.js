@@ -0,0 +1,34 @@
+const { getRegisterConflicts } = require('../lib/registerNumber');
+const { EXIT, resolveElection } = require('../lib/cli');
+
+const usage = 'register-numbers                  Report register number collisions and malformed numbers';
+
+// Read-only: collisions are resolved by correcting records, never by
+// inventing suffixed numbers
+async function run(args, options, reporter) {
+  const election = await resolveElection(options, { readOnly: true });
+  reporter.log(`Checking register numbers of election "${election.name}"...\n`);
+
+  const { checked, collisions, invalid, missing } = await getRegisterConflicts(election.id);
+  const malformed = invalid.filter(item => item.voter.register_number !== null);
+
+  reporter.log(`Total records: ${checked}`);
+  reporter.log(`Register numbers with multiple voters: ${collisions.length}`);
+  reporter.log(`Malformed register numbers: ${malformed.length}`);
+  reporter.log(`Missing register numbers: ${missing}\n`);
+
+  collisions.forEach(({ register_number_clean, voters }) => {
+    reporter.log(`Register "${register_number_clean}" has ${voters.length} voters:`);
+    voters.forEach((voter, index) => {
+      reporter.log(`  ${index + 1}. ID ${voter.id}: "${voter.full_name}" (father: ${voter.father_name || '-'}, raw: ${voter.register_number}, voted: ${voter.has_voted})`);
+    });
+  });
+  malformed.forEach(({ voter, error }) => {
+    reporter.log(`  ✗ ID ${voter.id}: "${voter.full_name}" - ${error}`);
+  });
+
+  reporter.report({ command: 'register-numbers', election: election.id, checked, collisions, invalid: malformed, missing });
+  return collisions.length > 0 || malformed.length > 0 ? EXIT.ATTENTION : EXIT.OK;
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,381 @@
+const { supabase } = require('./supabase');
+const { actorName } = require('./audit');
+const { getElection, getElectionSchedule } = require('./elections');
+const { parseVoterFilters } = require('./filters');
+const { getStats } = require('./stats');
+const { buildProjection } = require('./timeline');
+const { emitWebhookEvent } = require('./webhooks');
+const { isUnspecified } = require('./constants');
+const { HttpError, badRequest } = require('./errors');
+
+// Turnout alert rules of an election, fired as 'alert' webhook events:
+// - family_turnout: the family's turnout reaches threshold (%). Checked
+//   after every vote / unvote of a member; re-arms when turnout falls back
+//   below the threshold.
+// - behind_target: at check_at, overall turnout is behind the election's
+//   linear target curve (see buildProjection in lib/timeline.js). Checked once.
+const ALERT_KINDS = ['family_turnout', 'behind_target'];
+
+const SWEEP_MS = 60000;
+// A behind_target check missed by more than this (e.g. the server was down)
+// is recorded as missed rather than fired late
+const MISSED_AFTER_MS = 15 * 60000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Rule id -> timer of its behind_target check
+const timers = new Map();
+
+function parseThreshold(value) {
+  const threshold = Number(value);
+  if (typeof value !== 'number' || !Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+    throw badRequest('threshold must be a percentage between 0 and 100');
+  }
+  return threshold;
+}
+
+function parseCheckAt(value) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw badRequest('check_at must be an ISO date');
+  }
+  if (date <= new Date()) throw badRequest('check_at must be in the future');
+  return date.toISOString();
+}
+
+function parseFamily(value) {
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > 100 || isUnspecified(value)) {
+    throw badRequest('family is required and must be a family name');
+  }
+  return value.trim();
+}
+
+// Validate { name, kind, family, threshold, check_at, active }. The kind is
+// fixed once created; its own fields are required on create.
+function parseRule(body, { kind = null } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Request body must be an object');
+  }
+  const create = kind === null;
+  const rule = {};
+
+  if (create) {
+    if (!ALERT_KINDS.includes(body.kind)) throw badRequest(`kind must be one of: ${ALERT_KINDS.join(', ')}`);
+    rule.kind = body.kind;
+  } else if (body.kind !== undefined && body.kind !== kind) {
+    throw badRequest('kind cannot be changed');
+  }
+  const ruleKind = rule.kind || kind;
+
+  if (create || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+      throw badRequest('name is required and must be at most 100 characters');
+    }
+    rule.name = body.name.trim();
+  }
+  if (ruleKind === 'family_turnout') {
+    if (create || body.family !== undefined) rule.family = parseFamily(body.family);
+    if (create || body.threshold !== undefined) rule.threshold = parseThreshold(body.threshold);
+  } else if (create || body.check_at !== undefined) {
+    rule.check_at = parseCheckAt(body.check_at);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw badRequest('active must be true or false');
+    rule.active = body.active;
+  }
+
+  if (Object.keys(rule).length === 0) {
+    const fields = ruleKind === 'family_turnout' ? 'name, family, threshold, active' : 'name, check_at, active';
+    throw badRequest(`Nothing to change; fields: ${fields}`);
+  }
+  return rule;
+}
+
+function turnout({ total, voted }) {
+  return total > 0 ? Math.round(voted * 1000 / total) / 10 : 0;
+}
+
+// Polling hours and target of the election, required by behind_target
+async function targetSchedule(election) {
+  const schedule = await getElectionSchedule(election);
+  if (!schedule.opensAt || !schedule.closesAt || schedule.target === null || schedule.target === undefined) {
+    return null;
+  }
+  return {
+    from: new Date(schedule.opensAt),
+    to: new Date(schedule.closesAt),
+    target: Number(schedule.target)
+  };
+}
+
+async function getRule(id, electionId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('id', id)
+    .eq('election_id', electionId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new HttpError(404, 'Alert rule not found');
+  return data;
+}
+
+async function listRules(electionId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('election_id', electionId)
+    .order('id', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+// Mark the rule as fired and send the alert, unless it already fired (also
+// when two changes race past the threshold together)
+async function fireRule(rule, result) {
+  const firedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update({ fired_at: firedAt, checked_at: firedAt, last_result: result })
+    .eq('id', rule.id)
+    .is('fired_at', null)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  await emitWebhookEvent('alert', rule.election_id, { rule: data, result });
+  return data;
+}
+
+async function recordResult(rule, values) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update({ checked_at: new Date().toISOString(), ...values })
+    .eq('id', rule.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Fire or re-arm the family_turnout rules of one family
+async function evaluateFamilyRules(rules, electionId, family) {
+  const stats = await getStats({ ...parseVoterFilters({}, { electionId }), family: [family] });
+  const current = { family, total: stats.total, voted: stats.voted, turnout: turnout(stats) };
+
+  for (const rule of rules) {
+    const result = { ...current, threshold: Number(rule.threshold) };
+    if (result.turnout >= result.threshold) {
+      await fireRule(rule, result);
+    } else if (rule.fired_at) {
+      await recordResult(rule, { fired_at: null, last_result: result });
+    }
+  }
+}
+
+// After a vote / unvote: check the rules on the voter's family. Never
+// throws, so a failing check does not fail the vote.
+async function checkFamilyAlerts(voter) {
+  if (isUnspecified(voter.family)) return;
+
+  try {
+    const { data: rules, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('election_id', voter.election_id)
+      .eq('kind', 'family_turnout')
+      .eq('family', voter.family)
+      .eq('active', true);
+    if (error) throw error;
+    if (rules.length > 0) await evaluateFamilyRules(rules, voter.election_id, voter.family);
+  } catch (error) {
+    console.error('Error checking family turnout alerts:', error.message);
+  }
+}
+
+// Turnout at check time against the target curve
+async function evaluateTargetRule(rule) {
+  const election = await getElection(rule.election_id);
+  const schedule = await targetSchedule(election);
+  if (!schedule) {
+    return { status: 'unavailable', error: 'The election has no polling hours or turnout target' };
+  }
+
+  const checkAt = new Date(rule.check_at);
+  const stats = await getStats(parseVoterFilters({}, { electionId: election.id }));
+  const { target, targetVoted, expectedNow, status } = buildProjection(
+    { total: stats.total, voted: stats.voted, windowVotes: stats.voted },
+    schedule,
+    checkAt
+  );
+  return {
+    status,
+    check_at: rule.check_at,
+    total: stats.total,
+    voted: stats.voted,
+    turnout: turnout(stats),
+    target,
+    target_voted: targetVoted,
+    expected: expectedNow,
+    behind_by: Math.max(0, expectedNow - stats.voted)
+  };
+}
+
+// Run the behind_target checks that are due. Each rule is claimed first
+// (checked_at), so it is checked once even with several instances.
+async function checkScheduledAlerts(now = new Date()) {
+  try {
+    const { data: rules, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('kind', 'behind_target')
+      .eq('active', true)
+      .is('checked_at', null)
+      .lte('check_at', now.toISOString());
+    if (error) throw error;
+
+    for (const rule of rules) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('alert_rules')
+        .update({ checked_at: now.toISOString() })
+        .eq('id', rule.id)
+        .is('checked_at', null)
+        .select()
+        .maybeSingle();
+      if (claimError) throw claimError;
+      if (!claimed) continue;
+
+      if (now - new Date(rule.check_at) > MISSED_AFTER_MS) {
+        await recordResult(rule, { last_result: { status: 'missed', check_at: rule.check_at } });
+        continue;
+      }
+
+      const result = await evaluateTargetRule(rule);
+      if (result.status === 'behind') await fireRule(rule, result);
+      else await recordResult(rule, { last_result: result });
+    }
+  } catch (error) {
+    console.error('Error checking scheduled alerts:', error.message);
+  }
+}
+
+// Wake up at check_at; rules further out than a timer allows are left to
+// the sweep
+function scheduleCheck(rule) {
+  clearTimeout(timers.get(rule.id));
+  timers.delete(rule.id);
+  if (rule.kind !== 'behind_target' || !rule.active || rule.checked_at) return;
+
+  const delay = Math.max(0, new Date(rule.check_at) - Date.now()) + 1000;
+  if (delay > MAX_TIMER_MS) return;
+  const timer = setTimeout(() => {
+    timers.delete(rule.id);
+    checkScheduledAlerts();
+  }, delay);
+  timer.unref();
+  timers.set(rule.id, timer);
+}
+
+// A behind_target check needs a target and must fall within polling hours
+async function checkTargetTime(checkAt, election) {
+  const schedule = await targetSchedule(election);
+  if (!schedule) {
+    throw badRequest('behind_target needs the election\'s polling hours (opens_at, closes_at) and turnout_target');
+  }
+  const time = new Date(checkAt);
+  if (time <= schedule.from || time > schedule.to) {
+    throw badRequest('check_at must be within the polling hours');
+  }
+}
+
+async function createRule(body, actor, { election }) {
+  const values = parseRule(body);
+  if (values.kind === 'behind_target') {
+    await checkTargetTime(values.check_at, election);
+  }
+
+  const { data: rule, error } = await supabase
+    .from('alert_rules')
+    .insert({ ...values, election_id: election.id, created_by: actorName(actor) })
+    .select()
+    .single();
+  if (error) throw error;
+
+  scheduleCheck(rule);
+  // A family already past the threshold alerts right away
+  if (rule.kind === 'family_turnout' && rule.active) {
+    await evaluateFamilyRules([rule], election.id, rule.family);
+    return getRule(rule.id, election.id);
+  }
+  return rule;
+}
+
+// Changing what a rule watches re-arms it
+async function updateRule(id, body, { election }) {
+  const electionId = election.id;
+  const rule = await getRule(id, electionId);
+  const values = parseRule(body, { kind: rule.kind });
+  if (rule.kind === 'behind_target' && values.check_at !== undefined) {
+    await checkTargetTime(values.check_at, election);
+  }
+  const rearm = ['family', 'threshold', 'check_at'].some(field => values[field] !== undefined);
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update(rearm ? { ...values, fired_at: null, checked_at: null, last_result: null } : values)
+    .eq('id', rule.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  scheduleCheck(data);
+  if (data.kind === 'family_turnout' && data.active && (rearm || values.active)) {
+    await evaluateFamilyRules([data], electionId, data.family);
+    return getRule(data.id, electionId);
+  }
+  return data;
+}
+
+async function deleteRule(id, { electionId }) {
+  const rule = await getRule(id, electionId);
+  const { error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('id', rule.id);
+  if (error) throw error;
+
+  clearTimeout(timers.get(rule.id));
+  timers.delete(rule.id);
+  return rule;
+}
+
+// Schedule the pending behind_target checks and sweep for rules created by
+// other instances or too far out for a timer
+async function startAlertJob() {
+  setInterval(() => checkScheduledAlerts(), SWEEP_MS).unref();
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('kind', 'behind_target')
+    .eq('active', true)
+    .is('checked_at', null);
+  if (error) {
+    console.error('Error loading alert rules:', error.message);
+    return;
+  }
+  data.forEach(scheduleCheck);
+}
+
+module.exports = {
+  ALERT_KINDS,
+  parseRule,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  checkFamilyAlerts,
+  checkScheduledAlerts,
+  startAlertJob
+};
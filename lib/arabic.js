@@ -0,0 +1,52 @@
+// Arabic text normalization for search and register numbers. Mirrors
+// normalize_arabic() in migrations/007_arabic_search.sql and
+// normalize_register_number() in migrations/012_register_numbers.sql; keep
+// them in sync.
+
+// Harakat, superscript alef and tatweel
+const STRIP = /[\u064B-\u065F\u0670\u0640]/g;
+
+const LETTER_MAP = {
+  'أ': 'ا',
+  'إ': 'ا',
+  'آ': 'ا',
+  'ٱ': 'ا',
+  'ى': 'ي',
+  'ی': 'ي',
+  'ئ': 'ي',
+  'ة': 'ه',
+  'ؤ': 'و',
+  'ک': 'ك'
+};
+
+const LETTERS = new RegExp(`[${Object.keys(LETTER_MAP).join('')}]`, 'g');
+
+function normalizeArabic(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(STRIP, '')
+    .replace(LETTERS, letter => LETTER_MAP[letter])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function searchTokens(text) {
+  const normalized = normalizeArabic(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Arabic-Indic (U+0660) and Extended Arabic-Indic (U+06F0) digits
+const EASTERN_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+// Derive register_number_clean from the raw value: Arabic-Indic digits to
+// ASCII, whitespace removed, leading zeros dropped
+function cleanRegisterNumber(raw) {
+  if (raw === null || raw === undefined) return null;
+  const clean = String(raw)
+    .replace(EASTERN_DIGITS, digit => String(digit.charCodeAt(0) % 16))
+    .replace(/\s+/g, '')
+    .replace(/^0+(?=\d)/, '');
+  return clean || null;
+}
+
+module.exports = { normalizeArabic, searchTokens, cleanRegisterNumber };
@@ -0,0 +1,53 @@
+const { voteEvents } = require('./storage');
+
+const VOTE_ACTIONS = ['vote', 'unvote'];
+
+// Who performed an action, taken from the authenticated request
+function actorFromRequest(req) {
+  return {
+    actor_id: req.user?.id || null,
+    actor_email: req.user?.email || null,
+    actor_role: req.user?.role || null,
+    client_ip: req.ip || null,
+    user_agent: req.get('user-agent') || null
+  };
+}
+
+// Actor for changes made by background jobs
+function systemActor(name) {
+  return {
+    actor_id: null,
+    actor_email: null,
+    actor_role: 'system',
+    client_ip: null,
+    user_agent: name
+  };
+}
+
+// Short label for *_by columns: the email, or the job name for system actors
+function actorName(actor) {
+  return actor?.actor_email || actor?.user_agent || null;
+}
+
+function buildVoteEvent(voterId, action, actor, reason, occurredAt) {
+  return {
+    voter_id: voterId,
+    action,
+    ...actor,
+    reason: reason || null,
+    occurred_at: occurredAt || new Date().toISOString()
+  };
+}
+
+async function getVoterHistory(voterId) {
+  return voteEvents.forVoter(voterId);
+}
+
+module.exports = {
+  VOTE_ACTIONS,
+  actorFromRequest,
+  systemActor,
+  actorName,
+  buildVoteEvent,
+  getVoterHistory
+};
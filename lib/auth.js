@@ -0,0 +1,93 @@
+const { supabase } = require('./supabase');
+const { HttpError } = require('./errors');
+
+// Roles are stored in the Supabase user's app_metadata.role, which only the
+// service key can write. Delegates also carry app_metadata.station_id, and
+// app_metadata.election_id is the election the user last switched to.
+const ROLES = {
+  ADMIN: 'admin',
+  DELEGATE: 'delegate',
+  VIEWER: 'viewer'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+
+  // EventSource cannot send headers, so streams may pass the token in the query
+  if (req.path.endsWith('/stream') && req.query.access_token) {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+function toIdentity(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.app_metadata?.role || null,
+    station_id: user.app_metadata?.station_id ?? null,
+    election_id: user.app_metadata?.election_id ?? null
+  };
+}
+
+// Verify the access token with Supabase and attach the identity to req.user
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    const identity = toIdentity(data.user);
+    if (!ALL_ROLES.includes(identity.role)) {
+      return res.status(403).json({ success: false, error: 'No role assigned to this account' });
+    }
+
+    req.user = identity;
+    next();
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Allow only the listed roles. Admins can always proceed.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (req.user.role !== ROLES.ADMIN && !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Polling station a request is limited to: the delegate's own station, or
+// null for admins and viewers. Throws 403 for a delegate without a station.
+function stationScope(req) {
+  if (req.user?.role !== ROLES.DELEGATE) return null;
+  if (!req.user.station_id) {
+    throw new HttpError(403, 'No polling station assigned to this account');
+  }
+  return req.user.station_id;
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  authenticate,
+  requireRole,
+  stationScope,
+  toIdentity
+};
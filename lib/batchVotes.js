@@ -0,0 +1,282 @@
+const { supabase } = require('./supabase');
+const { voters, voteEvents } = require('./storage');
+const { VOTE_ACTIONS } = require('./audit');
+const { setVoteState } = require('./votes');
+const { UNIQUE_VIOLATION, badRequest, HttpError } = require('./errors');
+
+const MAX_OPERATIONS = 500;
+// Client clocks may run a little ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A key still 'processing' after this long belongs to a request that died
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+function validateOperation(op, now) {
+  if (!op || typeof op !== 'object') return 'Operation must be an object';
+  if (typeof op.idempotency_key !== 'string' || !op.idempotency_key.trim()) {
+    return 'idempotency_key is required';
+  }
+  if (op.idempotency_key.length > 200) return 'idempotency_key is too long';
+  if (!VOTE_ACTIONS.includes(op.action)) return `action must be one of: ${VOTE_ACTIONS.join(', ')}`;
+  if (op.voter_id === undefined || op.voter_id === null || op.voter_id === '') return 'voter_id is required';
+  if (!Number.isInteger(op.voter_id) || op.voter_id <= 0) return 'voter_id must be a positive integer';
+
+  const timestamp = new Date(op.client_timestamp);
+  if (!op.client_timestamp || Number.isNaN(timestamp.getTime())) {
+    return 'client_timestamp must be an ISO date';
+  }
+  if (timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    return 'client_timestamp is in the future';
+  }
+  return null;
+}
+
+function parseBatch(body) {
+  const operations = body?.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw badRequest('operations must be a non-empty array');
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw badRequest(`A batch can hold at most ${MAX_OPERATIONS} operations`);
+  }
+  return operations;
+}
+
+function sameOperation(stored, op) {
+  return String(stored.voter_id) === String(op.voter_id) && stored.action === op.action;
+}
+
+// A key reused for another voter or action is a client bug. Reject the
+// whole batch before applying any of it.
+async function checkKeys(operations, scope) {
+  const byKey = new Map();
+  const reused = new Set();
+  operations.forEach(op => {
+    if (!op || typeof op.idempotency_key !== 'string') return;
+    const other = byKey.get(op.idempotency_key);
+    if (other && !sameOperation(other, op)) reused.add(op.idempotency_key);
+    else byKey.set(op.idempotency_key, op);
+  });
+
+  if (byKey.size > 0) {
+    const { data, error } = await supabase
+      .from('vote_operations')
+      .select('idempotency_key, voter_id, action')
+      .eq('actor_id', scope.actorId)
+      .eq('election_id', scope.electionId)
+      .in('idempotency_key', [...byKey.keys()]);
+    if (error) throw error;
+    data.forEach(stored => {
+      if (!sameOperation(stored, byKey.get(stored.idempotency_key))) reused.add(stored.idempotency_key);
+    });
+  }
+
+  if (reused.size > 0) {
+    throw new HttpError(422, `idempotency_key already used for a different operation: ${[...reused].join(', ')}`);
+  }
+}
+
+// Take over a key left in 'processing' by a request that crashed or could
+// not store its result. Returns whether this request now owns it.
+async function reclaimKey(stored, scope) {
+  if (stored.status !== 'processing') return false;
+  if (Date.now() - new Date(stored.created_at).getTime() < PROCESSING_TIMEOUT_MS) return false;
+
+  const { data, error } = await supabase
+    .from('vote_operations')
+    .update({ created_at: new Date().toISOString() })
+    .eq('actor_id', scope.actorId)
+    .eq('election_id', scope.electionId)
+    .eq('idempotency_key', stored.idempotency_key)
+    .eq('status', 'processing')
+    .eq('created_at', stored.created_at)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+}
+
+// Reserve the idempotency key of this actor in this election. Returns the stored operation when the key
+// was already used, or null when this request now owns it.
+async function claimKey(op, scope) {
+  const { error } = await supabase
+    .from('vote_operations')
+    .insert({
+      idempotency_key: op.idempotency_key,
+      voter_id: op.voter_id,
+      action: op.action,
+      client_timestamp: new Date(op.client_timestamp).toISOString(),
+      actor_id: scope.actorId,
+      election_id: scope.electionId
+    });
+
+  if (!error) return null;
+  if (error.code !== UNIQUE_VIOLATION) throw error;
+
+  const { data, error: fetchError } = await supabase
+    .from('vote_operations')
+    .select('*')
+    .eq('actor_id', scope.actorId)
+    .eq('election_id', scope.electionId)
+    .eq('idempotency_key', op.idempotency_key)
+    .single();
+
+  if (fetchError) throw fetchError;
+  if (sameOperation(data, op) && await reclaimKey(data, scope)) return null;
+  return data;
+}
+
+async function storeResult(key, scope, result) {
+  const { error } = await supabase
+    .from('vote_operations')
+    .update({ status: result.status, result, processed_at: new Date().toISOString() })
+    .eq('actor_id', scope.actorId)
+    .eq('election_id', scope.electionId)
+    .eq('idempotency_key', key);
+  if (error) throw error;
+}
+
+async function releaseKey(key, scope) {
+  const { error } = await supabase
+    .from('vote_operations')
+    .delete()
+    .eq('actor_id', scope.actorId)
+    .eq('election_id', scope.electionId)
+    .eq('idempotency_key', key)
+    .eq('status', 'processing');
+  if (error) console.error('Error releasing idempotency key:', error.message);
+}
+
+// Time of the voter's latest vote / unvote, by client-side time
+async function lastChangeAt(voterId) {
+  const event = await voteEvents.latest(voterId);
+  return event?.occurred_at || null;
+}
+
+function voterSummary(voter) {
+  return {
+    id: voter.id,
+    has_voted: Boolean(voter.has_voted),
+    voted_at: voter.voted_at,
+    vote_version: voter.vote_version
+  };
+}
+
+// Decide and apply a single operation. Conflicts resolve by client time:
+// - the voter is already in the requested state -> already_applied
+// - a newer change was recorded after this operation happened -> superseded
+// - expected_version given and stale -> superseded
+// - otherwise the operation is applied at its client time
+async function applyOperation(op, actor, { stationId, electionId }) {
+  const occurredAt = new Date(op.client_timestamp).toISOString();
+
+  const voter = await voters.findById(op.voter_id);
+  if (!voter || voter.merged_into || voter.deleted_at || (electionId && voter.election_id !== electionId)) {
+    return { status: 'not_found', error: 'Voter not found' };
+  }
+  if (stationId && voter.polling_station_id !== stationId) {
+    return { status: 'forbidden', error: 'Voter is not assigned to your polling station' };
+  }
+
+  const wantsVoted = op.action === 'vote';
+  if (Boolean(voter.has_voted) === wantsVoted) {
+    return { status: 'already_applied', voter: voterSummary(voter) };
+  }
+
+  const latest = await lastChangeAt(voter.id);
+  if (latest && new Date(latest) > new Date(occurredAt)) {
+    return { status: 'superseded', superseded_by: latest, voter: voterSummary(voter) };
+  }
+
+  try {
+    const updated = await setVoteState(voter.id, op.action, actor, {
+      reason: op.reason,
+      occurredAt,
+      stationId,
+      electionId,
+      expectedVersion: Number.isInteger(op.expected_version) ? op.expected_version : null
+    });
+    return { status: 'applied', voter: voterSummary(updated) };
+  } catch (conflict) {
+    // Lost a race with another device
+    if (conflict.status === 409) return { status: 'already_applied', details: conflict.details };
+    if (conflict.status === 412) return { status: 'superseded', details: conflict.details };
+    throw conflict;
+  }
+}
+
+// Apply operations in the order given and return one result per operation.
+// stationId limits the batch to one polling station's voters, electionId
+// to one election's.
+async function processBatch(operations, actor, { stationId = null, electionId = null, now = new Date() } = {}) {
+  const scope = { actorId: actor.actor_id, electionId };
+  await checkKeys(operations, scope);
+  const results = [];
+
+  for (let index = 0; index < operations.length; index++) {
+    const op = operations[index];
+    const base = {
+      index,
+      idempotency_key: op?.idempotency_key ?? null,
+      voter_id: op?.voter_id ?? null,
+      action: op?.action ?? null
+    };
+
+    const invalid = validateOperation(op, now);
+    if (invalid) {
+      results.push({ ...base, status: 'invalid', error: invalid });
+      continue;
+    }
+
+    try {
+      const existing = await claimKey(op, scope);
+      if (existing) {
+        // Lost a race with a request reusing the key for something else
+        if (!sameOperation(existing, op)) {
+          results.push({ ...base, status: 'invalid', error: 'idempotency_key already used for a different operation' });
+          continue;
+        }
+        results.push({
+          ...base,
+          ...(existing.result || { status: existing.status }),
+          replayed: true
+        });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await applyOperation(op, actor, { stationId, electionId });
+      } catch (error) {
+        await releaseKey(op.idempotency_key, scope);
+        throw error;
+      }
+
+      try {
+        await storeResult(op.idempotency_key, scope, outcome);
+      } catch (error) {
+        // The change is made; free the key so a replay re-checks the voter
+        // (and reports already_applied) instead of waiting on 'processing'
+        console.error(`Error storing batch operation result ${op.idempotency_key}:`, error.message);
+        await releaseKey(op.idempotency_key, scope);
+      }
+      results.push({ ...base, ...outcome, replayed: false });
+    } catch (error) {
+      console.error(`Error applying batch operation ${op.idempotency_key}:`, error.message);
+      results.push({ ...base, status: 'error', error: error.message });
+    }
+  }
+
+  const summary = {};
+  results.forEach(result => {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  });
+
+  return { results, summary };
+}
+
+module.exports = {
+  MAX_OPERATIONS,
+  parseBatch,
+  validateOperation,
+  processBatch
+};
@@ -0,0 +1,374 @@
+const { supabase } = require('./supabase');
+const storage = require('./storage');
+const { fetchAllRows, chunk } = require('./paging');
+const { toRpcParams } = require('./filters');
+const { actorName } = require('./audit');
+const { recordContact } = require('./canvass');
+const { UNSPECIFIED, PLEDGE_STATUSES, isUnspecified } = require('./constants');
+const { HttpError, badRequest } = require('./errors');
+
+// Statuses a volunteer can set; 'voted' is set by /vote and means the voter
+// has dropped off the list
+const ASSIGNMENT_STATUSES = ['pending', 'reached', 'no_answer', 'refused'];
+// Call outcomes that are also logged as canvassing contacts
+const CONTACT_OUTCOMES = { reached: 'reached', no_answer: 'no_answer', refused: 'refused' };
+
+const CANDIDATE_FIELDS = ['id', 'full_name', 'father_name', 'family', 'classification', 'pledge_status', 'canvass_volunteer_id'];
+const MAX_VOLUNTEERS = 200;
+const BATCH_SIZE = 500;
+
+function familyKey(voter) {
+  return isUnspecified(voter.family) ? UNSPECIFIED : voter.family;
+}
+
+// Lower is called first: supporters, then leaning, undecided, not yet
+// canvassed, and opposed last; ties go by the classification order given
+function voterRank(voter, classificationPriority) {
+  const pledge = PLEDGE_STATUSES.indexOf(voter.pledge_status);
+  const support = pledge === -1 ? PLEDGE_STATUSES.indexOf('undecided') + 0.5 : pledge;
+  const classification = classificationPriority.indexOf(voter.classification);
+  return [support, classification === -1 ? classificationPriority.length : classification];
+}
+
+function compareRanks(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+// Split non-voters across volunteers. Families stay together and go out in
+// priority order (best-ranked member first, then larger families), each to
+// the volunteer with the fewest voters so far. A family larger than the fair
+// share is split into parts of at most the fair share, best-ranked members
+// first. A volunteer who already owns most of a family's (or part's)
+// members keeps it while under the fair share.
+// Returns [{ voter_id, volunteer_id, family, position }].
+function buildCallList(voters, volunteerIds, { classificationPriority = [] } = {}) {
+  const families = new Map();
+  voters.forEach(voter => {
+    const key = familyKey(voter);
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push({ voter, rank: voterRank(voter, classificationPriority) });
+  });
+
+  const ordered = [...families.entries()]
+    .map(([family, members]) => {
+      members.sort((a, b) => compareRanks(a.rank, b.rank) || a.voter.id - b.voter.id);
+      return { family, members, rank: members[0].rank };
+    })
+    .sort((a, b) => compareRanks(a.rank, b.rank)
+      || b.members.length - a.members.length
+      || a.family.localeCompare(b.family, 'ar'));
+
+  const fairShare = Math.ceil(voters.length / volunteerIds.length);
+  const load = new Map(volunteerIds.map(id => [id, 0]));
+  const assignments = [];
+
+  const groups = ordered.flatMap(({ family, members }) => chunk(members, fairShare)
+    .map(part => ({ family, members: part })));
+
+  groups.forEach(({ family, members }) => {
+    const owners = new Map();
+    members.forEach(({ voter }) => {
+      if (load.has(voter.canvass_volunteer_id)) {
+        owners.set(voter.canvass_volunteer_id, (owners.get(voter.canvass_volunteer_id) || 0) + 1);
+      }
+    });
+    const [owner] = [...owners.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+    let volunteerId = owner;
+    if (owner === undefined || load.get(owner) + members.length > fairShare) {
+      volunteerId = volunteerIds.reduce((best, id) => (load.get(id) < load.get(best) ? id : best));
+    }
+
+    members.forEach(({ voter }) => {
+      load.set(volunteerId, load.get(volunteerId) + 1);
+      assignments.push({
+        voter_id: voter.id,
+        volunteer_id: volunteerId,
+        family,
+        position: load.get(volunteerId)
+      });
+    });
+  });
+
+  return assignments;
+}
+
+function parseVolunteerIds(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw badRequest('volunteer_ids must be a non-empty array');
+  }
+  if (value.length > MAX_VOLUNTEERS) {
+    throw badRequest(`volunteer_ids accepts at most ${MAX_VOLUNTEERS} volunteers`);
+  }
+  if (value.some(id => !Number.isInteger(id) || id < 1)) {
+    throw badRequest('volunteer_ids must be volunteer ids');
+  }
+  return [...new Set(value)];
+}
+
+async function fetchActiveVolunteers(ids, { electionId, stationId }) {
+  const { data, error } = await supabase
+    .from('volunteers')
+    .select('id, name, active, station_id')
+    .eq('election_id', electionId)
+    .in('id', ids);
+
+  if (error) throw error;
+  const found = new Map(data.map(volunteer => [volunteer.id, volunteer]));
+  const problems = ids.filter(id => !found.get(id)?.active
+    || (stationId && found.get(id).station_id !== stationId));
+  if (problems.length > 0) {
+    throw badRequest(`Unknown or inactive volunteer(s): ${problems.join(', ')}`);
+  }
+  return data;
+}
+
+// Build and save a call list of the voters matching filters (the filtered
+// election's) who have not voted. options: { name, volunteerIds, classificationPriority, stationId,
+// actor }. Returns the list with per-volunteer counts.
+async function createCallList(filters, options) {
+  const { name, volunteerIds, classificationPriority = [], stationId = null, actor } = options;
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw badRequest('name is required and must be at most 100 characters');
+  }
+  if (!Array.isArray(classificationPriority) || classificationPriority.some(item => typeof item !== 'string')) {
+    throw badRequest('classification_priority must be a list of classifications');
+  }
+
+  await fetchActiveVolunteers(volunteerIds, { electionId: filters.election, stationId });
+
+  const scoped = { ...filters, voted: false };
+  const { rows: voters } = await storage.voters.list(toRpcParams(scoped).p_filters, { columns: CANDIDATE_FIELDS });
+  if (voters.length === 0) throw badRequest('No voters left to call for these filters');
+
+  const assignments = buildCallList(voters, volunteerIds, { classificationPriority });
+
+  const { data: list, error } = await supabase
+    .from('call_lists')
+    .insert({
+      election_id: filters.election,
+      station_id: stationId || (filters.station?.length === 1 ? filters.station[0] : null),
+      name: name.trim(),
+      filters: toRpcParams(scoped).p_filters,
+      classification_priority: classificationPriority,
+      volunteer_ids: volunteerIds,
+      created_by: actorName(actor)
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  try {
+    for (const batch of chunk(assignments, BATCH_SIZE)) {
+      const { error: insertError } = await supabase
+        .from('call_assignments')
+        .insert(batch.map(assignment => ({ ...assignment, list_id: list.id })));
+      if (insertError) throw insertError;
+    }
+  } catch (error) {
+    // Never leave an open list with only some of its voters
+    await discardList(list.id);
+    throw error;
+  }
+
+  return { ...list, progress: summarize(assignments) };
+}
+
+// Delete a list whose assignments could not all be inserted
+async function discardList(id) {
+  let { error } = await supabase.from('call_assignments').delete().eq('list_id', id);
+  if (!error) ({ error } = await supabase.from('call_lists').delete().eq('id', id));
+  if (error) console.error(`Error discarding call list ${id}:`, error);
+}
+
+// Counts per volunteer and status
+function summarize(assignments) {
+  const byVolunteer = {};
+  assignments.forEach(({ volunteer_id: volunteerId, status = 'pending' }) => {
+    const counts = byVolunteer[volunteerId] || (byVolunteer[volunteerId] = { total: 0 });
+    counts.total++;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return { total: assignments.length, byVolunteer };
+}
+
+// Lists of other elections are not found when electionId is given, nor
+// lists of other polling stations when stationId is
+async function getList(id, { electionId = null, stationId = null } = {}) {
+  const { data, error } = await supabase
+    .from('call_lists')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (electionId && data.election_id !== electionId) || (stationId && data.station_id !== stationId)) {
+    throw new HttpError(404, 'Call list not found');
+  }
+  return data;
+}
+
+async function fetchAssignments(listId, volunteerId = null) {
+  return fetchAllRows(() => {
+    let query = supabase
+      .from('call_assignments')
+      .select('*, voter:voters(id, full_name, father_name, family, classification, pledge_status, has_voted, polling_station_id)')
+      .eq('list_id', listId)
+      .order('volunteer_id', { ascending: true })
+      .order('position', { ascending: true });
+    if (volunteerId) query = query.eq('volunteer_id', volunteerId);
+    return query;
+  });
+}
+
+// An election's lists (a delegate's: their station's), open first, newest
+// first, with progress counts
+async function listCallLists({ electionId, stationId = null, status = null }) {
+  let query = supabase
+    .from('call_lists')
+    .select('*')
+    .eq('election_id', electionId)
+    .order('status', { ascending: false })
+    .order('created_at', { ascending: false });
+  if (stationId) query = query.eq('station_id', stationId);
+  if (status) query = query.eq('status', status);
+
+  const { data: lists, error } = await query;
+  if (error) throw error;
+
+  return Promise.all(lists.map(async list => {
+    const assignments = await fetchAllRows(() => supabase
+      .from('call_assignments')
+      .select('id, volunteer_id, status')
+      .eq('list_id', list.id)
+      .order('id', { ascending: true }));
+    return { ...list, progress: summarize(assignments) };
+  }));
+}
+
+// One list with its assignments grouped by volunteer and family. Voters
+// who have voted are left out unless includeVoted is set. With stationId,
+// so are voters moved to another station since the list was built.
+async function getCallList(id, { volunteerId = null, includeVoted = false, electionId = null, stationId = null } = {}) {
+  const list = await getList(id, { electionId, stationId });
+  const assignments = (await fetchAssignments(list.id, volunteerId))
+    .filter(assignment => !stationId || assignment.voter?.polling_station_id === stationId);
+
+  const volunteers = new Map();
+  assignments.forEach(assignment => {
+    if (!includeVoted && assignment.status === 'voted') return;
+    if (!volunteers.has(assignment.volunteer_id)) {
+      volunteers.set(assignment.volunteer_id, { volunteer_id: assignment.volunteer_id, families: [] });
+    }
+    const { families } = volunteers.get(assignment.volunteer_id);
+    let family = families[families.length - 1];
+    if (!family || family.family !== assignment.family) {
+      family = { family: assignment.family, assignments: [] };
+      families.push(family);
+    }
+    family.assignments.push(assignment);
+  });
+
+  return { ...list, progress: summarize(assignments), volunteers: [...volunteers.values()] };
+}
+
+// Record a call: { status, note, pledge_status, follow_up_on }. Call
+// outcomes are also logged as canvassing contacts for the voter.
+async function updateAssignment(listId, assignmentId, body, actor, { stationId = null, electionId = null } = {}) {
+  const { status, note } = body || {};
+  if (!ASSIGNMENT_STATUSES.includes(status)) {
+    throw badRequest(`status must be one of: ${ASSIGNMENT_STATUSES.join(', ')}`);
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+    throw badRequest('note must be a string of at most 1000 characters');
+  }
+
+  const list = await getList(listId, { electionId, stationId });
+  if (list.status === 'closed') throw new HttpError(409, 'Call list is closed');
+
+  const { data: assignment, error } = await supabase
+    .from('call_assignments')
+    .select('*, voter:voters(polling_station_id)')
+    .eq('id', assignmentId)
+    .eq('list_id', list.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!assignment || (stationId && assignment.voter?.polling_station_id !== stationId)) {
+    throw new HttpError(404, 'Assignment not found');
+  }
+  if (assignment.status === 'voted') throw new HttpError(409, 'Voter has already voted');
+
+  if (CONTACT_OUTCOMES[status]) {
+    await recordContact(assignment.voter_id, {
+      method: 'call',
+      outcome: CONTACT_OUTCOMES[status],
+      note: note || undefined,
+      pledge_status: body.pledge_status,
+      follow_up_on: body.follow_up_on,
+      volunteer_id: assignment.volunteer_id
+    }, actor, { stationId, electionId });
+  }
+
+  const { data, error: updateError } = await supabase
+    .from('call_assignments')
+    .update({
+      status,
+      note: note ?? assignment.note,
+      updated_by: actorName(actor),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', assignment.id)
+    .select()
+    .single();
+  if (updateError) throw updateError;
+  return data;
+}
+
+async function closeCallList(id, { electionId = null, stationId = null } = {}) {
+  const list = await getList(id, { electionId, stationId });
+  if (list.status === 'closed') throw new HttpError(409, 'Call list is already closed');
+
+  const { data, error } = await supabase
+    .from('call_lists')
+    .update({ status: 'closed', closed_at: new Date().toISOString() })
+    .eq('id', list.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Called after a vote / unvote: a voter who votes drops off every open list
+// of the election, and comes back as pending if the vote is undone. Closed
+// lists keep the state they were closed with.
+async function syncCallAssignments(voter, voted) {
+  const { data: lists, error: listError } = await supabase
+    .from('call_lists')
+    .select('id')
+    .eq('election_id', voter.election_id)
+    .eq('status', 'open');
+  if (listError) throw listError;
+  if (lists.length === 0) return;
+
+  let query = supabase
+    .from('call_assignments')
+    .update({ status: voted ? 'voted' : 'pending', updated_at: new Date().toISOString() })
+    .eq('voter_id', voter.id)
+    .in('list_id', lists.map(list => list.id));
+  query = voted ? query.neq('status', 'voted') : query.eq('status', 'voted');
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+module.exports = {
+  ASSIGNMENT_STATUSES,
+  buildCallList,
+  parseVolunteerIds,
+  createCallList,
+  listCallLists,
+  getCallList,
+  updateAssignment,
+  closeCallList,
+  syncCallAssignments
+};
@@ -0,0 +1,190 @@
+const { supabase } = require('./supabase');
+const { voters } = require('./storage');
+const { getVolunteer, findVolunteerForUser } = require('./volunteers');
+const { PLEDGE_STATUSES } = require('./constants');
+const { HttpError, badRequest } = require('./errors');
+
+const CONTACT_METHODS = ['call', 'visit', 'message', 'other'];
+const CONTACT_OUTCOMES = ['reached', 'no_answer', 'wrong_number', 'refused', 'other'];
+const MAX_NOTE_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CANVASS_FIELDS = ['id', 'full_name', 'father_name', 'family', 'polling_station_id', 'has_voted', 'pledge_status', 'canvass_volunteer_id', 'follow_up_on'];
+
+function canvassFields(voter) {
+  return Object.fromEntries(CANVASS_FIELDS.map(field => [field, voter[field] ?? null]));
+}
+
+function parseChoice(value, name, choices) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!choices.includes(value)) throw badRequest(`${name} must be one of: ${choices.join(', ')}`);
+  return value;
+}
+
+// YYYY-MM-DD, or null to clear
+function parseDate(value, name) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function parseNote(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_NOTE_LENGTH) {
+    throw badRequest(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return value.trim() || null;
+}
+
+// Active voter the caller may canvass: one of electionId's voters, and
+// stationId limits delegates to their own station.
+async function getCanvassVoter(voterId, { stationId = null, electionId = null } = {}) {
+  const voter = await voters.findActive({ id: voterId }, { electionId });
+
+  if (!voter) throw new HttpError(404, 'Voter not found');
+  if (stationId && voter.polling_station_id !== stationId) {
+    throw new HttpError(403, 'Voter is not assigned to your polling station');
+  }
+  return canvassFields(voter);
+}
+
+// volunteer_id from the body, else the volunteer linked to the caller, in
+// the election. Delegates may only name volunteers of their station.
+async function resolveVolunteer(volunteerId, actor, { stationId = null, electionId = null } = {}) {
+  if (volunteerId === undefined) return findVolunteerForUser(actor.actor_id, electionId);
+  if (volunteerId === null) return null;
+  if (!Number.isInteger(volunteerId) || volunteerId < 1) {
+    throw badRequest('volunteer_id must be a positive integer');
+  }
+  const volunteer = await getVolunteer(volunteerId, electionId);
+  if (!volunteer.active) throw badRequest('Volunteer is not active');
+  if (stationId && volunteer.station_id !== stationId) {
+    throw badRequest('Volunteer is not assigned to your polling station');
+  }
+  return volunteer;
+}
+
+async function insertContact(entry, actor) {
+  const { data, error } = await supabase
+    .from('canvass_contacts')
+    .insert({ ...entry, ...actor })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateVoterCanvass(voterId, changes) {
+  const voter = await voters.update(voterId, changes);
+  if (!voter) throw new HttpError(404, 'Voter not found');
+  return canvassFields(voter);
+}
+
+// Canvassing state and contact history of one voter, newest contact first.
+// scope: { stationId, electionId }, as for getCanvassVoter().
+async function getCanvass(voterId, scope = {}) {
+  const voter = await getCanvassVoter(voterId, scope);
+
+  const [{ data: contacts, error }, owner] = await Promise.all([
+    supabase
+      .from('canvass_contacts')
+      .select('*, volunteer:volunteers(id, name)')
+      .eq('voter_id', voter.id)
+      .eq('election_id', scope.electionId)
+      .order('created_at', { ascending: false }),
+    voter.canvass_volunteer_id ? getVolunteer(voter.canvass_volunteer_id, scope.electionId) : null
+  ]);
+  if (error) throw error;
+
+  return { voter, owner, contacts };
+}
+
+// Log a contact attempt: { method, outcome, note, pledge_status,
+// follow_up_on, volunteer_id }. The voter takes the new pledge status and
+// follow-up date, and the volunteer becomes the owner if there is none.
+async function recordContact(voterId, body, actor, scope = {}) {
+  const input = body || {};
+  const method = parseChoice(input.method, 'method', CONTACT_METHODS);
+  if (!method) throw badRequest(`method is required: ${CONTACT_METHODS.join(', ')}`);
+
+  const entry = {
+    method,
+    outcome: parseChoice(input.outcome, 'outcome', CONTACT_OUTCOMES),
+    pledge_status: parseChoice(input.pledge_status, 'pledge_status', PLEDGE_STATUSES),
+    follow_up_on: input.follow_up_on === undefined ? null : parseDate(input.follow_up_on, 'follow_up_on'),
+    note: parseNote(input.note)
+  };
+
+  const voter = await getCanvassVoter(voterId, scope);
+  const volunteer = await resolveVolunteer(input.volunteer_id, actor, scope);
+
+  const changes = {};
+  if (entry.pledge_status) changes.pledge_status = entry.pledge_status;
+  if (input.follow_up_on !== undefined) changes.follow_up_on = entry.follow_up_on;
+  if (volunteer && !voter.canvass_volunteer_id) changes.canvass_volunteer_id = volunteer.id;
+
+  const contact = await insertContact({
+    election_id: scope.electionId,
+    voter_id: voter.id,
+    volunteer_id: volunteer?.id || null,
+    ...entry
+  }, actor);
+  const updated = Object.keys(changes).length > 0 ? await updateVoterCanvass(voter.id, changes) : voter;
+
+  return { voter: updated, contact };
+}
+
+// Set the canvassing state without a contact: { pledge_status,
+// follow_up_on, volunteer_id } (null clears). Logged with a null method.
+async function updateCanvass(voterId, body, actor, scope = {}) {
+  const input = body || {};
+  const changes = {};
+
+  if (input.pledge_status !== undefined) {
+    changes.pledge_status = parseChoice(input.pledge_status, 'pledge_status', PLEDGE_STATUSES);
+  }
+  if (input.follow_up_on !== undefined) {
+    changes.follow_up_on = parseDate(input.follow_up_on, 'follow_up_on');
+  }
+  if (input.volunteer_id !== undefined) {
+    changes.canvass_volunteer_id = (await resolveVolunteer(input.volunteer_id, actor, scope))?.id || null;
+  }
+  if (Object.keys(changes).length === 0) {
+    throw badRequest('Nothing to change; fields: pledge_status, follow_up_on, volunteer_id');
+  }
+
+  const voter = await getCanvassVoter(voterId, scope);
+  const updated = await updateVoterCanvass(voter.id, changes);
+  await insertContact({
+    election_id: scope.electionId,
+    voter_id: voter.id,
+    volunteer_id: updated.canvass_volunteer_id,
+    pledge_status: changes.pledge_status ?? null,
+    follow_up_on: changes.follow_up_on ?? null,
+    note: parseNote(input.note)
+  }, actor);
+
+  return updated;
+}
+
+// Voters with a follow-up due on or before a date (default today), oldest
+// first. Voters who have voted are left out.
+async function listFollowUps({ due, volunteerId = null, stationId = null, electionId = null, limit = 100 } = {}) {
+  const until = due === undefined ? new Date().toISOString().slice(0, 10) : parseDate(due, 'due');
+  if (!until) throw badRequest('due must be a date (YYYY-MM-DD)');
+
+  const followUps = await voters.followUps({ until, electionId, volunteerId, stationId, limit });
+  return followUps.map(canvassFields);
+}
+
+module.exports = {
+  CONTACT_METHODS,
+  CONTACT_OUTCOMES,
+  getCanvass,
+  recordContact,
+  updateCanvass,
+  listFollowUps
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getElection, getDefaultElection, parseElectionId } = require('./elections');
+
+// Exit codes shared by every maintenance command
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  CANCELLED: 3,
+  // Finished, but found something that needs a human (conflicts, unmatched rows)
+  ATTENTION: 4
+};
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// With --json, progress goes to stderr and only the final report to stdout
+function createReporter({ json }) {
+  const out = json ? process.stderr : process.stdout;
+  return {
+    log: (...args) => out.write(`${args.join(' ')}\n`),
+    rule: () => out.write(`${'='.repeat(60)}\n`),
+    report: (data) => {
+      if (json) process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    }
+  };
+}
+
+// Ask before a destructive step. --yes skips the prompt; without a terminal
+// and without --yes the step is refused rather than left waiting.
+async function confirm(question, { yes }) {
+  if (yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new CliError('Refusing to continue without a terminal; pass --yes to run unattended', EXIT.CANCELLED);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`${question} (yes/no): `, resolve));
+  rl.close();
+  return ['yes', 'y'].includes(answer.trim().toLowerCase());
+}
+
+// The election a command works on: --election <id>, or the default
+// election. Commands that write refuse an archived election unless
+// options.readOnly or --dry-run is set.
+async function resolveElection(options, { readOnly = false } = {}) {
+  let election;
+  try {
+    election = options.election
+      ? await getElection(parseElectionId(options.election, '--election'))
+      : await getDefaultElection();
+  } catch (error) {
+    throw new CliError(error.message, error.status === 400 ? EXIT.USAGE : EXIT.ERROR);
+  }
+  if (!election) throw new CliError('No election has been set up');
+  if (election.status === 'archived' && !readOnly && !options['dry-run']) {
+    throw new CliError(`Election "${election.name}" is archived; only --dry-run is allowed`, EXIT.USAGE);
+  }
+  return election;
+}
+
+// Save rows as they were before a destructive step. Returns the file path.
+function writeSnapshot(name, rows) {
+  const dir = process.env.MAINTENANCE_SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${stamp}-${name}.json`);
+  fs.writeFileSync(file, JSON.stringify({ takenAt: new Date().toISOString(), rows }, null, 2));
+  return file;
+}
+
+module.exports = {
+  EXIT,
+  CliError,
+  createReporter,
+  confirm,
+  resolveElection,
+  writeSnapshot
+};
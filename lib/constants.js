@@ -0,0 +1,15 @@
+// Label used for voters with no value in a breakdown field. Matches
+// breakdown_key() in the SQL migrations.
+const UNSPECIFIED = 'غير محدد';
+
+// Stored values that count as UNSPECIFIED ('--' is an import placeholder)
+const PLACEHOLDER_VALUES = ['', '--'];
+
+// Canvassing answers, strongest support first
+const PLEDGE_STATUSES = ['supporter', 'leaning', 'undecided', 'opposed'];
+
+function isUnspecified(value) {
+  return value === null || value === undefined || PLACEHOLDER_VALUES.includes(String(value).trim());
+}
+
+module.exports = { UNSPECIFIED, PLACEHOLDER_VALUES, PLEDGE_STATUSES, isUnspecified };
@@ -0,0 +1,410 @@
+const { supabase } = require('./supabase');
+const storage = require('./storage');
+const { chunk } = require('./paging');
+const { normalizeArabic } = require('./arabic');
+const { isUnspecified } = require('./constants');
+const { setVoteState } = require('./votes');
+const { actorName } = require('./audit');
+const { publishRecordChange } = require('./live');
+const { HttpError } = require('./errors');
+
+const DEFAULT_MIN_SCORE = 50;
+
+// Text fields merged from the duplicate into the surviving record
+const MERGE_FIELDS = [
+  'full_name',
+  'father_name',
+  'family_name',
+  'religion',
+  'family',
+  'classification',
+  'register_number'
+];
+
+// Fields that identify the voter: only filled in when the survivor has none,
+// never replaced by a "richer" value
+const IDENTITY_FIELDS = ['register_number'];
+
+function present(value) {
+  return !isUnspecified(value);
+}
+
+function sameText(a, b) {
+  return normalizeArabic(a) === normalizeArabic(b);
+}
+
+// Score how likely two voters are the same person (0-100), with the reason
+// for every point. Voters with the same name but a different father or
+// register number are almost always different people.
+function scorePair(a, b) {
+  const reasons = [];
+  const add = (field, match, points) => reasons.push({ field, match, points });
+
+  if (sameText(a.full_name, b.full_name)) add('full_name', true, 40);
+
+  if (present(a.father_name) && present(b.father_name)) {
+    if (sameText(a.father_name, b.father_name)) add('father_name', true, 25);
+    else add('father_name', false, -30);
+  }
+
+  const familyA = present(a.family) ? a.family : a.family_name;
+  const familyB = present(b.family) ? b.family : b.family_name;
+  if (present(familyA) && present(familyB)) {
+    if (sameText(familyA, familyB)) add('family', true, 10);
+    else add('family', false, -20);
+  }
+
+  const registerA = a.register_number_clean || a.register_number;
+  const registerB = b.register_number_clean || b.register_number;
+  if (present(registerA) && present(registerB)) {
+    if (String(registerA).trim() === String(registerB).trim()) add('register_number', true, 30);
+    else add('register_number', false, -40);
+  }
+
+  if (a.original_id !== null && a.original_id !== undefined && a.original_id === b.original_id) {
+    add('original_id', true, 50);
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+// Find candidate pairs. Only voters sharing a normalized name, a register
+// number or an original_id are compared.
+function findCandidates(voters, minScore = DEFAULT_MIN_SCORE) {
+  const blocks = new Map();
+  const addToBlock = (key, voter) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(voter);
+  };
+
+  voters.forEach(voter => {
+    const name = normalizeArabic(voter.full_name);
+    if (name) addToBlock(`name:${name}`, voter);
+    const register = voter.register_number_clean || voter.register_number;
+    if (present(register)) addToBlock(`register:${String(register).trim()}`, voter);
+    if (voter.original_id !== null && voter.original_id !== undefined) {
+      addToBlock(`original:${voter.original_id}`, voter);
+    }
+  });
+
+  const pairs = new Map();
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+        const key = `${a.id}:${b.id}`;
+        if (pairs.has(key)) continue;
+
+        const { score, reasons } = scorePair(a, b);
+        pairs.set(key, score >= minScore ? { voter_a: a.id, voter_b: b.id, score, reasons } : null);
+      }
+    }
+  });
+
+  return [...pairs.values()].filter(Boolean).sort((x, y) => y.score - x.score);
+}
+
+async function fetchActiveVoters(electionId) {
+  const { rows } = await storage.voters.list({ election: electionId });
+  return rows;
+}
+
+// Score the voters of an election and add new pairs to the review queue.
+// Pairs already reviewed keep their status.
+async function scanDuplicates({ electionId, minScore = DEFAULT_MIN_SCORE, save = true } = {}) {
+  const voters = await fetchActiveVoters(electionId);
+  const candidates = findCandidates(voters, minScore);
+
+  if (save) {
+    for (const batch of chunk(candidates, 500)) {
+      const { error } = await supabase
+        .from('duplicate_candidates')
+        .upsert(batch.map(candidate => ({ ...candidate, election_id: electionId })), { onConflict: 'voter_a,voter_b', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+  }
+
+  return { voters: voters.length, candidates };
+}
+
+// Review queue of an election with both records attached
+async function listCandidates({ electionId, status = 'pending', limit = 50, offset = 0 } = {}) {
+  const { data, error, count } = await supabase
+    .from('duplicate_candidates')
+    .select('*', { count: 'exact' })
+    .eq('election_id', electionId)
+    .eq('status', status)
+    .order('score', { ascending: false })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const ids = [...new Set(data.flatMap(c => [c.voter_a, c.voter_b]))];
+  const voters = new Map();
+  (await storage.voters.findByIds(ids)).forEach(voter => voters.set(voter.id, voter));
+
+  return {
+    total: count,
+    data: data.map(candidate => ({
+      ...candidate,
+      a: voters.get(candidate.voter_a) || null,
+      b: voters.get(candidate.voter_b) || null
+    }))
+  };
+}
+
+// Field values for the survivor: keep its own value unless it is empty or
+// the duplicate holds a longer (richer) version of the same text
+function mergedFields(survivor, merged) {
+  const fields = {};
+  MERGE_FIELDS.forEach(field => {
+    const keep = survivor[field];
+    const other = merged[field];
+    if (!present(other)) return;
+
+    const richer = present(keep)
+      && !IDENTITY_FIELDS.includes(field)
+      && normalizeArabic(other).length > normalizeArabic(keep).length
+      && normalizeArabic(other).startsWith(normalizeArabic(keep));
+    if (!present(keep) || richer) {
+      fields[field] = other;
+    }
+  });
+  return fields;
+}
+
+async function getVoter(id) {
+  const voter = await storage.voters.findById(id);
+  if (!voter) throw new HttpError(404, `Voter ${id} not found`);
+  return voter;
+}
+
+async function getCandidate(id, electionId = null) {
+  const { data, error } = await supabase
+    .from('duplicate_candidates')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (electionId && data.election_id !== electionId)) {
+    throw new HttpError(404, 'Duplicate candidate not found');
+  }
+  return data;
+}
+
+async function setCandidateStatus(id, status, actor) {
+  const { error } = await supabase
+    .from('duplicate_candidates')
+    .update({
+      status,
+      reviewed_at: status === 'pending' ? null : new Date().toISOString(),
+      reviewed_by: status === 'pending' ? null : actorName(actor)
+    })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+async function dismissCandidate(id, actor, { electionId = null } = {}) {
+  const candidate = await getCandidate(id, electionId);
+  if (candidate.status !== 'pending') {
+    throw new HttpError(409, `Candidate is already ${candidate.status}`);
+  }
+  await setCandidateStatus(id, 'dismissed', actor);
+  return { ...candidate, status: 'dismissed' };
+}
+
+// Time of the vote a merge moves to the survivor: the merged record's, or
+// the time of the merge
+function transferredVoteTime(merge) {
+  return merge.merged_before.voted_at || merge.merged_at;
+}
+
+function sameTime(a, b) {
+  return a !== null && b !== null && new Date(a).getTime() === new Date(b).getTime();
+}
+
+// Claim a pending candidate for a merge ('merging'), so two requests cannot
+// both merge it. Returns null when it is no longer pending.
+async function claimCandidate(id) {
+  const { data, error } = await supabase
+    .from('duplicate_candidates')
+    .update({ status: 'merging' })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Merge a candidate pair. The survivor is keepId if given, otherwise the
+// voter who has voted, otherwise the lower id. The other record is kept
+// but hidden (merged_into), and its vote moves to the survivor. With
+// electionId, pairs of other elections are not found.
+async function mergeCandidate(id, actor, { keepId, electionId = null } = {}) {
+  const candidate = await getCandidate(id, electionId);
+  if (candidate.status !== 'pending' || !await claimCandidate(candidate.id)) {
+    const { status } = await getCandidate(id, electionId);
+    throw new HttpError(409, `Candidate is already ${status}`);
+  }
+
+  try {
+    return await mergeClaimed(candidate, actor, keepId);
+  } catch (error) {
+    // Give the candidate back unless the merge went through
+    const { error: releaseError } = await supabase
+      .from('duplicate_candidates')
+      .update({ status: 'pending' })
+      .eq('id', candidate.id)
+      .eq('status', 'merging');
+    if (releaseError) console.error(`Error releasing duplicate candidate ${candidate.id}:`, releaseError);
+    throw error;
+  }
+}
+
+async function mergeClaimed(candidate, actor, keepId) {
+  const [a, b] = await Promise.all([getVoter(candidate.voter_a), getVoter(candidate.voter_b)]);
+  if (a.merged_into || b.merged_into) {
+    throw new HttpError(409, 'One of these voters has already been merged');
+  }
+  if (a.deleted_at || b.deleted_at) {
+    throw new HttpError(409, 'One of these voters has been deleted');
+  }
+
+  let survivor;
+  if (keepId !== undefined && keepId !== null) {
+    if (![a.id, b.id].includes(Number(keepId))) {
+      throw new HttpError(400, 'keep must be one of the two voters');
+    }
+    survivor = Number(keepId) === a.id ? a : b;
+  } else if (b.has_voted && !a.has_voted) {
+    survivor = b;
+  } else {
+    survivor = a;
+  }
+  const merged = survivor === a ? b : a;
+
+  // Recorded up front, so undoMerge() takes the vote back even if this
+  // request dies after moving it
+  const transfersVote = Boolean(merged.has_voted && !survivor.has_voted);
+  const { data: merge, error: mergeError } = await supabase
+    .from('voter_merges')
+    .insert({
+      candidate_id: candidate.id,
+      survivor_id: survivor.id,
+      merged_id: merged.id,
+      survivor_before: survivor,
+      merged_before: merged,
+      vote_transferred: transfersVote,
+      merged_by: actorName(actor)
+    })
+    .select()
+    .single();
+  if (mergeError) throw mergeError;
+
+  // Hide the duplicate first so its register number can move to the survivor
+  await storage.voters.update(merged.id, { merged_into: survivor.id });
+
+  const fields = mergedFields(survivor, merged);
+  if (Object.keys(fields).length > 0) {
+    publishRecordChange(await storage.voters.update(survivor.id, fields), 'update', survivor);
+  }
+
+  let voteTransferred = transfersVote;
+  if (transfersVote) {
+    try {
+      await setVoteState(survivor.id, 'vote', actor, {
+        reason: `Merged duplicate voter ${merged.id}`,
+        occurredAt: transferredVoteTime(merge)
+      });
+    } catch (voteError) {
+      if (voteError.status !== 409) throw voteError;
+      // The survivor voted in the meantime; that vote is not ours to undo
+      voteTransferred = false;
+      const { error } = await supabase.from('voter_merges').update({ vote_transferred: false }).eq('id', merge.id);
+      if (error) throw error;
+    }
+  }
+
+  await setCandidateStatus(candidate.id, 'merged', actor);
+
+  // The merged record left the totals (and the survivor's fields changed)
+  publishRecordChange(merged, 'merge');
+
+  return { ...merge, vote_transferred: voteTransferred, fields };
+}
+
+// Undo a merge: restore the survivor fields the merge filled in, take back
+// a transferred vote and show the merged record again. Fields edited since
+// the merge keep their new value and are listed in kept.
+async function undoMerge(mergeId, actor, { electionId = null } = {}) {
+  const { data: merge, error } = await supabase
+    .from('voter_merges')
+    .select('*')
+    .eq('id', mergeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!merge || (electionId && (await getVoter(merge.survivor_id)).election_id !== electionId)) {
+    throw new HttpError(404, 'Merge not found');
+  }
+  if (merge.undone_at) throw new HttpError(409, 'Merge has already been undone');
+
+  const current = await getVoter(merge.survivor_id);
+  const restore = {};
+  const kept = [];
+  Object.entries(mergedFields(merge.survivor_before, merge.merged_before)).forEach(([field, value]) => {
+    if ((current[field] ?? null) === value) restore[field] = merge.survivor_before[field] ?? null;
+    else kept.push(field);
+  });
+  if (Object.keys(restore).length > 0) {
+    publishRecordChange(await storage.voters.update(merge.survivor_id, restore), 'update', current);
+  }
+
+  // Only the transferred vote is taken back, not one the survivor cast
+  // after the merge
+  if (merge.vote_transferred) {
+    const survivor = await getVoter(merge.survivor_id);
+    if (survivor.has_voted && sameTime(survivor.voted_at, transferredVoteTime(merge))) {
+      await setVoteState(survivor.id, 'unvote', actor, {
+        reason: `Undid merge ${merge.id}`,
+        expectedVersion: survivor.vote_version
+      });
+    }
+  }
+
+  const shown = await storage.voters.update(merge.merged_id, { merged_into: null });
+
+  const { data: undone, error: undoError } = await supabase
+    .from('voter_merges')
+    .update({ undone_at: new Date().toISOString(), undone_by: actorName(actor) })
+    .eq('id', merge.id)
+    .select()
+    .single();
+  if (undoError) throw undoError;
+
+  if (merge.candidate_id) {
+    await setCandidateStatus(merge.candidate_id, 'pending', actor);
+  }
+
+  // The merged record is back in the totals
+  publishRecordChange(shown, 'unmerge');
+
+  return { ...undone, restored: Object.keys(restore), kept };
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  scorePair,
+  findCandidates,
+  scanDuplicates,
+  listCandidates,
+  mergedFields,
+  dismissCandidate,
+  mergeCandidate,
+  undoMerge
+};
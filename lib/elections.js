@@ -0,0 +1,320 @@
+const { supabase } = require('./supabase');
+const { actorName } = require('./audit');
+const { UNIQUE_VIOLATION, HttpError, badRequest } = require('./errors');
+
+const ELECTION_HEADER = 'x-election-id';
+const COLUMN_KEYS = ['idColumn', 'votedColumn', 'votedAtColumn'];
+
+// Elections change rarely and are read on every request, so the whole table
+// is cached briefly and dropped on every write
+const CACHE_MS = 30000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+async function loadElections() {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_MS) return cache;
+
+  const { data, error } = await supabase
+    .from('elections')
+    .select('*, municipality:municipalities(id, name)')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  cache = data;
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function clearElectionCache() {
+  cache = null;
+}
+
+// DEFAULT_ELECTION_ID, or the most recent active election. The environment
+// settings (GOOGLE_SHEET_*, ELECTION_OPENS_AT, ...) apply to this election
+// where its own fields are empty.
+async function getDefaultElection() {
+  const elections = await loadElections();
+  const configured = Number(process.env.DEFAULT_ELECTION_ID);
+  if (configured) {
+    const election = elections.find(item => item.id === configured);
+    if (election) return election;
+    console.error(`DEFAULT_ELECTION_ID ${configured} does not exist - using the latest active election`);
+  }
+  return [...elections].reverse().find(item => item.status === 'active') || null;
+}
+
+async function isDefaultElection(election) {
+  const fallback = await getDefaultElection();
+  return Boolean(fallback && election && fallback.id === election.id);
+}
+
+// Polling hours and turnout target (a percentage) of an election, falling
+// back to ELECTION_OPENS_AT / ELECTION_CLOSES_AT / TURNOUT_TARGET for the
+// default election
+async function getElectionSchedule(election) {
+  const useEnv = await isDefaultElection(election);
+  const fallback = name => (useEnv && process.env[name]) || null;
+  return {
+    opensAt: election.opens_at || fallback('ELECTION_OPENS_AT'),
+    closesAt: election.closes_at || fallback('ELECTION_CLOSES_AT'),
+    target: election.turnout_target ?? fallback('TURNOUT_TARGET')
+  };
+}
+
+async function getElection(id) {
+  const elections = await loadElections();
+  const election = elections.find(item => item.id === Number(id));
+  if (!election) throw new HttpError(404, 'Election not found');
+  return election;
+}
+
+// Active elections first, newest first
+async function listElections({ status = null } = {}) {
+  const elections = await loadElections();
+  return elections
+    .filter(election => !status || election.status === status)
+    .sort((a, b) => (a.status === b.status ? b.id - a.id : a.status === 'active' ? -1 : 1));
+}
+
+function parseElectionId(value, name = 'election') {
+  const id = Number(value);
+  if (!/^\d+$/.test(String(value)) || id < 1) throw badRequest(`${name} must be an election id`);
+  return id;
+}
+
+// The election a request works on: the X-Election-Id header or ?election=,
+// then the one the user switched to, then the default election
+async function resolveElection(req) {
+  const requested = req.get(ELECTION_HEADER) ?? req.query.election;
+  if (requested !== undefined && requested !== '') {
+    if (typeof requested !== 'string') throw badRequest('election must be given once');
+    return getElection(parseElectionId(requested));
+  }
+
+  if (req.user?.election_id) {
+    const elections = await loadElections();
+    const chosen = elections.find(item => item.id === req.user.election_id);
+    if (chosen) return chosen;
+  }
+
+  const election = await getDefaultElection();
+  if (!election) throw new HttpError(404, 'No election has been set up');
+  return election;
+}
+
+// Attach req.election. An archived election stays readable; anything that
+// would change it is refused, except managing the elections themselves.
+async function attachElection(req, res, next) {
+  try {
+    req.election = await resolveElection(req);
+  } catch (error) {
+    if (!error.status) console.error('Error resolving election:', error);
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+
+  if (req.election.status === 'archived' && req.method !== 'GET' && !req.path.startsWith('/elections')) {
+    return res.status(409).json({
+      success: false,
+      error: `Election "${req.election.name}" is archived and can no longer be changed`
+    });
+  }
+  next();
+}
+
+function parseText(value, name, { required = false, max = 100 } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw badRequest(`${name} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length > max) {
+    throw badRequest(`${name} must be a string of at most ${max} characters`);
+  }
+  const text = value.trim();
+  if (!text && required) throw badRequest(`${name} is required`);
+  return text || null;
+}
+
+function parseDateTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date`);
+  }
+  return date.toISOString();
+}
+
+function parseTarget(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const target = Number(value);
+  if (!Number.isFinite(target) || target <= 0 || target > 100) {
+    throw badRequest('turnout_target must be a percentage between 0 and 100');
+  }
+  return target;
+}
+
+// { idColumn, votedColumn, votedValue, votedAtColumn }; columns are letters
+function parseSheetColumns(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw badRequest('sheet_columns must be an object');
+  }
+  const columns = {};
+  Object.entries(value).forEach(([key, column]) => {
+    if (key === 'votedValue') {
+      columns.votedValue = parseText(column, 'sheet_columns.votedValue', { max: 50 });
+      return;
+    }
+    if (!COLUMN_KEYS.includes(key)) {
+      throw badRequest(`sheet_columns accepts: ${[...COLUMN_KEYS, 'votedValue'].join(', ')}`);
+    }
+    if (column !== null && !/^[A-Za-z]{1,3}$/.test(column)) {
+      throw badRequest(`sheet_columns.${key} must be a column letter`);
+    }
+    columns[key] = column ? column.toUpperCase() : null;
+  });
+  return columns;
+}
+
+const FIELD_PARSERS = {
+  name: value => parseText(value, 'name', { required: true }),
+  election_date: value => {
+    if (value === undefined || value === null || value === '') return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+      throw badRequest('election_date must be a date (YYYY-MM-DD)');
+    }
+    return value;
+  },
+  opens_at: value => parseDateTime(value, 'opens_at'),
+  closes_at: value => parseDateTime(value, 'closes_at'),
+  turnout_target: parseTarget,
+  sheet_id: value => parseText(value, 'sheet_id', { max: 200 }),
+  sheet_name: value => parseText(value, 'sheet_name'),
+  sheet_columns: parseSheetColumns
+};
+
+function parseElectionFields(body, { create = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Request body must be an object');
+  }
+
+  const values = {};
+  Object.keys(FIELD_PARSERS).forEach(field => {
+    if (body[field] !== undefined || (create && field === 'name')) {
+      values[field] = FIELD_PARSERS[field](body[field]);
+    }
+  });
+  if (values.opens_at && values.closes_at && values.closes_at <= values.opens_at) {
+    throw badRequest('closes_at must be after opens_at');
+  }
+  return values;
+}
+
+async function findOrCreateMunicipality(name) {
+  const { data: existing, error } = await supabase
+    .from('municipalities')
+    .select('id')
+    .eq('name', name)
+    .maybeSingle();
+  if (error) throw error;
+  if (existing) return existing.id;
+
+  const { data, error: insertError } = await supabase
+    .from('municipalities')
+    .insert({ name })
+    .select('id')
+    .single();
+  if (insertError) throw insertError;
+  return data.id;
+}
+
+function duplicateElection(error) {
+  return error.code === UNIQUE_VIOLATION
+    ? new HttpError(409, 'This municipality already has an election with this name')
+    : error;
+}
+
+// Create an election: { municipality, name, election_date, opens_at,
+// closes_at, turnout_target, sheet_id, sheet_name, sheet_columns }. The
+// municipality is created on first use.
+async function createElection(body) {
+  const values = parseElectionFields(body, { create: true });
+  const municipality = parseText(body.municipality, 'municipality', { required: true });
+
+  const { data, error } = await supabase
+    .from('elections')
+    .insert({ ...values, municipality_id: await findOrCreateMunicipality(municipality) })
+    .select()
+    .single();
+
+  clearElectionCache();
+  if (error) throw duplicateElection(error);
+  return getElection(data.id);
+}
+
+async function updateElection(id, body) {
+  const election = await getElection(id);
+  if (election.status === 'archived') {
+    throw new HttpError(409, 'Archived elections can no longer be changed');
+  }
+  const values = parseElectionFields(body);
+  if (Object.keys(values).length === 0) {
+    throw badRequest(`Nothing to change; fields: ${Object.keys(FIELD_PARSERS).join(', ')}`);
+  }
+
+  const { error } = await supabase
+    .from('elections')
+    .update(values)
+    .eq('id', election.id);
+
+  clearElectionCache();
+  if (error) throw duplicateElection(error);
+  return getElection(election.id);
+}
+
+// Close a finished election: its voters, votes and results stay readable,
+// but votes, edits, imports and Sheets sync stop
+async function archiveElection(id, actor) {
+  const election = await getElection(id);
+  if (election.status === 'archived') throw new HttpError(409, 'Election is already archived');
+
+  const { error } = await supabase
+    .from('elections')
+    .update({
+      status: 'archived',
+      archived_at: new Date().toISOString(),
+      archived_by: actorName(actor)
+    })
+    .eq('id', election.id);
+
+  clearElectionCache();
+  if (error) throw error;
+  return getElection(election.id);
+}
+
+// Remember the election a user works on. app_metadata is merged, so the
+// role and station are kept.
+async function switchElection(userId, id) {
+  const election = await getElection(id);
+  const { error } = await supabase.auth.admin.updateUserById(userId, {
+    app_metadata: { election_id: election.id }
+  });
+  if (error) throw error;
+  return election;
+}
+
+module.exports = {
+  ELECTION_HEADER,
+  getElection,
+  getDefaultElection,
+  isDefaultElection,
+  getElectionSchedule,
+  listElections,
+  parseElectionId,
+  resolveElection,
+  attachElection,
+  createElection,
+  updateElection,
+  archiveElection,
+  switchElection,
+  clearElectionCache
+};
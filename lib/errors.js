@@ -0,0 +1,38 @@
+// Postgres error code for a unique constraint (or a trigger raising
+// unique_violation)
+const UNIQUE_VIOLATION = '23505';
+
+// Error carrying the HTTP status a route should respond with
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+function badRequest(message, details) {
+  return new HttpError(400, message, details);
+}
+
+// Id from a path parameter or body field
+function parseId(value, name = 'id') {
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+// Route error response: HttpErrors with their status, anything else is
+// logged and answered with 500
+function sendError(res, error, message) {
+  if (!error.status) console.error(message, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.status && { details: error.details })
+  });
+}
+
+module.exports = { UNIQUE_VIOLATION, HttpError, badRequest, parseId, sendError };
@@ -0,0 +1,158 @@
+const XLSX = require('xlsx');
+const { VOTER_FIELDS } = require('./voterQuery');
+const { HttpError, badRequest } = require('./errors');
+
+const FORMATS = ['xlsx', 'csv'];
+
+// XLSX is built in memory, so it stops at this many voters; CSV streams any
+// number
+const XLSX_MAX_ROWS = Number(process.env.EXPORT_XLSX_MAX_ROWS) || 50000;
+
+const DEFAULT_COLUMNS = [
+  'original_id',
+  'full_name',
+  'father_name',
+  'family_name',
+  'family',
+  'classification',
+  'religion',
+  'register_number',
+  'has_voted',
+  'voted_at'
+];
+
+const HEADERS = {
+  ar: {
+    id: 'المعرف',
+    original_id: 'الرقم',
+    full_name: 'الاسم',
+    father_name: 'اسم الأب',
+    family_name: 'الشهرة',
+    religion: 'المذهب',
+    family: 'العائلة',
+    classification: 'التصنيف',
+    register_number: 'رقم السجل',
+    register_number_clean: 'رقم السجل (منقح)',
+    has_voted: 'اقترع',
+    voted_at: 'وقت الاقتراع',
+    vote_version: 'النسخة',
+    ballot_box_id: 'صندوق الاقتراع',
+    polling_station_id: 'مركز الاقتراع',
+    pledge_status: 'الموقف',
+    canvass_volunteer_id: 'المتطوع المسؤول',
+    follow_up_on: 'موعد المتابعة',
+    deleted_at: 'تاريخ الحذف'
+  },
+  en: Object.fromEntries(VOTER_FIELDS.map(field => [field, field]))
+};
+
+const VOTED_LABELS = {
+  ar: ['نعم', 'لا'],
+  en: ['Yes', 'No']
+};
+
+function parseExportOptions(query) {
+  const format = query.format || 'xlsx';
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const lang = query.lang || 'ar';
+  if (!HEADERS[lang]) {
+    throw badRequest(`lang must be one of: ${Object.keys(HEADERS).join(', ')}`);
+  }
+
+  // Sheets read right-to-left by default for Arabic headers
+  const rtl = query.rtl === undefined ? lang === 'ar' : query.rtl === 'true';
+
+  return { format, lang, rtl };
+}
+
+// Text Excel would run as a formula (names come from imported sheets)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function toRow(voter, columns, lang) {
+  const [yes, no] = VOTED_LABELS[lang];
+  return columns.map(column => {
+    const value = voter[column];
+    if (column === 'has_voted') return value ? yes : no;
+    if (typeof value === 'string' && FORMULA_START.test(value)) return `'${value}`;
+    return value ?? '';
+  });
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fileName(format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `voters-${date}.${format}`;
+}
+
+// Write a chunk, waiting for the client to catch up when the buffer is full
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream CSV as rows arrive. Starts with a BOM so Excel reads Arabic as UTF-8.
+async function writeCsv(res, voters, columns, lang) {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName('csv')}"`
+  });
+  res.write('\uFEFF');
+  res.write(columns.map(column => csvCell(HEADERS[lang][column])).join(',') + '\r\n');
+
+  for await (const voter of voters) {
+    // The client went away: stop reading voters
+    if (res.destroyed) return;
+    await writeChunk(res, toRow(voter, columns, lang).map(csvCell).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+// XLSX has to be assembled in memory before it can be sent. Throws 413
+// past XLSX_MAX_ROWS voters.
+async function writeXlsx(res, voters, columns, lang, rtl) {
+  const rows = [columns.map(column => HEADERS[lang][column])];
+  for await (const voter of voters) {
+    if (rows.length > XLSX_MAX_ROWS) {
+      throw new HttpError(413, `XLSX exports are limited to ${XLSX_MAX_ROWS} voters; narrow the filters or use format=csv`);
+    }
+    rows.push(toRow(voter, columns, lang));
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  worksheet['!cols'] = columns.map(column => ({ wch: Math.max(12, HEADERS[lang][column].length + 2) }));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Voters');
+  if (rtl) {
+    workbook.Workbook = { Views: [{ RTL: true }] };
+  }
+
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${fileName('xlsx')}"`
+  });
+  res.send(buffer);
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_COLUMNS,
+  parseExportOptions,
+  writeCsv,
+  writeXlsx
+};
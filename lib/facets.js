@@ -0,0 +1,11 @@
+const { voters } = require('./storage');
+const { toRpcParams } = require('./filters');
+
+// Values and counts for the filter panel (voter_facets in
+// migrations/009_voter_facets.sql). Returns
+// { religion, family, classification, voted }, each [{ value, total, voted }].
+async function getFacets(filters) {
+  return voters.facets(toRpcParams(filters).p_filters);
+}
+
+module.exports = { getFacets };
@@ -0,0 +1,202 @@
+const { supabase } = require('./supabase');
+const { voters } = require('./storage');
+const { parseVoterFilters, toRpcParams } = require('./filters');
+const { MAX_LIMIT, parsePositiveInt } = require('./voterQuery');
+const { actorName } = require('./audit');
+const { normalizeArabic } = require('./arabic');
+const { UNSPECIFIED, isUnspecified } = require('./constants');
+const { HttpError, badRequest } = require('./errors');
+
+const FAMILY_SORT_FIELDS = ['family', 'total', 'voted', 'remaining', 'turnout'];
+const DEFAULT_LIMIT = 50;
+
+const MEMBER_FIELDS = [
+  'id',
+  'original_id',
+  'full_name',
+  'father_name',
+  'family_name',
+  'religion',
+  'classification',
+  'register_number',
+  'has_voted',
+  'voted_at'
+];
+
+// Validate the /api/families query string: the voter filters, plus
+// ?sort=-remaining ('-' = descending; default -total), page and limit
+function parseFamilyQuery(query, options) {
+  const filters = parseVoterFilters(query, options);
+
+  const value = query.sort === undefined || query.sort === '' ? '-total' : String(query.sort);
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!FAMILY_SORT_FIELDS.includes(field)) {
+    throw badRequest(`sort field must be one of: ${FAMILY_SORT_FIELDS.join(', ')}`);
+  }
+
+  const limit = parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT);
+  if (limit > MAX_LIMIT) {
+    throw badRequest(`limit must be at most ${MAX_LIMIT}`);
+  }
+  const page = parsePositiveInt(query.page, 'page', 1);
+
+  return { filters, sort: { field, ascending: !descending }, limit, page };
+}
+
+// Turnout per family (family_turnout in migrations/014_families.sql).
+// Returns { total, data: [{ family, total, voted, remaining, turnout }] }.
+async function listFamilies({ filters, sort, limit, page }) {
+  return voters.familyTurnout(toRpcParams(filters).p_filters, {
+    sort: sort.field,
+    ascending: sort.ascending,
+    limit,
+    offset: (page - 1) * limit
+  });
+}
+
+// Group members by father name (compared after Arabic normalization, so
+// spelling variants land in the same household). Households with the most
+// voters still to vote come first.
+function groupHouseholds(members) {
+  const households = new Map();
+
+  members.forEach(member => {
+    const key = isUnspecified(member.father_name) ? '' : normalizeArabic(member.father_name);
+    if (!households.has(key)) {
+      households.set(key, {
+        father_name: key ? member.father_name.trim() : UNSPECIFIED,
+        total: 0,
+        voted: [],
+        not_voted: []
+      });
+    }
+    const household = households.get(key);
+    household.total++;
+    (member.has_voted ? household.voted : household.not_voted).push(member);
+  });
+
+  return [...households.values()]
+    .map(household => ({
+      father_name: household.father_name,
+      total: household.total,
+      remaining: household.not_voted.length,
+      voted: household.voted,
+      not_voted: household.not_voted
+    }))
+    .sort((a, b) => b.remaining - a.remaining || a.father_name.localeCompare(b.father_name, 'ar'));
+}
+
+async function getFamilyContacts(family, electionId) {
+  const { data, error } = await supabase
+    .from('family_contacts')
+    .select('*, voter:voters(id, full_name, father_name, has_voted)')
+    .eq('election_id', electionId)
+    .eq('family', family)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// One family's members (matching the other voter filters), split into
+// households and voted / not voted, with its designated contacts.
+// family is the name as listed by /api/families; UNSPECIFIED lists voters
+// without a family.
+async function getFamily(family, filters = parseVoterFilters({})) {
+  const scoped = { ...filters, family: [family] };
+  const [{ rows: members }, contacts] = await Promise.all([
+    voters.list(toRpcParams(scoped).p_filters, {
+      sort: [{ field: 'full_name', ascending: true }],
+      columns: MEMBER_FIELDS
+    }),
+    getFamilyContacts(family, filters.election)
+  ]);
+
+  if (members.length === 0 && contacts.length === 0) {
+    throw new HttpError(404, 'Family not found');
+  }
+
+  const voted = members.filter(member => member.has_voted).length;
+  return {
+    family,
+    total: members.length,
+    voted,
+    remaining: members.length - voted,
+    turnout: members.length > 0 ? Math.round(voted * 1000 / members.length) / 10 : 0,
+    households: groupHouseholds(members),
+    contacts
+  };
+}
+
+function parseOptionalText(value, name, max) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > max) {
+    throw badRequest(`${name} must be a string of at most ${max} characters`);
+  }
+  return value.trim() || null;
+}
+
+// Designate a contact for a family in an election: one of its voters
+// (voter_id) or an outside person (name), with an optional phone and note
+async function addFamilyContact(family, body, actor, { electionId }) {
+  const { voter_id: voterId, name, phone, note } = body || {};
+  const contact = {
+    election_id: electionId,
+    family,
+    voter_id: null,
+    name: parseOptionalText(name, 'name', 100),
+    phone: parseOptionalText(phone, 'phone', 30),
+    note: parseOptionalText(note, 'note', 500),
+    created_by: actorName(actor)
+  };
+  if (contact.phone && !/^\+?[\d\s()-]{6,}$/.test(contact.phone)) {
+    throw badRequest('phone must contain digits only');
+  }
+
+  if (voterId !== undefined && voterId !== null) {
+    if (!Number.isInteger(voterId) || voterId < 1) throw badRequest('voter_id must be a positive integer');
+    const voter = await voters.findActive({ id: voterId }, { electionId });
+    if (!voter) throw new HttpError(404, 'Voter not found');
+    if ((isUnspecified(voter.family) ? UNSPECIFIED : voter.family) !== family) {
+      throw badRequest(`Voter ${voterId} is not a member of this family`);
+    }
+    contact.voter_id = voter.id;
+  } else if (!contact.name) {
+    throw badRequest('Either voter_id or name is required');
+  }
+
+  const { data, error } = await supabase
+    .from('family_contacts')
+    .insert(contact)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function removeFamilyContact(family, contactId, { electionId }) {
+  const { data, error } = await supabase
+    .from('family_contacts')
+    .delete()
+    .eq('id', contactId)
+    .eq('election_id', electionId)
+    .eq('family', family)
+    .select();
+
+  if (error) throw error;
+  if (data.length === 0) throw new HttpError(404, 'Contact not found');
+  return data[0];
+}
+
+module.exports = {
+  FAMILY_SORT_FIELDS,
+  parseFamilyQuery,
+  listFamilies,
+  groupHouseholds,
+  getFamily,
+  getFamilyContacts,
+  addFamilyContact,
+  removeFamilyContact
+};
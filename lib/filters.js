@@ -0,0 +1,135 @@
+// Filters shared by /api/voters and the aggregate endpoints
+const { ROLES, stationScope } = require('./auth');
+const { HttpError, badRequest } = require('./errors');
+const { UNSPECIFIED, PLEDGE_STATUSES } = require('./constants');
+
+// Filters that accept several values: ?family=A,B or ?family=A&family=B
+const MULTI_VALUE_FILTERS = ['religion', 'family', 'classification'];
+const MAX_FILTER_VALUES = 50;
+const MAX_TEXT_LENGTH = 100;
+
+function parseText(value, name) {
+  if (value === undefined || value === '') return null;
+  if (typeof value !== 'string') throw badRequest(`${name} must be given once`);
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) throw badRequest(`${name} is too long`);
+  return text || null;
+}
+
+function parseList(value, name) {
+  if (value === undefined || value === '') return null;
+  const values = [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  // 'all' is what the frontend dropdowns send for "no filter"
+  if (values.length === 0 || values.includes('all')) return null;
+  if (values.length > MAX_FILTER_VALUES) {
+    throw badRequest(`${name} accepts at most ${MAX_FILTER_VALUES} values`);
+  }
+  if (values.some(item => item.length > MAX_TEXT_LENGTH)) {
+    throw badRequest(`${name} value is too long`);
+  }
+  return [...new Set(values)];
+}
+
+function parseVoted(value) {
+  const values = parseList(value, 'voted');
+  if (!values) return null;
+  if (values.some(item => item !== 'true' && item !== 'false')) {
+    throw badRequest('voted must be true or false');
+  }
+  // Both states selected is the same as no filter
+  return values.length === 1 ? values[0] === 'true' : null;
+}
+
+// ?pledge_status=supporter,leaning; UNSPECIFIED = not canvassed yet
+function parsePledgeStatus(value) {
+  const values = parseList(value, 'pledge_status');
+  if (!values) return null;
+  const allowed = [...PLEDGE_STATUSES, UNSPECIFIED];
+  if (values.some(item => !allowed.includes(item))) {
+    throw badRequest(`pledge_status must be one of: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+// ?station=1,2 / ?ballot_box=3: ids
+function parseIdList(value, name) {
+  const values = parseList(value, name);
+  if (!values) return null;
+  if (values.some(item => !/^\d+$/.test(item) || Number(item) < 1)) {
+    throw badRequest(`${name} must be a list of ids`);
+  }
+  return values.map(Number);
+}
+
+function parseIncludeDeleted(value, allowDeleted) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value !== 'true') throw badRequest('include_deleted must be true or false');
+  if (!allowDeleted) throw new HttpError(403, 'Only admins can list deleted voters');
+  return true;
+}
+
+// Validate the filter query parameters. Throws a 400 HttpError on bad input.
+// include_deleted is refused (403) unless options.allowDeleted is set,
+// options.stationId replaces any station filter and options.electionId
+// limits the voters to one election.
+function parseVoterFilters(query, { allowDeleted = false, stationId = null, electionId = null } = {}) {
+  const filters = {
+    election: electionId,
+    search: parseText(query.search, 'search'),
+    register_number: parseText(query.register_number, 'register_number'),
+    voted: parseVoted(query.voted),
+    include_deleted: parseIncludeDeleted(query.include_deleted, allowDeleted),
+    station: stationId ? [stationId] : parseIdList(query.station, 'station'),
+    ballot_box: parseIdList(query.ballot_box, 'ballot_box'),
+    pledge_status: parsePledgeStatus(query.pledge_status)
+  };
+  MULTI_VALUE_FILTERS.forEach(name => {
+    filters[name] = parseList(query[name], name);
+  });
+  return filters;
+}
+
+// Filter options for the authenticated request: the request's election,
+// only admins may include deleted voters, and delegates only see their own
+// station
+function filterOptions(req) {
+  return {
+    allowDeleted: req.user?.role === ROLES.ADMIN,
+    stationId: stationScope(req),
+    electionId: req.election?.id ?? null
+  };
+}
+
+// Same filters as the p_filters argument of the SQL functions built on
+// filtered_voters(), which the voter repository takes too (lib/storage). Unset filters are left out: a key holding JSON null
+// would still count as present in SQL.
+function toRpcParams(filters) {
+  const params = {
+    election: filters.election,
+    search: filters.search,
+    religions: filters.religion,
+    families: filters.family,
+    classifications: filters.classification,
+    pledge_statuses: filters.pledge_status,
+    stations: filters.station,
+    ballot_boxes: filters.ballot_box,
+    voted: filters.voted,
+    register_number: filters.register_number,
+    include_deleted: filters.include_deleted || null
+  };
+  Object.keys(params).forEach(key => {
+    if (params[key] === null || params[key] === undefined) delete params[key];
+  });
+  return { p_filters: params };
+}
+
+module.exports = {
+  MULTI_VALUE_FILTERS,
+  parseVoterFilters,
+  filterOptions,
+  toRpcParams
+};
@@ -0,0 +1,488 @@
+const XLSX = require('xlsx');
+const { supabase } = require('./supabase');
+const storage = require('./storage');
+const { fetchAllRows, chunk } = require('./paging');
+const { badRequest, HttpError } = require('./errors');
+const { cleanRegisterNumber, parseRegisterNumber } = require('./registerNumber');
+const { emitWebhookEvent } = require('./webhooks');
+const { REQUIRED_FIELDS, parseField, recordChanges } = require('./voterRecords');
+
+// Voter fields an import may change (see apply_voter_changes in
+// migrations/010_imports.sql)
+const IMPORT_FIELDS = [
+  'full_name',
+  'father_name',
+  'family_name',
+  'religion',
+  'family',
+  'classification',
+  'register_number'
+];
+
+const MATCH_FIELDS = ['original_id', 'register_number'];
+const BLANK_MODES = ['clear', 'skip'];
+const COLUMN_PATTERN = /^[A-Z]{1,3}$/;
+const BATCH_SIZE = 500;
+
+// Validate a column-mapping config:
+// {
+//   sheet: 'Sheet1',              // optional, defaults to the first sheet
+//   headerRow: 1,                 // rows up to this one are skipped
+//   match: { field: 'original_id', column: 'L' },
+//   columns: { family: 'J', classification: 'U' },
+//   blank: 'clear' | 'skip'       // what an empty cell does
+// }
+function isColumn(value) {
+  return typeof value === 'string' && COLUMN_PATTERN.test(value.toUpperCase());
+}
+
+function validateImportConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw badRequest('config must be an object');
+
+  const { match, columns } = config;
+  if (!match || typeof match !== 'object' || !MATCH_FIELDS.includes(match.field)) {
+    throw badRequest(`config.match.field must be one of: ${MATCH_FIELDS.join(', ')}`);
+  }
+  if (!isColumn(match.column)) {
+    throw badRequest('config.match.column must be a column letter');
+  }
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns) || Object.keys(columns).length === 0) {
+    throw badRequest('config.columns must map at least one field to a column');
+  }
+  Object.entries(columns).forEach(([field, column]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw badRequest(`Cannot import "${field}"; importable fields: ${IMPORT_FIELDS.join(', ')}`);
+    }
+    if (!isColumn(column)) {
+      throw badRequest(`Column for "${field}" must be a column letter`);
+    }
+  });
+
+  const blank = config.blank || 'clear';
+  if (!BLANK_MODES.includes(blank)) {
+    throw badRequest(`config.blank must be one of: ${BLANK_MODES.join(', ')}`);
+  }
+  if (config.sheet !== undefined && config.sheet !== null && typeof config.sheet !== 'string') {
+    throw badRequest('config.sheet must be a sheet name');
+  }
+  const headerRow = config.headerRow === undefined ? 1 : Number(config.headerRow);
+  if (!Number.isInteger(headerRow) || headerRow < 0) {
+    throw badRequest('config.headerRow must be a non-negative integer');
+  }
+
+  return {
+    sheet: config.sheet || null,
+    headerRow,
+    match: { field: match.field, column: match.column.toUpperCase() },
+    columns: Object.fromEntries(Object.entries(columns).map(([f, c]) => [f, c.toUpperCase()])),
+    blank
+  };
+}
+
+function cellText(worksheet, address) {
+  const cell = worksheet[address];
+  if (!cell || cell.v === null || cell.v === undefined) return null;
+  const text = String(cell.v).trim();
+  return text === '' ? null : text;
+}
+
+// Read the mapped cells of every data row. Returns [{ row, key, values }].
+function readImportRows(workbook, config) {
+  const sheetName = config.sheet || workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) throw badRequest(`Sheet "${sheetName}" not found`);
+  if (!worksheet['!ref']) return [];
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const rows = [];
+
+  for (let row = config.headerRow + 1; row <= range.e.r + 1; row++) {
+    const key = cellText(worksheet, `${config.match.column}${row}`);
+    const values = {};
+    Object.entries(config.columns).forEach(([field, column]) => {
+      values[field] = cellText(worksheet, `${column}${row}`);
+    });
+    rows.push({ row, key, values });
+  }
+
+  return rows;
+}
+
+function matchKey(value, field) {
+  if (value === null || value === undefined) return null;
+  // Register numbers match on their cleaned form
+  if (field === 'register_number') return cleanRegisterNumber(value);
+  return String(value).trim();
+}
+
+// Reject register number changes that are malformed or would give two
+// voters the same number (in the database or within this import)
+function rejectRegisterConflicts(changes, voters) {
+  const holders = new Map();
+  voters.forEach(voter => {
+    if (voter.register_number_clean) holders.set(voter.register_number_clean, voter.id);
+  });
+
+  const accepted = [];
+  const rejected = [];
+  changes.forEach(change => {
+    if (change.field !== 'register_number' || change.new_value === null) {
+      accepted.push(change);
+      return;
+    }
+
+    const parsed = parseRegisterNumber(change.new_value);
+    const holder = holders.get(parsed.clean);
+    if (!parsed.valid) {
+      rejected.push({ row: change.row, key: change.new_value, reason: parsed.error });
+    } else if (holder !== undefined && holder !== change.voter_id) {
+      rejected.push({ row: change.row, key: change.new_value, reason: `Register number ${parsed.clean} already belongs to voter ${holder}` });
+    } else {
+      holders.set(parsed.clean, change.voter_id);
+      accepted.push(change);
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+// Compare spreadsheet rows with an election's voters and list the field
+// changes
+async function planImport(rows, config, electionId) {
+  const fields = Object.keys(config.columns);
+  const columns = new Set(['id', config.match.field, ...fields]);
+  if (columns.has('register_number')) columns.add('register_number_clean');
+  const { rows: voters } = await storage.voters.list({ election: electionId }, { columns: [...columns] });
+
+  const votersByKey = new Map();
+  const ambiguousKeys = new Set();
+  voters.forEach(voter => {
+    const key = matchKey(voter[config.match.field], config.match.field);
+    if (key === null) return;
+    if (votersByKey.has(key)) ambiguousKeys.add(key);
+    votersByKey.set(key, voter);
+  });
+
+  const changes = [];
+  const unmatched = [];
+  const invalid = [];
+  const seen = new Map();
+  let matched = 0;
+  let unchanged = 0;
+  let skippedBlank = 0;
+
+  rows.forEach(({ row, key: cell, values }) => {
+    const key = matchKey(cell, config.match.field);
+    if (key === null) return;
+
+    if (ambiguousKeys.has(key)) {
+      unmatched.push({ row, key, reason: `Several voters share this ${config.match.field}` });
+      return;
+    }
+    const voter = votersByKey.get(key);
+    if (!voter) {
+      unmatched.push({ row, key, reason: 'No voter with this key' });
+      return;
+    }
+    if (seen.has(key)) {
+      unmatched.push({ row, key, reason: `Duplicate of row ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, row);
+    matched++;
+
+    let rowChanged = false;
+    fields.forEach(field => {
+      if (values[field] === null && config.blank === 'skip') {
+        skippedBlank++;
+        return;
+      }
+      // Same rules as editing a voter by hand (lib/voterRecords.js)
+      let to;
+      try {
+        to = parseField(field, values[field]);
+        if (to === null && REQUIRED_FIELDS.includes(field)) throw badRequest('cannot be empty');
+      } catch (error) {
+        invalid.push({ row, key: values[field], reason: `${field} ${error.message}` });
+        return;
+      }
+      const from = voter[field] === null || voter[field] === undefined ? null : String(voter[field]);
+      if (from === to) return;
+
+      changes.push({ voter_id: voter.id, field, old_value: from, new_value: to, row });
+      rowChanged = true;
+    });
+    if (!rowChanged) unchanged++;
+  });
+
+  const conflicts = rejectRegisterConflicts(changes, voters);
+  const accepted = conflicts.accepted;
+  const rejected = [...invalid, ...conflicts.rejected];
+
+  return {
+    changes: accepted,
+    unmatched: [...unmatched, ...rejected],
+    summary: {
+      rows: rows.filter(r => r.key !== null).length,
+      matched,
+      unmatched: unmatched.length,
+      rejected: rejected.length,
+      unchanged,
+      changedVoters: new Set(accepted.map(c => c.voter_id)).size,
+      changes: accepted.length,
+      skippedBlank
+    }
+  };
+}
+
+// Save a planned import so it can be reviewed, applied and rolled back
+async function saveImportRun({ electionId, sourceName, config, plan, actor }) {
+  const { data: run, error } = await supabase
+    .from('import_runs')
+    .insert({
+      election_id: electionId,
+      source_name: sourceName || null,
+      config,
+      summary: plan.summary,
+      unmatched: plan.unmatched,
+      actor_id: actor?.actor_id || null,
+      actor_email: actor?.actor_email || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  for (const batch of chunk(plan.changes, BATCH_SIZE)) {
+    const { error: changesError } = await supabase
+      .from('import_changes')
+      .insert(batch.map(({ voter_id, field, old_value, new_value }) => ({
+        import_id: run.id,
+        voter_id,
+        field,
+        old_value,
+        new_value
+      })));
+
+    if (changesError) throw changesError;
+  }
+
+  return run;
+}
+
+// Runs of other elections are not found when electionId is given
+async function getImportRun(id, electionId = null) {
+  const { data, error } = await supabase
+    .from('import_runs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (electionId && data.election_id !== electionId)) {
+    throw new HttpError(404, 'Import not found');
+  }
+  return data;
+}
+
+async function getImportChanges(id, filter = {}) {
+  return fetchAllRows(() => {
+    let query = supabase
+      .from('import_changes')
+      .select('*')
+      .eq('import_id', id);
+    if (filter.applied !== undefined) query = query.eq('applied', filter.applied);
+    return query.order('id', { ascending: true });
+  });
+}
+
+// Run changes through apply_import_changes in batches, which marks each
+// import_changes row applied (forward) or not (backward) with the voter
+// write. Returns the ids of the rows that went through; the rest had drifted.
+async function applyChanges(changes, direction) {
+  const appliedIds = [];
+
+  for (const batch of chunk(changes, BATCH_SIZE)) {
+    const data = await storage.voters.applyChanges(batch.map(change => ({
+      change: change.id,
+      id: change.voter_id,
+      field: change.field,
+      from: direction === 'forward' ? change.old_value : change.new_value,
+      to: direction === 'forward' ? change.new_value : change.old_value
+    })), { applied: direction === 'forward' });
+
+    const applied = new Set(data.map(item => `${item.id}:${item.field}`));
+    batch.forEach(change => {
+      if (applied.has(`${change.voter_id}:${change.field}`)) appliedIds.push(change.id);
+    });
+  }
+
+  return appliedIds;
+}
+
+// Before / after history of the voters an import changed, one entry per
+// voter, next to the edits made by hand
+async function recordImportHistory(changes, appliedIds, direction, actor, reason) {
+  const applied = new Set(appliedIds);
+  const byVoter = new Map();
+  changes.forEach(change => {
+    if (!applied.has(change.id)) return;
+    if (!byVoter.has(change.voter_id)) {
+      byVoter.set(change.voter_id, { voterId: change.voter_id, before: {}, after: {}, fields: [], reason });
+    }
+    const entry = byVoter.get(change.voter_id);
+    entry.before[change.field] = direction === 'forward' ? change.old_value : change.new_value;
+    entry.after[change.field] = direction === 'forward' ? change.new_value : change.old_value;
+    entry.fields.push(change.field);
+  });
+
+  await recordChanges('update', [...byVoter.values()], actor || {});
+}
+
+async function updateRun(id, values) {
+  const { data, error } = await supabase
+    .from('import_runs')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Move a run from one status to the next only if no one else did first, so
+// concurrent applies and rollbacks cannot both go ahead. Null when the run
+// was not in status `from` any more.
+async function claimRun(id, from, to) {
+  const { data, error } = await supabase
+    .from('import_runs')
+    .update({ status: to })
+    .eq('id', id)
+    .eq('status', from)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Give a claimed run back when applying or rolling back fails. The changes
+// already made are marked, so the next try picks up where this one stopped.
+async function releaseRun(id, claimed, status) {
+  const { error } = await supabase
+    .from('import_runs')
+    .update({ status })
+    .eq('id', id)
+    .eq('status', claimed);
+  if (error) console.error(`Error releasing import ${id}:`, error);
+}
+
+// 'import.applied' / 'import.rolled_back' webhook event of a run
+function notifyImport(event, run, actor) {
+  emitWebhookEvent(event, run.election_id, {
+    import: {
+      id: run.id,
+      source_name: run.source_name,
+      status: run.status,
+      summary: run.summary,
+      applied_at: run.applied_at,
+      rolled_back_at: run.rolled_back_at
+    },
+    actor: actor?.actor_email || actor?.user_agent || null
+  });
+}
+
+// Apply a planned run. Changes whose voter field no longer holds the value
+// seen at planning time are skipped and reported as conflicts.
+async function applyImportRun(id, actor, { electionId = null } = {}) {
+  const run = await getImportRun(id, electionId);
+  if (!await claimRun(run.id, 'planned', 'applying')) {
+    const { status } = await getImportRun(run.id);
+    throw new HttpError(409, `Import is already ${status.replace('_', ' ')}`);
+  }
+
+  let appliedIds;
+  let changes;
+  let pending;
+  try {
+    // Changes a failed earlier try already applied stay applied
+    changes = await getImportChanges(run.id);
+    pending = changes.filter(change => !change.applied);
+    appliedIds = await applyChanges(pending, 'forward');
+    await recordImportHistory(pending, appliedIds, 'forward', actor, `Import #${run.id}${run.source_name ? ` (${run.source_name})` : ''}`);
+  } catch (error) {
+    await releaseRun(run.id, 'applying', 'planned');
+    throw error;
+  }
+
+  const applied = await updateRun(run.id, {
+    status: 'applied',
+    applied_at: new Date().toISOString(),
+    applied_by: actor?.actor_email || actor?.user_agent || null,
+    summary: { ...run.summary, applied: changes.length - pending.length + appliedIds.length, conflicts: pending.length - appliedIds.length }
+  });
+  notifyImport('import.applied', applied, actor);
+  return applied;
+}
+
+// Restore the old values of an applied run, unless they were changed since
+async function rollbackImportRun(id, actor, { electionId = null } = {}) {
+  const run = await getImportRun(id, electionId);
+  if (!await claimRun(run.id, 'applied', 'rolling_back')) {
+    throw new HttpError(409, 'Only applied imports can be rolled back');
+  }
+
+  let revertedIds;
+  let changes;
+  try {
+    changes = await getImportChanges(run.id, { applied: true });
+    revertedIds = await applyChanges(changes, 'backward');
+    await recordImportHistory(changes, revertedIds, 'backward', actor, `Rollback of import #${run.id}`);
+  } catch (error) {
+    await releaseRun(run.id, 'rolling_back', 'applied');
+    throw error;
+  }
+
+  const rolledBack = await updateRun(run.id, {
+    status: 'rolled_back',
+    rolled_back_at: new Date().toISOString(),
+    rolled_back_by: actor?.actor_email || actor?.user_agent || null,
+    summary: {
+      ...run.summary,
+      rolledBack: revertedIds.length,
+      rollbackConflicts: changes.length - revertedIds.length
+    }
+  });
+  notifyImport('import.rolled_back', rolledBack, actor);
+  return rolledBack;
+}
+
+// Read, plan and save an import into an election from a workbook; apply it
+// unless dryRun
+async function runImport({ electionId, workbook, config, sourceName, dryRun = true, actor }) {
+  const validConfig = validateImportConfig(config);
+  const rows = readImportRows(workbook, validConfig);
+  const plan = await planImport(rows, validConfig, electionId);
+
+  let run = await saveImportRun({ electionId, sourceName, config: validConfig, plan, actor });
+  if (!dryRun) {
+    run = await applyImportRun(run.id, actor);
+  }
+
+  return { run, changes: plan.changes, unmatched: plan.unmatched };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MATCH_FIELDS,
+  validateImportConfig,
+  readImportRows,
+  planImport,
+  saveImportRun,
+  getImportRun,
+  getImportChanges,
+  applyImportRun,
+  rollbackImportRun,
+  runImport
+};
@@ -0,0 +1,116 @@
+const { BREAKDOWNS, breakdownKey } = require('./stats');
+
+const HEARTBEAT_MS = 25000;
+
+// Open Server-Sent Events connections -> { electionId, stationId } each one
+// follows (stationId null for the whole election)
+const clients = new Map();
+
+// Sequence number of the last pushed event per election and per station of
+// it, so clients can spot gaps and reconnect for a fresh snapshot
+const seqs = new Map();
+
+function scopeKey(electionId, stationId) {
+  return stationId ? `${electionId}:${stationId}` : String(electionId);
+}
+
+function send(res, event, payload) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+// stationId limits a delegate's stream to the events of their station
+function openStream(req, res, snapshot, { stationId = null } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const electionId = req.election?.id ?? null;
+  send(res, 'snapshot', { seq: seqs.get(scopeKey(electionId, stationId)) || 0, data: snapshot });
+  clients.set(res, { electionId, stationId });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+function nextSeq(key) {
+  const seq = (seqs.get(key) || 0) + 1;
+  seqs.set(key, seq);
+  return seq;
+}
+
+// Events go to the streams following payload.election_id; a station's
+// streams only get the events of its voters (payload.station_id, or
+// payload.previous_station_id for a voter who moved away)
+function broadcast(event, payload) {
+  const electionId = payload.election_id ?? null;
+  const seq = nextSeq(scopeKey(electionId, null));
+  const stationSeqs = new Map();
+  [payload.station_id, payload.previous_station_id].forEach(stationId => {
+    if (stationId && !stationSeqs.has(stationId)) {
+      stationSeqs.set(stationId, nextSeq(scopeKey(electionId, stationId)));
+    }
+  });
+
+  clients.forEach((client, res) => {
+    if (client.electionId !== electionId) return;
+    if (!client.stationId) {
+      send(res, event, { seq, ...payload });
+    } else if (stationSeqs.has(client.stationId)) {
+      send(res, event, { seq: stationSeqs.get(client.stationId), ...payload });
+    }
+  });
+}
+
+// Push the counter changes caused by a successful vote (+1) or unvote (-1)
+function publishVoteChange(voter, action) {
+  const keys = {};
+  Object.entries(BREAKDOWNS).forEach(([name, field]) => {
+    keys[name] = breakdownKey(voter, field);
+  });
+
+  broadcast('turnout', {
+    action,
+    election_id: voter.election_id,
+    station_id: voter.polling_station_id ?? null,
+    voter_id: voter.id,
+    delta: action === 'vote' ? 1 : -1,
+    keys,
+    voted_at: voter.voted_at
+  });
+}
+
+// Totals and breakdowns changed; live dashboards refetch their snapshot.
+// previous is the voter before an update, which may have moved them to
+// another station.
+function publishRecordChange(voter, action, previous = null) {
+  const stationId = voter.polling_station_id ?? null;
+  const previousStationId = previous?.polling_station_id ?? null;
+  broadcast('voters', {
+    action,
+    election_id: voter.election_id,
+    station_id: stationId,
+    ...(previous && previousStationId !== stationId && { previous_station_id: previousStationId }),
+    voter_id: voter.id
+  });
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  openStream,
+  broadcast,
+  publishVoteChange,
+  publishRecordChange,
+  clientCount
+};
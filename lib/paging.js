@@ -0,0 +1,33 @@
+const PAGE_SIZE = 1000;
+
+// Fetch every row of a query in pages, working around PostgREST's row cap.
+// buildQuery() must return a fresh, ordered query each time it is called.
+async function fetchAllRows(buildQuery, { pageSize = PAGE_SIZE, onPage } = {}) {
+  let rows = [];
+  let from = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) throw error;
+
+    rows = rows.concat(data);
+    hasMore = data.length === pageSize;
+    from += pageSize;
+    if (onPage) onPage(rows.length);
+  }
+
+  return rows;
+}
+
+// Split an array into chunks, e.g. to keep .in() filters short
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = { PAGE_SIZE, fetchAllRows, chunk };
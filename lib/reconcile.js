@@ -0,0 +1,205 @@
+const storage = require('./storage');
+const { getSheetLayout, isSheetsConfigured, readSheetVotes } = require('./sheets');
+const { enqueueSheetUpdate, hasPendingSheetUpdate } = require('./sheetQueue');
+const { systemActor } = require('./audit');
+const { setVoteState } = require('./votes');
+const { listElections } = require('./elections');
+const { HttpError, badRequest } = require('./errors');
+
+const POLICIES = ['report', 'db_wins', 'sheet_wins', 'newest_wins'];
+const RECONCILE_REASON = 'Google Sheets reconciliation';
+
+function resolve(policy, mismatch) {
+  switch (policy) {
+    case 'db_wins':
+      return { resolution: 'update_sheet' };
+    case 'sheet_wins':
+      return { resolution: 'update_db' };
+    case 'newest_wins': {
+      const dbAt = mismatch.db.changed_at;
+      const sheetAt = mismatch.sheet.voted_at;
+      if (!sheetAt) return { resolution: 'update_sheet', note: 'No sheet timestamp; database kept' };
+      if (!dbAt) return { resolution: 'update_db' };
+      return new Date(sheetAt) > new Date(dbAt)
+        ? { resolution: 'update_db' }
+        : { resolution: 'update_sheet' };
+    }
+    default:
+      return { resolution: 'none' };
+  }
+}
+
+// Compare an election's sheet "Voted" column with has_voted and decide,
+// per mismatch, which side to change under the given policy
+async function buildReconciliation(policy = 'report', electionId) {
+  if (!POLICIES.includes(policy)) {
+    throw badRequest(`policy must be one of: ${POLICIES.join(', ')}`);
+  }
+  const layout = await getSheetLayout(electionId);
+  if (!isSheetsConfigured(layout)) {
+    throw new HttpError(503, 'Google Sheets is not configured for this election');
+  }
+
+  const [sheetRows, { rows: voters }] = await Promise.all([
+    readSheetVotes(layout),
+    storage.voters.list({ election: electionId }, {
+      columns: ['id', 'original_id', 'full_name', 'has_voted', 'voted_at']
+    })
+  ]);
+
+  const sheetById = new Map(sheetRows.map(row => [row.original_id, row]));
+  const votersById = new Map(voters.map(voter => [voter.original_id, voter]));
+
+  const mismatches = [];
+  const missingInSheet = [];
+  let pendingSkipped = 0;
+
+  voters.forEach(voter => {
+    const sheetRow = sheetById.get(voter.original_id);
+    if (!sheetRow) {
+      missingInSheet.push(voter.original_id);
+      return;
+    }
+    if (Boolean(voter.has_voted) === sheetRow.voted) return;
+
+    // The queue has not written this change yet; not a real mismatch
+    if (hasPendingSheetUpdate(electionId, voter.original_id)) {
+      pendingSkipped++;
+      return;
+    }
+
+    mismatches.push({
+      voter_id: voter.id,
+      original_id: voter.original_id,
+      full_name: voter.full_name,
+      row: sheetRow.row,
+      direction: voter.has_voted ? 'db_only' : 'sheet_only',
+      db: { has_voted: Boolean(voter.has_voted), voted_at: voter.voted_at, changed_at: voter.voted_at },
+      sheet: { voted: sheetRow.voted, voted_at: sheetRow.voted_at }
+    });
+  });
+
+  const missingInDb = sheetRows
+    .filter(row => !votersById.has(row.original_id))
+    .map(row => ({ row: row.row, original_id: row.original_id }));
+
+  if (policy === 'newest_wins' && mismatches.length > 0) {
+    // Latest vote / unvote time per voter, from the audit trail
+    const times = await storage.voteEvents.latestTimes(mismatches.map(m => m.voter_id));
+    mismatches.forEach(m => {
+      m.db.changed_at = times.get(m.voter_id) || m.db.changed_at;
+    });
+  }
+
+  mismatches.forEach(m => Object.assign(m, resolve(policy, m)));
+
+  return {
+    policy,
+    electionId,
+    checkedAt: new Date().toISOString(),
+    summary: {
+      voters: voters.length,
+      sheetRows: sheetRows.length,
+      mismatches: mismatches.length,
+      dbOnly: mismatches.filter(m => m.direction === 'db_only').length,
+      sheetOnly: mismatches.filter(m => m.direction === 'sheet_only').length,
+      missingInSheet: missingInSheet.length,
+      missingInDb: missingInDb.length,
+      pendingSkipped
+    },
+    mismatches,
+    missingInSheet,
+    missingInDb
+  };
+}
+
+// Apply the resolutions of a report built by buildReconciliation
+async function applyReconciliation(report, actor) {
+  const applied = { update_sheet: 0, update_db: 0, errors: [] };
+
+  for (const m of report.mismatches) {
+    try {
+      if (m.resolution === 'update_sheet') {
+        await enqueueSheetUpdate({ election_id: report.electionId, original_id: m.original_id }, m.db.has_voted);
+        applied.update_sheet++;
+      } else if (m.resolution === 'update_db') {
+        await setVoteState(m.voter_id, m.sheet.voted ? 'vote' : 'unvote', actor, {
+          reason: RECONCILE_REASON,
+          votedAt: m.sheet.voted_at || undefined,
+          electionId: report.electionId,
+          syncSheet: false
+        });
+        applied.update_db++;
+      }
+    } catch (error) {
+      applied.errors.push({ voter_id: m.voter_id, error: error.message });
+    }
+  }
+
+  return { ...report, applied };
+}
+
+// Last report per election
+const lastReports = new Map();
+
+async function reconcile({ policy = 'report', dryRun = true, actor, electionId } = {}) {
+  const report = await buildReconciliation(policy, electionId);
+  const result = dryRun || policy === 'report'
+    ? { ...report, dryRun: true }
+    : { ...(await applyReconciliation(report, actor)), dryRun: false };
+
+  lastReports.set(electionId, result);
+  return result;
+}
+
+function getLastReconciliation(electionId) {
+  return lastReports.get(electionId) || null;
+}
+
+// Periodic reconciliation, enabled by SHEETS_RECONCILE_INTERVAL_MINUTES.
+// SHEETS_RECONCILE_POLICY picks the policy; 'report' only logs mismatches.
+// Every active election with a sheet is reconciled in turn.
+function startReconcileJob() {
+  const minutes = Number(process.env.SHEETS_RECONCILE_INTERVAL_MINUTES);
+  if (!minutes || !isSheetsConfigured()) return;
+
+  const policy = process.env.SHEETS_RECONCILE_POLICY || 'report';
+  if (!POLICIES.includes(policy)) {
+    console.error(`Unknown SHEETS_RECONCILE_POLICY "${policy}" - reconciliation job disabled`);
+    return;
+  }
+
+  setInterval(async () => {
+    let elections;
+    try {
+      elections = await listElections({ status: 'active' });
+    } catch (error) {
+      console.error('Error listing elections to reconcile:', error.message);
+      return;
+    }
+
+    for (const election of elections) {
+      try {
+        if (!isSheetsConfigured(await getSheetLayout(election.id))) continue;
+        const result = await reconcile({
+          policy,
+          dryRun: policy === 'report',
+          actor: systemActor('sheets-reconcile-job'),
+          electionId: election.id
+        });
+        console.log(`Sheets reconciliation of election ${election.id} (${policy}): ${result.summary.mismatches} mismatch(es)`);
+      } catch (error) {
+        console.error(`Error reconciling Google Sheets for election ${election.id}:`, error.message);
+      }
+    }
+  }, minutes * 60000);
+}
+
+module.exports = {
+  POLICIES,
+  buildReconciliation,
+  applyReconciliation,
+  reconcile,
+  getLastReconciliation,
+  startReconcileJob
+};
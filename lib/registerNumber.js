@@ -0,0 +1,83 @@
+const storage = require('./storage');
+const { cleanRegisterNumber } = require('./arabic');
+const { HttpError } = require('./errors');
+
+// Official register number format, checked on the cleaned value
+const FORMAT = new RegExp(process.env.REGISTER_NUMBER_PATTERN || '^\\d{1,7}$');
+
+// Fields of the holder reported with a 409
+const HOLDER_FIELDS = ['id', 'original_id', 'full_name', 'father_name', 'family_name', 'register_number'];
+
+function parseRegisterNumber(raw) {
+  const clean = cleanRegisterNumber(raw);
+  if (clean === null) {
+    return { raw: raw ?? null, clean: null, valid: false, error: 'Register number is empty' };
+  }
+  if (!FORMAT.test(clean)) {
+    return { raw, clean, valid: false, error: `Register number "${raw}" does not match the official format` };
+  }
+  return { raw, clean, valid: true, error: null };
+}
+
+// Active voter of the election (other than excludeId) already holding this
+// cleaned number
+async function findRegisterHolder(clean, excludeId = null, electionId = null) {
+  const holder = await storage.voters.findActive({ register_number_clean: clean }, { electionId, excludeId });
+  if (!holder) return null;
+  return Object.fromEntries(HOLDER_FIELDS.map(field => [field, holder[field]]));
+}
+
+// Validate a register number about to be written for voterId (null for a
+// new voter) in electionId. Throws 400 for a malformed number and 409 when
+// another voter of the election holds it. Returns { register_number,
+// register_number_clean }.
+async function checkRegisterNumber(raw, voterId = null, electionId = null) {
+  const parsed = parseRegisterNumber(raw);
+  if (!parsed.valid) throw new HttpError(400, parsed.error);
+
+  const holder = await findRegisterHolder(parsed.clean, voterId, electionId);
+  if (holder) {
+    throw new HttpError(409, `Register number ${parsed.clean} already belongs to voter ${holder.id}`, { holder });
+  }
+  return { register_number: String(raw).trim(), register_number_clean: parsed.clean };
+}
+
+// Every collision (several active voters of the election with the same
+// cleaned number) and every number that fails the official format, with
+// the full records
+async function getRegisterConflicts(electionId) {
+  const { rows: voters } = await storage.voters.list({ election: electionId }, {
+    columns: ['id', 'original_id', 'full_name', 'father_name', 'family_name', 'family', 'register_number', 'register_number_clean', 'has_voted', 'voted_at']
+  });
+
+  const byNumber = new Map();
+  const invalid = [];
+  voters.forEach(voter => {
+    const parsed = parseRegisterNumber(voter.register_number);
+    if (!parsed.valid) {
+      invalid.push({ voter, error: parsed.error });
+    }
+    if (parsed.clean === null) return;
+    if (!byNumber.has(parsed.clean)) byNumber.set(parsed.clean, []);
+    byNumber.get(parsed.clean).push(voter);
+  });
+
+  const collisions = [...byNumber.entries()]
+    .filter(([, holders]) => holders.length > 1)
+    .map(([register_number_clean, holders]) => ({ register_number_clean, voters: holders }));
+
+  return {
+    checked: voters.length,
+    collisions,
+    invalid,
+    missing: invalid.filter(item => item.voter.register_number === null).length
+  };
+}
+
+module.exports = {
+  cleanRegisterNumber,
+  parseRegisterNumber,
+  findRegisterHolder,
+  checkRegisterNumber,
+  getRegisterConflicts
+};
@@ -0,0 +1,10 @@
+const { voters } = require('./storage');
+const { toRpcParams } = require('./filters');
+
+// Ranked, Arabic-normalized and typo-tolerant search (search_voters in
+// migrations/007_arabic_search.sql). Returns { total, data }.
+async function searchVoters(filters, { limit, offset }) {
+  return voters.search(toRpcParams(filters).p_filters, { limit, offset });
+}
+
+module.exports = { searchVoters };
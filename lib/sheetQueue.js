@@ -0,0 +1,304 @@
+const { supabase } = require('./supabase');
+const { getSheetLayout, isSheetsConfigured, findRows, writeVotedCells, rowIndexSize } = require('./sheets');
+
+const FLUSH_DELAY_MS = Number(process.env.SHEETS_FLUSH_DELAY_MS) || 1000;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// "election_id:original_id" -> { election_id, original_id, voted, queued_at, attempts }
+const pending = new Map();
+
+function entryKey(electionId, originalId) {
+  return `${electionId}:${originalId}`;
+}
+
+const state = {
+  flushing: false,
+  timer: null,
+  nextAttemptAt: null,
+  consecutiveFailures: 0,
+  lastSyncAt: null,
+  lastError: null,
+  lastErrorAt: null,
+  synced: 0
+};
+
+async function persist(entry) {
+  const { error } = await supabase
+    .from('sheet_sync_queue')
+    .upsert(entry, { onConflict: 'election_id,original_id' });
+  if (error) throw error;
+}
+
+async function unpersist(entries) {
+  // Only remove rows that were not re-queued while the batch was in flight
+  for (const entry of entries) {
+    const { error } = await supabase
+      .from('sheet_sync_queue')
+      .delete()
+      .eq('election_id', entry.election_id)
+      .eq('original_id', entry.original_id)
+      .eq('queued_at', entry.queued_at);
+    if (error) console.error('Error clearing sheet sync entry:', error.message);
+  }
+}
+
+// Keep the attempts and error of a failed batch across restarts (unless the
+// entry was re-queued meanwhile)
+async function persistFailure(entries) {
+  for (const entry of entries) {
+    const { error } = await supabase
+      .from('sheet_sync_queue')
+      .update({ attempts: entry.attempts, last_error: entry.last_error })
+      .eq('election_id', entry.election_id)
+      .eq('original_id', entry.original_id)
+      .eq('queued_at', entry.queued_at);
+    if (error) console.error('Error saving sheet sync failure:', error.message);
+  }
+}
+
+// Entries with no row in the sheet stay in the saved queue, set aside with
+// unmatched_at until an admin retries them (GET / POST /api/sync/sheets/unmatched)
+// or the voter's next change replaces them
+async function persistUnmatched(entries) {
+  const unmatchedAt = new Date().toISOString();
+  for (const entry of entries) {
+    const { error } = await supabase
+      .from('sheet_sync_queue')
+      .update({ unmatched_at: unmatchedAt, last_error: entry.last_error })
+      .eq('election_id', entry.election_id)
+      .eq('original_id', entry.original_id)
+      .eq('queued_at', entry.queued_at);
+    if (error) console.error('Error saving unmatched sheet sync entry:', error.message);
+  }
+}
+
+function schedule(delay) {
+  if (state.timer) clearTimeout(state.timer);
+  state.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    flushSheetQueue();
+  }, delay);
+}
+
+// Queue the "Voted" cell for this voter in its election's sheet. Later
+// changes to the same voter replace earlier ones that have not been sent yet.
+async function enqueueSheetUpdate(voter, voted) {
+  if (!isSheetsConfigured() || voter.original_id === null || voter.original_id === undefined) return;
+
+  try {
+    if (!isSheetsConfigured(await getSheetLayout(voter.election_id))) return;
+  } catch (error) {
+    console.error('Error reading sheet layout:', error.message);
+    return;
+  }
+
+  const entry = {
+    election_id: voter.election_id,
+    original_id: voter.original_id,
+    voted,
+    queued_at: new Date().toISOString(),
+    attempts: 0,
+    last_error: null,
+    unmatched_at: null
+  };
+  pending.set(entryKey(entry.election_id, entry.original_id), entry);
+  try {
+    await persist(entry);
+  } catch (error) {
+    // Still sent from memory, but lost if the server restarts first
+    console.error('Error persisting sheet sync entry:', error.message);
+  }
+
+  // Don't cut a backoff short
+  if (!state.timer && !state.flushing) schedule(FLUSH_DELAY_MS);
+}
+
+// Write one election's share of a batch. Returns { written, unmatched }.
+async function flushElection(electionId, entries) {
+  const layout = await getSheetLayout(electionId);
+  // The election no longer has a sheet; nothing to write to
+  if (!isSheetsConfigured(layout)) {
+    entries.forEach(entry => { entry.last_error = 'The election has no Google Sheet'; });
+    return { written: 0, unmatched: entries };
+  }
+
+  const rows = await findRows(layout, entries.map(entry => entry.original_id));
+
+  const changes = [];
+  const unmatched = [];
+  entries.forEach(entry => {
+    if (rows.has(entry.original_id)) {
+      changes.push({ row: rows.get(entry.original_id), voted: entry.voted, at: entry.queued_at });
+    } else {
+      entry.last_error = 'Voter ID not found in the sheet';
+      unmatched.push(entry);
+    }
+  });
+
+  if (changes.length > 0) {
+    await writeVotedCells(layout, changes);
+  }
+  return { written: changes.length, unmatched };
+}
+
+async function flushSheetQueue() {
+  if (state.flushing || pending.size === 0 || !isSheetsConfigured()) return;
+  state.flushing = true;
+  state.nextAttemptAt = null;
+
+  const batch = [...pending.values()].slice(0, BATCH_SIZE);
+  const byElection = new Map();
+  batch.forEach(entry => {
+    if (!byElection.has(entry.election_id)) byElection.set(entry.election_id, []);
+    byElection.get(entry.election_id).push(entry);
+  });
+
+  let failure = null;
+  let written = 0;
+  for (const [electionId, entries] of byElection) {
+    try {
+      const result = await flushElection(electionId, entries);
+
+      if (result.unmatched.length > 0) {
+        console.log(`Voter IDs not found in the sheet of election ${electionId}: ${result.unmatched.map(e => e.original_id).join(', ')}`);
+      }
+
+      entries.forEach(entry => {
+        const key = entryKey(entry.election_id, entry.original_id);
+        if (pending.get(key) === entry) pending.delete(key);
+      });
+      const unmatched = new Set(result.unmatched);
+      await unpersist(entries.filter(entry => !unmatched.has(entry)));
+      await persistUnmatched(result.unmatched);
+      written += result.written;
+    } catch (error) {
+      failure = error;
+      entries.forEach(entry => {
+        entry.attempts++;
+        entry.last_error = error.message;
+      });
+      await persistFailure(entries);
+    }
+  }
+
+  if (failure) {
+    state.consecutiveFailures++;
+    state.lastError = failure.message;
+    state.lastErrorAt = new Date().toISOString();
+    console.error('Error syncing Google Sheets:', failure.message);
+  } else {
+    state.lastSyncAt = new Date().toISOString();
+    state.consecutiveFailures = 0;
+  }
+  state.synced += written;
+  if (written > 0) console.log(`Synced ${written} vote(s) to Google Sheets`);
+  state.flushing = false;
+
+  if (pending.size > 0) {
+    const delay = state.consecutiveFailures > 0
+      ? Math.min(RETRY_BASE_MS * 2 ** (state.consecutiveFailures - 1), RETRY_MAX_MS)
+      : 0;
+    schedule(delay);
+  }
+}
+
+// Reload unsent changes saved before the last restart
+async function startSheetSync() {
+  if (!isSheetsConfigured()) return;
+
+  const { data, error } = await supabase
+    .from('sheet_sync_queue')
+    .select('*')
+    .is('unmatched_at', null)
+    .order('queued_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading sheet sync queue:', error.message);
+    return;
+  }
+
+  data.forEach(entry => {
+    const key = entryKey(entry.election_id, entry.original_id);
+    if (!pending.has(key)) pending.set(key, entry);
+  });
+
+  if (pending.size > 0) {
+    console.log(`Resuming ${pending.size} pending Google Sheets update(s)`);
+    schedule(0);
+  }
+}
+
+function hasPendingSheetUpdate(electionId, originalId) {
+  return pending.has(entryKey(electionId, originalId));
+}
+
+// Saved entries set aside because the sheet has no row for them
+async function listUnmatched(electionId) {
+  const { data, error } = await supabase
+    .from('sheet_sync_queue')
+    .select('*')
+    .eq('election_id', electionId)
+    .not('unmatched_at', 'is', null)
+    .order('unmatched_at', { ascending: false })
+    .order('original_id', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+// Queue an election's unmatched entries again, e.g. once the missing rows
+// were added to the sheet. Returns how many were queued.
+async function retryUnmatched(electionId) {
+  const { data, error } = await supabase
+    .from('sheet_sync_queue')
+    .update({ unmatched_at: null, attempts: 0, last_error: null })
+    .eq('election_id', electionId)
+    .not('unmatched_at', 'is', null)
+    .select();
+  if (error) throw error;
+
+  data.forEach(entry => {
+    const key = entryKey(entry.election_id, entry.original_id);
+    if (!pending.has(key)) pending.set(key, entry);
+  });
+  if (data.length > 0 && !state.timer && !state.flushing) schedule(0);
+  return data.length;
+}
+
+async function getSheetQueueStatus() {
+  const { count: unmatched, error } = await supabase
+    .from('sheet_sync_queue')
+    .select('original_id', { count: 'exact' })
+    .not('unmatched_at', 'is', null)
+    .limit(1);
+  if (error) throw error;
+
+  const entries = [...pending.values()];
+  return {
+    configured: isSheetsConfigured(),
+    backlog: entries.length,
+    oldestQueuedAt: entries.reduce((oldest, e) => (!oldest || e.queued_at < oldest ? e.queued_at : oldest), null),
+    flushing: state.flushing,
+    nextAttemptAt: state.nextAttemptAt,
+    consecutiveFailures: state.consecutiveFailures,
+    lastSyncAt: state.lastSyncAt,
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt,
+    synced: state.synced,
+    rowIndexSize: rowIndexSize(),
+    // Saved changes with no matching row, across elections
+    unmatched
+  };
+}
+
+module.exports = {
+  enqueueSheetUpdate,
+  flushSheetQueue,
+  startSheetSync,
+  hasPendingSheetUpdate,
+  listUnmatched,
+  retryUnmatched,
+  getSheetQueueStatus
+};
@@ -0,0 +1,179 @@
+const { google } = require('googleapis');
+const { getElection, isDefaultElection } = require('./elections');
+
+// Sheet layout of an election. Columns are letters as shown in Google
+// Sheets. The election's own settings win; GOOGLE_SHEET_* fill in the
+// columns, and GOOGLE_SHEET_ID / GOOGLE_SHEET_NAME are only used for the
+// default election. sheetId is null when the election has no sheet.
+async function getSheetLayout(electionId) {
+  const election = await getElection(electionId);
+  const useEnv = await isDefaultElection(election);
+  const columns = election.sheet_columns || {};
+  const votedAtColumn = 'votedAtColumn' in columns
+    ? columns.votedAtColumn
+    : process.env.GOOGLE_SHEET_VOTED_AT_COLUMN;
+
+  return {
+    electionId: election.id,
+    sheetId: election.sheet_id || (useEnv && process.env.GOOGLE_SHEET_ID) || null,
+    sheetName: election.sheet_name || (useEnv && process.env.GOOGLE_SHEET_NAME) || 'Sheet1',
+    idColumn: (columns.idColumn || process.env.GOOGLE_SHEET_ID_COLUMN || 'L').toUpperCase(),
+    votedColumn: (columns.votedColumn || process.env.GOOGLE_SHEET_VOTED_COLUMN || 'B').toUpperCase(),
+    votedValue: columns.votedValue || process.env.GOOGLE_SHEET_VOTED_VALUE || 'Yes',
+    // Optional column with the time the "Voted" cell was last changed
+    votedAtColumn: votedAtColumn ? votedAtColumn.toUpperCase() : null
+  };
+}
+
+// Cell values that mean "not voted" when a volunteer edits the sheet by hand
+const NOT_VOTED_VALUES = ['', 'no', 'false', '0', 'لا'];
+
+function isVotedCell(value) {
+  return !NOT_VOTED_VALUES.includes(String(value ?? '').trim().toLowerCase());
+}
+
+let sheets;
+
+function initGoogleSheets() {
+  try {
+    if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+      const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+      const auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      });
+      sheets = google.sheets({ version: 'v4', auth });
+      console.log('Google Sheets API initialized');
+    } else {
+      console.log('Google Sheets not configured - skipping');
+    }
+  } catch (error) {
+    console.error('Error initializing Google Sheets:', error.message);
+  }
+}
+
+// The API client is ready and, when a layout is given, that election has a
+// sheet
+function isSheetsConfigured(layout = null) {
+  return Boolean(sheets && (!layout || layout.sheetId));
+}
+
+// Mapping of original_id -> 1-indexed sheet row per election, built from
+// the ID column only
+const rowIndexes = new Map();
+
+function getRowIndex(electionId) {
+  if (!rowIndexes.has(electionId)) rowIndexes.set(electionId, { rows: new Map(), loadedAt: null });
+  return rowIndexes.get(electionId);
+}
+
+async function loadRowIndex(layout) {
+  const rowIndex = getRowIndex(layout.electionId);
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: layout.sheetId,
+    range: `${layout.sheetName}!${layout.idColumn}:${layout.idColumn}`
+  });
+
+  rowIndex.rows.clear();
+  (response.data.values || []).forEach((row, i) => {
+    const originalId = parseInt(row[0]);
+    if (!Number.isNaN(originalId)) {
+      rowIndex.rows.set(originalId, i + 1);
+    }
+  });
+  rowIndex.loadedAt = Date.now();
+}
+
+// Resolve sheet rows for the given original_ids. The index is reloaded for
+// every batch: volunteers insert and delete rows by hand, and a stale row
+// number would write to another voter's row.
+async function findRows(layout, originalIds) {
+  await loadRowIndex(layout);
+  const rowIndex = getRowIndex(layout.electionId);
+
+  const rows = new Map();
+  originalIds.forEach(id => {
+    if (rowIndex.rows.has(id)) rows.set(id, rowIndex.rows.get(id));
+  });
+  return rows;
+}
+
+// Write the "Voted" cell (and the voted-at cell if configured) for many
+// rows in one batchUpdate.
+// changes: [{ row, voted, at }]
+async function writeVotedCells(layout, changes) {
+  const data = [];
+  changes.forEach(({ row, voted, at }) => {
+    data.push({
+      range: `${layout.sheetName}!${layout.votedColumn}${row}`,
+      values: [[voted ? layout.votedValue : '']]
+    });
+    if (layout.votedAtColumn) {
+      data.push({
+        range: `${layout.sheetName}!${layout.votedAtColumn}${row}`,
+        values: [[at || '']]
+      });
+    }
+  });
+
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: layout.sheetId,
+    resource: { valueInputOption: 'RAW', data }
+  });
+}
+
+// Read the vote state of every sheet row that has an original_id.
+// Returns [{ row, original_id, voted, voted_at }]
+async function readSheetVotes(layout) {
+  const rowIndex = getRowIndex(layout.electionId);
+  const columns = [layout.idColumn, layout.votedColumn];
+  if (layout.votedAtColumn) columns.push(layout.votedAtColumn);
+
+  const response = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: layout.sheetId,
+    ranges: columns.map(column => `${layout.sheetName}!${column}:${column}`)
+  });
+
+  const [ids, voted, votedAt] = response.data.valueRanges.map(range => range.values || []);
+  const rows = [];
+  rowIndex.rows.clear();
+
+  ids.forEach((row, i) => {
+    const originalId = parseInt(row[0]);
+    if (Number.isNaN(originalId)) return;
+
+    rowIndex.rows.set(originalId, i + 1);
+    const at = votedAt?.[i]?.[0];
+    rows.push({
+      row: i + 1,
+      original_id: originalId,
+      voted: isVotedCell(voted[i]?.[0]),
+      voted_at: at && !Number.isNaN(new Date(at).getTime()) ? new Date(at).toISOString() : null
+    });
+  });
+  rowIndex.loadedAt = Date.now();
+
+  return rows;
+}
+
+function getSheetsClient() {
+  return sheets;
+}
+
+// Indexed rows across every election's sheet
+function rowIndexSize() {
+  return [...rowIndexes.values()].reduce((total, rowIndex) => total + rowIndex.rows.size, 0);
+}
+
+module.exports = {
+  getSheetLayout,
+  initGoogleSheets,
+  isSheetsConfigured,
+  getSheetsClient,
+  loadRowIndex,
+  findRows,
+  writeVotedCells,
+  readSheetVotes,
+  isVotedCell,
+  rowIndexSize
+};
@@ -0,0 +1,228 @@
+const { supabase } = require('./supabase');
+const { voters } = require('./storage');
+const { getStats } = require('./stats');
+const { UNSPECIFIED } = require('./constants');
+const { UNIQUE_VIOLATION, HttpError, badRequest, parseId } = require('./errors');
+
+const RULE_TEXT_FIELDS = ['religion', 'family', 'classification'];
+const RULE_RANGE_FIELDS = ['register_from', 'register_to'];
+
+function parseName(value, name, { required = true } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw badRequest(`${name} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length > 100) {
+    throw badRequest(`${name} must be a string of at most 100 characters`);
+  }
+  const text = value.trim();
+  if (!text && required) throw badRequest(`${name} is required`);
+  return text || null;
+}
+
+function duplicateName(error, message) {
+  return error.code === UNIQUE_VIOLATION ? new HttpError(409, message) : error;
+}
+
+function turnout(counts) {
+  const total = counts?.total || 0;
+  const voted = counts?.voted || 0;
+  return {
+    total,
+    voted,
+    remaining: total - voted,
+    turnout: total > 0 ? Math.round(voted * 1000 / total) / 10 : 0
+  };
+}
+
+// Stations of the filtered election with their ballot boxes and turnout for
+// the voters matching filters. A filter on stations (a delegate's scope)
+// limits the list too.
+async function listStations(filters) {
+  let query = supabase
+    .from('polling_stations')
+    .select('*, ballot_boxes(id, name)')
+    .order('name', { ascending: true });
+  if (filters.election) query = query.eq('election_id', filters.election);
+  if (filters.station) query = query.in('id', filters.station);
+
+  const [{ data: stations, error }, stats] = await Promise.all([query, getStats(filters)]);
+  if (error) throw error;
+
+  return {
+    stations: stations.map(station => ({
+      ...station,
+      ballot_boxes: station.ballot_boxes.sort((a, b) => a.name.localeCompare(b.name, 'ar')),
+      ...turnout(stats.byStation[String(station.id)])
+    })),
+    unassigned: filters.station ? null : turnout(stats.byStation[UNSPECIFIED])
+  };
+}
+
+async function createStation(body, { electionId }) {
+  const { data, error } = await supabase
+    .from('polling_stations')
+    .insert({
+      election_id: electionId,
+      name: parseName(body?.name, 'name'),
+      location: parseName(body?.location, 'location', { required: false })
+    })
+    .select()
+    .single();
+
+  if (error) throw duplicateName(error, 'A station with this name already exists');
+  return data;
+}
+
+async function updateStation(id, body, { electionId }) {
+  const changes = {};
+  if (body?.name !== undefined) changes.name = parseName(body.name, 'name');
+  if (body?.location !== undefined) {
+    changes.location = parseName(body.location, 'location', { required: false });
+  }
+  if (Object.keys(changes).length === 0) throw badRequest('Nothing to change; fields: name, location');
+
+  const { data, error } = await supabase
+    .from('polling_stations')
+    .update(changes)
+    .eq('id', id)
+    .eq('election_id', electionId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw duplicateName(error, 'A station with this name already exists');
+  if (!data) throw new HttpError(404, 'Station not found');
+  return data;
+}
+
+async function createBallotBox(stationId, body, { electionId }) {
+  const { data: station, error: stationError } = await supabase
+    .from('polling_stations')
+    .select('id')
+    .eq('id', parseId(stationId, 'station id'))
+    .eq('election_id', electionId)
+    .maybeSingle();
+  if (stationError) throw stationError;
+  if (!station) throw new HttpError(404, 'Station not found');
+
+  const { data, error } = await supabase
+    .from('ballot_boxes')
+    .insert({ station_id: station.id, name: parseName(body?.name, 'name') })
+    .select()
+    .single();
+
+  if (error) throw duplicateName(error, 'This station already has a box with this name');
+  return data;
+}
+
+const RULE_SELECT = '*, ballot_box:ballot_boxes!inner(id, name, station_id, station:polling_stations!inner(election_id))';
+
+// Rules of an election's boxes, in the order they are tried
+async function listRules(electionId) {
+  const { data, error } = await supabase
+    .from('ballot_box_rules')
+    .select(RULE_SELECT)
+    .eq('ballot_box.station.election_id', electionId)
+    .order('priority', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// Validate a rule: { ballot_box_id, priority?, religion?, family?,
+// classification?, register_from?, register_to? } with at least one
+// condition. Category values compare like the filters ('غير محدد' = empty).
+function parseRule(body) {
+  if (!body || typeof body !== 'object') throw badRequest('Rule must be an object');
+
+  const rule = {
+    ballot_box_id: parseId(body.ballot_box_id, 'ballot_box_id'),
+    priority: body.priority === undefined ? 100 : Number(body.priority)
+  };
+  if (!Number.isInteger(rule.priority)) throw badRequest('priority must be an integer');
+
+  RULE_TEXT_FIELDS.forEach(field => {
+    rule[field] = parseName(body[field], field, { required: false });
+  });
+  RULE_RANGE_FIELDS.forEach(field => {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      rule[field] = null;
+      return;
+    }
+    if (!Number.isInteger(value) || value < 0) throw badRequest(`${field} must be a non-negative integer`);
+    rule[field] = value;
+  });
+
+  if ([...RULE_TEXT_FIELDS, ...RULE_RANGE_FIELDS].every(field => rule[field] === null)) {
+    throw badRequest(`A rule needs at least one of: ${[...RULE_TEXT_FIELDS, ...RULE_RANGE_FIELDS].join(', ')}`);
+  }
+  if (rule.register_from !== null && rule.register_to !== null && rule.register_from > rule.register_to) {
+    throw badRequest('register_from must not be greater than register_to');
+  }
+  return rule;
+}
+
+async function createRule(body, { electionId }) {
+  const rule = parseRule(body);
+
+  const { data: box, error: boxError } = await supabase
+    .from('ballot_boxes')
+    .select('id, station:polling_stations!inner(election_id)')
+    .eq('id', rule.ballot_box_id)
+    .eq('station.election_id', electionId)
+    .maybeSingle();
+  if (boxError) throw boxError;
+  if (!box) throw new HttpError(404, 'Ballot box not found');
+
+  const { data, error } = await supabase
+    .from('ballot_box_rules')
+    .insert(rule)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteRule(id, { electionId }) {
+  const { data: rule, error: ruleError } = await supabase
+    .from('ballot_box_rules')
+    .select(RULE_SELECT)
+    .eq('id', id)
+    .eq('ballot_box.station.election_id', electionId)
+    .maybeSingle();
+  if (ruleError) throw ruleError;
+  if (!rule) throw new HttpError(404, 'Rule not found');
+
+  const { data, error } = await supabase
+    .from('ballot_box_rules')
+    .delete()
+    .eq('id', rule.id)
+    .select();
+
+  if (error) throw error;
+  if (data.length === 0) throw new HttpError(404, 'Rule not found');
+  return data[0];
+}
+
+// Re-apply the rules to every voter of an election (assign_ballot_boxes in
+// migrations/018_elections.sql). Returns
+// { voters, assigned, unassigned, changed, byBox, dryRun }.
+async function assignBallotBoxes({ electionId, dryRun = true }) {
+  const data = await voters.assignBallotBoxes(electionId, { dryRun });
+  return { ...data, dryRun };
+}
+
+module.exports = {
+  listStations,
+  createStation,
+  updateStation,
+  createBallotBox,
+  listRules,
+  parseRule,
+  createRule,
+  deleteRule,
+  assignBallotBoxes
+};
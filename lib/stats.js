@@ -0,0 +1,50 @@
+const { voters } = require('./storage');
+const { parseVoterFilters, toRpcParams } = require('./filters');
+const { UNSPECIFIED, isUnspecified } = require('./constants');
+
+// Fields that /api/stats breaks turnout down by, keyed by response name
+const BREAKDOWNS = {
+  byReligion: 'religion',
+  byClassification: 'classification',
+  byFamily: 'family',
+  byStation: 'polling_station_id',
+  byPledge: 'pledge_status'
+};
+
+function breakdownKey(voter, field) {
+  return isUnspecified(voter[field]) ? UNSPECIFIED : voter[field];
+}
+
+// Pledged supporters who have voted against those still to bring out
+function supporterTurnout(byPledge) {
+  const { total = 0, voted = 0 } = byPledge.supporter || {};
+  return { total, voted, notVoted: total - voted };
+}
+
+// Totals and breakdowns for the voters matching the given filters, computed
+// by the storage backend (voter_stats in SQL) instead of downloading every row
+async function getStats(filters = parseVoterFilters({})) {
+  const data = await voters.stats(toRpcParams(filters).p_filters);
+
+  const { total, voted } = data;
+  const breakdowns = {};
+  Object.keys(BREAKDOWNS).forEach(name => {
+    breakdowns[name] = data[name] || {};
+  });
+
+  return {
+    total,
+    voted,
+    notVoted: total - voted,
+    percentage: total > 0 ? ((voted / total) * 100).toFixed(2) : 0,
+    supporters: supporterTurnout(breakdowns.byPledge),
+    ...breakdowns
+  };
+}
+
+module.exports = {
+  UNSPECIFIED,
+  BREAKDOWNS,
+  breakdownKey,
+  getStats
+};
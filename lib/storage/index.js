@@ -0,0 +1,80 @@
+require('dotenv').config();
+
+// Storage backend, chosen by STORAGE_BACKEND:
+//   supabase (default)  the hosted Supabase project
+//   local               an embedded store in one file (lib/storage/local),
+//                       for a laptop without a connection and for tests
+//
+// Every backend provides:
+//   client                 query client with the supabase-js interface
+//                          (from(), auth) for the tables without a repository
+//   createSessionClient()  client for calls that establish a user session
+//
+// All reads and writes of voters and vote_events go through the
+// repositories below, so the backends only have to agree on these methods.
+// Each method throws on error. filters are the p_filters of the SQL
+// functions (see toRpcParams in lib/filters.js). "Active" voters are neither
+// merged into another record nor deleted.
+//
+//   voters                 the voter repository:
+//     findById(id)                         voter or null
+//     findByIds(ids)                       those voters, in any state, by id
+//     findActive(match, { electionId, excludeId })
+//                                          the active voter (lowest id) whose
+//                                          columns equal match, e.g.
+//                                          { register_number_clean }, or null
+//     list(filters, { sort, columns, offset, limit, after })
+//                                          { rows, total }: sorted by sort
+//                                          ([{ field, ascending }], nulls
+//                                          last) then id; after continues
+//                                          from a keyset cursor (sort values
+//                                          then id); total ignores the
+//                                          cursor; no limit = every row.
+//                                          search matches name tokens.
+//     followUps({ until, electionId, volunteerId, stationId, limit })
+//                                          active voters who have not voted
+//                                          with follow_up_on <= until
+//     insert(values)                       the new voter; error code 23505 when
+//                                          the register number is taken
+//     update(id, values)                   the updated voter, or null
+//     compareAndSetVote(id, version, { has_voted, voted_at }, event)
+//                                          the updated voter (vote_version + 1),
+//                                          with event appended to vote_events
+//                                          in the same transaction, or null
+//                                          when vote_version moved on
+//     stats(filters)                       voter_stats() totals and breakdowns
+//     facets(filters)                      voter_facets()
+//     search(filters, { limit, offset })   search_voters(): { total, data }
+//     timeline(filters, { bucketMinutes, from, to, groupBy })
+//                                          voter_timeline() buckets
+//     familyTurnout(filters, { sort, ascending, limit, offset })
+//                                          family_turnout(): { total, data }
+//     applyChanges(changes, { applied })   apply_voter_changes(): applied
+//                                          [{ id, field }]; with applied,
+//                                          apply_import_changes() also sets
+//                                          import_changes.applied of the
+//                                          changes (by change) that went
+//                                          through
+//     assignBallotBoxes(electionId, { dryRun })
+//                                          assign_ballot_boxes() summary
+//   voteEvents             the vote audit trail (append-only):
+//     record(event)                        the new event
+//     forVoter(voterId)                    the voter's events, oldest first
+//     latest(voterId, { action })          the newest event (of action), or null
+//     latestTimes(voterIds)                Map voter id -> newest occurred_at
+//     list({ electionId, voterId, action, actorId, actorEmail, from, to },
+//          { offset, limit })              { rows, total }, newest first
+const BACKENDS = {
+  supabase: () => require('./supabase').createSupabaseBackend(),
+  local: () => require('./local').createLocalBackend()
+};
+
+function createBackend(name = process.env.STORAGE_BACKEND || 'supabase') {
+  const create = BACKENDS[name];
+  if (!create) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create();
+}
+
+module.exports = createBackend();
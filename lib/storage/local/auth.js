@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// Users and sessions for the local backend, answering the supabase-js auth
+// calls the API makes. Passwords are scrypt hashes; tokens are random and
+// kept in the store, so logins survive a restart.
+
+const ACCESS_TTL_SECONDS = 3600;
+const MIN_PASSWORD_LENGTH = 6;
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.name = 'AuthApiError';
+  return error;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(String(password), salt, 32).toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// The user as supabase-js returns it, without the password hash
+function publicUser(user) {
+  const { password_hash: passwordHash, ...rest } = user;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+function createLocalAuth(store) {
+  const { users, sessions } = store.auth;
+
+  function findUser(id) {
+    return users.find(user => user.id === id) || null;
+  }
+
+  function startSession(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const session = {
+      access_token: crypto.randomBytes(32).toString('hex'),
+      refresh_token: crypto.randomBytes(32).toString('hex'),
+      token_type: 'bearer',
+      expires_in: ACCESS_TTL_SECONDS,
+      expires_at: now + ACCESS_TTL_SECONDS,
+      user_id: user.id
+    };
+    sessions.push(session);
+    store.scheduleSave();
+
+    const { user_id: userId, ...fields } = session;
+    return { ...fields, user: publicUser(user) };
+  }
+
+  function createUser({ email, password, app_metadata: appMetadata = {}, user_metadata: userMetadata = {} }) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address.includes('@')) throw authError(400, 'Unable to validate email address: invalid format');
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      throw authError(422, `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if (users.some(user => user.email === address)) {
+      throw authError(422, 'A user with this email address has already been registered');
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: address,
+      password_hash: hashPassword(password),
+      app_metadata: { provider: 'email', providers: ['email'], ...appMetadata },
+      user_metadata: userMetadata,
+      created_at: now,
+      updated_at: now
+    };
+    users.push(user);
+    store.scheduleSave();
+    return user;
+  }
+
+  // supabase-js resolves with { data, error } rather than throwing
+  function settle(fn) {
+    return Promise.resolve().then(fn).catch(error => {
+      if (error.name !== 'AuthApiError') throw error;
+      return { data: { user: null, session: null }, error };
+    });
+  }
+
+  return {
+    getUser(token) {
+      return settle(() => {
+        const now = Math.floor(Date.now() / 1000);
+        const session = sessions.find(item => item.access_token === token);
+        const user = session && session.expires_at > now ? findUser(session.user_id) : null;
+        if (!user) throw authError(401, 'invalid JWT: unable to parse or verify signature');
+        return { data: { user: publicUser(user) }, error: null };
+      });
+    },
+
+    signInWithPassword({ email, password }) {
+      return settle(() => {
+        const user = users.find(item => item.email === String(email || '').trim().toLowerCase());
+        if (!user || !checkPassword(password, user.password_hash)) {
+          throw authError(400, 'Invalid login credentials');
+        }
+        const session = startSession(user);
+        return { data: { user: session.user, session }, error: null };
+      });
+    },
+
+    // Refresh tokens are single use
+    refreshSession({ refresh_token: refreshToken }) {
+      return settle(() => {
+        const index = sessions.findIndex(item => item.refresh_token === refreshToken);
+        const user = index === -1 ? null : findUser(sessions[index].user_id);
+        if (!user) throw authError(400, 'Invalid Refresh Token: Refresh Token Not Found');
+        sessions.splice(index, 1);
+        const session = startSession(user);
+        return { data: { user: session.user, session }, error: null };
+      });
+    },
+
+    admin: {
+      createUser(attributes) {
+        return settle(() => ({ data: { user: publicUser(createUser(attributes)) }, error: null }));
+      },
+
+      // app_metadata is merged into the stored metadata
+      updateUserById(id, { app_metadata: appMetadata, user_metadata: userMetadata, password } = {}) {
+        return settle(() => {
+          const user = findUser(id);
+          if (!user) throw authError(404, 'User not found');
+          if (appMetadata) user.app_metadata = { ...user.app_metadata, ...appMetadata };
+          if (userMetadata) user.user_metadata = { ...user.user_metadata, ...userMetadata };
+          if (password !== undefined) user.password_hash = hashPassword(password);
+          user.updated_at = new Date().toISOString();
+          store.scheduleSave();
+          return { data: { user: publicUser(user) }, error: null };
+        });
+      }
+    },
+
+    // Create a user directly, e.g. the first admin (see lib/storage/local)
+    createUser
+  };
+}
+
+module.exports = { createLocalAuth };
@@ -0,0 +1,208 @@
+const { breakdownKey, filteredVoters, voterSearchRank, voterBallotBox } = require('./sql');
+const { UNSPECIFIED } = require('../../constants');
+
+// The SQL functions behind the voter repository, for the local backend.
+// Each mirrors the latest migration that defines it and returns the same
+// JSON.
+
+function without(filters, key) {
+  const rest = { ...filters };
+  delete rest[key];
+  return rest;
+}
+
+// { key: { total, voted } }
+function countBy(voters, keyOf) {
+  const groups = {};
+  voters.forEach(voter => {
+    const key = keyOf(voter);
+    const group = groups[key] || (groups[key] = { total: 0, voted: 0 });
+    group.total++;
+    if (voter.has_voted) group.voted++;
+  });
+  return groups;
+}
+
+// [{ value, total, voted }], largest first
+function facet(voters, keyOf) {
+  return Object.entries(countBy(voters, keyOf))
+    .map(([value, counts]) => ({ value, ...counts }))
+    .sort((a, b) => b.total - a.total || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+}
+
+// voter_stats() (migrations/016)
+function voterStats(store, { p_filters: filters = {} }) {
+  const voters = filteredVoters(store, filters);
+  return {
+    total: voters.length,
+    voted: voters.filter(voter => voter.has_voted).length,
+    byReligion: countBy(voters, voter => breakdownKey(voter.religion)),
+    byClassification: countBy(voters, voter => breakdownKey(voter.classification)),
+    byFamily: countBy(voters, voter => breakdownKey(voter.family)),
+    byStation: countBy(voters, voter => (voter.polling_station_id === null ? UNSPECIFIED : String(voter.polling_station_id))),
+    byPledge: countBy(voters, voter => breakdownKey(voter.pledge_status))
+  };
+}
+
+// voter_facets() (migrations/013)
+function voterFacets(store, { p_filters: filters = {} }) {
+  const voted = countBy(filteredVoters(store, without(filters, 'voted')), voter => Boolean(voter.has_voted));
+  return {
+    religion: facet(filteredVoters(store, without(filters, 'religions')), voter => breakdownKey(voter.religion)),
+    family: facet(filteredVoters(store, without(filters, 'families')), voter => breakdownKey(voter.family)),
+    classification: facet(filteredVoters(store, without(filters, 'classifications')), voter => breakdownKey(voter.classification)),
+    voted: Object.entries(voted)
+      .map(([value, counts]) => ({ value: value === 'true', ...counts }))
+      .sort((a, b) => Number(b.value) - Number(a.value))
+  };
+}
+
+// voter_timeline() (migrations/013): votes per date_bin() bucket
+function voterTimeline(store, params) {
+  const { p_bucket_minutes: minutes, p_group_by: groupBy = null, p_filters: filters = {} } = params;
+  const from = new Date(params.p_from).getTime();
+  const to = new Date(params.p_to).getTime();
+  const bucketMs = minutes * 60000;
+
+  const buckets = new Map();
+  filteredVoters(store, filters).forEach(voter => {
+    if (!voter.has_voted || voter.voted_at === null) return;
+    const at = new Date(voter.voted_at).getTime();
+    if (at < from || at >= to) return;
+
+    const bucket = from + Math.floor((at - from) / bucketMs) * bucketMs;
+    const group = groupBy ? breakdownKey(voter[groupBy]) : null;
+    const key = `${bucket}\u0000${group}`;
+    if (!buckets.has(key)) buckets.set(key, { bucket: new Date(bucket).toISOString(), group, votes: 0 });
+    buckets.get(key).votes++;
+  });
+  return [...buckets.values()].sort((a, b) => (a.bucket < b.bucket ? -1 : a.bucket > b.bucket ? 1 : 0));
+}
+
+// search_voters() (migrations/013): best match first, then original_id
+function searchVoters(store, { p_filters: filters = {}, p_limit: limit = 50, p_offset: offset = 0 }) {
+  const matches = filteredVoters(store, filters)
+    .map(voter => ({ ...voter, search_rank: voterSearchRank(voter, filters.search) }))
+    .sort((a, b) => b.search_rank - a.search_rank
+      || (a.original_id ?? Infinity) - (b.original_id ?? Infinity));
+  return { total: matches.length, data: matches.slice(offset, offset + limit) };
+}
+
+// family_turnout() (migrations/014)
+function familyTurnout(store, params) {
+  const {
+    p_filters: filters = {},
+    p_sort: sort = 'total',
+    p_ascending: ascending = false,
+    p_limit: limit = 50,
+    p_offset: offset = 0
+  } = params;
+
+  const families = Object.entries(countBy(filteredVoters(store, filters), voter => breakdownKey(voter.family)))
+    .map(([family, { total, voted }]) => ({
+      family,
+      total,
+      voted,
+      remaining: total - voted,
+      turnout: Math.round((voted * 1000) / total) / 10
+    }));
+
+  const byName = (a, b) => (a.family < b.family ? -1 : a.family > b.family ? 1 : 0);
+  families.sort((a, b) => {
+    if (sort === 'family') return ascending ? byName(a, b) : byName(b, a);
+    const field = ['voted', 'remaining', 'turnout'].includes(sort) ? sort : 'total';
+    return (ascending ? a[field] - b[field] : b[field] - a[field]) || byName(a, b);
+  });
+  return { total: families.length, data: families.slice(offset, offset + limit) };
+}
+
+const CHANGE_FIELDS = ['full_name', 'father_name', 'family_name', 'religion', 'family', 'classification', 'register_number'];
+
+// apply_voter_changes() (migrations/010): set each field only where it still
+// holds the "from" value. Returns the applied changes as [{ id, field }].
+function applyVoterChanges(store, { p_changes: changes }) {
+  return store.transaction(() => {
+    const applied = [];
+    CHANGE_FIELDS.forEach(field => {
+      changes.filter(change => change.field === field).forEach(change => {
+        const voter = store.find('voters', change.id);
+        const from = change.from === null || change.from === undefined ? null : String(change.from);
+        if (!voter || voter[field] !== from) return;
+        store.update('voters', voter, { [field]: change.to ?? null });
+        applied.push({ id: voter.id, field });
+      });
+    });
+    return applied;
+  });
+}
+
+// apply_import_changes() (migrations/028): apply_voter_changes(), marking
+// the import_changes rows that went through
+function applyImportChanges(store, { p_changes: changes, p_applied: marked }) {
+  return store.transaction(() => {
+    const applied = applyVoterChanges(store, { p_changes: changes });
+    const keys = new Set(applied.map(item => `${item.id}:${item.field}`));
+    changes.filter(change => keys.has(`${change.id}:${change.field}`)).forEach(change => {
+      const row = store.find('import_changes', change.change);
+      if (row) store.update('import_changes', row, { applied: marked });
+    });
+    return applied;
+  });
+}
+
+// assign_ballot_boxes() (migrations/018)
+function assignBallotBoxes(store, { p_election_id: electionId, p_dry_run: dryRun = true }) {
+  const planned = store.rows('voters')
+    .filter(voter => voter.election_id === Number(electionId) && voter.merged_into === null && voter.deleted_at === null)
+    .map(voter => ({ voter, box: voterBallotBox(store, voter) }));
+
+  const byBox = {};
+  planned.forEach(({ box }) => {
+    const key = box === null ? UNSPECIFIED : String(box);
+    byBox[key] = (byBox[key] || 0) + 1;
+  });
+  const changed = planned.filter(({ voter, box }) => voter.ballot_box_id !== box);
+
+  if (!dryRun) {
+    store.transaction(() => {
+      changed.forEach(({ voter, box }) => store.update('voters', voter, { ballot_box_id: box }));
+    });
+  }
+
+  return {
+    voters: planned.length,
+    assigned: planned.filter(({ box }) => box !== null).length,
+    unassigned: planned.filter(({ box }) => box === null).length,
+    changed: changed.length,
+    byBox
+  };
+}
+
+// set_vote_state() (migrations/026)
+function setVoteState(store, { p_id: id, p_version: version, p_has_voted: hasVoted, p_voted_at: votedAt, p_event: event }) {
+  return store.transaction(() => {
+    const voter = store.find('voters', id);
+    if (!voter || voter.vote_version !== version) return null;
+    const updated = store.update('voters', voter, {
+      has_voted: hasVoted,
+      voted_at: votedAt,
+      vote_version: version + 1
+    });
+    store.insert('vote_events', { ...event, voter_id: updated.id, occurred_at: event.occurred_at || new Date().toISOString() });
+    return updated;
+  });
+}
+
+const FUNCTIONS = {
+  voter_stats: voterStats,
+  voter_facets: voterFacets,
+  voter_timeline: voterTimeline,
+  search_voters: searchVoters,
+  family_turnout: familyTurnout,
+  apply_voter_changes: applyVoterChanges,
+  apply_import_changes: applyImportChanges,
+  assign_ballot_boxes: assignBallotBoxes,
+  set_vote_state: setVoteState
+};
+
+module.exports = { FUNCTIONS };
@@ -0,0 +1,257 @@
+const path = require('path');
+const { openStore, MEMORY } = require('./store');
+const { TRIGGERS } = require('./triggers');
+const { LocalQuery, compare } = require('./query');
+const { FUNCTIONS } = require('./functions');
+const { filteredVoters } = require('./sql');
+const { createLocalAuth } = require('./auth');
+const { searchTokens } = require('../../arabic');
+
+const DEFAULT_FILE = path.join('data', 'vote-tracker.json');
+
+function copy(row) {
+  return row && JSON.parse(JSON.stringify(row));
+}
+
+function project(row, columns) {
+  const copied = copy(row);
+  return columns ? Object.fromEntries(columns.map(column => [column, copied[column] ?? null])) : copied;
+}
+
+// ORDER BY the sort fields (nulls last), then id
+function orderBy(sort) {
+  const keys = [...sort, { field: 'id', ascending: true }];
+  return (a, b) => {
+    for (const { field, ascending } of keys) {
+      const left = a[field] ?? null;
+      const right = b[field] ?? null;
+      if (left === null && right === null) continue;
+      if (left === null || right === null) return left === null ? 1 : -1;
+      const order = compare(left, right);
+      if (order !== 0) return ascending ? order : -order;
+    }
+    return 0;
+  };
+}
+
+function activeVoters(store, electionId) {
+  return filteredVoters(store, electionId ? { election: electionId } : {});
+}
+
+// filtered_voters() except for search, which list() matches by name tokens
+// like the PostgREST query does
+function listedVoters(store, filters) {
+  const tokens = searchTokens(filters.search);
+  return filteredVoters(store, { ...filters, search: undefined })
+    .filter(voter => tokens.every(token => voter.search_name.includes(token)));
+}
+
+function sameValue(value, expected) {
+  return value !== null && value !== undefined && String(value) === String(expected);
+}
+
+// A fresh store gets what migrations/018 seeds (one municipality and its
+// election) and, when LOCAL_ADMIN_EMAIL / LOCAL_ADMIN_PASSWORD are set, an
+// admin to log in with
+function seed(store, auth) {
+  if (store.rows('elections').length === 0) {
+    const municipality = store.insert('municipalities', { name: process.env.LOCAL_MUNICIPALITY_NAME || 'Roueiss' });
+    store.insert('elections', { municipality_id: municipality.id, name: municipality.name });
+  }
+
+  const email = process.env.LOCAL_ADMIN_EMAIL;
+  const password = process.env.LOCAL_ADMIN_PASSWORD;
+  if (email && password && !store.auth.users.some(user => user.email === email.trim().toLowerCase())) {
+    auth.createUser({ email, password, app_metadata: { role: 'admin' } });
+  }
+}
+
+// Voter repository (see lib/storage/index.js) on the store directly
+function createVoterRepository(store) {
+  return {
+    async findById(id) {
+      return copy(store.find('voters', id));
+    },
+
+    async insert(values) {
+      return copy(store.transaction(() => store.insert('voters', values)));
+    },
+
+    async update(id, values) {
+      return copy(store.transaction(() => {
+        const voter = store.find('voters', id);
+        return voter && store.update('voters', voter, values);
+      }));
+    },
+
+    async compareAndSetVote(id, version, { has_voted: hasVoted, voted_at: votedAt }, event) {
+      return copy(FUNCTIONS.set_vote_state(store, {
+        p_id: id,
+        p_version: version,
+        p_has_voted: hasVoted,
+        p_voted_at: votedAt,
+        p_event: event
+      }));
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set(ids.map(Number));
+      return store.rows('voters')
+        .filter(voter => wanted.has(voter.id))
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async findActive(match, { electionId = null, excludeId = null } = {}) {
+      const voter = activeVoters(store, electionId)
+        .filter(row => row.id !== excludeId
+          && Object.entries(match).every(([column, value]) => sameValue(row[column], value)))
+        .sort((a, b) => a.id - b.id)[0];
+      return copy(voter) || null;
+    },
+
+    async list(filters, { sort = [], columns = null, offset = 0, limit = null, after = null } = {}) {
+      const order = orderBy(sort);
+      let rows = listedVoters(store, filters).sort(order);
+      const total = rows.length;
+      if (after && after.length > 0) {
+        const cursor = Object.fromEntries([...sort.map(key => key.field), 'id'].map((field, i) => [field, after[i]]));
+        rows = rows.filter(row => order(row, cursor) > 0);
+      }
+      rows = rows.slice(offset, limit === null ? undefined : offset + limit);
+      return { rows: rows.map(row => project(row, columns)), total };
+    },
+
+    async followUps({ until, electionId = null, volunteerId = null, stationId = null, limit }) {
+      return activeVoters(store, electionId)
+        .filter(voter => voter.follow_up_on !== null
+          && voter.follow_up_on <= until
+          && !voter.has_voted
+          && (!volunteerId || voter.canvass_volunteer_id === volunteerId)
+          && (!stationId || voter.polling_station_id === stationId))
+        .sort(orderBy([{ field: 'follow_up_on', ascending: true }]))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async stats(filters) {
+      return FUNCTIONS.voter_stats(store, { p_filters: filters });
+    },
+
+    async facets(filters) {
+      return FUNCTIONS.voter_facets(store, { p_filters: filters });
+    },
+
+    async search(filters, { limit, offset }) {
+      return FUNCTIONS.search_voters(store, { p_filters: filters, p_limit: limit, p_offset: offset });
+    },
+
+    async timeline(filters, { bucketMinutes, from, to, groupBy }) {
+      return FUNCTIONS.voter_timeline(store, {
+        p_filters: filters,
+        p_bucket_minutes: bucketMinutes,
+        p_from: from,
+        p_to: to,
+        p_group_by: groupBy
+      });
+    },
+
+    async familyTurnout(filters, { sort, ascending, limit, offset }) {
+      return FUNCTIONS.family_turnout(store, {
+        p_filters: filters,
+        p_sort: sort,
+        p_ascending: ascending,
+        p_limit: limit,
+        p_offset: offset
+      });
+    },
+
+    async applyChanges(changes, { applied = null } = {}) {
+      if (applied === null) return FUNCTIONS.apply_voter_changes(store, { p_changes: changes });
+      return FUNCTIONS.apply_import_changes(store, { p_changes: changes, p_applied: applied });
+    },
+
+    async assignBallotBoxes(electionId, { dryRun }) {
+      return FUNCTIONS.assign_ballot_boxes(store, { p_election_id: electionId, p_dry_run: dryRun });
+    }
+  };
+}
+
+// Vote event repository (see lib/storage/index.js) on the store directly
+function createVoteEventRepository(store) {
+  function eventsOf(voterId) {
+    return store.rows('vote_events').filter(event => event.voter_id === Number(voterId));
+  }
+
+  // Newest first
+  const latestFirst = orderBy([{ field: 'occurred_at', ascending: false }, { field: 'id', ascending: false }]);
+
+  return {
+    async record(event) {
+      return copy(store.transaction(() => store.insert('vote_events', event)));
+    },
+
+    async forVoter(voterId) {
+      return eventsOf(voterId).sort(orderBy([{ field: 'occurred_at', ascending: true }])).map(copy);
+    },
+
+    async latest(voterId, { action = null } = {}) {
+      const event = eventsOf(voterId)
+        .filter(row => !action || row.action === action)
+        .sort(latestFirst)[0];
+      return copy(event) || null;
+    },
+
+    async latestTimes(voterIds) {
+      const wanted = new Set(voterIds.map(Number));
+      const times = new Map();
+      store.rows('vote_events')
+        .filter(event => wanted.has(event.voter_id))
+        .sort(latestFirst)
+        .forEach(event => {
+          if (!times.has(event.voter_id)) times.set(event.voter_id, event.occurred_at);
+        });
+      return times;
+    },
+
+    async list({ electionId, voterId = null, action = null, actorId = null, actorEmail = null, from = null, to = null }, { offset, limit }) {
+      const rows = store.rows('vote_events')
+        .filter(event => event.election_id === Number(electionId)
+          && (!voterId || event.voter_id === Number(voterId))
+          && (!action || event.action === action)
+          && (!actorId || event.actor_id === actorId)
+          && (!actorEmail || event.actor_email === actorEmail)
+          && (!from || event.occurred_at >= from)
+          && (!to || event.occurred_at <= to))
+        .sort(latestFirst);
+      return { rows: rows.slice(offset, offset + limit).map(copy), total: rows.length };
+    }
+  };
+}
+
+// Embedded backend: everything in one JSON file (LOCAL_DATA_FILE, default
+// data/vote-tracker.json, or ':memory:' to keep nothing), so the API runs
+// without the hosted project
+function createLocalBackend() {
+  const file = process.env.LOCAL_DATA_FILE || DEFAULT_FILE;
+  const store = openStore({ file: file === MEMORY ? MEMORY : path.resolve(file), triggers: TRIGGERS });
+  const auth = createLocalAuth(store);
+  seed(store, auth);
+
+  const client = {
+    from: table => new LocalQuery(store, table),
+    auth
+  };
+
+  return {
+    name: 'local',
+    client,
+    // Sessions live in the store, so one client serves login too
+    createSessionClient: () => client,
+    voters: createVoterRepository(store),
+    voteEvents: createVoteEventRepository(store),
+    store
+  };
+}
+
+module.exports = { createLocalBackend, createVoterRepository, createVoteEventRepository };
@@ -0,0 +1,449 @@
+const { StorageError, coerce, columnType, tableSchema } = require('./store');
+
+// The part of the PostgREST query language the API uses: select() with
+// embedded tables, eq / neq / gt / gte / lt / lte / like / ilike / is / in,
+// not(), or() filter strings, order, range, limit, single / maybeSingle, count,
+// insert / update / upsert / delete with .select(), against the local store
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in'];
+
+// Split on commas outside parentheses and double quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      current += char;
+      if (char === '\\') current += text[++i] ?? '';
+      else if (char === '"') quoted = false;
+      continue;
+    }
+    if (char === '"') quoted = true;
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+function invalidFilter(text) {
+  return new StorageError('PGRST100', `failed to parse logic tree (${text})`);
+}
+
+// One condition of an or() string: column.op.value, and(...) or or(...)
+function parseCondition(text) {
+  const group = text.match(/^(and|or)\((.*)\)$/s);
+  if (group) {
+    return { type: group[1], items: splitTopLevel(group[2]).map(parseCondition) };
+  }
+
+  const match = text.match(/^([\w.]+?)\.(not\.)?(\w+)\.(.*)$/s);
+  if (!match || !OPERATORS.includes(match[3])) throw invalidFilter(text);
+  const [, column, negated, op, raw] = match;
+
+  let value;
+  if (op === 'in') {
+    if (!raw.startsWith('(') || !raw.endsWith(')')) throw invalidFilter(text);
+    value = splitTopLevel(raw.slice(1, -1)).map(unquote);
+  } else if (op === 'is') {
+    value = { null: null, true: true, false: false }[raw];
+    if (value === undefined) throw invalidFilter(text);
+  } else {
+    value = unquote(raw);
+    // PostgREST accepts * as the wildcard in filter strings
+    if (op === 'like' || op === 'ilike') value = value.replace(/\*/g, '%');
+  }
+  return { type: 'condition', column, op, value, negated: Boolean(negated) };
+}
+
+// LIKE pattern (backslash escapes) to a regular expression
+function likePattern(pattern, caseInsensitive) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') source += (pattern[++i] ?? '').replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    else if (char === '%') source += '.*';
+    else if (char === '_') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'isu' : 'su');
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function valueAt(row, path) {
+  return path.reduce((value, key) => (value === null || value === undefined ? null : value[key] ?? null), row);
+}
+
+// Type of a (possibly embedded) column, for coercing filter values
+function pathType(table, path, embeds) {
+  if (path.length === 1) return columnType(table, path[0]);
+  const embed = embeds.find(item => item.alias === path[0]);
+  if (!embed) throw new StorageError('PGRST108', `"${path[0]}" is not an embedded resource in this request`);
+  return pathType(embed.table, path.slice(1), embed.select.embeds);
+}
+
+function castFilterValue(type, value) {
+  if (Array.isArray(value)) return value.map(item => castFilterValue(type, item));
+  return type === 'json' || type.endsWith('[]') ? value : coerce(type, value);
+}
+
+function test(condition, row) {
+  const { op, negated } = condition;
+  const actual = valueAt(row, condition.path);
+  let result;
+
+  if (op === 'is') {
+    result = actual === condition.value;
+  } else if (actual === null) {
+    // Comparisons with null are never true
+    return false;
+  } else if (op === 'in') {
+    result = condition.value.some(value => value !== null && compare(actual, value) === 0);
+  } else if (op === 'like' || op === 'ilike') {
+    result = condition.regex.test(String(actual));
+  } else {
+    const order = compare(actual, condition.value);
+    result = {
+      eq: order === 0,
+      neq: order !== 0,
+      gt: order > 0,
+      gte: order >= 0,
+      lt: order < 0,
+      lte: order <= 0
+    }[op];
+  }
+  return negated ? !result : result;
+}
+
+function matches(node, row) {
+  if (node.type === 'and') return node.items.every(item => matches(item, row));
+  if (node.type === 'or') return node.items.some(item => matches(item, row));
+  return test(node, row);
+}
+
+// "*, voter:voters(id, name)", "id, station:polling_stations!inner(election_id)"
+function parseSelect(text) {
+  const select = { star: false, columns: [], embeds: [] };
+  splitTopLevel(text || '*').forEach(item => {
+    if (item === '*') {
+      select.star = true;
+      return;
+    }
+    const embed = item.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s);
+    if (embed) {
+      const [, alias, table, hint, inner] = embed;
+      select.embeds.push({ alias: alias || table, table, inner: hint === 'inner', select: parseSelect(inner) });
+      return;
+    }
+    if (!/^\w+$/.test(item)) throw new StorageError('PGRST100', `failed to parse select parameter (${text})`);
+    select.columns.push(item);
+  });
+  return select;
+}
+
+// Project a row to the selected columns, following embeds. Returns null
+// when an !inner embed has nothing to join.
+function project(store, table, row, select) {
+  const schema = tableSchema(table);
+  const result = {};
+
+  const columns = select.star ? Object.keys(schema.columns) : select.columns;
+  columns.forEach(column => {
+    columnType(table, column);
+    const value = row[column];
+    result[column] = value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  });
+
+  for (const embed of select.embeds) {
+    const relation = schema.references?.[embed.table];
+    if (!relation) {
+      throw new StorageError('PGRST200', `Could not find a relationship between '${table}' and '${embed.table}'`);
+    }
+
+    if (typeof relation === 'object') {
+      const children = store.rows(embed.table)
+        .filter(child => child[relation.many] === row.id)
+        .map(child => project(store, embed.table, child, embed.select))
+        .filter(Boolean);
+      if (embed.inner && children.length === 0) return null;
+      result[embed.alias] = children;
+    } else {
+      const parent = row[relation] === null ? null : store.find(embed.table, row[relation]);
+      const projected = parent && project(store, embed.table, parent, embed.select);
+      if (embed.inner && !projected) return null;
+      result[embed.alias] = projected;
+    }
+  }
+  return result;
+}
+
+function response(data, count = null) {
+  return { data, error: null, count, status: 200, statusText: 'OK' };
+}
+
+function failure(error) {
+  return { data: null, error, count: null, status: 400, statusText: 'Bad Request' };
+}
+
+class LocalQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = 'select';
+    this.selectText = null;
+    this.wantsRows = false;
+    this.countRows = false;
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.rowLimit = null;
+    this.singleRow = null;
+    this.values = null;
+    this.upsertOptions = {};
+  }
+
+  select(columns = '*', { count } = {}) {
+    this.selectText = columns;
+    this.wantsRows = true;
+    this.countRows = count === 'exact';
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = values;
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push({ type: 'condition', column, op, value, negated: false });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+
+  not(column, op, value) {
+    this.filters.push({ type: 'condition', column, op, value, negated: true });
+    return this;
+  }
+
+  or(text) {
+    this.filters.push({ type: 'or', text });
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.singleRow = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleRow = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  // Filters with column paths resolved and values cast to the column types
+  compileFilters(embeds) {
+    const compile = node => {
+      if (node.type === 'or' && node.text !== undefined) {
+        return compile({ type: 'or', items: splitTopLevel(node.text).map(parseCondition) });
+      }
+      if (node.type !== 'condition') return { ...node, items: node.items.map(compile) };
+
+      const path = node.column.split('.');
+      const type = pathType(this.table, path, embeds);
+      const compiled = { ...node, path };
+      if (node.op === 'like' || node.op === 'ilike') {
+        compiled.regex = likePattern(String(node.value), node.op === 'ilike');
+      } else if (node.op !== 'is') {
+        compiled.value = castFilterValue(type, node.value);
+      }
+      return compiled;
+    };
+    return this.filters.map(compile);
+  }
+
+  matchingRows(embeds = []) {
+    const filters = this.compileFilters(embeds);
+    return this.store.rows(this.table).filter(row => filters.every(filter => matches(filter, row)));
+  }
+
+  sort(rows) {
+    if (this.orders.length === 0) return rows;
+    this.orders.forEach(({ column }) => columnType(this.table, column));
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = a[column];
+        const right = b[column];
+        if (left === null && right === null) continue;
+        if (left === null || right === null) return (left === null) === nullsFirst ? -1 : 1;
+        const order = compare(left, right);
+        if (order !== 0) return ascending ? order : -order;
+      }
+      return 0;
+    });
+  }
+
+  finish(rows, count = null) {
+    if (this.singleRow) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleRow === 'single')) {
+        return failure(new StorageError(
+          'PGRST116',
+          'JSON object requested, multiple (or no) rows returned',
+          `The result contains ${rows.length} rows`
+        ));
+      }
+      return response(rows[0] ?? null, count);
+    }
+    return response(rows, count);
+  }
+
+  runSelect() {
+    const select = parseSelect(this.selectText);
+    const filters = this.compileFilters(select.embeds);
+    const base = filters.filter(filter => filter.type !== 'condition' || filter.path.length === 1);
+    const embedded = filters.filter(filter => filter.type === 'condition' && filter.path.length > 1);
+
+    // Embedded filters apply to the projected row, so sort and page after
+    let rows = this.sort(this.store.rows(this.table).filter(row => base.every(filter => matches(filter, row))))
+      .map(row => project(this.store, this.table, row, select))
+      .filter(row => row && embedded.every(filter => matches(filter, row)));
+
+    const count = this.countRows ? rows.length : null;
+    const end = this.rowLimit === null ? undefined : this.offset + this.rowLimit;
+    rows = rows.slice(this.offset, end);
+    return this.finish(rows, count);
+  }
+
+  returning(rows) {
+    if (!this.wantsRows) return response(null);
+    const select = parseSelect(this.selectText);
+    return this.finish(rows.map(row => project(this.store, this.table, row, select)));
+  }
+
+  runInsert() {
+    const list = Array.isArray(this.values) ? this.values : [this.values];
+    const rows = list.map(values => this.store.insert(this.table, values));
+    return this.returning(rows);
+  }
+
+  runUpsert() {
+    const list = Array.isArray(this.values) ? this.values : [this.values];
+    const { onConflict = 'id', ignoreDuplicates = false } = this.upsertOptions;
+    const keys = onConflict.split(',').map(key => key.trim());
+
+    const rows = [];
+    list.forEach(values => {
+      const existing = this.store.rows(this.table).find(row => keys.every(key => (
+        row[key] !== null && compare(row[key], coerce(columnType(this.table, key), values[key])) === 0
+      )));
+      if (!existing) rows.push(this.store.insert(this.table, values));
+      else if (!ignoreDuplicates) rows.push(this.store.update(this.table, existing, values));
+    });
+    return this.returning(rows);
+  }
+
+  runUpdate() {
+    const rows = this.matchingRows().map(row => this.store.update(this.table, row, this.values));
+    return this.returning(rows);
+  }
+
+  runDelete() {
+    const rows = this.matchingRows();
+    rows.forEach(row => this.store.remove(this.table, row));
+    return this.returning(rows);
+  }
+
+  execute() {
+    try {
+      tableSchema(this.table);
+      if (this.action === 'select') return this.runSelect();
+
+      const run = {
+        insert: () => this.runInsert(),
+        upsert: () => this.runUpsert(),
+        update: () => this.runUpdate(),
+        delete: () => this.runDelete()
+      }[this.action];
+      return this.store.transaction(run);
+    } catch (error) {
+      if (error instanceof StorageError) return failure(error);
+      throw error;
+    }
+  }
+}
+
+module.exports = { LocalQuery, compare, parseCondition, parseSelect, likePattern };
@@ -0,0 +1,412 @@
+// Tables of the local backend, mirroring migrations/. Column types drive
+// how filter and insert values are coerced (the way Postgres casts them),
+// defaults fill omitted columns, and unique / required mirror the
+// constraints the API relies on. references are the foreign keys that
+// select() embeds follow: embedded table -> column of this table, or
+// { many: column } when the embedded rows point back at this one.
+
+const now = () => new Date().toISOString();
+
+const TABLES = {
+  municipalities: {
+    columns: { id: 'id', name: 'text', created_at: 'timestamptz' },
+    defaults: { created_at: now },
+    required: ['name'],
+    unique: [['name']]
+  },
+
+  elections: {
+    columns: {
+      id: 'id',
+      municipality_id: 'id',
+      name: 'text',
+      election_date: 'date',
+      opens_at: 'timestamptz',
+      closes_at: 'timestamptz',
+      turnout_target: 'numeric',
+      sheet_id: 'text',
+      sheet_name: 'text',
+      sheet_columns: 'json',
+      status: 'text',
+      archived_at: 'timestamptz',
+      archived_by: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { status: 'active', created_at: now },
+    required: ['municipality_id', 'name'],
+    unique: [['municipality_id', 'name']],
+    references: { municipalities: 'municipality_id' }
+  },
+
+  voters: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      original_id: 'int',
+      full_name: 'text',
+      father_name: 'text',
+      family_name: 'text',
+      religion: 'text',
+      family: 'text',
+      classification: 'text',
+      register_number: 'text',
+      register_number_clean: 'text',
+      search_name: 'text',
+      has_voted: 'bool',
+      voted_at: 'timestamptz',
+      vote_version: 'int',
+      merged_into: 'id',
+      deleted_at: 'timestamptz',
+      deleted_by: 'text',
+      delete_reason: 'text',
+      ballot_box_id: 'id',
+      polling_station_id: 'id',
+      pledge_status: 'text',
+      canvass_volunteer_id: 'id',
+      follow_up_on: 'date',
+      created_at: 'timestamptz'
+    },
+    defaults: { has_voted: false, vote_version: 0, created_at: now },
+    required: ['election_id'],
+    // Kept by the triggers in triggers.js
+    generated: ['register_number_clean', 'search_name']
+  },
+
+  vote_events: {
+    columns: {
+      id: 'id',
+      voter_id: 'id',
+      election_id: 'id',
+      station_id: 'id',
+      action: 'text',
+      created_at: 'timestamptz',
+      occurred_at: 'timestamptz',
+      actor_id: 'uuid',
+      actor_email: 'text',
+      actor_role: 'text',
+      client_ip: 'text',
+      user_agent: 'text',
+      reason: 'text'
+    },
+    defaults: { created_at: now, occurred_at: now },
+    required: ['voter_id', 'election_id', 'action'],
+    references: { voters: 'voter_id' }
+  },
+
+  sheet_sync_queue: {
+    columns: {
+      election_id: 'id',
+      original_id: 'int',
+      voted: 'bool',
+      queued_at: 'timestamptz',
+      attempts: 'int',
+      last_error: 'text',
+      unmatched_at: 'timestamptz'
+    },
+    defaults: { queued_at: now, attempts: 0 },
+    required: ['election_id', 'original_id', 'voted'],
+    unique: [['election_id', 'original_id']]
+  },
+
+  vote_operations: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      idempotency_key: 'text',
+      voter_id: 'id',
+      action: 'text',
+      client_timestamp: 'timestamptz',
+      status: 'text',
+      result: 'json',
+      actor_id: 'uuid',
+      created_at: 'timestamptz',
+      processed_at: 'timestamptz'
+    },
+    defaults: { status: 'processing', created_at: now },
+    required: ['idempotency_key', 'action'],
+    unique: [['actor_id', 'election_id', 'idempotency_key']]
+  },
+
+  import_runs: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      created_at: 'timestamptz',
+      source_name: 'text',
+      config: 'json',
+      status: 'text',
+      summary: 'json',
+      unmatched: 'json',
+      actor_id: 'uuid',
+      actor_email: 'text',
+      applied_at: 'timestamptz',
+      applied_by: 'text',
+      rolled_back_at: 'timestamptz',
+      rolled_back_by: 'text'
+    },
+    defaults: { created_at: now, status: 'planned', summary: () => ({}), unmatched: () => [] },
+    required: ['election_id', 'config']
+  },
+
+  import_changes: {
+    columns: {
+      id: 'id',
+      import_id: 'id',
+      voter_id: 'id',
+      field: 'text',
+      old_value: 'text',
+      new_value: 'text',
+      applied: 'bool'
+    },
+    defaults: { applied: false },
+    required: ['import_id', 'voter_id', 'field'],
+    references: { voters: 'voter_id' }
+  },
+
+  duplicate_candidates: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      voter_a: 'id',
+      voter_b: 'id',
+      score: 'int',
+      reasons: 'json',
+      status: 'text',
+      created_at: 'timestamptz',
+      reviewed_at: 'timestamptz',
+      reviewed_by: 'text'
+    },
+    defaults: { reasons: () => [], status: 'pending', created_at: now },
+    required: ['election_id', 'voter_a', 'voter_b', 'score'],
+    unique: [['voter_a', 'voter_b']]
+  },
+
+  voter_merges: {
+    columns: {
+      id: 'id',
+      candidate_id: 'id',
+      survivor_id: 'id',
+      merged_id: 'id',
+      survivor_before: 'json',
+      merged_before: 'json',
+      vote_transferred: 'bool',
+      merged_at: 'timestamptz',
+      merged_by: 'text',
+      undone_at: 'timestamptz',
+      undone_by: 'text'
+    },
+    defaults: { vote_transferred: false, merged_at: now },
+    required: ['survivor_id', 'merged_id', 'survivor_before', 'merged_before']
+  },
+
+  voter_changes: {
+    columns: {
+      id: 'id',
+      voter_id: 'id',
+      action: 'text',
+      before: 'json',
+      after: 'json',
+      fields: 'text[]',
+      reason: 'text',
+      actor_id: 'uuid',
+      actor_email: 'text',
+      actor_role: 'text',
+      client_ip: 'text',
+      user_agent: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { fields: () => [], created_at: now },
+    required: ['voter_id', 'action']
+  },
+
+  family_contacts: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      family: 'text',
+      voter_id: 'id',
+      name: 'text',
+      phone: 'text',
+      note: 'text',
+      created_by: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { created_at: now },
+    required: ['election_id', 'family'],
+    references: { voters: 'voter_id' }
+  },
+
+  polling_stations: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      name: 'text',
+      location: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { created_at: now },
+    required: ['election_id', 'name'],
+    unique: [['election_id', 'name']],
+    references: { ballot_boxes: { many: 'station_id' } }
+  },
+
+  ballot_boxes: {
+    columns: { id: 'id', station_id: 'id', name: 'text', created_at: 'timestamptz' },
+    defaults: { created_at: now },
+    required: ['station_id', 'name'],
+    unique: [['station_id', 'name']],
+    references: { polling_stations: 'station_id' }
+  },
+
+  ballot_box_rules: {
+    columns: {
+      id: 'id',
+      ballot_box_id: 'id',
+      priority: 'int',
+      religion: 'text',
+      family: 'text',
+      classification: 'text',
+      register_from: 'int',
+      register_to: 'int',
+      created_at: 'timestamptz'
+    },
+    defaults: { priority: 100, created_at: now },
+    required: ['ballot_box_id'],
+    references: { ballot_boxes: 'ballot_box_id' }
+  },
+
+  volunteers: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      name: 'text',
+      phone: 'text',
+      user_id: 'uuid',
+      station_id: 'id',
+      active: 'bool',
+      created_at: 'timestamptz'
+    },
+    defaults: { active: true, created_at: now },
+    required: ['election_id', 'name']
+  },
+
+  canvass_contacts: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      voter_id: 'id',
+      volunteer_id: 'id',
+      method: 'text',
+      outcome: 'text',
+      pledge_status: 'text',
+      follow_up_on: 'date',
+      note: 'text',
+      actor_id: 'uuid',
+      actor_email: 'text',
+      actor_role: 'text',
+      client_ip: 'text',
+      user_agent: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { created_at: now },
+    required: ['election_id', 'voter_id'],
+    references: { volunteers: 'volunteer_id', voters: 'voter_id' }
+  },
+
+  call_lists: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      station_id: 'id',
+      name: 'text',
+      filters: 'json',
+      classification_priority: 'text[]',
+      volunteer_ids: 'id[]',
+      status: 'text',
+      created_by: 'text',
+      created_at: 'timestamptz',
+      closed_at: 'timestamptz'
+    },
+    defaults: { filters: () => ({}), classification_priority: () => [], status: 'open', created_at: now },
+    required: ['election_id', 'name', 'volunteer_ids']
+  },
+
+  call_assignments: {
+    columns: {
+      id: 'id',
+      list_id: 'id',
+      voter_id: 'id',
+      volunteer_id: 'id',
+      family: 'text',
+      position: 'int',
+      status: 'text',
+      note: 'text',
+      updated_by: 'text',
+      updated_at: 'timestamptz'
+    },
+    defaults: { status: 'pending', updated_at: now },
+    required: ['list_id', 'voter_id', 'volunteer_id', 'family', 'position'],
+    unique: [['list_id', 'voter_id']],
+    references: { voters: 'voter_id', volunteers: 'volunteer_id' }
+  },
+
+  webhooks: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      name: 'text',
+      url: 'text',
+      secret: 'text',
+      events: 'text[]',
+      active: 'bool',
+      created_by: 'text',
+      created_at: 'timestamptz',
+      updated_at: 'timestamptz'
+    },
+    defaults: { active: true, created_at: now, updated_at: now },
+    required: ['election_id', 'name', 'url', 'secret', 'events']
+  },
+
+  webhook_deliveries: {
+    columns: {
+      id: 'id',
+      webhook_id: 'id',
+      event_id: 'uuid',
+      event: 'text',
+      payload: 'json',
+      status: 'text',
+      attempts: 'int',
+      next_attempt_at: 'timestamptz',
+      last_attempt_at: 'timestamptz',
+      response_status: 'int',
+      last_error: 'text',
+      delivered_at: 'timestamptz',
+      created_at: 'timestamptz'
+    },
+    defaults: { status: 'pending', attempts: 0, next_attempt_at: now, created_at: now },
+    required: ['webhook_id', 'event_id', 'event', 'payload'],
+    references: { webhooks: 'webhook_id' }
+  },
+
+  alert_rules: {
+    columns: {
+      id: 'id',
+      election_id: 'id',
+      name: 'text',
+      kind: 'text',
+      family: 'text',
+      threshold: 'numeric',
+      check_at: 'timestamptz',
+      active: 'bool',
+      fired_at: 'timestamptz',
+      checked_at: 'timestamptz',
+      last_result: 'json',
+      created_by: 'text',
+      created_at: 'timestamptz'
+    },
+    defaults: { active: true, created_at: now },
+    required: ['election_id', 'name', 'kind']
+  }
+};
+
+module.exports = { TABLES };
@@ -0,0 +1,138 @@
+// JavaScript versions of the SQL helper functions in migrations/, for the
+// local backend. Keep them in step with the latest migration defining each.
+const { normalizeArabic, searchTokens } = require('../../arabic');
+const { UNSPECIFIED, PLACEHOLDER_VALUES } = require('../../constants');
+
+// pg_trgm's default word_similarity_threshold, used by the <% operator
+const WORD_SIMILARITY_THRESHOLD = 0.6;
+
+const EASTERN_DIGITS = /[٠-٩۰-۹]/g;
+
+// normalize_register_number() (migrations/012)
+function normalizeRegisterNumber(value) {
+  const clean = String(value ?? '')
+    .replace(EASTERN_DIGITS, digit => String(digit.charCodeAt(0) % 16))
+    .replace(/\s/g, '')
+    .replace(/^0+(?=\d)/, '');
+  return clean || null;
+}
+
+// breakdown_key() (migrations/009)
+function breakdownKey(value) {
+  if (value === null || value === undefined || PLACEHOLDER_VALUES.includes(String(value).trim())) {
+    return UNSPECIFIED;
+  }
+  return value;
+}
+
+// search_name (migrations/007)
+function searchName(voter) {
+  return normalizeArabic([voter.full_name, voter.father_name, voter.family_name].filter(Boolean).join(' '));
+}
+
+// Trigrams of each word, padded the way pg_trgm pads them
+function trigrams(text) {
+  const set = new Set();
+  String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) set.add(padded.slice(i, i + 3));
+  });
+  return set;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(trigram => {
+    if (b.has(trigram)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// word_similarity(): the best match of the token's trigrams against any run
+// of consecutive words of the text (close to pg_trgm, which compares runs
+// of trigrams)
+function wordSimilarity(token, text) {
+  const target = trigrams(token);
+  const words = String(text ?? '').split(' ').filter(Boolean);
+  let best = 0;
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= words.length; end++) {
+      best = Math.max(best, similarity(target, trigrams(words.slice(start, end).join(' '))));
+    }
+  }
+  return best;
+}
+
+// voter_matches_search() (migrations/007)
+function voterMatchesSearch(name, search) {
+  if (search === null || search === undefined) return true;
+  return searchTokens(search).every(token => name.includes(token)
+    || (token.length >= 3 && wordSimilarity(token, name) >= WORD_SIMILARITY_THRESHOLD));
+}
+
+// voter_search_rank() (migrations/007)
+function voterSearchRank(voter, search) {
+  const parts = [voter.full_name, voter.father_name, voter.family_name];
+  return searchTokens(search).reduce((rank, token, i) => rank
+    + wordSimilarity(token, voter.search_name)
+    + (voter.search_name.includes(token) ? 0.5 : 0)
+    + (i < parts.length && parts[i] ? 0.5 * wordSimilarity(token, normalizeArabic(parts[i])) : 0), 0);
+}
+
+function listed(filters, key, value) {
+  return !Array.isArray(filters[key]) || filters[key].map(String).includes(String(value));
+}
+
+// filtered_voters(p_filters) (migrations/018)
+function filteredVoters(store, filters = {}) {
+  const register = filters.register_number;
+  const cleanRegister = register !== undefined ? normalizeRegisterNumber(register) : null;
+
+  return store.rows('voters').filter(voter => voter.merged_into === null
+    && (filters.election === undefined || voter.election_id === Number(filters.election))
+    && (voter.deleted_at === null || filters.include_deleted === true)
+    && voterMatchesSearch(voter.search_name, filters.search)
+    && listed(filters, 'religions', breakdownKey(voter.religion))
+    && listed(filters, 'families', breakdownKey(voter.family))
+    && listed(filters, 'classifications', breakdownKey(voter.classification))
+    && listed(filters, 'pledge_statuses', breakdownKey(voter.pledge_status))
+    && (filters.stations === undefined || (voter.polling_station_id !== null && listed(filters, 'stations', voter.polling_station_id)))
+    && (filters.ballot_boxes === undefined || (voter.ballot_box_id !== null && listed(filters, 'ballot_boxes', voter.ballot_box_id)))
+    && (filters.voted === undefined || Boolean(voter.has_voted) === filters.voted)
+    && (register === undefined
+      || (voter.register_number !== null && voter.register_number.toLowerCase().includes(String(register).toLowerCase()))
+      || (cleanRegister !== null && voter.register_number_clean !== null && voter.register_number_clean.includes(cleanRegister))));
+}
+
+// voter_ballot_box() (migrations/018): the box of the first matching rule
+// of the voter's election, by priority
+function voterBallotBox(store, voter) {
+  const register = /^\d{1,18}$/.test(voter.register_number_clean || '') ? Number(voter.register_number_clean) : null;
+  const boxes = new Map(store.rows('ballot_boxes').map(box => [box.id, box]));
+  const stations = new Map(store.rows('polling_stations').map(station => [station.id, station]));
+
+  const rule = store.rows('ballot_box_rules')
+    .filter(item => {
+      const box = boxes.get(item.ballot_box_id);
+      return box && stations.get(box.station_id)?.election_id === voter.election_id
+        && (item.religion === null || breakdownKey(voter.religion) === item.religion)
+        && (item.family === null || breakdownKey(voter.family) === item.family)
+        && (item.classification === null || breakdownKey(voter.classification) === item.classification)
+        && (item.register_from === null || (register !== null && register >= item.register_from))
+        && (item.register_to === null || (register !== null && register <= item.register_to));
+    })
+    .sort((a, b) => a.priority - b.priority || a.id - b.id)[0];
+  return rule ? rule.ballot_box_id : null;
+}
+
+module.exports = {
+  normalizeRegisterNumber,
+  breakdownKey,
+  searchName,
+  wordSimilarity,
+  voterMatchesSearch,
+  voterSearchRank,
+  filteredVoters,
+  voterBallotBox
+};
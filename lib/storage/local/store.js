@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { TABLES } = require('./schema');
+const { UNIQUE_VIOLATION } = require('../../errors');
+
+// Postgres error codes the API checks for
+const NOT_NULL_VIOLATION = '23502';
+const INVALID_TEXT = '22P02';
+const INVALID_DATETIME = '22007';
+const UNDEFINED_COLUMN = '42703';
+
+const SAVE_DELAY_MS = 100;
+const MEMORY = ':memory:';
+
+// Errors shaped like PostgREST's: the query client returns them as
+// { error } instead of throwing
+class StorageError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.code = code;
+    this.details = details;
+    this.hint = null;
+  }
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+// Cast a value to a column type the way Postgres would on insert or in a
+// filter; throws 22P02 / 22007 where Postgres would
+function coerce(type, value) {
+  if (!isPresent(value)) return null;
+
+  switch (type) {
+    case 'id':
+    case 'int': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number) || String(value).trim() === '') {
+        throw new StorageError(INVALID_TEXT, `invalid input syntax for type bigint: "${value}"`);
+      }
+      return number;
+    }
+    case 'numeric': {
+      const number = Number(value);
+      if (!Number.isFinite(number) || String(value).trim() === '') {
+        throw new StorageError(INVALID_TEXT, `invalid input syntax for type numeric: "${value}"`);
+      }
+      return number;
+    }
+    case 'bool':
+      if (typeof value === 'boolean') return value;
+      if (['true', 't', '1'].includes(String(value).toLowerCase())) return true;
+      if (['false', 'f', '0'].includes(String(value).toLowerCase())) return false;
+      throw new StorageError(INVALID_TEXT, `invalid input syntax for type boolean: "${value}"`);
+    case 'timestamptz': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new StorageError(INVALID_DATETIME, `invalid input syntax for type timestamp with time zone: "${value}"`);
+      }
+      return date.toISOString();
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new StorageError(INVALID_DATETIME, `invalid input syntax for type date: "${value}"`);
+      }
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : date.toISOString().slice(0, 10);
+    }
+    case 'json':
+      return JSON.parse(JSON.stringify(value));
+    case 'text[]':
+    case 'id[]':
+      if (!Array.isArray(value)) {
+        throw new StorageError(INVALID_TEXT, `malformed array literal: "${value}"`);
+      }
+      return value.map(item => coerce(type === 'id[]' ? 'id' : 'text', item));
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+function tableSchema(table) {
+  const schema = TABLES[table];
+  if (!schema) {
+    throw new StorageError('42P01', `relation "${table}" does not exist`);
+  }
+  return schema;
+}
+
+function columnType(table, column) {
+  const type = tableSchema(table).columns[column];
+  if (!type) {
+    throw new StorageError(UNDEFINED_COLUMN, `column ${table}.${column} does not exist`);
+  }
+  return type;
+}
+
+// Embedded database kept in memory and written to one JSON file (unless the
+// file is ':memory:'). Every statement runs alone, so a transaction only has
+// to put back the tables it touched when something throws.
+// triggers: { [table]: { beforeInsert, beforeUpdate, beforeDelete } }, each
+// called with (store, row, old) and returning the row to write.
+function openStore({ file = MEMORY, triggers = {} } = {}) {
+  const tables = new Map(Object.keys(TABLES).map(name => [name, new Map()]));
+  const sequences = {};
+  const auth = { users: [], sessions: [] };
+  const rowIds = new WeakMap();
+  let nextRowId = 1;
+  let snapshots = null;
+  let saveTimer = null;
+
+  function place(table, row, rowId = nextRowId++) {
+    rowIds.set(row, rowId);
+    tables.get(table).set(rowId, row);
+    return row;
+  }
+
+  if (file !== MEMORY && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(sequences, saved.sequences);
+    Object.assign(auth, saved.auth);
+    Object.entries(saved.tables || {}).forEach(([name, rows]) => {
+      if (tables.has(name)) rows.forEach(row => place(name, row));
+    });
+  }
+
+  function save() {
+    if (file === MEMORY) return;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+
+    const data = {
+      sequences,
+      auth,
+      tables: Object.fromEntries([...tables].map(([name, rows]) => [name, [...rows.values()]]))
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(data));
+    fs.renameSync(temp, file);
+  }
+
+  // Writes are batched; exit flushes whatever is pending
+  function scheduleSave() {
+    if (file === MEMORY || saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+  if (file !== MEMORY) process.on('exit', () => saveTimer && save());
+
+  function rows(table) {
+    tableSchema(table);
+    return [...tables.get(table).values()];
+  }
+
+  function touch(table) {
+    if (snapshots && !snapshots.has(table)) snapshots.set(table, new Map(tables.get(table)));
+  }
+
+  function checkConstraints(table, row, rowId) {
+    const schema = tableSchema(table);
+    (schema.required || []).forEach(column => {
+      if (!isPresent(row[column])) {
+        throw new StorageError(NOT_NULL_VIOLATION, `null value in column "${column}" of relation "${table}" violates not-null constraint`);
+      }
+    });
+    (schema.unique || []).forEach(columns => {
+      if (columns.some(column => !isPresent(row[column]))) return;
+      for (const [otherId, other] of tables.get(table)) {
+        if (otherId !== rowId && columns.every(column => other[column] === row[column])) {
+          throw new StorageError(
+            UNIQUE_VIOLATION,
+            `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+            `Key (${columns.join(', ')})=(${columns.map(column => row[column]).join(', ')}) already exists.`
+          );
+        }
+      }
+    });
+  }
+
+  function castValues(table, values) {
+    const cast = {};
+    Object.entries(values).forEach(([column, value]) => {
+      if (value === undefined) return;
+      cast[column] = coerce(columnType(table, column), value);
+    });
+    return cast;
+  }
+
+  const store = {
+    rows,
+
+    // Row by id, or null
+    find(table, id) {
+      const key = coerce('id', id);
+      return rows(table).find(row => row.id === key) || null;
+    },
+
+    insert(table, values) {
+      const schema = tableSchema(table);
+      touch(table);
+
+      let row = {};
+      Object.keys(schema.columns).forEach(column => {
+        const fallback = schema.defaults?.[column];
+        row[column] = typeof fallback === 'function' ? fallback() : fallback ?? null;
+      });
+      Object.assign(row, castValues(table, values));
+      if ('id' in schema.columns && !isPresent(values.id)) {
+        sequences[table] = (sequences[table] || 0) + 1;
+        row.id = sequences[table];
+      }
+
+      const trigger = triggers[table]?.beforeInsert;
+      if (trigger) row = trigger(store, row, null);
+      checkConstraints(table, row, null);
+      scheduleSave();
+      return place(table, row);
+    },
+
+    update(table, current, changes) {
+      const rowId = rowIds.get(current);
+      if (!rowId || tables.get(table).get(rowId) !== current) {
+        throw new Error(`Row is not the current version in ${table}`);
+      }
+      touch(table);
+
+      let row = { ...current, ...castValues(table, changes) };
+      const trigger = triggers[table]?.beforeUpdate;
+      if (trigger) row = trigger(store, row, current);
+      checkConstraints(table, row, rowId);
+      scheduleSave();
+      return place(table, row, rowId);
+    },
+
+    remove(table, current) {
+      const rowId = rowIds.get(current);
+      if (!rowId) return;
+      touch(table);
+      const trigger = triggers[table]?.beforeDelete;
+      if (trigger) trigger(store, null, current);
+      tables.get(table).delete(rowId);
+      scheduleSave();
+    },
+
+    // Run fn() as one statement: if it throws, every table it changed is
+    // put back as it was
+    transaction(fn) {
+      if (snapshots) return fn();
+      snapshots = new Map();
+      try {
+        return fn();
+      } catch (error) {
+        snapshots.forEach((saved, table) => tables.set(table, saved));
+        throw error;
+      } finally {
+        snapshots = null;
+      }
+    },
+
+    // Users and sessions of the local auth (see auth.js)
+    auth,
+    scheduleSave,
+    save
+  };
+
+  return store;
+}
+
+module.exports = {
+  StorageError,
+  UNIQUE_VIOLATION,
+  MEMORY,
+  coerce,
+  columnType,
+  tableSchema,
+  openStore
+};
@@ -0,0 +1,81 @@
+const { StorageError, UNIQUE_VIOLATION } = require('./store');
+const { normalizeRegisterNumber, searchName, voterBallotBox } = require('./sql');
+
+// voters_register_number() (migrations/018): derive the clean value and
+// refuse a number another active voter of the election already holds
+function registerNumber(store, voter, old) {
+  voter.register_number_clean = normalizeRegisterNumber(voter.register_number);
+
+  if (voter.register_number_clean !== null
+    && voter.merged_into === null
+    && voter.deleted_at === null
+    && (!old || voter.register_number !== old.register_number)) {
+    const taken = store.rows('voters').some(other => other.register_number_clean === voter.register_number_clean
+      && other.election_id === voter.election_id
+      && other.merged_into === null
+      && other.deleted_at === null
+      && other.id !== voter.id);
+    if (taken) {
+      throw new StorageError(UNIQUE_VIOLATION, `Register number ${voter.register_number_clean} already belongs to another voter`);
+    }
+  }
+}
+
+const BOX_RULE_FIELDS = ['religion', 'family', 'classification', 'register_number_clean'];
+
+// voters_ballot_box() (migrations/029): new voters get a box from the
+// rules, and so do voters whose rule fields change (unless the update sets
+// the box itself); polling_station_id always follows ballot_box_id
+function ballotBox(store, voter, old) {
+  const edited = old
+    && voter.ballot_box_id === old.ballot_box_id
+    && BOX_RULE_FIELDS.some(field => voter[field] !== old[field]);
+  if ((!old && voter.ballot_box_id === null) || edited) {
+    voter.ballot_box_id = voterBallotBox(store, voter);
+  }
+  if (!old || voter.ballot_box_id !== old.ballot_box_id) {
+    const box = voter.ballot_box_id === null ? null : store.find('ballot_boxes', voter.ballot_box_id);
+    voter.polling_station_id = box ? box.station_id : null;
+  }
+}
+
+// vote_events_append_only() (migrations/001)
+function appendOnly() {
+  throw new StorageError('P0001', 'vote_events is append-only');
+}
+
+// Each table's BEFORE triggers under their names in migrations/. Postgres
+// fires the triggers of one event in name order, and so does fire().
+const NAMED_TRIGGERS = {
+  voters: {
+    voters_register_number: registerNumber,
+    voters_zz_ballot_box: ballotBox
+  },
+  vote_events: {
+    vote_events_no_update: appendOnly
+  }
+};
+
+function fire(triggers, generated = row => row) {
+  const names = Object.keys(triggers).sort();
+  return (store, row, old) => {
+    names.forEach(name => triggers[name](store, row, old));
+    return generated(row);
+  };
+}
+
+// search_name is a generated column, computed after the triggers
+function generatedVoter(voter) {
+  voter.search_name = searchName(voter);
+  return voter;
+}
+
+const writeVoter = fire(NAMED_TRIGGERS.voters, generatedVoter);
+const appendOnlyEvents = fire(NAMED_TRIGGERS.vote_events);
+
+const TRIGGERS = {
+  voters: { beforeInsert: writeVoter, beforeUpdate: writeVoter },
+  vote_events: { beforeUpdate: appendOnlyEvents, beforeDelete: appendOnlyEvents }
+};
+
+module.exports = { NAMED_TRIGGERS, TRIGGERS };
@@ -0,0 +1,118 @@
+const { searchTokens, cleanRegisterNumber } = require('../arabic');
+const { UNSPECIFIED, PLACEHOLDER_VALUES } = require('../constants');
+
+// PostgREST queries on the voters table, for the Supabase backend. Filters
+// are the p_filters of the SQL functions (see toRpcParams in lib/filters.js).
+
+// Voters that still count: not merged into another record and not deleted,
+// and only those of electionId when one is given. Every query on the voters
+// table that feeds a list, a match or a check goes through here.
+function onlyActive(query, { includeDeleted = false, electionId = null } = {}) {
+  query = query.is('merged_into', null);
+  if (electionId) query = query.eq('election_id', electionId);
+  return includeDeleted ? query : query.is('deleted_at', null);
+}
+
+// Escape LIKE wildcards so user input only matches literally
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// Quote a value for a PostgREST filter string (.or(), in.())
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Match a multi-value filter where UNSPECIFIED stands for null or a
+// placeholder value
+function applyListFilter(query, column, values) {
+  const named = values.filter(value => value !== UNSPECIFIED);
+  if (named.length === values.length) {
+    return query.in(column, named);
+  }
+
+  const conditions = [
+    `${column}.is.null`,
+    `${column}.in.(${PLACEHOLDER_VALUES.map(quote).join(',')})`
+  ];
+  if (named.length > 0) {
+    conditions.push(`${column}.in.(${named.map(quote).join(',')})`);
+  }
+  return query.or(conditions.join(','));
+}
+
+const LIST_FILTERS = {
+  religions: 'religion',
+  families: 'family',
+  classifications: 'classification',
+  pledge_statuses: 'pledge_status'
+};
+
+// Apply p_filters to a query on the voters table
+function applyVoterFilters(query, filters) {
+  // Merged duplicates are hidden, deleted voters unless asked for
+  query = onlyActive(query, { includeDeleted: filters.include_deleted === true, electionId: filters.election });
+
+  // Search by register number: partial match on the raw value, or on the
+  // cleaned value with the input cleaned the same way
+  if (filters.register_number) {
+    const raw = quote(`%${escapeLike(filters.register_number)}%`);
+    const clean = quote(`%${escapeLike(cleanRegisterNumber(filters.register_number) || '')}%`);
+    query = query.or(`register_number.ilike.${raw},register_number_clean.like.${clean}`);
+  }
+
+  // Search by name: every normalized token must appear in search_name.
+  // Ranked, typo-tolerant search goes through search_voters() instead.
+  if (filters.search) {
+    searchTokens(filters.search).forEach(token => {
+      query = query.ilike('search_name', `%${escapeLike(token)}%`);
+    });
+  }
+
+  Object.entries(LIST_FILTERS).forEach(([key, column]) => {
+    if (filters[key]) {
+      query = applyListFilter(query, column, filters[key]);
+    }
+  });
+
+  if (filters.stations) {
+    query = query.in('polling_station_id', filters.stations);
+  }
+  if (filters.ballot_boxes) {
+    query = query.in('ballot_box_id', filters.ballot_boxes);
+  }
+
+  // Filter by voted status
+  if (filters.voted !== undefined) {
+    query = query.eq('has_voted', filters.voted);
+  }
+
+  return query;
+}
+
+// Keyset condition for "rows after this cursor". Nulls sort last in both
+// directions, with id as the final tie-breaker.
+function keysetCondition(sort, values) {
+  const keys = [...sort, { field: 'id', ascending: true }];
+  const branches = [];
+
+  keys.forEach((key, i) => {
+    const value = values[i];
+    const equals = keys.slice(0, i).map((prev, j) => (
+      values[j] === null ? `${prev.field}.is.null` : `${prev.field}.eq.${quote(values[j])}`
+    ));
+
+    // Nothing sorts after null except other nulls, which are equal
+    if (value === null) return;
+    const op = key.ascending ? 'gt' : 'lt';
+    const after = key.field === 'id'
+      ? `${key.field}.${op}.${quote(value)}`
+      : `or(${key.field}.${op}.${quote(value)},${key.field}.is.null)`;
+
+    branches.push(equals.length > 0 ? `and(${[...equals, after].join(',')})` : after);
+  });
+
+  return branches.join(',');
+}
+
+module.exports = { onlyActive, applyVoterFilters, keysetCondition };
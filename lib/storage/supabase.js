@@ -0,0 +1,265 @@
+const { createClient } = require('@supabase/supabase-js');
+const { onlyActive, applyVoterFilters, keysetCondition } = require('./postgrest');
+const { fetchAllRows, chunk } = require('../paging');
+
+const CLIENT_OPTIONS = { auth: { persistSession: false, autoRefreshToken: false } };
+
+// Voter repository (see lib/storage/index.js) on PostgREST and the SQL
+// functions in migrations/
+function createVoterRepository(client) {
+  async function rpc(name, params) {
+    const { data, error } = await client.rpc(name, params);
+    if (error) throw error;
+    return data;
+  }
+
+  return {
+    async findById(id) {
+      const { data, error } = await client
+        .from('voters')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async insert(values) {
+      const { data, error } = await client
+        .from('voters')
+        .insert(values)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async update(id, values) {
+      const { data, error } = await client
+        .from('voters')
+        .update(values)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    // Compare-and-set on vote_version
+    async compareAndSetVote(id, version, { has_voted: hasVoted, voted_at: votedAt }, event) {
+      return rpc('set_vote_state', {
+        p_id: id,
+        p_version: version,
+        p_has_voted: hasVoted,
+        p_voted_at: votedAt,
+        p_event: event
+      });
+    },
+
+    async findByIds(ids) {
+      if (ids.length === 0) return [];
+      const { data, error } = await client
+        .from('voters')
+        .select('*')
+        .in('id', ids)
+        .order('id', { ascending: true });
+      if (error) throw error;
+      return data;
+    },
+
+    async findActive(match, { electionId = null, excludeId = null } = {}) {
+      let query = onlyActive(client.from('voters').select('*'), { electionId });
+      Object.entries(match).forEach(([column, value]) => {
+        query = query.eq(column, value);
+      });
+      if (excludeId !== null) query = query.neq('id', excludeId);
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(1);
+      if (error) throw error;
+      return data[0] || null;
+    },
+
+    async list(filters, { sort = [], columns = null, offset = 0, limit = null, after = null } = {}) {
+      const keyset = after && after.length > 0;
+      const build = (count = null) => {
+        let query = applyVoterFilters(client.from('voters').select(columns ? columns.join(',') : '*', { count }), filters);
+        if (keyset) query = query.or(keysetCondition(sort, after));
+        sort.forEach(({ field, ascending }) => {
+          query = query.order(field, { ascending, nullsFirst: false });
+        });
+        return query.order('id', { ascending: true });
+      };
+
+      // The total counts every row the filters match, before the cursor too
+      const countAll = async () => {
+        const { error, count } = await applyVoterFilters(client.from('voters').select('id', { count: 'exact' }), filters).limit(1);
+        if (error) throw error;
+        return count;
+      };
+
+      // Without a limit, page past PostgREST's row cap
+      if (limit === null) {
+        const rows = await fetchAllRows(() => build());
+        return { rows, total: keyset ? await countAll() : rows.length };
+      }
+      const { data, error, count } = await build(keyset ? null : 'exact').range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { rows: data, total: keyset ? await countAll() : count };
+    },
+
+    async followUps({ until, electionId = null, volunteerId = null, stationId = null, limit }) {
+      let query = onlyActive(client.from('voters').select('*'), { electionId })
+        .lte('follow_up_on', until)
+        .eq('has_voted', false)
+        .order('follow_up_on', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(limit);
+      if (volunteerId) query = query.eq('canvass_volunteer_id', volunteerId);
+      if (stationId) query = query.eq('polling_station_id', stationId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    },
+
+    async stats(filters) {
+      return rpc('voter_stats', { p_filters: filters });
+    },
+
+    async facets(filters) {
+      return rpc('voter_facets', { p_filters: filters });
+    },
+
+    async search(filters, { limit, offset }) {
+      return rpc('search_voters', { p_filters: filters, p_limit: limit, p_offset: offset });
+    },
+
+    async timeline(filters, { bucketMinutes, from, to, groupBy }) {
+      return rpc('voter_timeline', {
+        p_filters: filters,
+        p_bucket_minutes: bucketMinutes,
+        p_from: from,
+        p_to: to,
+        p_group_by: groupBy
+      });
+    },
+
+    async familyTurnout(filters, { sort, ascending, limit, offset }) {
+      return rpc('family_turnout', {
+        p_filters: filters,
+        p_sort: sort,
+        p_ascending: ascending,
+        p_limit: limit,
+        p_offset: offset
+      });
+    },
+
+    async applyChanges(changes, { applied = null } = {}) {
+      if (applied === null) return rpc('apply_voter_changes', { p_changes: changes });
+      return rpc('apply_import_changes', { p_changes: changes, p_applied: applied });
+    },
+
+    async assignBallotBoxes(electionId, { dryRun }) {
+      return rpc('assign_ballot_boxes', { p_election_id: electionId, p_dry_run: dryRun });
+    }
+  };
+}
+
+// Vote event repository (see lib/storage/index.js) on PostgREST
+function createVoteEventRepository(client) {
+  return {
+    async record(event) {
+      const { data, error } = await client
+        .from('vote_events')
+        .insert(event)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    async forVoter(voterId) {
+      const { data, error } = await client
+        .from('vote_events')
+        .select('*')
+        .eq('voter_id', voterId)
+        .order('occurred_at', { ascending: true });
+      if (error) throw error;
+      return data;
+    },
+
+    async latest(voterId, { action = null } = {}) {
+      let query = client
+        .from('vote_events')
+        .select('*')
+        .eq('voter_id', voterId);
+      if (action) query = query.eq('action', action);
+
+      const { data, error } = await query
+        .order('occurred_at', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data[0] || null;
+    },
+
+    async latestTimes(voterIds) {
+      const times = new Map();
+      for (const ids of chunk(voterIds, 200)) {
+        const { data, error } = await client
+          .from('vote_events')
+          .select('voter_id, occurred_at')
+          .in('voter_id', ids)
+          .order('occurred_at', { ascending: false });
+        if (error) throw error;
+        data.forEach(event => {
+          if (!times.has(event.voter_id)) times.set(event.voter_id, event.occurred_at);
+        });
+      }
+      return times;
+    },
+
+    async list({ electionId, voterId = null, action = null, actorId = null, actorEmail = null, from = null, to = null }, { offset, limit }) {
+      let query = client
+        .from('vote_events')
+        .select('*', { count: 'exact' })
+        .eq('election_id', electionId);
+      if (voterId) query = query.eq('voter_id', voterId);
+      if (action) query = query.eq('action', action);
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (actorEmail) query = query.eq('actor_email', actorEmail);
+      if (from) query = query.gte('occurred_at', from);
+      if (to) query = query.lte('occurred_at', to);
+
+      const { data, error, count } = await query
+        .order('occurred_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { rows: data, total: count };
+    }
+  };
+}
+
+// Hosted backend. The shared client uses the service key and never keeps a
+// user session, so requests always run with the service key.
+function createSupabaseBackend() {
+  const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, CLIENT_OPTIONS);
+
+  return {
+    name: 'supabase',
+    client,
+    // Fresh client for calls that establish a user session (login, refresh),
+    // so the shared client is never switched to a user token
+    createSessionClient: () => createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_KEY,
+      CLIENT_OPTIONS
+    ),
+    voters: createVoterRepository(client),
+    voteEvents: createVoteEventRepository(client)
+  };
+}
+
+module.exports = { createSupabaseBackend, createVoterRepository, createVoteEventRepository };
@@ -0,0 +1,8 @@
+const { client, createSessionClient } = require('./storage');
+
+// Shared query client of the configured storage backend (see
+// lib/storage/index.js). With the default backend it is the service-role
+// Supabase client; the local backend answers the same calls.
+const supabase = client;
+
+module.exports = { supabase, createSessionClient };
@@ -0,0 +1,168 @@
+const { voters } = require('./storage');
+const { toRpcParams } = require('./filters');
+const { getStats } = require('./stats');
+const { badRequest } = require('./errors');
+
+const GROUP_BY_FIELDS = ['religion', 'family', 'classification'];
+const DEFAULT_BUCKET_MINUTES = 30;
+const MAX_BUCKETS = 1000;
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date`);
+  }
+  return date;
+}
+
+function startOfToday(now) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+// Read and validate the timeline options. Polling hours and the target
+// default to the election's schedule ({ opensAt, closesAt, target }, see
+// getElectionSchedule()).
+function parseTimelineOptions(query, schedule = {}, now = new Date()) {
+  const bucketMinutes = query.bucket === undefined ? DEFAULT_BUCKET_MINUTES : Number(query.bucket);
+  if (!Number.isInteger(bucketMinutes) || bucketMinutes < 1 || bucketMinutes > 1440) {
+    throw badRequest('bucket must be a whole number of minutes between 1 and 1440');
+  }
+
+  const groupBy = query.group_by || null;
+  if (groupBy && !GROUP_BY_FIELDS.includes(groupBy)) {
+    throw badRequest(`group_by must be one of: ${GROUP_BY_FIELDS.join(', ')}`);
+  }
+
+  const fromValue = query.from || schedule.opensAt;
+  const toValue = query.to || schedule.closesAt;
+  const from = fromValue ? parseDate(fromValue, 'from') : startOfToday(now);
+  const to = toValue ? parseDate(toValue, 'to') : now;
+  if (to <= from) {
+    throw badRequest('to must be after from');
+  }
+  if ((to - from) / (bucketMinutes * 60000) > MAX_BUCKETS) {
+    throw badRequest(`Range too large for a ${bucketMinutes} minute bucket (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  const targetValue = query.target ?? schedule.target;
+  let target = null;
+  if (targetValue !== undefined && targetValue !== null && targetValue !== '') {
+    target = Number(targetValue);
+    if (!Number.isFinite(target) || target <= 0 || target > 100) {
+      throw badRequest('target must be a percentage between 0 and 100');
+    }
+  }
+
+  return { bucketMinutes, groupBy, from, to, target };
+}
+
+// Turn the sparse rows from voter_timeline into contiguous buckets with
+// per-bucket and cumulative counts
+function buildBuckets(rows, { bucketMinutes, from, to }, now) {
+  const bucketMs = bucketMinutes * 60000;
+  const end = Math.min(to.getTime(), now.getTime());
+  const buckets = [];
+  const byStart = new Map();
+
+  for (let start = from.getTime(); start < end; start += bucketMs) {
+    const bucket = { start: new Date(start).toISOString(), votes: 0, cumulative: 0 };
+    buckets.push(bucket);
+    byStart.set(start, bucket);
+  }
+
+  const groupKeys = new Set();
+  rows.forEach(row => {
+    const bucket = byStart.get(new Date(row.bucket).getTime());
+    if (!bucket) return;
+    bucket.votes += row.votes;
+    if (row.group !== null && row.group !== undefined) {
+      groupKeys.add(row.group);
+      if (!bucket.groups) bucket.groups = {};
+      bucket.groups[row.group] = { votes: row.votes, cumulative: 0 };
+    }
+  });
+
+  let cumulative = 0;
+  const groupTotals = {};
+  buckets.forEach(bucket => {
+    cumulative += bucket.votes;
+    bucket.cumulative = cumulative;
+
+    if (groupKeys.size === 0) return;
+    if (!bucket.groups) bucket.groups = {};
+    groupKeys.forEach(key => {
+      const group = bucket.groups[key] || { votes: 0, cumulative: 0 };
+      groupTotals[key] = (groupTotals[key] || 0) + group.votes;
+      group.cumulative = groupTotals[key];
+      bucket.groups[key] = group;
+    });
+  });
+
+  return buckets;
+}
+
+// Straight-line projection of the current rate to closing time, compared
+// with a linear target curve from opening to closing
+function buildProjection({ total, voted, windowVotes }, { from, to, target }, now) {
+  const elapsedMs = Math.max(0, Math.min(now, to) - from);
+  const remainingMs = Math.max(0, to - now);
+  const ratePerMs = elapsedMs > 0 ? windowVotes / elapsedMs : 0;
+  const projectedVoted = Math.min(total, Math.round(voted + ratePerMs * remainingMs));
+  const toPercentage = count => (total > 0 ? ((count / total) * 100).toFixed(2) : 0);
+
+  const projection = {
+    elapsedMinutes: Math.round(elapsedMs / 60000),
+    remainingMinutes: Math.round(remainingMs / 60000),
+    ratePerHour: Math.round(ratePerMs * 3600000 * 10) / 10,
+    projectedVoted,
+    projectedPercentage: toPercentage(projectedVoted),
+    target,
+    targetVoted: null,
+    expectedNow: null,
+    status: null
+  };
+
+  if (target !== null) {
+    const targetVoted = Math.round((target / 100) * total);
+    const expectedNow = Math.round(targetVoted * (elapsedMs / (to - from)));
+    projection.targetVoted = targetVoted;
+    projection.expectedNow = expectedNow;
+    projection.status = voted >= expectedNow ? 'ahead' : 'behind';
+  }
+
+  return projection;
+}
+
+async function getTimeline(filters, options, now = new Date()) {
+  const rows = await voters.timeline(toRpcParams(filters).p_filters, {
+    bucketMinutes: options.bucketMinutes,
+    from: options.from.toISOString(),
+    to: options.to.toISOString(),
+    groupBy: options.groupBy
+  });
+
+  const stats = await getStats(filters);
+  const buckets = buildBuckets(rows || [], options, now);
+  const windowVotes = buckets.length > 0 ? buckets[buckets.length - 1].cumulative : 0;
+
+  return {
+    bucketMinutes: options.bucketMinutes,
+    from: options.from.toISOString(),
+    to: options.to.toISOString(),
+    groupBy: options.groupBy,
+    total: stats.total,
+    voted: stats.voted,
+    buckets,
+    projection: buildProjection({ total: stats.total, voted: stats.voted, windowVotes }, options, now)
+  };
+}
+
+module.exports = {
+  GROUP_BY_FIELDS,
+  parseTimelineOptions,
+  buildBuckets,
+  buildProjection,
+  getTimeline
+};
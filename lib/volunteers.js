@@ -0,0 +1,139 @@
+const { supabase } = require('./supabase');
+const { HttpError, badRequest } = require('./errors');
+
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,30}$/;
+
+// Validate a create or PATCH body: { name, phone, user_id, station_id, active }
+function parseVolunteer(body, { create = false } = {}) {
+  if (!body || typeof body !== 'object') throw badRequest('Request body must be an object');
+  const volunteer = {};
+
+  if (create || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+      throw badRequest('name is required and must be at most 100 characters');
+    }
+    volunteer.name = body.name.trim();
+  }
+  if (body.phone !== undefined) {
+    if (body.phone !== null && (typeof body.phone !== 'string' || !PHONE_PATTERN.test(body.phone.trim()))) {
+      throw badRequest('phone must be a phone number');
+    }
+    volunteer.phone = body.phone ? body.phone.trim() : null;
+  }
+  if (body.user_id !== undefined) {
+    if (body.user_id !== null && !/^[0-9a-f-]{36}$/i.test(String(body.user_id))) {
+      throw badRequest('user_id must be a user id');
+    }
+    volunteer.user_id = body.user_id;
+  }
+  if (body.station_id !== undefined) {
+    if (body.station_id !== null && (!Number.isInteger(body.station_id) || body.station_id < 1)) {
+      throw badRequest('station_id must be a polling station id');
+    }
+    volunteer.station_id = body.station_id;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw badRequest('active must be true or false');
+    volunteer.active = body.active;
+  }
+
+  if (Object.keys(volunteer).length === 0) {
+    throw badRequest('Nothing to change; fields: name, phone, user_id, station_id, active');
+  }
+  return volunteer;
+}
+
+// station_id must be a polling station of the election: a bad id would
+// otherwise fail on the foreign key
+async function checkStation(volunteer, electionId) {
+  if (!volunteer.station_id) return volunteer;
+  const { data, error } = await supabase
+    .from('polling_stations')
+    .select('id')
+    .eq('id', volunteer.station_id)
+    .eq('election_id', electionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw badRequest('station_id must be a polling station of this election');
+  return volunteer;
+}
+
+// Volunteers of an election by name; stationId limits the list to one station
+async function listVolunteers({ electionId, active = null, stationId = null }) {
+  let query = supabase
+    .from('volunteers')
+    .select('*')
+    .eq('election_id', electionId)
+    .order('name', { ascending: true });
+  if (active !== null) query = query.eq('active', active);
+  if (stationId) query = query.eq('station_id', stationId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function getVolunteer(id, electionId) {
+  const { data, error } = await supabase
+    .from('volunteers')
+    .select('*')
+    .eq('id', id)
+    .eq('election_id', electionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new HttpError(404, 'Volunteer not found');
+  return data;
+}
+
+// Volunteer record of the logged-in user in an election, if any
+async function findVolunteerForUser(userId, electionId) {
+  if (!userId) return null;
+  const { data, error } = await supabase
+    .from('volunteers')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('election_id', electionId)
+    .eq('active', true)
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+async function createVolunteer(body, { electionId }) {
+  const volunteer = await checkStation(parseVolunteer(body, { create: true }), electionId);
+  const { data, error } = await supabase
+    .from('volunteers')
+    .insert({ ...volunteer, election_id: electionId })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateVolunteer(id, body, { electionId }) {
+  const changes = await checkStation(parseVolunteer(body), electionId);
+  const { data, error } = await supabase
+    .from('volunteers')
+    .update(changes)
+    .eq('id', id)
+    .eq('election_id', electionId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new HttpError(404, 'Volunteer not found');
+  return data;
+}
+
+module.exports = {
+  parseVolunteer,
+  listVolunteers,
+  getVolunteer,
+  findVolunteerForUser,
+  createVolunteer,
+  updateVolunteer
+};
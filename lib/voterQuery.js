@@ -0,0 +1,196 @@
+const { voters } = require('./storage');
+const { parseVoterFilters, toRpcParams } = require('./filters');
+const { searchVoters } = require('./search');
+const { badRequest } = require('./errors');
+
+// Columns clients may select and sort by
+const VOTER_FIELDS = [
+  'id',
+  'original_id',
+  'full_name',
+  'father_name',
+  'family_name',
+  'religion',
+  'family',
+  'classification',
+  'register_number',
+  'register_number_clean',
+  'has_voted',
+  'voted_at',
+  'vote_version',
+  'ballot_box_id',
+  'polling_station_id',
+  'pledge_status',
+  'canvass_volunteer_id',
+  'follow_up_on',
+  'deleted_at'
+];
+
+const SORT_FIELDS = [
+  'original_id',
+  'full_name',
+  'father_name',
+  'family_name',
+  'religion',
+  'family',
+  'classification',
+  'register_number',
+  'has_voted',
+  'voted_at',
+  'polling_station_id',
+  'pledge_status',
+  'follow_up_on'
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+// ?sort=family,-voted_at  ('-' = descending). 'relevance' only with search.
+function parseSort(value, hasSearch) {
+  if (value === undefined || value === '' || value === 'relevance') {
+    if (value === 'relevance' && !hasSearch) {
+      throw badRequest('sort=relevance requires search');
+    }
+    return hasSearch ? null : [{ field: 'original_id', ascending: true }];
+  }
+  if (hasSearch) {
+    throw badRequest('search results are sorted by relevance; sort cannot be combined with search');
+  }
+
+  const sort = String(value).split(',').map(part => {
+    const descending = part.startsWith('-');
+    const field = descending ? part.slice(1) : part;
+    if (!SORT_FIELDS.includes(field)) {
+      throw badRequest(`sort field must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+    return { field, ascending: !descending };
+  });
+
+  if (new Set(sort.map(s => s.field)).size !== sort.length) {
+    throw badRequest('sort fields must not repeat');
+  }
+  return sort;
+}
+
+function parseFields(value) {
+  if (value === undefined || value === '') return null;
+  const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !VOTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+  return fields;
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === sort.length + 1) return values;
+  } catch (error) {
+    // fall through
+  }
+  throw badRequest('cursor is invalid or does not match sort');
+}
+
+// Validate the /api/voters query string. Throws a 400 HttpError on bad input.
+// options are passed on to parseVoterFilters().
+function parseVoterQuery(query, options) {
+  const filters = parseVoterFilters(query, options);
+  const limit = parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT);
+  if (limit > MAX_LIMIT) {
+    throw badRequest(`limit must be at most ${MAX_LIMIT}`);
+  }
+
+  const sort = parseSort(query.sort, Boolean(filters.search));
+  const fields = parseFields(query.fields);
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (filters.search) throw badRequest('cursor cannot be combined with search; use page');
+    if (query.page !== undefined) throw badRequest('Use either cursor or page, not both');
+    cursor = query.cursor === '' ? [] : decodeCursor(String(query.cursor), sort);
+  }
+  const page = parsePositiveInt(query.page, 'page', 1);
+
+  return { filters, sort, fields, limit, page, cursor };
+}
+
+function project(rows, fields) {
+  if (!fields) return rows;
+  return rows.map(row => Object.fromEntries(fields.map(field => [field, row[field]])));
+}
+
+// Run a parsed query. Returns { data, total, nextCursor }.
+async function runVoterQuery({ filters, sort, fields, limit, page, cursor }) {
+  if (filters.search) {
+    const offset = (page - 1) * limit;
+    const { data, total } = await searchVoters(filters, { limit, offset });
+    return { data: project(data, fields && [...fields, 'search_rank']), total, nextCursor: null };
+  }
+
+  // Sort fields and id are needed to build the next cursor
+  const columns = fields
+    ? [...new Set([...fields, ...sort.map(s => s.field), 'id'])]
+    : null;
+
+  // One extra row tells whether there is a next page
+  const { rows: data, total } = await voters.list(toRpcParams(filters).p_filters, {
+    sort,
+    columns,
+    offset: cursor ? 0 : (page - 1) * limit,
+    limit: limit + 1,
+    after: cursor
+  });
+
+  const rows = data.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = data.length > limit
+    ? encodeCursor([...sort.map(s => last[s.field] ?? null), last.id])
+    : null;
+
+  return { data: project(rows, fields), total, nextCursor };
+}
+
+// Yield every matching voter, page by page (keyset pages, or relevance
+// pages when searching)
+async function* iterateVoters({ filters, sort, fields }, pageSize = 500) {
+  let page = 1;
+  let cursor = filters.search ? null : [];
+
+  while (true) {
+    const result = await runVoterQuery({ filters, sort, fields, limit: pageSize, page, cursor });
+    yield* result.data;
+
+    if (filters.search) {
+      if (page * pageSize >= result.total) return;
+      page++;
+    } else {
+      if (!result.nextCursor) return;
+      cursor = decodeCursor(result.nextCursor, sort);
+    }
+  }
+}
+
+module.exports = {
+  VOTER_FIELDS,
+  SORT_FIELDS,
+  MAX_LIMIT,
+  parsePositiveInt,
+  parseVoterQuery,
+  parseSort,
+  parseFields,
+  runVoterQuery,
+  iterateVoters
+};
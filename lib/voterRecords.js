@@ -0,0 +1,312 @@
+const { supabase } = require('./supabase');
+const { voters } = require('./storage');
+const { chunk } = require('./paging');
+const { actorName } = require('./audit');
+const { checkRegisterNumber, findRegisterHolder } = require('./registerNumber');
+const { publishRecordChange } = require('./live');
+const { UNSPECIFIED, PLACEHOLDER_VALUES } = require('./constants');
+const { UNIQUE_VIOLATION, HttpError, badRequest } = require('./errors');
+
+const NAME_FIELDS = ['full_name', 'father_name', 'family_name'];
+const CATEGORY_FIELDS = ['religion', 'family', 'classification'];
+
+// Fields an admin may set. Vote state goes through the vote endpoints and
+// original_id (the Google Sheets row key) can only be set on create.
+const EDITABLE_FIELDS = [...NAME_FIELDS, ...CATEGORY_FIELDS, 'register_number'];
+const CREATE_FIELDS = ['original_id', ...EDITABLE_FIELDS];
+const REQUIRED_FIELDS = ['full_name'];
+
+const MAX_LENGTH = 100;
+
+// Set by a soft delete and cleared by a restore
+const DELETE_FIELDS = ['deleted_at', 'deleted_by', 'delete_reason'];
+
+// Letters (any script) and combining marks, with spaces, hyphens,
+// apostrophes and dots between words
+const NAME_PATTERN = /^[\p{L}\p{M}]+(?:[ '’.-]+[\p{L}\p{M}]+)*\.?$/u;
+// Category values may also carry digits and brackets, e.g. "عائلة 2 (فرع)"
+const CATEGORY_PATTERN = /^[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N} '’.()/-]*$/u;
+
+function normalizeText(value) {
+  return String(value).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Validate one field. Returns the value to store; throws a 400 HttpError
+// whose message describes the problem.
+function parseField(field, value) {
+  if (value === null || value === undefined) return null;
+
+  if (field === 'original_id') {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) throw badRequest('must be a positive integer');
+    return id;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') throw badRequest('must be a string');
+
+  const text = normalizeText(value);
+  if (text.length > MAX_LENGTH) throw badRequest(`must be at most ${MAX_LENGTH} characters`);
+
+  if (NAME_FIELDS.includes(field)) {
+    if (!text) return null;
+    if (!NAME_PATTERN.test(text)) throw badRequest('may only contain letters, spaces, hyphens and apostrophes');
+    return text;
+  }
+  if (CATEGORY_FIELDS.includes(field)) {
+    // The placeholders and UNSPECIFIED all mean "no value"
+    if (PLACEHOLDER_VALUES.includes(text) || text === UNSPECIFIED) return null;
+    if (!CATEGORY_PATTERN.test(text)) throw badRequest('contains characters that are not allowed');
+    return text;
+  }
+  // register_number: format and uniqueness are checked against the database
+  return text || null;
+}
+
+// Validate a create or PATCH body. Every problem is reported at once as
+// details.fields, keyed by field name.
+function parseVoterInput(body, { create = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Request body must be an object');
+  }
+
+  const allowed = create ? CREATE_FIELDS : EDITABLE_FIELDS;
+  const values = {};
+  const errors = {};
+
+  Object.entries(body).forEach(([field, value]) => {
+    if (field === 'reason') return;
+    if (!allowed.includes(field)) {
+      errors[field] = field === 'has_voted' || field === 'voted_at'
+        ? 'use the vote and unvote endpoints'
+        : 'cannot be set';
+      return;
+    }
+    try {
+      values[field] = parseField(field, value);
+    } catch (error) {
+      errors[field] = error.message;
+    }
+  });
+
+  if (create) {
+    REQUIRED_FIELDS.forEach(field => {
+      if (!values[field] && !errors[field]) errors[field] = 'is required';
+    });
+  } else {
+    REQUIRED_FIELDS.forEach(field => {
+      if (field in values && !values[field] && !errors[field]) errors[field] = 'cannot be empty';
+    });
+    if (Object.keys(values).length === 0 && Object.keys(errors).length === 0) {
+      throw badRequest(`Nothing to change; editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw badRequest('Invalid voter fields', { fields: errors });
+  }
+  return values;
+}
+
+function parseReason(body) {
+  const reason = body?.reason;
+  if (reason === undefined || reason === null || reason === '') return null;
+  if (typeof reason !== 'string' || reason.length > 500) {
+    throw badRequest('reason must be a string of at most 500 characters');
+  }
+  return reason.trim() || null;
+}
+
+// Voters of other elections are not found
+async function getVoterRecord(id, electionId) {
+  const data = await voters.findById(id);
+  if (!data || data.merged_into || (electionId && data.election_id !== electionId)) {
+    throw new HttpError(404, 'Voter not found');
+  }
+  return data;
+}
+
+async function recordChange(voterId, action, change, actor) {
+  await recordChanges(action, [{ voterId, ...change }], actor);
+}
+
+// Log the changes of many voters at once (imports).
+// entries: [{ voterId, before, after, fields, reason }]
+async function recordChanges(action, entries, actor) {
+  for (const batch of chunk(entries, 500)) {
+    const { error } = await supabase
+      .from('voter_changes')
+      .insert(batch.map(({ voterId, before, after, fields, reason }) => ({
+        voter_id: voterId,
+        action,
+        before: before || null,
+        after: after || null,
+        fields: fields || [],
+        reason: reason || null,
+        ...actor
+      })));
+    if (error) throw error;
+  }
+}
+
+// The trigger in migrations/012 raises unique_violation when two writes
+// race for the same register number
+function registerConflict(error) {
+  if (error.code === UNIQUE_VIOLATION) return new HttpError(409, error.message);
+  return error;
+}
+
+function pick(record, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = record[field] ?? null;
+  });
+  return picked;
+}
+
+// Add a voter to an election. Throws 400 with per-field errors and 409 when
+// original_id or register_number is already taken in that election.
+async function createVoter(body, actor, { electionId }) {
+  const values = parseVoterInput(body, { create: true });
+  const reason = parseReason(body);
+
+  if (values.register_number) {
+    await checkRegisterNumber(values.register_number, null, electionId);
+  }
+  if (values.original_id) {
+    const taken = await voters.findActive({ original_id: values.original_id }, { electionId });
+    if (taken) {
+      throw new HttpError(409, `original_id ${values.original_id} already belongs to voter ${taken.id}`);
+    }
+  }
+
+  let voter;
+  try {
+    voter = await voters.insert({ ...values, election_id: electionId, has_voted: false });
+  } catch (error) {
+    throw registerConflict(error);
+  }
+
+  const fields = Object.keys(values);
+  await recordChange(voter.id, 'create', { after: pick(voter, fields), fields, reason }, actor);
+  publishRecordChange(voter, 'create');
+
+  return voter;
+}
+
+// Change some fields of a voter. Only fields whose value actually changes
+// are written and logged. Returns { voter, changed }.
+async function updateVoter(id, body, actor, { electionId = null } = {}) {
+  const values = parseVoterInput(body);
+  const reason = parseReason(body);
+  const current = await getVoterRecord(id, electionId);
+  if (current.deleted_at) {
+    throw new HttpError(409, 'Voter has been deleted; restore it before editing');
+  }
+
+  const changed = Object.keys(values).filter(field => values[field] !== (current[field] ?? null));
+  if (changed.length === 0) return { voter: current, changed };
+
+  if (changed.includes('register_number') && values.register_number) {
+    await checkRegisterNumber(values.register_number, current.id, current.election_id);
+  }
+
+  let voter;
+  try {
+    voter = await voters.update(current.id, pick(values, changed));
+  } catch (error) {
+    throw registerConflict(error);
+  }
+
+  await recordChange(voter.id, 'update', {
+    before: pick(current, changed),
+    after: pick(voter, changed),
+    fields: changed,
+    reason
+  }, actor);
+  publishRecordChange(voter, 'update', current);
+
+  return { voter, changed };
+}
+
+// Hide a voter from lists, stats and matching. Nothing is removed; the
+// record and its history stay and restoreVoter() brings it back.
+async function deleteVoter(id, actor, reason, { electionId = null } = {}) {
+  const current = await getVoterRecord(id, electionId);
+  if (current.deleted_at) throw new HttpError(409, 'Voter has already been deleted');
+
+  const deletion = {
+    deleted_at: new Date().toISOString(),
+    deleted_by: actorName(actor),
+    delete_reason: reason || null
+  };
+  const voter = await voters.update(current.id, deletion);
+
+  await recordChange(voter.id, 'delete', {
+    before: pick(current, DELETE_FIELDS),
+    after: pick(voter, DELETE_FIELDS),
+    fields: DELETE_FIELDS,
+    reason
+  }, actor);
+  publishRecordChange(voter, 'delete');
+
+  return voter;
+}
+
+// Undo a soft delete. Throws 409 if another voter took the register number
+// in the meantime.
+async function restoreVoter(id, actor, reason, { electionId = null } = {}) {
+  const current = await getVoterRecord(id, electionId);
+  if (!current.deleted_at) throw new HttpError(409, 'Voter is not deleted');
+
+  if (current.register_number_clean) {
+    const holder = await findRegisterHolder(current.register_number_clean, current.id, current.election_id);
+    if (holder) {
+      throw new HttpError(409, `Register number ${current.register_number_clean} now belongs to voter ${holder.id}`, { holder });
+    }
+  }
+
+  const voter = await voters.update(current.id, { deleted_at: null, deleted_by: null, delete_reason: null });
+
+  await recordChange(voter.id, 'restore', {
+    before: pick(current, DELETE_FIELDS),
+    after: pick(voter, DELETE_FIELDS),
+    fields: DELETE_FIELDS,
+    reason
+  }, actor);
+  publishRecordChange(voter, 'restore');
+
+  return voter;
+}
+
+// Create / update / delete / restore history of a voter of the election
+// (merged voters included), oldest first
+async function getVoterChanges(voterId, { electionId = null } = {}) {
+  const voter = await voters.findById(voterId);
+  if (!voter || (electionId && voter.election_id !== electionId)) {
+    throw new HttpError(404, 'Voter not found');
+  }
+
+  const { data, error } = await supabase
+    .from('voter_changes')
+    .select('*')
+    .eq('voter_id', voter.id)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  CREATE_FIELDS,
+  REQUIRED_FIELDS,
+  parseField,
+  parseVoterInput,
+  parseReason,
+  createVoter,
+  updateVoter,
+  deleteVoter,
+  restoreVoter,
+  getVoterChanges,
+  recordChanges
+};
@@ -0,0 +1,159 @@
+const { voters, voteEvents } = require('./storage');
+const { buildVoteEvent, actorName } = require('./audit');
+const { publishVoteChange } = require('./live');
+const { enqueueSheetUpdate } = require('./sheetQueue');
+const { syncCallAssignments } = require('./callLists');
+const { getElection } = require('./elections');
+const { emitWebhookEvent } = require('./webhooks');
+const { checkFamilyAlerts } = require('./alerts');
+const { HttpError } = require('./errors');
+
+// Who recorded the voter's current vote, from the audit trail
+async function getVoteRecorder(voterId) {
+  const event = await voteEvents.latest(voterId, { action: 'vote' });
+  if (!event) return null;
+  const { actor_id, actor_email, actor_role, occurred_at } = event;
+  return { actor_id, actor_email, actor_role, occurred_at };
+}
+
+async function stateConflict(voter, voted) {
+  if (voted) {
+    return new HttpError(409, 'Voter has already voted', {
+      voted_at: voter.voted_at,
+      recorded_by: await getVoteRecorder(voter.id),
+      vote_version: voter.vote_version
+    });
+  }
+  return new HttpError(409, 'Voter has not voted', {
+    vote_version: voter.vote_version
+  });
+}
+
+function versionConflict(voter) {
+  return new HttpError(412, 'Voter was changed by someone else', {
+    has_voted: Boolean(voter.has_voted),
+    voted_at: voter.voted_at,
+    vote_version: voter.vote_version
+  });
+}
+
+// Read the expected vote_version from the If-Match header or the body
+function parseExpectedVersion(req) {
+  const value = req.get('if-match') ?? req.body?.expected_version;
+  if (value === undefined || value === null || value === '') return null;
+
+  const version = Number(String(value).replace(/"/g, ''));
+  if (!Number.isInteger(version) || version < 0) {
+    throw new HttpError(400, 'expected_version must be a non-negative integer');
+  }
+  return version;
+}
+
+// Mark ('vote') or unmark ('unvote') a voter as a conditional state
+// transition, recording the audit event in the same transaction, then update
+// call lists, notify live dashboards and queue the Google Sheets update.
+// Throws 404 if the voter does not exist (or, with electionId, belongs to
+// another election), 403 if stationId is given and the voter belongs to
+// another station, 409 if the voter is already in the requested state (or
+// merged or deleted, or its election is archived) and 412 if
+// expectedVersion does not match. The audit event is stamped with the
+// voter's election and with stationId, or the voter's own station when none
+// is given.
+// options: { reason, votedAt, occurredAt, expectedVersion, stationId, electionId, syncSheet }
+async function setVoteState(id, action, actor, options = {}) {
+  const {
+    reason,
+    occurredAt = new Date().toISOString(),
+    votedAt = occurredAt,
+    expectedVersion = null,
+    stationId = null,
+    electionId = null,
+    syncSheet = true
+  } = options;
+  const voted = action === 'vote';
+
+  const current = await voters.findById(id);
+  if (!current || (electionId && current.election_id !== electionId)) {
+    throw new HttpError(404, 'Voter not found');
+  }
+  if ((await getElection(current.election_id)).status === 'archived') {
+    throw new HttpError(409, 'The voter\'s election is archived');
+  }
+  if (current.merged_into) {
+    throw new HttpError(409, `Voter was merged into voter ${current.merged_into}`);
+  }
+  if (current.deleted_at) {
+    throw new HttpError(409, 'Voter has been deleted', { deleted_at: current.deleted_at });
+  }
+  if (stationId && current.polling_station_id !== stationId) {
+    throw new HttpError(403, 'Voter is not assigned to your polling station');
+  }
+  if (expectedVersion !== null && current.vote_version !== expectedVersion) {
+    throw versionConflict(current);
+  }
+  if (Boolean(current.has_voted) === voted) {
+    throw await stateConflict(current, voted);
+  }
+
+  // Compare-and-set on vote_version so a concurrent change is not
+  // overwritten; the audit event is written with the vote or not at all
+  const scope = { election_id: current.election_id, station_id: stationId || current.polling_station_id || null };
+  const data = await voters.compareAndSetVote(current.id, current.vote_version, {
+    has_voted: voted,
+    voted_at: voted ? votedAt : null
+  }, buildVoteEvent(current.id, action, { ...actor, ...scope }, reason, occurredAt));
+
+  if (!data) {
+    const latest = await voters.findById(current.id);
+    throw latest && Boolean(latest.has_voted) === voted
+      ? await stateConflict(latest, voted)
+      : versionConflict(latest || current);
+  }
+
+  // Drop the voter from get-out-the-vote call lists (or put them back)
+  try {
+    await syncCallAssignments(data, voted);
+  } catch (callListError) {
+    console.error('Error updating call lists:', callListError.message);
+  }
+
+  // Notify live dashboards
+  publishVoteChange(data, action);
+
+  // Outbound webhooks and family turnout alerts; neither throws, and the
+  // vote does not wait for them
+  emitWebhookEvent(action, data.election_id, {
+    voter: {
+      id: data.id,
+      original_id: data.original_id,
+      full_name: data.full_name,
+      father_name: data.father_name,
+      family: data.family,
+      polling_station_id: data.polling_station_id,
+      ballot_box_id: data.ballot_box_id,
+      has_voted: data.has_voted,
+      voted_at: data.voted_at,
+      vote_version: data.vote_version
+    },
+    actor: actorName(actor),
+    reason: reason || null
+  });
+  checkFamilyAlerts(data);
+
+  // Queue the Google Sheets update (sent in batches, retried on failure)
+  if (syncSheet) {
+    try {
+      await enqueueSheetUpdate(data, voted);
+    } catch (sheetError) {
+      console.error('Error queueing Google Sheets update:', sheetError.message);
+    }
+  }
+
+  return data;
+}
+
+module.exports = {
+  getVoteRecorder,
+  parseExpectedVersion,
+  setVoteState
+};
@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { actorName } = require('./audit');
+const { HttpError, badRequest } = require('./errors');
+
+// Events a webhook can subscribe to. 'ping' is only sent by POST
+// /api/webhooks/:id/test.
+const WEBHOOK_EVENTS = ['vote', 'unvote', 'import.applied', 'import.rolled_back', 'alert'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const TIMEOUT_MS = 10000;
+// A claimed delivery is left alone by other instances for this long; if
+// the claiming one dies mid-send, the delivery is due again afterwards
+const CLAIM_MS = TIMEOUT_MS * 3;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// Deliveries queued by another process (e.g. maintenance.js import) or
+// before a restart are picked up by this sweep
+const SWEEP_MS = 60000;
+const BATCH_SIZE = 50;
+const MAX_ERROR_LENGTH = 500;
+
+const WEBHOOK_FIELDS = 'id, election_id, name, url, events, active, created_by, created_at, updated_at';
+
+const state = {
+  delivering: false,
+  // Deliveries were queued while a run was in progress
+  again: false,
+  timer: null,
+  timerAt: null
+};
+
+function parseName(value, { required }) {
+  if (value === undefined && !required) return undefined;
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > 100) {
+    throw badRequest('name is required and must be at most 100 characters');
+  }
+  return value.trim();
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw badRequest('url must be an http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw badRequest('url must be an http(s) URL');
+  return url.toString();
+}
+
+function parseEvents(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw badRequest(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+function parseSecret(value) {
+  if (typeof value !== 'string' || value.length < 16 || value.length > 200) {
+    throw badRequest('secret must be a string of 16 to 200 characters');
+  }
+  return value;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Validate { name, url, events, secret, active }. On create, events default
+// to all of them and a secret is generated when none is given.
+function parseWebhook(body, { create = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Request body must be an object');
+  }
+
+  const webhook = {};
+  const name = parseName(body.name, { required: create });
+  if (name !== undefined) webhook.name = name;
+  if (create || body.url !== undefined) webhook.url = parseUrl(body.url);
+  if (body.events !== undefined) webhook.events = parseEvents(body.events);
+  else if (create) webhook.events = WEBHOOK_EVENTS;
+  if (body.secret !== undefined) webhook.secret = parseSecret(body.secret);
+  else if (create) webhook.secret = generateSecret();
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw badRequest('active must be true or false');
+    webhook.active = body.active;
+  }
+
+  if (Object.keys(webhook).length === 0) {
+    throw badRequest('Nothing to change; fields: name, url, events, secret, active');
+  }
+  return webhook;
+}
+
+async function listWebhooks(electionId) {
+  const { data, error } = await supabase
+    .from('webhooks')
+    .select(WEBHOOK_FIELDS)
+    .eq('election_id', electionId)
+    .order('id', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+async function getWebhook(id, electionId) {
+  const { data, error } = await supabase
+    .from('webhooks')
+    .select(WEBHOOK_FIELDS)
+    .eq('id', id)
+    .eq('election_id', electionId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new HttpError(404, 'Webhook not found');
+  return data;
+}
+
+// The secret is only returned here and when it is changed
+async function createWebhook(body, actor, { electionId }) {
+  const values = parseWebhook(body, { create: true });
+  const { data, error } = await supabase
+    .from('webhooks')
+    .insert({ ...values, election_id: electionId, created_by: actorName(actor) })
+    .select(`${WEBHOOK_FIELDS}, secret`)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function updateWebhook(id, body, { electionId }) {
+  const values = parseWebhook(body);
+  const webhook = await getWebhook(id, electionId);
+  const { data, error } = await supabase
+    .from('webhooks')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', webhook.id)
+    .select(values.secret ? `${WEBHOOK_FIELDS}, secret` : WEBHOOK_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Delivery log of a webhook, newest first
+async function listDeliveries(webhookId, { electionId, status = null, limit = 50, offset = 0 }) {
+  const webhook = await getWebhook(webhookId, electionId);
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' })
+    .eq('webhook_id', webhook.id);
+  if (status) query = query.eq('status', status);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+  return { data, total: count };
+}
+
+// Body and headers of a delivery. The signature is
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the webhook secret; receivers should recompute it and reject
+// stale timestamps.
+function signDelivery(delivery, secret, now = new Date()) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'vote-tracker-webhooks',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': `t=${timestamp},v1=${signature}`
+    }
+  };
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function schedule(delay) {
+  const at = Date.now() + delay;
+  // Keep an earlier wake-up
+  if (state.timer && state.timerAt <= at) return;
+  if (state.timer) clearTimeout(state.timer);
+  state.timerAt = at;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    deliverWebhooks();
+  }, delay);
+  // Pending deliveries never keep the process alive by themselves
+  state.timer.unref();
+}
+
+// Push next_attempt_at past the send, unless another instance (or an
+// earlier sweep) already claimed or sent the delivery
+async function claimDelivery(delivery) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(Date.now() + CLAIM_MS).toISOString() })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('next_attempt_at', delivery.next_attempt_at)
+    .select('id')
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+}
+
+// Send one delivery and record the outcome. Failures are retried with
+// exponential backoff until MAX_ATTEMPTS.
+async function attemptDelivery(delivery, webhook) {
+  if (!await claimDelivery(delivery)) return;
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  let outcome;
+
+  if (!webhook || !webhook.active) {
+    outcome = { status: 'failed', response_status: null, last_error: 'Webhook is inactive' };
+  } else {
+    const { body, headers } = signDelivery(delivery, webhook.secret, now);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      const text = await response.text().catch(() => '');
+      outcome = response.ok
+        ? { status: 'delivered', response_status: response.status, last_error: null, delivered_at: new Date().toISOString() }
+        : { status: 'pending', response_status: response.status, last_error: `HTTP ${response.status}: ${text}`.slice(0, MAX_ERROR_LENGTH) };
+    } catch (error) {
+      outcome = { status: 'pending', response_status: null, last_error: error.message.slice(0, MAX_ERROR_LENGTH) };
+    }
+  }
+
+  if (outcome.status === 'pending') {
+    if (attempts >= MAX_ATTEMPTS) outcome.status = 'failed';
+    else outcome.next_attempt_at = new Date(Date.now() + retryDelay(attempts)).toISOString();
+  }
+
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .update({ ...outcome, attempts, last_attempt_at: now.toISOString() })
+    .eq('id', delivery.id);
+  if (error) throw error;
+  if (outcome.status === 'failed') {
+    console.error(`Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempts} attempt(s): ${outcome.last_error}`);
+  }
+}
+
+// Send every delivery that is due, then wake up for the next retry
+async function deliverWebhooks() {
+  if (state.delivering) {
+    state.again = true;
+    return;
+  }
+  state.delivering = true;
+  state.again = false;
+
+  try {
+    let due;
+    do {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select('*, webhook:webhooks(id, url, secret, active)')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(BATCH_SIZE);
+      if (error) throw error;
+      due = data;
+
+      // In order per endpoint, endpoints side by side: a slow one only
+      // holds up its own deliveries
+      const byWebhook = new Map();
+      due.forEach(delivery => {
+        if (!byWebhook.has(delivery.webhook_id)) byWebhook.set(delivery.webhook_id, []);
+        byWebhook.get(delivery.webhook_id).push(delivery);
+      });
+      const results = await Promise.allSettled([...byWebhook.values()].map(async deliveries => {
+        for (const delivery of deliveries) {
+          await attemptDelivery(delivery, delivery.webhook);
+        }
+      }));
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) throw failed.reason;
+    } while (due.length === BATCH_SIZE);
+
+    const { data: next, error } = await supabase
+      .from('webhook_deliveries')
+      .select('next_attempt_at')
+      .eq('status', 'pending')
+      .order('next_attempt_at', { ascending: true })
+      .limit(1);
+    if (error) throw error;
+    if (next.length > 0) {
+      schedule(Math.max(0, new Date(next[0].next_attempt_at).getTime() - Date.now()));
+    }
+  } catch (error) {
+    console.error('Error delivering webhooks:', error.message);
+  } finally {
+    state.delivering = false;
+    if (state.again) schedule(0);
+  }
+}
+
+async function queueDeliveries(webhooks, event, electionId, data) {
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, event, election_id: electionId, created_at: new Date().toISOString(), data };
+
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .insert(webhooks.map(webhook => ({ webhook_id: webhook.id, event_id: eventId, event, payload })))
+    .select();
+  if (error) throw error;
+
+  schedule(0);
+  return deliveries;
+}
+
+// Queue event for every active webhook of the election subscribed to it.
+// Never throws: a webhook problem must not fail the change that caused it.
+async function emitWebhookEvent(event, electionId, data) {
+  try {
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select('id, events')
+      .eq('election_id', electionId)
+      .eq('active', true);
+    if (error) throw error;
+
+    const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+    if (subscribed.length > 0) await queueDeliveries(subscribed, event, electionId, data);
+  } catch (error) {
+    console.error(`Error queueing "${event}" webhooks:`, error.message);
+  }
+}
+
+// Queue a 'ping' to one webhook, whatever its events
+async function sendTestEvent(id, actor, { electionId }) {
+  const webhook = await getWebhook(id, electionId);
+  const [delivery] = await queueDeliveries([webhook], 'ping', electionId, {
+    webhook_id: webhook.id,
+    sent_by: actorName(actor)
+  });
+  return delivery;
+}
+
+// Send a failed (or pending) delivery again, with a fresh attempt budget
+async function retryDelivery(id, { electionId }) {
+  const { data: delivery, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook:webhooks(election_id)')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!delivery || delivery.webhook.election_id !== electionId) {
+    throw new HttpError(404, 'Delivery not found');
+  }
+  if (delivery.status === 'delivered') throw new HttpError(409, 'Delivery has already been delivered');
+
+  const { data, error: updateError } = await supabase
+    .from('webhook_deliveries')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('id', delivery.id)
+    .select()
+    .single();
+  if (updateError) throw updateError;
+
+  schedule(0);
+  return data;
+}
+
+// Resume deliveries left over from before the restart and sweep for ones
+// queued by other processes
+function startWebhookDeliveries() {
+  schedule(0);
+  setInterval(deliverWebhooks, SWEEP_MS).unref();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  parseWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  signDelivery,
+  emitWebhookEvent,
+  sendTestEvent,
+  retryDelivery,
+  deliverWebhooks,
+  startWebhookDeliveries
+};
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+require('dotenv').config();
+const { EXIT, CliError, createReporter } = require('./lib/cli');
+
+// Data maintenance commands. Shared flags:
+//   --dry-run   plan and report only, write nothing
+//   --yes       skip confirmation prompts (required without a terminal)
+//   --json      print the final report as JSON on stdout
+//   --election  election id to work on (default: the default election)
+const COMMANDS = {
+  'register-numbers': require('./commands/registerNumbers'),
+  import: require('./commands/importSpreadsheet'),
+  duplicates: require('./commands/duplicates')
+};
+
+const OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  yes: { type: 'boolean', short: 'y', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  election: { type: 'string' },
+  config: { type: 'string' },
+  save: { type: 'boolean', default: false },
+  'min-score': { type: 'string' },
+  'merge-above': { type: 'string' }
+};
+
+function usage() {
+  return [
+    'Usage: node maintenance.js <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(command => `  ${command.usage}`),
+    '',
+    'Options:',
+    '  --dry-run   Plan and report only; write nothing',
+    '  --yes, -y   Do not ask for confirmation',
+    '  --json      Print the final report as JSON',
+    '  --election  Election id (default: DEFAULT_ELECTION_ID or the latest active election)',
+    '',
+    'Exit codes: 0 ok, 1 error, 2 usage, 3 cancelled, 4 finished with items needing attention'
+  ].join('\n');
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage()}`);
+    return EXIT.USAGE;
+  }
+
+  const [name, ...args] = parsed.positionals;
+  const options = parsed.values;
+  if (options.help || !name) {
+    console.log(usage());
+    return options.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}"\n\n${usage()}`);
+    return EXIT.USAGE;
+  }
+
+  const reporter = createReporter(options);
+  try {
+    return await command.run(args, options, reporter);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ command: name, error: error.message }, null, 2)}\n`);
+    }
+    if (error instanceof CliError) return error.exitCode;
+    return error.status === 400 ? EXIT.USAGE : EXIT.ERROR;
+  }
+}
+
+main().then(code => process.exit(code));
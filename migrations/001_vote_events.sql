@@ -0,0 +1,29 @@
+-- Append-only log of every vote / unvote action
+create table if not exists vote_events (
+  id bigint generated always as identity primary key,
+  voter_id bigint not null references voters(id),
+  action text not null check (action in ('vote', 'unvote')),
+  created_at timestamptz not null default now(),
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  client_ip text,
+  user_agent text,
+  reason text
+);
+
+create index if not exists vote_events_voter_id_idx on vote_events (voter_id, created_at);
+create index if not exists vote_events_created_at_idx on vote_events (created_at);
+create index if not exists vote_events_actor_id_idx on vote_events (actor_id);
+
+-- Events can be added but never changed or removed
+create or replace function vote_events_append_only() returns trigger as $$
+begin
+  raise exception 'vote_events is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists vote_events_no_update on vote_events;
+create trigger vote_events_no_update
+  before update or delete on vote_events
+  for each row execute function vote_events_append_only();
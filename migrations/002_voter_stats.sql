@@ -0,0 +1,48 @@
+-- Turnout totals and breakdowns computed in one pass over the filtered voters,
+-- so every breakdown adds up to the total. Filters mirror GET /api/voters.
+create or replace function voter_stats(
+  p_search text default null,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      coalesce(nullif(religion, ''), 'غير محدد') as religion,
+      coalesce(nullif(classification, ''), 'غير محدد') as classification,
+      coalesce(nullif(family, ''), 'غير محدد') as family
+    from voters
+    where (p_search is null
+        or full_name ilike '%' || p_search || '%'
+        or family_name ilike '%' || p_search || '%'
+        or father_name ilike '%' || p_search || '%')
+      and (p_religion is null or religion = p_religion)
+      and (p_voted is null or coalesce(has_voted, false) = p_voted)
+      and (p_register_number is null
+        or register_number ilike '%' || p_register_number || '%'
+        or register_number_clean ilike '%' || p_register_number || '%')
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family)
+  );
+$$;
@@ -0,0 +1,104 @@
+-- Voters matching the GET /api/voters filters. Shared by the aggregate
+-- functions so they all count the same rows.
+create or replace function filtered_voters(
+  p_search text default null,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where (p_search is null
+      or full_name ilike '%' || p_search || '%'
+      or family_name ilike '%' || p_search || '%'
+      or father_name ilike '%' || p_search || '%')
+    and (p_religion is null or religion = p_religion)
+    and (p_voted is null or coalesce(has_voted, false) = p_voted)
+    and (p_register_number is null
+      or register_number ilike '%' || p_register_number || '%'
+      or register_number_clean ilike '%' || p_register_number || '%');
+$$;
+
+-- Label used for voters with no value in a breakdown field
+create or replace function breakdown_key(p_value text) returns text
+language sql
+immutable
+as $$
+  select coalesce(nullif(p_value, ''), 'غير محدد');
+$$;
+
+create or replace function voter_stats(
+  p_search text default null,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      breakdown_key(religion) as religion,
+      breakdown_key(classification) as classification,
+      breakdown_key(family) as family
+    from filtered_voters(p_search, p_religion, p_voted, p_register_number)
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family)
+  );
+$$;
+
+-- Votes per time bucket, optionally split by religion, family or
+-- classification. Returned as one JSON array so PostgREST's row cap does not
+-- truncate long days with many groups.
+create or replace function voter_timeline(
+  p_bucket_minutes int,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_group_by text default null,
+  p_search text default null,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  with buckets as (
+    select
+      date_bin(make_interval(mins => p_bucket_minutes), voted_at, p_from) as bucket,
+      case p_group_by
+        when 'religion' then breakdown_key(religion)
+        when 'family' then breakdown_key(family)
+        when 'classification' then breakdown_key(classification)
+      end as group_key,
+      count(*) as votes
+    from filtered_voters(p_search, p_religion, p_voted, p_register_number)
+    where has_voted
+      and voted_at >= p_from
+      and voted_at < p_to
+    group by 1, 2
+  )
+  select coalesce(json_agg(json_build_object('bucket', bucket, 'group', group_key, 'votes', votes) order by bucket), '[]'::json)
+  from buckets;
+$$;
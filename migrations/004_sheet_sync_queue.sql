@@ -0,0 +1,9 @@
+-- Pending Google Sheets writes, one row per voter (latest state wins), so
+-- unsent changes survive a restart
+create table if not exists sheet_sync_queue (
+  original_id bigint primary key,
+  voted boolean not null,
+  queued_at timestamptz not null default now(),
+  attempts int not null default 0,
+  last_error text
+);
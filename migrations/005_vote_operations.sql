@@ -0,0 +1,22 @@
+-- Client-side time of the action (differs from created_at for batches
+-- replayed after a connection loss)
+alter table vote_events add column if not exists occurred_at timestamptz;
+update vote_events set occurred_at = created_at where occurred_at is null;
+alter table vote_events alter column occurred_at set not null;
+alter table vote_events alter column occurred_at set default now();
+
+create index if not exists vote_events_voter_occurred_idx on vote_events (voter_id, occurred_at desc);
+
+-- Results of batch operations, keyed by the client's idempotency key, so a
+-- replayed operation returns its first result instead of applying twice
+create table if not exists vote_operations (
+  idempotency_key text primary key,
+  voter_id bigint,
+  action text not null,
+  client_timestamp timestamptz,
+  status text not null default 'processing',
+  result jsonb,
+  actor_id uuid,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
@@ -0,0 +1,3 @@
+-- Incremented on every vote / unvote; clients send it back as a
+-- precondition so concurrent changes to the same voter are detected
+alter table voters add column if not exists vote_version int not null default 0;
@@ -0,0 +1,113 @@
+-- Arabic-aware, typo-tolerant name search
+create extension if not exists pg_trgm;
+
+-- Strip harakat, superscript alef and tatweel, and fold letter variants
+-- (أ/إ/آ/ٱ -> ا, ى/ی/ئ -> ي, ة -> ه, ؤ -> و, ک -> ك). Mirrors lib/arabic.js.
+create or replace function normalize_arabic(p_text text) returns text
+language sql
+immutable
+parallel safe
+as $$
+  select btrim(regexp_replace(
+    translate(
+      regexp_replace(lower(coalesce(p_text, '')), '[\u064B-\u065F\u0670\u0640]', '', 'g'),
+      'أإآٱىیئةؤک',
+      'اااايييهوك'
+    ),
+    '\s+', ' ', 'g'
+  ));
+$$;
+
+-- Normalized "first father family" text searched by every name query
+alter table voters add column if not exists search_name text
+  generated always as (normalize_arabic(concat_ws(' ', full_name, father_name, family_name))) stored;
+
+create index if not exists voters_search_name_trgm_idx on voters using gin (search_name gin_trgm_ops);
+
+-- Every token of the query must appear in the name, exactly or (for tokens
+-- of three letters or more) as a close trigram match
+create or replace function voter_matches_search(p_search_name text, p_search text) returns boolean
+language sql
+stable
+as $$
+  select p_search is null
+    or normalize_arabic(p_search) = ''
+    or not exists (
+      select 1
+      from unnest(string_to_array(normalize_arabic(p_search), ' ')) as t(token)
+      where not (
+        strpos(p_search_name, t.token) > 0
+        or (length(t.token) >= 3 and t.token <% p_search_name)
+      )
+    );
+$$;
+
+-- Relevance: closeness of each token to the whole name, a bonus for exact
+-- substrings, and a bonus when tokens line up with first / father / family
+create or replace function voter_search_rank(v voters, p_search text) returns real
+language sql
+stable
+as $$
+  select coalesce(sum(
+    word_similarity(t.token, v.search_name)
+    + case when strpos(v.search_name, t.token) > 0 then 0.5 else 0 end
+    + 0.5 * coalesce(word_similarity(t.token, normalize_arabic(
+        case t.pos
+          when 1 then v.full_name
+          when 2 then v.father_name
+          when 3 then v.family_name
+        end
+      )), 0)
+  ), 0)::real
+  from unnest(string_to_array(normalize_arabic(p_search), ' ')) with ordinality as t(token, pos);
+$$;
+
+create or replace function filtered_voters(
+  p_search text default null,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where voter_matches_search(search_name, p_search)
+    and (p_religion is null or religion = p_religion)
+    and (p_voted is null or coalesce(has_voted, false) = p_voted)
+    and (p_register_number is null
+      or register_number ilike '%' || p_register_number || '%'
+      or register_number_clean ilike '%' || p_register_number || '%');
+$$;
+
+-- One page of matching voters ordered by relevance, with the total count
+create or replace function search_voters(
+  p_search text,
+  p_religion text default null,
+  p_voted boolean default null,
+  p_register_number text default null,
+  p_limit int default 50,
+  p_offset int default 0
+) returns json
+language sql
+stable
+as $$
+  with matches as (
+    select v as voter, voter_search_rank(v, p_search) as rank
+    from filtered_voters(p_search, p_religion, p_voted, p_register_number) v
+  ),
+  page as (
+    select voter, rank
+    from matches
+    order by rank desc, (voter).original_id
+    limit p_limit offset p_offset
+  )
+  select json_build_object(
+    'total', (select count(*) from matches),
+    'data', coalesce(
+      (select json_agg(to_jsonb(voter) || jsonb_build_object('search_rank', rank) order by rank desc, (voter).original_id) from page),
+      '[]'::json
+    )
+  );
+$$;
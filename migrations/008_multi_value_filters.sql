@@ -0,0 +1,135 @@
+-- Multi-value religion / family / classification filters. 'غير محدد' in a
+-- list matches voters with no value. Register number matching is literal.
+drop function if exists filtered_voters(text, text, boolean, text);
+drop function if exists voter_stats(text, text, boolean, text);
+drop function if exists voter_timeline(int, timestamptz, timestamptz, text, text, text, boolean, text);
+drop function if exists search_voters(text, text, boolean, text, int, int);
+
+create or replace function filtered_voters(
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where voter_matches_search(search_name, p_search)
+    and (p_religions is null or breakdown_key(religion) = any(p_religions))
+    and (p_families is null or breakdown_key(family) = any(p_families))
+    and (p_classifications is null or breakdown_key(classification) = any(p_classifications))
+    and (p_voted is null or coalesce(has_voted, false) = p_voted)
+    and (p_register_number is null
+      or strpos(lower(register_number), lower(p_register_number)) > 0
+      or strpos(lower(register_number_clean), lower(p_register_number)) > 0);
+$$;
+
+create or replace function voter_stats(
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      breakdown_key(religion) as religion,
+      breakdown_key(classification) as classification,
+      breakdown_key(family) as family
+    from filtered_voters(p_search, p_religions, p_families, p_classifications, p_voted, p_register_number)
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family)
+  );
+$$;
+
+create or replace function voter_timeline(
+  p_bucket_minutes int,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_group_by text default null,
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  with buckets as (
+    select
+      date_bin(make_interval(mins => p_bucket_minutes), voted_at, p_from) as bucket,
+      case p_group_by
+        when 'religion' then breakdown_key(religion)
+        when 'family' then breakdown_key(family)
+        when 'classification' then breakdown_key(classification)
+      end as group_key,
+      count(*) as votes
+    from filtered_voters(p_search, p_religions, p_families, p_classifications, p_voted, p_register_number)
+    where has_voted
+      and voted_at >= p_from
+      and voted_at < p_to
+    group by 1, 2
+  )
+  select coalesce(json_agg(json_build_object('bucket', bucket, 'group', group_key, 'votes', votes) order by bucket), '[]'::json)
+  from buckets;
+$$;
+
+create or replace function search_voters(
+  p_search text,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null,
+  p_limit int default 50,
+  p_offset int default 0
+) returns json
+language sql
+stable
+as $$
+  with matches as (
+    select v as voter, voter_search_rank(v, p_search) as rank
+    from filtered_voters(p_search, p_religions, p_families, p_classifications, p_voted, p_register_number) v
+  ),
+  page as (
+    select voter, rank
+    from matches
+    order by rank desc, (voter).original_id
+    limit p_limit offset p_offset
+  )
+  select json_build_object(
+    'total', (select count(*) from matches),
+    'data', coalesce(
+      (select json_agg(to_jsonb(voter) || jsonb_build_object('search_rank', rank) order by rank desc, (voter).original_id) from page),
+      '[]'::json
+    )
+  );
+$$;
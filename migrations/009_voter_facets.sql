@@ -0,0 +1,60 @@
+-- '--' is a placeholder in the imported data; count it with empty values
+create or replace function breakdown_key(p_value text) returns text
+language sql
+immutable
+as $$
+  select case
+    when p_value is null or btrim(p_value) in ('', '--') then 'غير محدد'
+    else p_value
+  end;
+$$;
+
+-- Distinct values with total and voted counts for each filter. Each facet
+-- applies every active filter except its own, so the panel shows what
+-- selecting another value would give.
+create or replace function voter_facets(
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns json
+language sql
+stable
+as $$
+  select json_build_object(
+    'religion', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(religion) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_search, null, p_families, p_classifications, p_voted, p_register_number)
+        group by 1
+      ) g
+    ),
+    'family', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(family) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_search, p_religions, null, p_classifications, p_voted, p_register_number)
+        group by 1
+      ) g
+    ),
+    'classification', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(classification) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_search, p_religions, p_families, null, p_voted, p_register_number)
+        group by 1
+      ) g
+    ),
+    'voted', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by value desc), '[]'::json)
+      from (
+        select coalesce(has_voted, false) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_search, p_religions, p_families, p_classifications, null, p_register_number)
+        group by 1
+      ) g
+    )
+  );
+$$;
@@ -0,0 +1,66 @@
+-- Saved spreadsheet imports: one run per uploaded file, with every planned
+-- field change so a run can be reviewed, applied and rolled back
+create table if not exists import_runs (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  source_name text,
+  config jsonb not null,
+  status text not null default 'planned' check (status in ('planned', 'applied', 'rolled_back')),
+  summary jsonb not null default '{}'::jsonb,
+  unmatched jsonb not null default '[]'::jsonb,
+  actor_id uuid,
+  actor_email text,
+  applied_at timestamptz,
+  applied_by text,
+  rolled_back_at timestamptz,
+  rolled_back_by text
+);
+
+create table if not exists import_changes (
+  id bigint generated always as identity primary key,
+  import_id bigint not null references import_runs(id) on delete cascade,
+  voter_id bigint not null references voters(id),
+  field text not null,
+  old_value text,
+  new_value text,
+  applied boolean not null default false
+);
+
+create index if not exists import_changes_import_id_idx on import_changes (import_id);
+
+-- Apply field changes only where the current value still equals "from".
+-- p_changes: [{ "id": 1, "field": "family", "from": "old", "to": "new" }]
+-- Returns the changes that were applied as [{ "id", "field" }].
+create or replace function apply_voter_changes(p_changes jsonb) returns jsonb
+language plpgsql
+as $$
+declare
+  v_field text;
+  v_applied jsonb;
+  v_result jsonb := '[]'::jsonb;
+begin
+  foreach v_field in array array['full_name', 'father_name', 'family_name', 'religion', 'family', 'classification', 'register_number'] loop
+    execute format($sql$
+      with c as (
+        select (e->>'id')::bigint as id, e->>'from' as old_value, e->>'to' as new_value
+        from jsonb_array_elements($1) e
+        where e->>'field' = %L
+      ),
+      upd as (
+        update voters v
+        set %I = c.new_value
+        from c
+        where v.id = c.id and v.%I is not distinct from c.old_value
+        returning v.id
+      )
+      select coalesce(jsonb_agg(jsonb_build_object('id', id, 'field', %L)), '[]'::jsonb) from upd
+    $sql$, v_field, v_field, v_field, v_field)
+    into v_applied
+    using p_changes;
+
+    v_result := v_result || v_applied;
+  end loop;
+
+  return v_result;
+end;
+$$;
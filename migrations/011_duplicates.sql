@@ -0,0 +1,59 @@
+-- A merged duplicate points at the record it was merged into and is hidden
+-- from lists and stats
+alter table voters add column if not exists merged_into bigint references voters(id);
+
+create index if not exists voters_merged_into_idx on voters (merged_into);
+
+create or replace function filtered_voters(
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and voter_matches_search(search_name, p_search)
+    and (p_religions is null or breakdown_key(religion) = any(p_religions))
+    and (p_families is null or breakdown_key(family) = any(p_families))
+    and (p_classifications is null or breakdown_key(classification) = any(p_classifications))
+    and (p_voted is null or coalesce(has_voted, false) = p_voted)
+    and (p_register_number is null
+      or strpos(lower(register_number), lower(p_register_number)) > 0
+      or strpos(lower(register_number_clean), lower(p_register_number)) > 0);
+$$;
+
+-- Scored duplicate pairs waiting for review (voter_a < voter_b)
+create table if not exists duplicate_candidates (
+  id bigint generated always as identity primary key,
+  voter_a bigint not null references voters(id),
+  voter_b bigint not null references voters(id),
+  score int not null,
+  reasons jsonb not null default '[]'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'merged', 'dismissed')),
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz,
+  reviewed_by text,
+  unique (voter_a, voter_b),
+  check (voter_a < voter_b)
+);
+
+-- Every merge with both records as they were, so it can be undone
+create table if not exists voter_merges (
+  id bigint generated always as identity primary key,
+  candidate_id bigint references duplicate_candidates(id),
+  survivor_id bigint not null references voters(id),
+  merged_id bigint not null references voters(id),
+  survivor_before jsonb not null,
+  merged_before jsonb not null,
+  vote_transferred boolean not null default false,
+  merged_at timestamptz not null default now(),
+  merged_by text,
+  undone_at timestamptz,
+  undone_by text
+);
@@ -0,0 +1,72 @@
+-- register_number_clean is always derived from register_number: Arabic-Indic
+-- digits to ASCII, whitespace removed, leading zeros dropped. Mirrors
+-- cleanRegisterNumber() in lib/registerNumber.js.
+create or replace function normalize_register_number(p_value text) returns text
+language sql
+immutable
+as $$
+  select nullif(regexp_replace(regexp_replace(
+    translate(coalesce(p_value, ''), '٠١٢٣٤٥٦٧٨٩۰۱۲۳۴۵۶۷۸۹', '01234567890123456789'),
+    '\s', '', 'g'),
+    '^0+(?=\d)', ''), '');
+$$;
+
+-- Derive the clean value on every write, and refuse a register number that
+-- another active voter already holds. Existing collisions are left alone
+-- until someone changes the number (see GET /api/register-numbers/conflicts).
+create or replace function voters_register_number() returns trigger as $$
+begin
+  new.register_number_clean := normalize_register_number(new.register_number);
+
+  if new.register_number_clean is not null
+    and new.merged_into is null
+    and (tg_op = 'INSERT' or new.register_number is distinct from old.register_number)
+    and exists (
+      select 1 from voters
+      where register_number_clean = new.register_number_clean
+        and merged_into is null
+        and id <> new.id
+    ) then
+    raise exception 'Register number % already belongs to another voter', new.register_number_clean
+      using errcode = 'unique_violation';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists voters_register_number on voters;
+create trigger voters_register_number
+  before insert or update on voters
+  for each row execute function voters_register_number();
+
+-- Backfill without tripping the duplicate check (register_number unchanged)
+update voters
+set register_number_clean = normalize_register_number(register_number)
+where register_number_clean is distinct from normalize_register_number(register_number);
+
+create index if not exists voters_register_number_clean_idx on voters (register_number_clean);
+
+create or replace function filtered_voters(
+  p_search text default null,
+  p_religions text[] default null,
+  p_families text[] default null,
+  p_classifications text[] default null,
+  p_voted boolean default null,
+  p_register_number text default null
+) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and voter_matches_search(search_name, p_search)
+    and (p_religions is null or breakdown_key(religion) = any(p_religions))
+    and (p_families is null or breakdown_key(family) = any(p_families))
+    and (p_classifications is null or breakdown_key(classification) = any(p_classifications))
+    and (p_voted is null or coalesce(has_voted, false) = p_voted)
+    and (p_register_number is null
+      or strpos(lower(register_number), lower(p_register_number)) > 0
+      or strpos(register_number_clean, normalize_register_number(p_register_number)) > 0);
+$$;
@@ -0,0 +1,211 @@
+-- Soft delete for voter records, and a before / after log of every edit
+alter table voters add column if not exists deleted_at timestamptz;
+alter table voters add column if not exists deleted_by text;
+alter table voters add column if not exists delete_reason text;
+
+create index if not exists voters_deleted_at_idx on voters (deleted_at);
+
+create table if not exists voter_changes (
+  id bigint generated always as identity primary key,
+  voter_id bigint not null references voters(id),
+  action text not null check (action in ('create', 'update', 'delete', 'restore')),
+  before jsonb,
+  after jsonb,
+  fields text[] not null default '{}',
+  reason text,
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  client_ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists voter_changes_voter_id_idx on voter_changes (voter_id, created_at);
+
+-- Deleted voters no longer hold their register number
+create or replace function voters_register_number() returns trigger as $$
+begin
+  new.register_number_clean := normalize_register_number(new.register_number);
+
+  if new.register_number_clean is not null
+    and new.merged_into is null
+    and new.deleted_at is null
+    and (tg_op = 'INSERT' or new.register_number is distinct from old.register_number)
+    and exists (
+      select 1 from voters
+      where register_number_clean = new.register_number_clean
+        and merged_into is null
+        and deleted_at is null
+        and id <> new.id
+    ) then
+    raise exception 'Register number % already belongs to another voter', new.register_number_clean
+      using errcode = 'unique_violation';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+-- From here on the aggregate functions take the filters as one jsonb object
+-- (built by toRpcParams() in lib/filters.js), so adding a filter only
+-- changes filtered_voters(). Keys: search, religions, families,
+-- classifications, voted, register_number, include_deleted. Absent keys
+-- mean "no filter".
+drop function if exists filtered_voters(text, text[], text[], text[], boolean, text);
+drop function if exists voter_stats(text, text[], text[], text[], boolean, text);
+drop function if exists voter_timeline(int, timestamptz, timestamptz, text, text, text[], text[], text[], boolean, text);
+drop function if exists search_voters(text, text[], text[], text[], boolean, text, int, int);
+drop function if exists voter_facets(text, text[], text[], text[], boolean, text);
+
+create or replace function filtered_voters(p_filters jsonb default '{}'::jsonb) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and (deleted_at is null or coalesce((p_filters->>'include_deleted')::boolean, false))
+    and voter_matches_search(search_name, p_filters->>'search')
+    and (p_filters->'religions' is null
+      or breakdown_key(religion) in (select jsonb_array_elements_text(p_filters->'religions')))
+    and (p_filters->'families' is null
+      or breakdown_key(family) in (select jsonb_array_elements_text(p_filters->'families')))
+    and (p_filters->'classifications' is null
+      or breakdown_key(classification) in (select jsonb_array_elements_text(p_filters->'classifications')))
+    and (p_filters->'voted' is null
+      or coalesce(has_voted, false) = (p_filters->>'voted')::boolean)
+    and (p_filters->>'register_number' is null
+      or strpos(lower(register_number), lower(p_filters->>'register_number')) > 0
+      or strpos(register_number_clean, normalize_register_number(p_filters->>'register_number')) > 0);
+$$;
+
+create or replace function voter_stats(p_filters jsonb default '{}'::jsonb) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      breakdown_key(religion) as religion,
+      breakdown_key(classification) as classification,
+      breakdown_key(family) as family
+    from filtered_voters(p_filters)
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family)
+  );
+$$;
+
+create or replace function voter_timeline(
+  p_bucket_minutes int,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_group_by text default null,
+  p_filters jsonb default '{}'::jsonb
+) returns json
+language sql
+stable
+as $$
+  with buckets as (
+    select
+      date_bin(make_interval(mins => p_bucket_minutes), voted_at, p_from) as bucket,
+      case p_group_by
+        when 'religion' then breakdown_key(religion)
+        when 'family' then breakdown_key(family)
+        when 'classification' then breakdown_key(classification)
+      end as group_key,
+      count(*) as votes
+    from filtered_voters(p_filters)
+    where has_voted
+      and voted_at >= p_from
+      and voted_at < p_to
+    group by 1, 2
+  )
+  select coalesce(json_agg(json_build_object('bucket', bucket, 'group', group_key, 'votes', votes) order by bucket), '[]'::json)
+  from buckets;
+$$;
+
+create or replace function search_voters(
+  p_filters jsonb,
+  p_limit int default 50,
+  p_offset int default 0
+) returns json
+language sql
+stable
+as $$
+  with matches as (
+    select v as voter, voter_search_rank(v, p_filters->>'search') as rank
+    from filtered_voters(p_filters) v
+  ),
+  page as (
+    select voter, rank
+    from matches
+    order by rank desc, (voter).original_id
+    limit p_limit offset p_offset
+  )
+  select json_build_object(
+    'total', (select count(*) from matches),
+    'data', coalesce(
+      (select json_agg(to_jsonb(voter) || jsonb_build_object('search_rank', rank) order by rank desc, (voter).original_id) from page),
+      '[]'::json
+    )
+  );
+$$;
+
+-- Each facet drops its own filter key and keeps the rest
+create or replace function voter_facets(p_filters jsonb default '{}'::jsonb) returns json
+language sql
+stable
+as $$
+  select json_build_object(
+    'religion', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(religion) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_filters - 'religions')
+        group by 1
+      ) g
+    ),
+    'family', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(family) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_filters - 'families')
+        group by 1
+      ) g
+    ),
+    'classification', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by total desc, value), '[]'::json)
+      from (
+        select breakdown_key(classification) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_filters - 'classifications')
+        group by 1
+      ) g
+    ),
+    'voted', (
+      select coalesce(json_agg(json_build_object('value', value, 'total', total, 'voted', voted) order by value desc), '[]'::json)
+      from (
+        select coalesce(has_voted, false) as value, count(*) as total, count(*) filter (where has_voted) as voted
+        from filtered_voters(p_filters - 'voted')
+        group by 1
+      ) g
+    )
+  );
+$$;
@@ -0,0 +1,80 @@
+-- People to call for each family during get-out-the-vote work. A contact is
+-- usually one of the family's voters, but may be someone outside the list.
+create table if not exists family_contacts (
+  id bigint generated always as identity primary key,
+  family text not null,
+  voter_id bigint references voters(id),
+  name text,
+  phone text,
+  note text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  check (voter_id is not null or name is not null)
+);
+
+create index if not exists family_contacts_family_idx on family_contacts (family);
+
+-- Turnout per family for the voters matching p_filters, sorted and paged.
+-- p_sort: family, total, voted, remaining or turnout.
+create or replace function family_turnout(
+  p_filters jsonb default '{}'::jsonb,
+  p_sort text default 'total',
+  p_ascending boolean default false,
+  p_limit int default 50,
+  p_offset int default 0
+) returns json
+language sql
+stable
+as $$
+  with families as (
+    select
+      breakdown_key(family) as family,
+      count(*) as total,
+      count(*) filter (where has_voted) as voted
+    from filtered_voters(p_filters)
+    group by 1
+  ),
+  measured as (
+    select
+      family,
+      total,
+      voted,
+      total - voted as remaining,
+      round(voted * 100.0 / total, 1) as turnout
+    from families
+  ),
+  ordered as (
+    select
+      measured.*,
+      row_number() over (
+        order by
+          case when p_sort = 'family' and p_ascending then family end asc,
+          case when p_sort = 'family' and not p_ascending then family end desc,
+          case when p_sort <> 'family' then
+            (case p_sort
+              when 'voted' then voted
+              when 'remaining' then remaining
+              when 'turnout' then turnout
+              else total
+            end) * (case when p_ascending then 1 else -1 end)
+          end,
+          family
+      ) as position
+    from measured
+  )
+  select json_build_object(
+    'total', (select count(*) from ordered),
+    'data', coalesce(
+      (select json_agg(json_build_object(
+          'family', family,
+          'total', total,
+          'voted', voted,
+          'remaining', remaining,
+          'turnout', turnout
+        ) order by position)
+       from ordered
+       where position > p_offset and position <= p_offset + p_limit),
+      '[]'::json
+    )
+  );
+$$;
@@ -0,0 +1,185 @@
+-- Where each voter votes: a polling station holds ballot boxes, and every
+-- voter is assigned to one box by the rules below
+create table if not exists polling_stations (
+  id bigint generated always as identity primary key,
+  name text not null unique,
+  location text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ballot_boxes (
+  id bigint generated always as identity primary key,
+  station_id bigint not null references polling_stations(id),
+  name text not null,
+  created_at timestamptz not null default now(),
+  unique (station_id, name)
+);
+
+-- Assignment rules. Every condition that is set must match; the rule with
+-- the lowest priority wins. religion / family / classification compare with
+-- breakdown_key(), the register range with the cleaned register number.
+create table if not exists ballot_box_rules (
+  id bigint generated always as identity primary key,
+  ballot_box_id bigint not null references ballot_boxes(id),
+  priority int not null default 100,
+  religion text,
+  family text,
+  classification text,
+  register_from bigint,
+  register_to bigint,
+  created_at timestamptz not null default now(),
+  check (religion is not null or family is not null or classification is not null
+    or register_from is not null or register_to is not null),
+  check (register_from is null or register_to is null or register_from <= register_to)
+);
+
+alter table voters add column if not exists ballot_box_id bigint references ballot_boxes(id);
+alter table voters add column if not exists polling_station_id bigint references polling_stations(id);
+create index if not exists voters_polling_station_id_idx on voters (polling_station_id);
+create index if not exists voters_ballot_box_id_idx on voters (ballot_box_id);
+
+-- Station the vote was recorded at: the delegate's station, or the voter's
+-- own station when an admin records it
+alter table vote_events add column if not exists station_id bigint references polling_stations(id);
+create index if not exists vote_events_station_id_idx on vote_events (station_id, occurred_at);
+
+-- Box the rules give a voter, or null when no rule matches
+create or replace function voter_ballot_box(v voters) returns bigint
+language sql
+stable
+as $$
+  select r.ballot_box_id
+  from ballot_box_rules r
+  cross join lateral (
+    select case when v.register_number_clean ~ '^\d{1,18}$' then v.register_number_clean::bigint end as register
+  ) n
+  where (r.religion is null or breakdown_key(v.religion) = r.religion)
+    and (r.family is null or breakdown_key(v.family) = r.family)
+    and (r.classification is null or breakdown_key(v.classification) = r.classification)
+    and (r.register_from is null or n.register >= r.register_from)
+    and (r.register_to is null or n.register <= r.register_to)
+  order by r.priority, r.id
+  limit 1;
+$$;
+
+-- polling_station_id always follows ballot_box_id; new voters get a box
+-- from the rules
+create or replace function voters_ballot_box() returns trigger as $$
+begin
+  if tg_op = 'INSERT' and new.ballot_box_id is null then
+    new.ballot_box_id := voter_ballot_box(new);
+  end if;
+  if tg_op = 'INSERT' or new.ballot_box_id is distinct from old.ballot_box_id then
+    new.polling_station_id := (select station_id from ballot_boxes where id = new.ballot_box_id);
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists voters_ballot_box on voters;
+create trigger voters_ballot_box
+  before insert or update on voters
+  for each row execute function voters_ballot_box();
+
+-- Apply the rules to every active voter. With p_dry_run nothing is written.
+-- Returns { voters, assigned, unassigned, changed, byBox }.
+create or replace function assign_ballot_boxes(p_dry_run boolean default true) returns json
+language plpgsql
+as $$
+declare
+  result json;
+begin
+  with planned as (
+    select id, ballot_box_id as current_box, voter_ballot_box(v) as new_box
+    from voters v
+    where merged_into is null and deleted_at is null
+  )
+  select json_build_object(
+    'voters', (select count(*) from planned),
+    'assigned', (select count(*) from planned where new_box is not null),
+    'unassigned', (select count(*) from planned where new_box is null),
+    'changed', (select count(*) from planned where new_box is distinct from current_box),
+    'byBox', (
+      select coalesce(json_object_agg(coalesce(new_box::text, 'غير محدد'), total), '{}'::json)
+      from (select new_box, count(*) as total from planned group by 1) g
+    )
+  ) into result;
+
+  if not p_dry_run then
+    update voters v
+    set ballot_box_id = voter_ballot_box(v)
+    where merged_into is null
+      and deleted_at is null
+      and ballot_box_id is distinct from voter_ballot_box(v);
+  end if;
+
+  return result;
+end;
+$$;
+
+-- New filter keys: stations and ballot_boxes (arrays of ids)
+create or replace function filtered_voters(p_filters jsonb default '{}'::jsonb) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and (deleted_at is null or coalesce((p_filters->>'include_deleted')::boolean, false))
+    and voter_matches_search(search_name, p_filters->>'search')
+    and (p_filters->'religions' is null
+      or breakdown_key(religion) in (select jsonb_array_elements_text(p_filters->'religions')))
+    and (p_filters->'families' is null
+      or breakdown_key(family) in (select jsonb_array_elements_text(p_filters->'families')))
+    and (p_filters->'classifications' is null
+      or breakdown_key(classification) in (select jsonb_array_elements_text(p_filters->'classifications')))
+    and (p_filters->'stations' is null
+      or polling_station_id in (select jsonb_array_elements_text(p_filters->'stations')::bigint))
+    and (p_filters->'ballot_boxes' is null
+      or ballot_box_id in (select jsonb_array_elements_text(p_filters->'ballot_boxes')::bigint))
+    and (p_filters->'voted' is null
+      or coalesce(has_voted, false) = (p_filters->>'voted')::boolean)
+    and (p_filters->>'register_number' is null
+      or strpos(lower(register_number), lower(p_filters->>'register_number')) > 0
+      or strpos(register_number_clean, normalize_register_number(p_filters->>'register_number')) > 0);
+$$;
+
+-- byStation is keyed by station id, 'غير محدد' for unassigned voters
+create or replace function voter_stats(p_filters jsonb default '{}'::jsonb) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      breakdown_key(religion) as religion,
+      breakdown_key(classification) as classification,
+      breakdown_key(family) as family,
+      coalesce(polling_station_id::text, 'غير محدد') as station
+    from filtered_voters(p_filters)
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  ),
+  by_station as (
+    select station as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by station
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family),
+    'byStation', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_station)
+  );
+$$;
@@ -0,0 +1,116 @@
+-- Volunteers who canvass voters and work the call lists. user_id links a
+-- volunteer to a login when they have one.
+create table if not exists volunteers (
+  id bigint generated always as identity primary key,
+  name text not null,
+  phone text,
+  user_id uuid,
+  station_id bigint references polling_stations(id),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Canvassing state on the voter: the latest pledge, the volunteer who owns
+-- the contact and the next follow-up
+alter table voters add column if not exists pledge_status text
+  check (pledge_status in ('supporter', 'leaning', 'undecided', 'opposed'));
+alter table voters add column if not exists canvass_volunteer_id bigint references volunteers(id);
+alter table voters add column if not exists follow_up_on date;
+create index if not exists voters_pledge_status_idx on voters (pledge_status);
+create index if not exists voters_follow_up_on_idx on voters (follow_up_on) where follow_up_on is not null;
+
+-- Every contact attempt, and every direct change to the canvassing state
+-- (method is null for those)
+create table if not exists canvass_contacts (
+  id bigint generated always as identity primary key,
+  voter_id bigint not null references voters(id),
+  volunteer_id bigint references volunteers(id),
+  method text check (method in ('call', 'visit', 'message', 'other')),
+  outcome text check (outcome in ('reached', 'no_answer', 'wrong_number', 'refused', 'other')),
+  pledge_status text check (pledge_status in ('supporter', 'leaning', 'undecided', 'opposed')),
+  follow_up_on date,
+  note text,
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  client_ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists canvass_contacts_voter_id_idx on canvass_contacts (voter_id, created_at);
+
+-- New filter key: pledge_statuses ('غير محدد' = not canvassed)
+create or replace function filtered_voters(p_filters jsonb default '{}'::jsonb) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and (deleted_at is null or coalesce((p_filters->>'include_deleted')::boolean, false))
+    and voter_matches_search(search_name, p_filters->>'search')
+    and (p_filters->'religions' is null
+      or breakdown_key(religion) in (select jsonb_array_elements_text(p_filters->'religions')))
+    and (p_filters->'families' is null
+      or breakdown_key(family) in (select jsonb_array_elements_text(p_filters->'families')))
+    and (p_filters->'classifications' is null
+      or breakdown_key(classification) in (select jsonb_array_elements_text(p_filters->'classifications')))
+    and (p_filters->'pledge_statuses' is null
+      or breakdown_key(pledge_status) in (select jsonb_array_elements_text(p_filters->'pledge_statuses')))
+    and (p_filters->'stations' is null
+      or polling_station_id in (select jsonb_array_elements_text(p_filters->'stations')::bigint))
+    and (p_filters->'ballot_boxes' is null
+      or ballot_box_id in (select jsonb_array_elements_text(p_filters->'ballot_boxes')::bigint))
+    and (p_filters->'voted' is null
+      or coalesce(has_voted, false) = (p_filters->>'voted')::boolean)
+    and (p_filters->>'register_number' is null
+      or strpos(lower(register_number), lower(p_filters->>'register_number')) > 0
+      or strpos(register_number_clean, normalize_register_number(p_filters->>'register_number')) > 0);
+$$;
+
+-- byPledge: turnout per pledge status, 'غير محدد' for voters not canvassed
+create or replace function voter_stats(p_filters jsonb default '{}'::jsonb) returns json
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      coalesce(has_voted, false) as has_voted,
+      breakdown_key(religion) as religion,
+      breakdown_key(classification) as classification,
+      breakdown_key(family) as family,
+      coalesce(polling_station_id::text, 'غير محدد') as station,
+      breakdown_key(pledge_status) as pledge
+    from filtered_voters(p_filters)
+  ),
+  by_religion as (
+    select religion as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by religion
+  ),
+  by_classification as (
+    select classification as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by classification
+  ),
+  by_family as (
+    select family as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by family
+  ),
+  by_station as (
+    select station as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by station
+  ),
+  by_pledge as (
+    select pledge as key, count(*) as total, count(*) filter (where has_voted) as voted
+    from filtered group by pledge
+  )
+  select json_build_object(
+    'total', (select count(*) from filtered),
+    'voted', (select count(*) from filtered where has_voted),
+    'byReligion', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_religion),
+    'byClassification', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_classification),
+    'byFamily', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_family),
+    'byStation', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_station),
+    'byPledge', (select coalesce(json_object_agg(key, json_build_object('total', total, 'voted', voted)), '{}'::json) from by_pledge)
+  );
+$$;
@@ -0,0 +1,31 @@
+-- Get-out-the-vote call lists: non-voters split across volunteers, one
+-- family per volunteer, in priority order
+create table if not exists call_lists (
+  id bigint generated always as identity primary key,
+  name text not null,
+  filters jsonb not null default '{}',
+  classification_priority text[] not null default '{}',
+  volunteer_ids bigint[] not null,
+  status text not null default 'open' check (status in ('open', 'closed')),
+  created_by text,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create table if not exists call_assignments (
+  id bigint generated always as identity primary key,
+  list_id bigint not null references call_lists(id),
+  voter_id bigint not null references voters(id),
+  volunteer_id bigint not null references volunteers(id),
+  family text not null,
+  position int not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'reached', 'no_answer', 'refused', 'voted')),
+  note text,
+  updated_by text,
+  updated_at timestamptz not null default now(),
+  unique (list_id, voter_id)
+);
+
+create index if not exists call_assignments_list_idx on call_assignments (list_id, volunteer_id, position);
+create index if not exists call_assignments_voter_idx on call_assignments (voter_id);
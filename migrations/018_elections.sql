@@ -0,0 +1,194 @@
+-- Elections as first-class records. Voters, votes, stations, imports, call
+-- lists, family contacts and the Sheets queue belong to one election.
+create table if not exists municipalities (
+  id bigint generated always as identity primary key,
+  name text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists elections (
+  id bigint generated always as identity primary key,
+  municipality_id bigint not null references municipalities(id),
+  name text not null,
+  election_date date,
+  opens_at timestamptz,
+  closes_at timestamptz,
+  turnout_target numeric check (turnout_target > 0 and turnout_target <= 100),
+  -- Google Sheet mirrored by the Sheets sync; columns are letters
+  -- ({ idColumn, votedColumn, votedValue, votedAtColumn })
+  sheet_id text,
+  sheet_name text,
+  sheet_columns jsonb,
+  status text not null default 'active' check (status in ('active', 'archived')),
+  archived_at timestamptz,
+  archived_by text,
+  created_at timestamptz not null default now(),
+  unique (municipality_id, name)
+);
+
+-- Everything recorded so far becomes the first election. Its Sheets and
+-- polling-hours settings keep coming from the environment (see
+-- lib/elections.js).
+insert into municipalities (name)
+select 'Roueiss'
+where not exists (select 1 from municipalities);
+
+insert into elections (municipality_id, name)
+select min(id), 'Roueiss' from municipalities
+having not exists (select 1 from elections);
+
+alter table voters add column if not exists election_id bigint references elections(id);
+update voters set election_id = (select min(id) from elections) where election_id is null;
+alter table voters alter column election_id set not null;
+create index if not exists voters_election_id_idx on voters (election_id);
+
+alter table import_runs add column if not exists election_id bigint references elections(id);
+update import_runs set election_id = (select min(id) from elections) where election_id is null;
+alter table import_runs alter column election_id set not null;
+
+alter table polling_stations add column if not exists election_id bigint references elections(id);
+update polling_stations set election_id = (select min(id) from elections) where election_id is null;
+alter table polling_stations alter column election_id set not null;
+alter table polling_stations drop constraint if exists polling_stations_name_key;
+create unique index if not exists polling_stations_election_name_idx on polling_stations (election_id, name);
+
+alter table family_contacts add column if not exists election_id bigint references elections(id);
+update family_contacts set election_id = (select min(id) from elections) where election_id is null;
+alter table family_contacts alter column election_id set not null;
+
+alter table call_lists add column if not exists election_id bigint references elections(id);
+update call_lists set election_id = (select min(id) from elections) where election_id is null;
+alter table call_lists alter column election_id set not null;
+
+-- Duplicate pairs are always two voters of the same election
+alter table duplicate_candidates add column if not exists election_id bigint references elections(id);
+update duplicate_candidates c set election_id = v.election_id from voters v where v.id = c.voter_a and c.election_id is null;
+alter table duplicate_candidates alter column election_id set not null;
+
+-- vote_events is append-only; the backfill is the one exception
+alter table vote_events add column if not exists election_id bigint references elections(id);
+alter table vote_events disable trigger vote_events_no_update;
+update vote_events e set election_id = v.election_id from voters v where v.id = e.voter_id and e.election_id is null;
+alter table vote_events enable trigger vote_events_no_update;
+create index if not exists vote_events_election_id_idx on vote_events (election_id, occurred_at);
+
+-- The same original_id can exist in two elections' sheets
+alter table sheet_sync_queue add column if not exists election_id bigint references elections(id);
+update sheet_sync_queue set election_id = (select min(id) from elections) where election_id is null;
+alter table sheet_sync_queue alter column election_id set not null;
+alter table sheet_sync_queue drop constraint if exists sheet_sync_queue_pkey;
+alter table sheet_sync_queue add primary key (election_id, original_id);
+
+-- Register numbers are unique within an election
+create or replace function voters_register_number() returns trigger as $$
+begin
+  new.register_number_clean := normalize_register_number(new.register_number);
+
+  if new.register_number_clean is not null
+    and new.merged_into is null
+    and new.deleted_at is null
+    and (tg_op = 'INSERT' or new.register_number is distinct from old.register_number)
+    and exists (
+      select 1 from voters
+      where register_number_clean = new.register_number_clean
+        and election_id = new.election_id
+        and merged_into is null
+        and deleted_at is null
+        and id <> new.id
+    ) then
+    raise exception 'Register number % already belongs to another voter', new.register_number_clean
+      using errcode = 'unique_violation';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+-- Rules only assign boxes of the voter's own election
+create or replace function voter_ballot_box(v voters) returns bigint
+language sql
+stable
+as $$
+  select r.ballot_box_id
+  from ballot_box_rules r
+  join ballot_boxes b on b.id = r.ballot_box_id
+  join polling_stations s on s.id = b.station_id
+  cross join lateral (
+    select case when v.register_number_clean ~ '^\d{1,18}$' then v.register_number_clean::bigint end as register
+  ) n
+  where s.election_id = v.election_id
+    and (r.religion is null or breakdown_key(v.religion) = r.religion)
+    and (r.family is null or breakdown_key(v.family) = r.family)
+    and (r.classification is null or breakdown_key(v.classification) = r.classification)
+    and (r.register_from is null or n.register >= r.register_from)
+    and (r.register_to is null or n.register <= r.register_to)
+  order by r.priority, r.id
+  limit 1;
+$$;
+
+drop function if exists assign_ballot_boxes(boolean);
+
+create or replace function assign_ballot_boxes(p_election_id bigint, p_dry_run boolean default true) returns json
+language plpgsql
+as $$
+declare
+  result json;
+begin
+  with planned as (
+    select id, ballot_box_id as current_box, voter_ballot_box(v) as new_box
+    from voters v
+    where election_id = p_election_id and merged_into is null and deleted_at is null
+  )
+  select json_build_object(
+    'voters', (select count(*) from planned),
+    'assigned', (select count(*) from planned where new_box is not null),
+    'unassigned', (select count(*) from planned where new_box is null),
+    'changed', (select count(*) from planned where new_box is distinct from current_box),
+    'byBox', (
+      select coalesce(json_object_agg(coalesce(new_box::text, 'غير محدد'), total), '{}'::json)
+      from (select new_box, count(*) as total from planned group by 1) g
+    )
+  ) into result;
+
+  if not p_dry_run then
+    update voters v
+    set ballot_box_id = voter_ballot_box(v)
+    where election_id = p_election_id
+      and merged_into is null
+      and deleted_at is null
+      and ballot_box_id is distinct from voter_ballot_box(v);
+  end if;
+
+  return result;
+end;
+$$;
+
+-- New filter key: election (id)
+create or replace function filtered_voters(p_filters jsonb default '{}'::jsonb) returns setof voters
+language sql
+stable
+as $$
+  select *
+  from voters
+  where merged_into is null
+    and (p_filters->'election' is null or election_id = (p_filters->>'election')::bigint)
+    and (deleted_at is null or coalesce((p_filters->>'include_deleted')::boolean, false))
+    and voter_matches_search(search_name, p_filters->>'search')
+    and (p_filters->'religions' is null
+      or breakdown_key(religion) in (select jsonb_array_elements_text(p_filters->'religions')))
+    and (p_filters->'families' is null
+      or breakdown_key(family) in (select jsonb_array_elements_text(p_filters->'families')))
+    and (p_filters->'classifications' is null
+      or breakdown_key(classification) in (select jsonb_array_elements_text(p_filters->'classifications')))
+    and (p_filters->'pledge_statuses' is null
+      or breakdown_key(pledge_status) in (select jsonb_array_elements_text(p_filters->'pledge_statuses')))
+    and (p_filters->'stations' is null
+      or polling_station_id in (select jsonb_array_elements_text(p_filters->'stations')::bigint))
+    and (p_filters->'ballot_boxes' is null
+      or ballot_box_id in (select jsonb_array_elements_text(p_filters->'ballot_boxes')::bigint))
+    and (p_filters->'voted' is null
+      or coalesce(has_voted, false) = (p_filters->>'voted')::boolean)
+    and (p_filters->>'register_number' is null
+      or strpos(lower(register_number), lower(p_filters->>'register_number')) > 0
+      or strpos(register_number_clean, normalize_register_number(p_filters->>'register_number')) > 0);
+$$;
@@ -0,0 +1,61 @@
+-- Outbound webhooks of an election, the queue / log of their deliveries and
+-- the turnout alert rules that fire through them
+create table if not exists webhooks (
+  id bigint generated always as identity primary key,
+  election_id bigint not null references elections(id),
+  name text not null,
+  url text not null,
+  -- Signs every delivery (HMAC-SHA256, see lib/webhooks.js)
+  secret text not null,
+  events text[] not null,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_election_idx on webhooks (election_id) where active;
+
+create table if not exists webhook_deliveries (
+  id bigint generated always as identity primary key,
+  webhook_id bigint not null references webhooks(id),
+  -- Shared by the deliveries of one event to several webhooks
+  event_id uuid not null,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts int not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  response_status int,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries (webhook_id, created_at desc);
+
+-- family_turnout: fires when the family's turnout reaches threshold (%), and
+-- re-arms when it falls back below
+-- behind_target: at check_at, fires when overall turnout is behind the
+-- election's linear target curve (see buildProjection in lib/timeline.js)
+create table if not exists alert_rules (
+  id bigint generated always as identity primary key,
+  election_id bigint not null references elections(id),
+  name text not null,
+  kind text not null check (kind in ('family_turnout', 'behind_target')),
+  family text,
+  threshold numeric check (threshold > 0 and threshold <= 100),
+  check_at timestamptz,
+  active boolean not null default true,
+  fired_at timestamptz,
+  checked_at timestamptz,
+  last_result jsonb,
+  created_by text,
+  created_at timestamptz not null default now(),
+  check (kind <> 'family_turnout' or (family is not null and threshold is not null)),
+  check (kind <> 'behind_target' or check_at is not null)
+);
+
+create index if not exists alert_rules_election_idx on alert_rules (election_id, kind) where active;
@@ -0,0 +1,11 @@
+-- Idempotency keys belong to one actor in one election: two devices (or the
+-- same device in two elections) may generate the same key
+alter table vote_operations add column if not exists election_id bigint references elections(id);
+update vote_operations
+set election_id = voters.election_id
+from voters
+where voters.id = vote_operations.voter_id and vote_operations.election_id is null;
+
+alter table vote_operations drop constraint if exists vote_operations_pkey;
+alter table vote_operations add column if not exists id bigint generated always as identity primary key;
+create unique index if not exists vote_operations_scope_idx on vote_operations (actor_id, election_id, idempotency_key);
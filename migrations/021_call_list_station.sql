@@ -0,0 +1,10 @@
+-- Polling station a call list was built for (by a delegate, or with a
+-- single station filter). Delegates only see and change their station's lists.
+alter table call_lists add column if not exists station_id bigint references polling_stations(id);
+update call_lists
+set station_id = (filters->'stations'->>0)::bigint
+where station_id is null
+  and jsonb_typeof(filters->'stations') = 'array'
+  and jsonb_array_length(filters->'stations') = 1;
+
+create index if not exists call_lists_station_idx on call_lists (election_id, station_id);
@@ -0,0 +1,18 @@
+-- Volunteers and their contact log belong to one election, like the voters
+-- they canvass
+alter table volunteers add column if not exists election_id bigint references elections(id);
+update volunteers
+set election_id = polling_stations.election_id
+from polling_stations
+where polling_stations.id = volunteers.station_id and volunteers.election_id is null;
+update volunteers set election_id = (select min(id) from elections) where election_id is null;
+alter table volunteers alter column election_id set not null;
+create index if not exists volunteers_election_id_idx on volunteers (election_id, name);
+
+alter table canvass_contacts add column if not exists election_id bigint references elections(id);
+update canvass_contacts
+set election_id = voters.election_id
+from voters
+where voters.id = canvass_contacts.voter_id and canvass_contacts.election_id is null;
+alter table canvass_contacts alter column election_id set not null;
+create index if not exists canvass_contacts_election_id_idx on canvass_contacts (election_id, created_at);
@@ -0,0 +1,9 @@
+-- BEFORE triggers of one event fire in name order, so voters_ballot_box ran
+-- before voters_register_number: on insert the register range rules saw no
+-- register_number_clean yet and never matched. Renamed to fire after it.
+-- Voters created in the meantime are placed by POST /api/stations/assign.
+drop trigger if exists voters_ballot_box on voters;
+drop trigger if exists voters_zz_ballot_box on voters;
+create trigger voters_zz_ballot_box
+  before insert or update on voters
+  for each row execute function voters_ballot_box();
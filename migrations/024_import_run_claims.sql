@@ -0,0 +1,5 @@
+-- An import is claimed before its changes are applied or rolled back
+-- ('applying' / 'rolling_back'), so two requests cannot both go ahead
+alter table import_runs drop constraint if exists import_runs_status_check;
+alter table import_runs add constraint import_runs_status_check
+  check (status in ('planned', 'applying', 'applied', 'rolling_back', 'rolled_back'));
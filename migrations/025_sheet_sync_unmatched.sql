@@ -0,0 +1,3 @@
+-- Changes whose voter has no row in the sheet stay queued, set aside until
+-- an admin retries them
+alter table sheet_sync_queue add column if not exists unmatched_at timestamptz;
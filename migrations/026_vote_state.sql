@@ -0,0 +1,34 @@
+-- Mark or unmark a voter and append its vote event in one transaction, so
+-- every change of has_voted has its event. Compare-and-set on vote_version:
+-- returns the updated voter, or null (and records nothing) when
+-- vote_version moved on. p_event is the vote_events row; its voter_id is
+-- taken from p_id.
+create or replace function set_vote_state(
+  p_id bigint,
+  p_version int,
+  p_has_voted boolean,
+  p_voted_at timestamptz,
+  p_event jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v voters;
+begin
+  update voters
+  set has_voted = p_has_voted, voted_at = p_voted_at, vote_version = p_version + 1
+  where id = p_id and vote_version = p_version
+  returning * into v;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into vote_events (voter_id, action, actor_id, actor_email, actor_role, client_ip, user_agent, reason, occurred_at, election_id, station_id)
+  select v.id, e.action, e.actor_id, e.actor_email, e.actor_role, e.client_ip, e.user_agent, e.reason,
+         coalesce(e.occurred_at, now()), e.election_id, e.station_id
+  from jsonb_populate_record(null::vote_events, p_event) e;
+
+  return to_jsonb(v);
+end;
+$$;
@@ -0,0 +1,5 @@
+-- A candidate is claimed ('merging') before its pair is merged, so two
+-- requests cannot both merge it
+alter table duplicate_candidates drop constraint if exists duplicate_candidates_status_check;
+alter table duplicate_candidates add constraint duplicate_candidates_status_check
+  check (status in ('pending', 'merging', 'merged', 'dismissed'));
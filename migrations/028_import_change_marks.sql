@@ -0,0 +1,24 @@
+-- apply_voter_changes() for an import: the import_changes rows that went
+-- through are marked applied (p_applied true) or reverted (false) in the
+-- same transaction, so the voters and the marks cannot disagree when a run
+-- fails halfway.
+-- p_changes: [{ "change": 7, "id": 1, "field": "family", "from": "old", "to": "new" }]
+-- Returns the changes that were applied as [{ "id", "field" }].
+create or replace function apply_import_changes(p_changes jsonb, p_applied boolean) returns jsonb
+language plpgsql
+as $$
+declare
+  v_applied jsonb;
+begin
+  v_applied := apply_voter_changes(p_changes);
+
+  update import_changes ic
+  set applied = p_applied
+  from jsonb_array_elements(p_changes) c, jsonb_array_elements(v_applied) a
+  where ic.id = (c->>'change')::bigint
+    and (a->>'id')::bigint = (c->>'id')::bigint
+    and a->>'field' = c->>'field';
+
+  return v_applied;
+end;
+$$;
@@ -0,0 +1,23 @@
+-- Editing the fields the rules match on moves the voter to the box the rules
+-- give now, unless the same update sets ballot_box_id itself.
+-- polling_station_id still follows ballot_box_id.
+create or replace function voters_ballot_box() returns trigger as $$
+begin
+  if (tg_op = 'INSERT' and new.ballot_box_id is null)
+    or (tg_op = 'UPDATE'
+      and new.ballot_box_id is not distinct from old.ballot_box_id
+      and (new.religion, new.family, new.classification, new.register_number_clean)
+        is distinct from (old.religion, old.family, old.classification, old.register_number_clean)) then
+    new.ballot_box_id := voter_ballot_box(new);
+  end if;
+  if tg_op = 'INSERT' or new.ballot_box_id is distinct from old.ballot_box_id then
+    new.polling_station_id := (select station_id from ballot_boxes where id = new.ballot_box_id);
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists voters_zz_ballot_box on voters;
+create trigger voters_zz_ballot_box
+  before insert or update of religion, family, classification, register_number, ballot_box_id on voters
+  for each row execute function voters_ballot_box();
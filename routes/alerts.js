@@ -0,0 +1,46 @@
+const express = require('express');
+const { actorFromRequest } = require('../lib/audit');
+const { parseId, sendError } = require('../lib/errors');
+const { listRules, createRule, updateRule, deleteRule } = require('../lib/alerts');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const data = await listRules(req.election.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing alert rules:');
+  }
+});
+
+// { name, kind: 'family_turnout', family, threshold } or
+// { name, kind: 'behind_target', check_at }
+router.post('/', async (req, res) => {
+  try {
+    const data = await createRule(req.body, actorFromRequest(req), { election: req.election });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating alert rule:');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const data = await updateRule(parseId(req.params.id), req.body, { election: req.election });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating alert rule:');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const data = await deleteRule(parseId(req.params.id), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error deleting alert rule:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { voteEvents } = require('../lib/storage');
+const { VOTE_ACTIONS } = require('../lib/audit');
+const { MAX_LIMIT, parsePositiveInt } = require('../lib/voterQuery');
+const { badRequest, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be an ISO date`);
+  return date.toISOString();
+}
+
+// Filterable feed of the election's vote / unvote events, by when they
+// happened (occurred_at; offline votes are recorded later)
+router.get('/', async (req, res) => {
+  try {
+    const { voter_id, action, actor_id, actor_email } = req.query;
+
+    if (action && !VOTE_ACTIONS.includes(action)) {
+      throw badRequest(`action must be one of: ${VOTE_ACTIONS.join(', ')}`);
+    }
+    const voterId = voter_id ? parsePositiveInt(voter_id, 'voter_id') : null;
+    const from = parseDate(req.query.from, 'from');
+    const to = parseDate(req.query.to, 'to');
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', 50);
+    if (limit > MAX_LIMIT) {
+      throw badRequest(`limit must be at most ${MAX_LIMIT}`);
+    }
+
+    const { rows, total } = await voteEvents.list({
+      electionId: req.election.id,
+      voterId,
+      action,
+      actorId: actor_id,
+      actorEmail: actor_email,
+      from,
+      to
+    }, { offset: (page - 1) * limit, limit });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching audit feed:');
+  }
+});
+
+module.exports = router;
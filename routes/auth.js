@@ -0,0 +1,132 @@
+const express = require('express');
+const { supabase, createSessionClient } = require('../lib/supabase');
+const { ROLES, ALL_ROLES, authenticate, requireRole, toIdentity } = require('../lib/auth');
+const { HttpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+function sessionResponse(session) {
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at,
+    user: toIdentity(session.user)
+  };
+}
+
+// Validate app_metadata.station_id: a polling station id, or null to clear.
+// Returns undefined when not given.
+async function parseStationId(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+
+  const { data, error } = Number.isInteger(value) && value > 0
+    ? await supabase.from('polling_stations').select('id').eq('id', value).maybeSingle()
+    : { data: null, error: null };
+  if (error) throw error;
+  if (!data) throw new HttpError(400, 'station_id must be the id of a polling station');
+  return data.id;
+}
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'email and password are required' });
+    }
+
+    const { data, error } = await createSessionClient().auth.signInWithPassword({ email, password });
+    if (error || !data?.session) {
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    res.json({ success: true, data: sessionResponse(data.session) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new session
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, error: 'refresh_token is required' });
+    }
+
+    const { data, error } = await createSessionClient().auth.refreshSession({ refresh_token });
+    if (error || !data?.session) {
+      return res.status(401).json({ success: false, error: 'Invalid refresh token' });
+    }
+
+    res.json({ success: true, data: sessionResponse(data.session) });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Current identity
+router.get('/me', authenticate, (req, res) => {
+  res.json({ success: true, data: req.user });
+});
+
+// Create a user with a role and, for delegates, a polling station (admin only)
+router.post('/users', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { email, password, role } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'email and password are required' });
+    }
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${ALL_ROLES.join(', ')}` });
+    }
+    const stationId = await parseStationId(req.body.station_id);
+
+    const { data, error } = await supabase.auth.admin.createUser({
+      email,
+      password,
+      email_confirm: true,
+      app_metadata: { role, station_id: stationId ?? null }
+    });
+    if (error) throw error;
+
+    res.status(201).json({ success: true, data: toIdentity(data.user) });
+  } catch (error) {
+    sendError(res, error, 'Error creating user:');
+  }
+});
+
+// Change a user's role and / or polling station (admin only)
+router.patch('/users/:id', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    const metadata = {};
+    if (role !== undefined) {
+      if (!ALL_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `role must be one of: ${ALL_ROLES.join(', ')}` });
+      }
+      metadata.role = role;
+    }
+    const stationId = await parseStationId(req.body?.station_id);
+    if (stationId !== undefined) metadata.station_id = stationId;
+    if (Object.keys(metadata).length === 0) {
+      return res.status(400).json({ success: false, error: 'role or station_id is required' });
+    }
+
+    // app_metadata is merged, so an omitted key keeps its value
+    const { data, error } = await supabase.auth.admin.updateUserById(id, {
+      app_metadata: metadata
+    });
+    if (error) throw error;
+
+    res.json({ success: true, data: toIdentity(data.user) });
+  } catch (error) {
+    sendError(res, error, 'Error updating user:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { ROLES, requireRole, stationScope } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { parseVoterFilters, filterOptions } = require('../lib/filters');
+const { badRequest, parseId, sendError } = require('../lib/errors');
+const {
+  parseVolunteerIds,
+  createCallList,
+  listCallLists,
+  getCallList,
+  updateAssignment,
+  closeCallList
+} = require('../lib/callLists');
+
+const router = express.Router();
+const delegates = requireRole(ROLES.DELEGATE);
+
+const LIST_STATUSES = ['open', 'closed'];
+
+// Build a call list from the non-voters matching `filters` (same keys as
+// the /api/voters query string), split across `volunteer_ids`
+router.post('/', delegates, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const filters = parseVoterFilters(body.filters || {}, filterOptions(req));
+    const data = await createCallList(filters, {
+      name: body.name,
+      volunteerIds: parseVolunteerIds(body.volunteer_ids),
+      classificationPriority: body.classification_priority,
+      stationId: stationScope(req),
+      actor: actorFromRequest(req)
+    });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating call list:');
+  }
+});
+
+// ?status=open|closed
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !LIST_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of: ${LIST_STATUSES.join(', ')}`);
+    }
+    const data = await listCallLists({
+      electionId: req.election.id,
+      stationId: stationScope(req),
+      status: status || null
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing call lists:');
+  }
+});
+
+// Assignments by volunteer and family. ?volunteer_id=3 for one volunteer's
+// list, ?include_voted=true to keep voters who have already voted.
+router.get('/:id', async (req, res) => {
+  try {
+    const { volunteer_id, include_voted } = req.query;
+    if (volunteer_id !== undefined && !/^\d+$/.test(volunteer_id)) {
+      throw badRequest('volunteer_id must be a positive integer');
+    }
+    const data = await getCallList(parseId(req.params.id), {
+      volunteerId: volunteer_id ? Number(volunteer_id) : null,
+      includeVoted: include_voted === 'true',
+      electionId: req.election.id,
+      stationId: stationScope(req)
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching call list:');
+  }
+});
+
+// Record the result of a call
+router.patch('/:id/assignments/:assignmentId', delegates, async (req, res) => {
+  try {
+    const data = await updateAssignment(parseId(req.params.id), parseId(req.params.assignmentId, 'assignment id'), req.body, actorFromRequest(req), {
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating call assignment:');
+  }
+});
+
+router.post('/:id/close', delegates, async (req, res) => {
+  try {
+    const data = await closeCallList(parseId(req.params.id), { electionId: req.election.id, stationId: stationScope(req) });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error closing call list:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { ROLES, requireRole, stationScope } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { getCanvass, recordContact, updateCanvass, listFollowUps } = require('../lib/canvass');
+const { parsePositiveInt } = require('../lib/voterQuery');
+const { badRequest, parseId, sendError } = require('../lib/errors');
+
+const router = express.Router();
+const canvassers = requireRole(ROLES.DELEGATE);
+
+const MAX_FOLLOW_UPS = 500;
+
+// Follow-ups due by ?due=YYYY-MM-DD (default today), optionally for one
+// ?volunteer_id
+router.get('/follow-ups', async (req, res) => {
+  try {
+    const volunteerId = parsePositiveInt(req.query.volunteer_id, 'volunteer_id', null);
+    const limit = parsePositiveInt(req.query.limit, 'limit', 100);
+    if (limit > MAX_FOLLOW_UPS) {
+      throw badRequest(`limit must be at most ${MAX_FOLLOW_UPS}`);
+    }
+    const data = await listFollowUps({
+      due: req.query.due,
+      volunteerId,
+      stationId: stationScope(req),
+      electionId: req.election.id,
+      limit
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing follow-ups:');
+  }
+});
+
+// Pledge status, owner, next follow-up and contact history of a voter
+router.get('/voters/:id', async (req, res) => {
+  try {
+    const data = await getCanvass(parseId(req.params.id), {
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching canvassing data:');
+  }
+});
+
+// Log a contact attempt
+router.post('/voters/:id/contacts', canvassers, async (req, res) => {
+  try {
+    const data = await recordContact(parseId(req.params.id), req.body, actorFromRequest(req), {
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error recording contact:');
+  }
+});
+
+// Set pledge status, follow-up date or owner directly
+router.patch('/voters/:id', canvassers, async (req, res) => {
+  try {
+    const data = await updateCanvass(parseId(req.params.id), req.body, actorFromRequest(req), {
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating canvassing data:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const { actorFromRequest } = require('../lib/audit');
+const { badRequest, parseId, sendError } = require('../lib/errors');
+const { MAX_LIMIT, parsePositiveInt } = require('../lib/voterQuery');
+const {
+  DEFAULT_MIN_SCORE,
+  scanDuplicates,
+  listCandidates,
+  dismissCandidate,
+  mergeCandidate,
+  undoMerge
+} = require('../lib/duplicates');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'merging', 'merged', 'dismissed'];
+
+// Score the election's voters and queue new duplicate candidates
+router.post('/scan', async (req, res) => {
+  try {
+    const minScore = req.body?.min_score ?? DEFAULT_MIN_SCORE;
+    if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+      throw badRequest('min_score must be an integer between 0 and 100');
+    }
+
+    const { voters, candidates } = await scanDuplicates({ electionId: req.election.id, minScore });
+    res.json({ success: true, data: { voters, candidates: candidates.length } });
+  } catch (error) {
+    sendError(res, error, 'Error scanning duplicates:');
+  }
+});
+
+// Review queue, highest score first
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    if (!STATUSES.includes(status)) {
+      throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', 50);
+    if (limit > MAX_LIMIT) {
+      throw badRequest(`limit must be at most ${MAX_LIMIT}`);
+    }
+
+    const { data, total } = await listCandidates({
+      electionId: req.election.id,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing duplicates:');
+  }
+});
+
+// Merge a pair: { keep: <voter id> } picks the surviving record
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const data = await mergeCandidate(parseId(req.params.id), actorFromRequest(req), {
+      keepId: req.body?.keep,
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error merging duplicate:');
+  }
+});
+
+// Mark a pair as different people
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const data = await dismissCandidate(parseId(req.params.id), actorFromRequest(req), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error dismissing duplicate:');
+  }
+});
+
+// Undo a merge by its merge id
+router.post('/merges/:mergeId/undo', async (req, res) => {
+  try {
+    const data = await undoMerge(parseId(req.params.mergeId, 'merge id'), actorFromRequest(req), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error undoing merge:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { ROLES, requireRole, stationScope } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { parseVoterFilters } = require('../lib/filters');
+const { getStats } = require('../lib/stats');
+const {
+  getElection,
+  listElections,
+  parseElectionId,
+  createElection,
+  updateElection,
+  archiveElection,
+  switchElection
+} = require('../lib/elections');
+const { badRequest, sendError } = require('../lib/errors');
+
+const router = express.Router();
+const adminOnly = requireRole(ROLES.ADMIN);
+
+// ?status=active|archived. current is the election this request works on.
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && status !== 'active' && status !== 'archived') {
+      throw badRequest('status must be active or archived');
+    }
+    const data = await listElections({ status: status || null });
+    res.json({ success: true, data, current: req.election.id });
+  } catch (error) {
+    sendError(res, error, 'Error listing elections:');
+  }
+});
+
+// One election with its turnout results (archived elections included);
+// a delegate's results cover their station only
+router.get('/:id', async (req, res) => {
+  try {
+    const election = await getElection(parseElectionId(req.params.id, 'id'));
+    const results = await getStats(parseVoterFilters({}, { electionId: election.id, stationId: stationScope(req) }));
+    res.json({ success: true, data: { ...election, results } });
+  } catch (error) {
+    sendError(res, error, 'Error fetching election:');
+  }
+});
+
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = await createElection(req.body);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating election:');
+  }
+});
+
+// Dates, turnout target and Google Sheet settings
+router.patch('/:id', adminOnly, async (req, res) => {
+  try {
+    const data = await updateElection(parseElectionId(req.params.id, 'id'), req.body);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating election:');
+  }
+});
+
+// Make a finished election read-only
+router.post('/:id/archive', adminOnly, async (req, res) => {
+  try {
+    const data = await archiveElection(parseElectionId(req.params.id, 'id'), actorFromRequest(req));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error archiving election:');
+  }
+});
+
+// Work on this election from now on (requests without X-Election-Id)
+router.post('/:id/switch', async (req, res) => {
+  try {
+    const data = await switchElection(req.user.id, parseElectionId(req.params.id, 'id'));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error switching election:');
+  }
+});
+
+module.exports = router;
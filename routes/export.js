@@ -0,0 +1,36 @@
+const express = require('express');
+const { parseVoterFilters, filterOptions } = require('../lib/filters');
+const { parseSort, parseFields, iterateVoters } = require('../lib/voterQuery');
+const { DEFAULT_COLUMNS, parseExportOptions, writeCsv, writeXlsx } = require('../lib/export');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Every voter matching the /api/voters filters as XLSX or CSV. XLSX answers
+// 413 past EXPORT_XLSX_MAX_ROWS voters.
+// ?format=xlsx|csv&columns=full_name,family&lang=ar|en&rtl=true
+router.get('/voters', async (req, res) => {
+  try {
+    const { format, lang, rtl } = parseExportOptions(req.query);
+    const filters = parseVoterFilters(req.query, filterOptions(req));
+    const sort = parseSort(req.query.sort, Boolean(filters.search));
+    const columns = parseFields(req.query.columns) || DEFAULT_COLUMNS;
+
+    const voters = iterateVoters({ filters, sort, fields: columns });
+
+    if (format === 'csv') {
+      await writeCsv(res, voters, columns, lang);
+    } else {
+      await writeXlsx(res, voters, columns, lang, rtl);
+    }
+  } catch (error) {
+    // Headers are gone once a CSV stream has started
+    if (res.headersSent) {
+      if (!error.status) console.error('Error exporting voters:', error);
+      return res.end();
+    }
+    sendError(res, error, 'Error exporting voters:');
+  }
+});
+
+module.exports = router;
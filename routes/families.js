@@ -0,0 +1,68 @@
+const express = require('express');
+const { ROLES, requireRole } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { parseVoterFilters, filterOptions } = require('../lib/filters');
+const { sendError } = require('../lib/errors');
+const {
+  parseFamilyQuery,
+  listFamilies,
+  getFamily,
+  addFamilyContact,
+  removeFamilyContact
+} = require('../lib/families');
+
+const router = express.Router();
+
+// Turnout per family, sorted and paged; accepts the /api/voters filters
+router.get('/', async (req, res) => {
+  try {
+    const options = parseFamilyQuery(req.query, filterOptions(req));
+    const { data, total } = await listFamilies(options);
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        totalPages: Math.ceil(total / options.limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing families:');
+  }
+});
+
+// Members grouped by household, split into voted / not voted, with contacts
+router.get('/:name', async (req, res) => {
+  try {
+    const data = await getFamily(req.params.name, parseVoterFilters(req.query, filterOptions(req)));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching family:');
+  }
+});
+
+router.post('/:name/contacts', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const data = await addFamilyContact(req.params.name, req.body, actorFromRequest(req), {
+      electionId: req.election.id
+    });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error adding family contact:');
+  }
+});
+
+router.delete('/:name/contacts/:contactId', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const data = await removeFamilyContact(req.params.name, req.params.contactId, {
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error removing family contact:');
+  }
+});
+
+module.exports = router;
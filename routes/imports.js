@@ -0,0 +1,93 @@
+const express = require('express');
+const XLSX = require('xlsx');
+const { supabase } = require('../lib/supabase');
+const { actorFromRequest } = require('../lib/audit');
+const { badRequest, parseId, sendError } = require('../lib/errors');
+const {
+  runImport,
+  getImportRun,
+  getImportChanges,
+  applyImportRun,
+  rollbackImportRun
+} = require('../lib/importer');
+
+const router = express.Router();
+
+// Upload a spreadsheet: { file: <base64>, filename, config, dry_run = true }.
+// The plan is saved either way; apply it later with POST /:id/apply.
+router.post('/', async (req, res) => {
+  try {
+    const { file, filename, config, dry_run = true } = req.body || {};
+    if (typeof file !== 'string' || file.length === 0) {
+      throw badRequest('file must be a base64-encoded spreadsheet');
+    }
+
+    let workbook;
+    try {
+      workbook = XLSX.read(Buffer.from(file, 'base64'), { type: 'buffer' });
+    } catch (error) {
+      throw badRequest('file could not be read as a spreadsheet');
+    }
+
+    const data = await runImport({
+      electionId: req.election.id,
+      workbook,
+      config,
+      sourceName: filename,
+      dryRun: dry_run !== false,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error importing spreadsheet:');
+  }
+});
+
+// List the election's saved imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('import_runs')
+      .select('id, created_at, source_name, status, summary, actor_email, applied_at, rolled_back_at')
+      .eq('election_id', req.election.id)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing imports:');
+  }
+});
+
+// Saved import report with its field changes
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await getImportRun(parseId(req.params.id), req.election.id);
+    const changes = await getImportChanges(run.id);
+    res.json({ success: true, data: { run, changes } });
+  } catch (error) {
+    sendError(res, error, 'Error fetching import:');
+  }
+});
+
+router.post('/:id/apply', async (req, res) => {
+  try {
+    const data = await applyImportRun(parseId(req.params.id), actorFromRequest(req), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error applying import:');
+  }
+});
+
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const data = await rollbackImportRun(parseId(req.params.id), actorFromRequest(req), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error rolling back import:');
+  }
+});
+
+module.exports = router;
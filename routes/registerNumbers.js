@@ -0,0 +1,22 @@
+const express = require('express');
+const { getRegisterConflicts, parseRegisterNumber } = require('../lib/registerNumber');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Every register number held by several voters, and every malformed one
+router.get('/conflicts', async (req, res) => {
+  try {
+    const data = await getRegisterConflicts(req.election.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching register number conflicts:');
+  }
+});
+
+// Check a register number against the official format
+router.get('/validate', (req, res) => {
+  res.json({ success: true, data: parseRegisterNumber(req.query.value) });
+});
+
+module.exports = router;
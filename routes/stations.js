@@ -0,0 +1,98 @@
+const express = require('express');
+const { ROLES, requireRole } = require('../lib/auth');
+const { parseVoterFilters, filterOptions } = require('../lib/filters');
+const { sendError } = require('../lib/errors');
+const {
+  listStations,
+  createStation,
+  updateStation,
+  createBallotBox,
+  listRules,
+  createRule,
+  deleteRule,
+  assignBallotBoxes
+} = require('../lib/stations');
+
+const router = express.Router();
+const adminOnly = requireRole(ROLES.ADMIN);
+
+// Stations with their boxes and turnout; accepts the /api/voters filters
+router.get('/', async (req, res) => {
+  try {
+    const data = await listStations(parseVoterFilters(req.query, filterOptions(req)));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing polling stations:');
+  }
+});
+
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = await createStation(req.body, { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating polling station:');
+  }
+});
+
+// Assignment rules, in the order they are tried
+router.get('/rules', adminOnly, async (req, res) => {
+  try {
+    const data = await listRules(req.election.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing ballot box rules:');
+  }
+});
+
+router.post('/rules', adminOnly, async (req, res) => {
+  try {
+    const data = await createRule(req.body, { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating ballot box rule:');
+  }
+});
+
+router.delete('/rules/:ruleId', adminOnly, async (req, res) => {
+  try {
+    const data = await deleteRule(req.params.ruleId, { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error deleting ballot box rule:');
+  }
+});
+
+// Re-apply the rules to every voter of the election. Stays a dry run unless
+// dry_run is false.
+router.post('/assign', adminOnly, async (req, res) => {
+  try {
+    const data = await assignBallotBoxes({
+      electionId: req.election.id,
+      dryRun: req.body?.dry_run !== false
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error assigning ballot boxes:');
+  }
+});
+
+router.patch('/:id', adminOnly, async (req, res) => {
+  try {
+    const data = await updateStation(req.params.id, req.body, { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating polling station:');
+  }
+});
+
+router.post('/:id/boxes', adminOnly, async (req, res) => {
+  try {
+    const data = await createBallotBox(req.params.id, req.body, { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating ballot box:');
+  }
+});
+
+module.exports = router;
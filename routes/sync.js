@@ -0,0 +1,81 @@
+const express = require('express');
+const { flushSheetQueue, getSheetQueueStatus, listUnmatched, retryUnmatched } = require('../lib/sheetQueue');
+const { reconcile, getLastReconciliation } = require('../lib/reconcile');
+const { actorFromRequest } = require('../lib/audit');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Google Sheets sync backlog and last error, across elections
+router.get('/sheets', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSheetQueueStatus() });
+  } catch (error) {
+    sendError(res, error, 'Error reading sheet queue:');
+  }
+});
+
+// Send pending Google Sheets changes now
+router.post('/sheets/flush', async (req, res) => {
+  try {
+    await flushSheetQueue();
+    res.json({ success: true, data: await getSheetQueueStatus() });
+  } catch (error) {
+    sendError(res, error, 'Error flushing sheet queue:');
+  }
+});
+
+// The election's changes whose voter has no row in the sheet
+router.get('/sheets/unmatched', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listUnmatched(req.election.id) });
+  } catch (error) {
+    sendError(res, error, 'Error listing unmatched sheet updates:');
+  }
+});
+
+// Queue them again, e.g. after adding the missing rows to the sheet
+router.post('/sheets/unmatched/retry', async (req, res) => {
+  try {
+    res.json({ success: true, data: { queued: await retryUnmatched(req.election.id) } });
+  } catch (error) {
+    sendError(res, error, 'Error retrying unmatched sheet updates:');
+  }
+});
+
+// Dry-run comparison of the election's sheet "Voted" column with the database
+router.get('/sheets/reconcile', async (req, res) => {
+  try {
+    const data = await reconcile({
+      policy: req.query.policy || 'report',
+      dryRun: true,
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error reconciling Google Sheets:');
+  }
+});
+
+// Last reconciliation report (manual or from the background job)
+router.get('/sheets/reconcile/last', (req, res) => {
+  res.json({ success: true, data: getLastReconciliation(req.election.id) });
+});
+
+// Reconcile with a policy. Stays a dry run unless dry_run is false.
+router.post('/sheets/reconcile', async (req, res) => {
+  try {
+    const { policy, dry_run = true } = req.body || {};
+    const data = await reconcile({
+      policy: policy || 'report',
+      dryRun: dry_run !== false,
+      actor: actorFromRequest(req),
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error reconciling Google Sheets:');
+  }
+});
+
+module.exports = router;
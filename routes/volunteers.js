@@ -0,0 +1,46 @@
+const express = require('express');
+const { ROLES, requireRole, stationScope } = require('../lib/auth');
+const { listVolunteers, createVolunteer, updateVolunteer } = require('../lib/volunteers');
+const { badRequest, sendError } = require('../lib/errors');
+
+const router = express.Router();
+const adminOnly = requireRole(ROLES.ADMIN);
+
+// ?active=true|false
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      throw badRequest('active must be true or false');
+    }
+    const data = await listVolunteers({
+      electionId: req.election.id,
+      active: active === undefined ? null : active === 'true',
+      stationId: stationScope(req)
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing volunteers:');
+  }
+});
+
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = await createVolunteer(req.body, { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating volunteer:');
+  }
+});
+
+// Rename, change contact details or deactivate (volunteers are never deleted)
+router.patch('/:id', adminOnly, async (req, res) => {
+  try {
+    const data = await updateVolunteer(req.params.id, req.body, { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating volunteer:');
+  }
+});
+
+module.exports = router;
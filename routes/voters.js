@@ -0,0 +1,75 @@
+const express = require('express');
+const { ROLES, requireRole } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { parseId, sendError } = require('../lib/errors');
+const {
+  parseReason,
+  createVoter,
+  updateVoter,
+  deleteVoter,
+  restoreVoter,
+  getVoterChanges
+} = require('../lib/voterRecords');
+
+const router = express.Router();
+
+// Mounted in front of the read and vote routes in server.js, so the role
+// check is per route rather than router.use()
+const adminOnly = requireRole(ROLES.ADMIN);
+
+// Add a voter to the request's election
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = await createVoter(req.body, actorFromRequest(req), { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating voter:');
+  }
+});
+
+// Change name, religion, family, classification or register number
+router.patch('/:id', adminOnly, async (req, res) => {
+  try {
+    const { voter, changed } = await updateVoter(parseId(req.params.id), req.body, actorFromRequest(req), {
+      electionId: req.election.id
+    });
+    res.json({ success: true, data: voter, changed });
+  } catch (error) {
+    sendError(res, error, 'Error updating voter:');
+  }
+});
+
+// Soft delete: hidden from lists and stats until restored
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    const data = await deleteVoter(parseId(req.params.id), actorFromRequest(req), parseReason(req.body), {
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error deleting voter:');
+  }
+});
+
+router.post('/:id/restore', adminOnly, async (req, res) => {
+  try {
+    const data = await restoreVoter(parseId(req.params.id), actorFromRequest(req), parseReason(req.body), {
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error restoring voter:');
+  }
+});
+
+// Before / after history of record changes (vote history is /history)
+router.get('/:id/changes', adminOnly, async (req, res) => {
+  try {
+    const data = await getVoterChanges(parseId(req.params.id), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching voter changes:');
+  }
+});
+
+module.exports = router;
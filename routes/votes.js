@@ -0,0 +1,23 @@
+const express = require('express');
+const { stationScope } = require('../lib/auth');
+const { actorFromRequest } = require('../lib/audit');
+const { parseBatch, processBatch } = require('../lib/batchVotes');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Apply a queue of vote / unvote operations recorded offline
+router.post('/batch', async (req, res) => {
+  try {
+    const operations = parseBatch(req.body);
+    const data = await processBatch(operations, actorFromRequest(req), {
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error applying vote batch:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const { actorFromRequest } = require('../lib/audit');
+const { badRequest, parseId, sendError } = require('../lib/errors');
+const { MAX_LIMIT, parsePositiveInt } = require('../lib/voterQuery');
+const {
+  DELIVERY_STATUSES,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  sendTestEvent,
+  retryDelivery
+} = require('../lib/webhooks');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const data = await listWebhooks(req.election.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error listing webhooks:');
+  }
+});
+
+// { name, url, events?, secret?, active? }. Without a secret one is
+// generated; it is only returned in this response.
+router.post('/', async (req, res) => {
+  try {
+    const data = await createWebhook(req.body, actorFromRequest(req), { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error creating webhook:');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const data = await updateWebhook(parseId(req.params.id), req.body, { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error updating webhook:');
+  }
+});
+
+// Delivery log, newest first. ?status=pending|delivered|failed
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw badRequest(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', 50);
+    if (limit > MAX_LIMIT) {
+      throw badRequest(`limit must be at most ${MAX_LIMIT}`);
+    }
+
+    const { data, total } = await listDeliveries(parseId(req.params.id), {
+      electionId: req.election.id,
+      status: status || null,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching webhook deliveries:');
+  }
+});
+
+// Queue a 'ping' event to check the receiver
+router.post('/:id/test', async (req, res) => {
+  try {
+    const data = await sendTestEvent(parseId(req.params.id), actorFromRequest(req), { electionId: req.election.id });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error sending test webhook:');
+  }
+});
+
+// Send a failed delivery again
+router.post('/deliveries/:id/retry', async (req, res) => {
+  try {
+    const data = await retryDelivery(parseId(req.params.id), { electionId: req.election.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error retrying webhook delivery:');
+  }
+});
+
+module.exports = router;
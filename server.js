@@ -1,171 +1,189 @@
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
-const { google } = require('googleapis');
 require('dotenv').config();
+const { voters } = require('./lib/storage');
+const { ROLES, authenticate, requireRole, stationScope } = require('./lib/auth');
+const { attachElection, getElectionSchedule } = require('./lib/elections');
+const { actorFromRequest, getVoterHistory } = require('./lib/audit');
+const { setVoteState, parseExpectedVersion } = require('./lib/votes');
+const { parseVoterFilters, filterOptions } = require('./lib/filters');
+const { parseVoterQuery, runVoterQuery } = require('./lib/voterQuery');
+const { getStats } = require('./lib/stats');
+const { getFacets } = require('./lib/facets');
+const { UNSPECIFIED } = require('./lib/constants');
+const { parseTimelineOptions, getTimeline } = require('./lib/timeline');
+const { openStream } = require('./lib/live');
+const { parseId, sendError } = require('./lib/errors');
+const { initGoogleSheets } = require('./lib/sheets');
+const { startSheetSync } = require('./lib/sheetQueue');
+const { startReconcileJob } = require('./lib/reconcile');
+const { startWebhookDeliveries } = require('./lib/webhooks');
+const { startAlertJob } = require('./lib/alerts');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const syncRoutes = require('./routes/sync');
+const voteRoutes = require('./routes/votes');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/imports');
+const duplicateRoutes = require('./routes/duplicates');
+const registerNumberRoutes = require('./routes/registerNumbers');
+const voterRoutes = require('./routes/voters');
+const familyRoutes = require('./routes/families');
+const stationRoutes = require('./routes/stations');
+const volunteerRoutes = require('./routes/volunteers');
+const canvassRoutes = require('./routes/canvass');
+const callListRoutes = require('./routes/callLists');
+const electionRoutes = require('./routes/elections');
+const webhookRoutes = require('./routes/webhooks');
+const alertRoutes = require('./routes/alerts');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind one reverse proxy in production; needed for the client IP in audit events
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true
 }));
-app.use(express.json());
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-// Initialize Google Sheets API
-let sheets;
-let auth;
-
-async function initGoogleSheets() {
-  try {
-    if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
-      const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-      auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
-      sheets = google.sheets({ version: 'v4', auth });
-      console.log('Google Sheets API initialized');
-    } else {
-      console.log('Google Sheets not configured - skipping');
-    }
-  } catch (error) {
-    console.error('Error initializing Google Sheets:', error.message);
-  }
-}
+// Spreadsheet uploads are sent base64-encoded and need a larger limit
+app.use('/api/imports', express.json({ limit: '25mb' }));
+app.use(express.json({ limit: '1mb' }));
 
+// Initialize Google Sheets API, resume any unsent changes and start the
+// optional reconciliation job, webhook deliveries and scheduled alerts
 initGoogleSheets();
+startSheetSync();
+startReconcileJob();
+startWebhookDeliveries();
+startAlertJob().catch(error => console.error('Error starting alert job:', error.message));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Get all voters with filtering, searching, and pagination
+// Login and user management
+app.use('/api/auth', authRoutes);
+
+// Every other /api route needs a verified identity, and works on one
+// election (see lib/elections.js)
+app.use('/api', authenticate);
+app.use('/api', attachElection);
+
+// Elections: list, switch, create and archive
+app.use('/api/elections', electionRoutes);
+
+// Audit feed of vote / unvote actions
+app.use('/api/audit', requireRole(ROLES.ADMIN), auditRoutes);
+
+// Batched vote submission from polling stations
+app.use('/api/votes', requireRole(ROLES.DELEGATE), voteRoutes);
+
+// XLSX / CSV exports of filtered voter lists
+app.use('/api/export', exportRoutes);
+
+// Spreadsheet imports with dry-run, apply and rollback
+app.use('/api/imports', requireRole(ROLES.ADMIN), importRoutes);
+
+// Duplicate review queue and reversible merges
+app.use('/api/duplicates', requireRole(ROLES.ADMIN), duplicateRoutes);
+
+// Register number collisions and format checks
+app.use('/api/register-numbers', requireRole(ROLES.ADMIN), registerNumberRoutes);
+
+// Google Sheets sync status
+app.use('/api/sync', requireRole(ROLES.ADMIN), syncRoutes);
+
+// Outbound webhooks with their delivery log, and turnout alert rules
+app.use('/api/webhooks', requireRole(ROLES.ADMIN), webhookRoutes);
+app.use('/api/alerts', requireRole(ROLES.ADMIN), alertRoutes);
+
+// Polling stations, ballot boxes and assignment rules
+app.use('/api/stations', stationRoutes);
+
+// Volunteers, and canvassing (pledges, contact attempts, follow-ups)
+app.use('/api/volunteers', volunteerRoutes);
+app.use('/api/canvass', canvassRoutes);
+
+// Get-out-the-vote call lists split across volunteers
+app.use('/api/call-lists', callListRoutes);
+
+// Turnout per family and household drilldown
+app.use('/api/families', familyRoutes);
+
+// Create, edit and soft-delete voter records (admin only)
+app.use('/api/voters', voterRoutes);
+
+// Get all voters with filtering, searching, sorting and pagination
 app.get('/api/voters', async (req, res) => {
   try {
-    const { 
-      search, 
-      religion, 
-      voted,
-      register_number,
-      page = 1, 
-      limit = 50 
-    } = req.query;
-    
-    let query = supabase
-      .from('voters')
-      .select('*', { count: 'exact' });
-    
-    // Search by register number (exact or partial)
-    if (register_number) {
-      query = query.or(`register_number.ilike.%${register_number}%,register_number_clean.ilike.%${register_number}%`);
-    }
-    
-    // Search by name (partial match)
-    if (search) {
-      query = query.or(`full_name.ilike.%${search}%,family_name.ilike.%${search}%,father_name.ilike.%${search}%`);
-    }
-    
-    // Filter by religion
-    if (religion && religion !== 'all') {
-      query = query.eq('religion', religion);
-    }
-    
-    // Filter by voted status
-    if (voted === 'true') {
-      query = query.eq('has_voted', true);
-    } else if (voted === 'false') {
-      query = query.eq('has_voted', false);
-    }
-    
-    // Pagination
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    query = query.range(offset, offset + parseInt(limit) - 1);
-    
-    // Order by ID
-    query = query.order('original_id', { ascending: true });
-    
-    const { data, error, count } = await query;
-    
-    if (error) throw error;
+    const options = parseVoterQuery(req.query, filterOptions(req));
+    const { data, total, nextCursor } = await runVoterQuery(options);
     
     res.json({
       success: true,
       data,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count,
-        totalPages: Math.ceil(count / parseInt(limit))
+        page: options.cursor ? null : options.page,
+        limit: options.limit,
+        total,
+        totalPages: Math.ceil(total / options.limit),
+        nextCursor
       }
     });
   } catch (error) {
-    console.error('Error fetching voters:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error fetching voters:');
   }
 });
 
 // Get voter by ID
 app.get('/api/voters/:id', async (req, res) => {
   try {
-    const { id } = req.params;
+    const id = parseId(req.params.id);
+    const stationId = stationScope(req);
     
-    const { data, error } = await supabase
-      .from('voters')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const data = await voters.findById(id);
     
-    if (error) throw error;
-    
-    if (!data) {
+    // Only voters of the request's election; delegates only see their own station
+    if (!data || data.election_id !== req.election.id || (stationId && data.polling_station_id !== stationId)) {
       return res.status(404).json({ success: false, error: 'Voter not found' });
     }
     
     res.json({ success: true, data });
   } catch (error) {
-    console.error('Error fetching voter:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error fetching voter:');
   }
 });
 
-// Mark voter as voted
-app.post('/api/voters/:id/vote', async (req, res) => {
+// Get vote / unvote history for a voter (of this election, and of the
+// delegate's station)
+app.get('/api/voters/:id/history', async (req, res) => {
   try {
-    const { id } = req.params;
-    const votedAt = new Date().toISOString();
-    
-    // Update in Supabase
-    const { data, error } = await supabase
-      .from('voters')
-      .update({ 
-        has_voted: true, 
-        voted_at: votedAt 
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    
-    // Update Google Sheets if configured
-    if (sheets && process.env.GOOGLE_SHEET_ID) {
-      try {
-        await updateGoogleSheet(data);
-      } catch (sheetsError) {
-        console.error('Error updating Google Sheets:', sheetsError.message);
-        // Don't fail the request if Sheets update fails
-      }
+    const stationId = stationScope(req);
+    const voter = await voters.findById(parseId(req.params.id));
+    if (!voter || voter.election_id !== req.election.id || (stationId && voter.polling_station_id !== stationId)) {
+      return res.status(404).json({ success: false, error: 'Voter not found' });
     }
+
+    const data = await getVoterHistory(voter.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching voter history:');
+  }
+});
+
+// Mark voter as voted
+app.post('/api/voters/:id/vote', requireRole(ROLES.DELEGATE), async (req, res) => {
+  try {
+    const data = await setVoteState(parseId(req.params.id), 'vote', actorFromRequest(req), {
+      reason: req.body?.reason,
+      expectedVersion: parseExpectedVersion(req),
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
     
     res.json({ 
       success: true, 
@@ -173,36 +191,19 @@ app.post('/api/voters/:id/vote', async (req, res) => {
       message: 'Vote recorded successfully'
     });
   } catch (error) {
-    console.error('Error recording vote:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error recording vote:');
   }
 });
 
 // Unmark voter (undo vote)
-app.post('/api/voters/:id/unvote', async (req, res) => {
+app.post('/api/voters/:id/unvote', requireRole(ROLES.DELEGATE), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const { data, error } = await supabase
-      .from('voters')
-      .update({ 
-        has_voted: false, 
-        voted_at: null 
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    
-    // Update Google Sheets if configured
-    if (sheets && process.env.GOOGLE_SHEET_ID) {
-      try {
-        await updateGoogleSheetUnvote(data);
-      } catch (sheetsError) {
-        console.error('Error updating Google Sheets:', sheetsError.message);
-      }
-    }
+    const data = await setVoteState(parseId(req.params.id), 'unvote', actorFromRequest(req), {
+      reason: req.body?.reason,
+      expectedVersion: parseExpectedVersion(req),
+      stationId: stationScope(req),
+      electionId: req.election.id
+    });
     
     res.json({ 
       success: true, 
@@ -210,183 +211,75 @@ app.post('/api/voters/:id/unvote', async (req, res) => {
       message: 'Vote removed successfully'
     });
   } catch (error) {
-    console.error('Error removing vote:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error removing vote:');
   }
 });
 
 // Get statistics
 app.get('/api/stats', async (req, res) => {
   try {
-    // Get total voters
-    const { count: total } = await supabase
-      .from('voters')
-      .select('*', { count: 'exact', head: true });
-
-    // Get voted count
-    const { count: voted } = await supabase
-      .from('voters')
-      .select('*', { count: 'exact', head: true })
-      .eq('has_voted', true);
-
-    // Get all voter data for breakdown stats
-    const { data: allVoters } = await supabase
-      .from('voters')
-      .select('religion, has_voted, family, classification');
-
-    // Stats by religion
-    const byReligion = {};
-    allVoters?.forEach(voter => {
-      const rel = voter.religion || 'غير محدد';
-      if (!byReligion[rel]) {
-        byReligion[rel] = { total: 0, voted: 0 };
-      }
-      byReligion[rel].total++;
-      if (voter.has_voted) {
-        byReligion[rel].voted++;
-      }
-    });
+    const data = await getStats(parseVoterFilters(req.query, filterOptions(req)));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching stats:');
+  }
+});
 
-    // Stats by classification
-    const byClassification = {};
-    allVoters?.forEach(voter => {
-      const classification = voter.classification || 'غير محدد';
-      if (!byClassification[classification]) {
-        byClassification[classification] = { total: 0, voted: 0 };
-      }
-      byClassification[classification].total++;
-      if (voter.has_voted) {
-        byClassification[classification].voted++;
-      }
-    });
+// Turnout over time with an end-of-day projection
+app.get('/api/stats/timeline', async (req, res) => {
+  try {
+    const options = parseTimelineOptions(req.query, await getElectionSchedule(req.election));
+    const data = await getTimeline(parseVoterFilters(req.query, filterOptions(req)), options);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching timeline:');
+  }
+});
 
-    // Stats by family
-    const byFamily = {};
-    allVoters?.forEach(voter => {
-      const family = voter.family || 'غير محدد';
-      if (!byFamily[family]) {
-        byFamily[family] = { total: 0, voted: 0 };
-      }
-      byFamily[family].total++;
-      if (voter.has_voted) {
-        byFamily[family].voted++;
-      }
-    });
+// Live turnout stream (Server-Sent Events): a snapshot on connect, then a
+// delta for every vote / unvote (a delegate's stream: their station only)
+app.get('/api/stats/stream', async (req, res) => {
+  try {
+    const stationId = stationScope(req);
+    const snapshot = await getStats(parseVoterFilters({}, { electionId: req.election.id, stationId }));
+    openStream(req, res, snapshot, { stationId });
+  } catch (error) {
+    sendError(res, error, 'Error opening stats stream:');
+  }
+});
 
-    res.json({
-      success: true,
-      data: {
-        total,
-        voted,
-        notVoted: total - voted,
-        percentage: total > 0 ? ((voted / total) * 100).toFixed(2) : 0,
-        byReligion,
-        byClassification,
-        byFamily
-      }
-    });
+// Filter values with counts, respecting the other active filters
+app.get('/api/facets', async (req, res) => {
+  try {
+    const data = await getFacets(parseVoterFilters(req.query, filterOptions(req)));
+    res.json({ success: true, data });
   } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error fetching facets:');
   }
 });
 
-// Get all unique religions for filter dropdown
+// Get all unique religions for filter dropdown (superseded by /api/facets)
 app.get('/api/religions', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('voters')
-      .select('religion')
-      .not('religion', 'is', null);
-    
-    if (error) throw error;
+    const { religion } = await getFacets(parseVoterFilters({}, filterOptions(req)));
     
-    const religions = [...new Set(data.map(v => v.religion))].filter(r => r && r !== '--').sort();
+    const religions = religion
+      .map(facet => facet.value)
+      .filter(value => value !== UNSPECIFIED)
+      .sort();
     
     res.json({ success: true, data: religions });
   } catch (error) {
-    console.error('Error fetching religions:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'Error fetching religions:');
   }
 });
 
-// Google Sheets update function
-async function updateGoogleSheet(voter) {
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  const sheetName = process.env.GOOGLE_SHEET_NAME || 'Sheet1';
-  
-  // Find the row with matching ID and update the "Voted" column
-  // First, get all data to find the row
-  const response = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: `${sheetName}!A:L` // Assuming ID is in column L
+// Start server (unless required by the tests)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
   });
-  
-  const rows = response.data.values || [];
-  let rowIndex = -1;
-  
-  // Find the row with matching original_id (column L, index 11)
-  for (let i = 0; i < rows.length; i++) {
-    if (rows[i][11] && parseInt(rows[i][11]) === voter.original_id) {
-      rowIndex = i + 1; // 1-indexed for Sheets
-      break;
-    }
-  }
-  
-  if (rowIndex === -1) {
-    console.log(`Voter ID ${voter.original_id} not found in sheet`);
-    return;
-  }
-  
-  // Update column B (اقترع) with "Yes"
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: sheetId,
-    range: `${sheetName}!B${rowIndex}`,
-    valueInputOption: 'RAW',
-    resource: {
-      values: [['Yes']]
-    }
-  });
-  
-  console.log(`Updated Google Sheet row ${rowIndex} for voter ${voter.original_id}`);
 }
 
-async function updateGoogleSheetUnvote(voter) {
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  const sheetName = process.env.GOOGLE_SHEET_NAME || 'Sheet1';
-  
-  const response = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
-    range: `${sheetName}!A:L`
-  });
-  
-  const rows = response.data.values || [];
-  let rowIndex = -1;
-  
-  for (let i = 0; i < rows.length; i++) {
-    if (rows[i][11] && parseInt(rows[i][11]) === voter.original_id) {
-      rowIndex = i + 1;
-      break;
-    }
-  }
-  
-  if (rowIndex === -1) return;
-  
-  // Clear the vote (set to empty)
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: sheetId,
-    range: `${sheetName}!B${rowIndex}`,
-    valueInputOption: 'RAW',
-    resource: {
-      values: [['']]
-    }
-  });
-  
-  console.log(`Cleared vote in Google Sheet row ${rowIndex} for voter ${voter.original_id}`);
-}
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-});
+module.exports = app;
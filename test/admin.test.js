@@ -0,0 +1,331 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startServer, createUser, createVoter } = require('./helpers');
+const { applyImportRun, rollbackImportRun } = require('../lib/importer');
+const { supabase } = require('../lib/supabase');
+
+// Base64 XLSX with one sheet of rows (the first row is the header)
+function spreadsheet(rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+}
+
+describe('admin tools', () => {
+  let api;
+  let viewer;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+  });
+
+  after(() => api.close());
+
+  describe('/imports', () => {
+    const config = { match: { field: 'original_id', column: 'A' }, columns: { family: 'B', register_number: 'C' } };
+
+    it('plans, applies and rolls back a spreadsheet', async () => {
+      const first = await createVoter(api, { original_id: 501, full_name: 'Hanna', family: 'Moussa', register_number: '5001' });
+      const second = await createVoter(api, { original_id: 502, full_name: 'Laure', family: 'Moussa', register_number: '5002' });
+      const file = spreadsheet([
+        ['id', 'family', 'register'],
+        [501, 'Moussa Jr', '5001'],
+        [502, 'Moussa', '5003'],
+        [999, 'Ghost', '9999']
+      ]);
+
+      const planned = await api.admin.post('/imports', { file, filename: 'update.xlsx', config });
+      assert.equal(planned.status, 201);
+      const { run } = planned.body.data;
+      assert.equal(run.status, 'planned');
+      assert.equal(run.summary.matched, 2);
+      assert.equal(run.summary.changes, 2);
+      assert.equal(planned.body.data.unmatched.length, 1);
+      assert.equal((await api.admin.get(`/voters/${first.id}`)).body.data.family, 'Moussa');
+
+      const listed = await api.admin.get('/imports');
+      assert.equal(listed.body.data[0].id, run.id);
+      const report = await api.admin.get(`/imports/${run.id}`);
+      assert.equal(report.status, 200);
+      assert.equal(report.body.data.changes.length, 2);
+
+      const applied = await api.admin.post(`/imports/${run.id}/apply`);
+      assert.equal(applied.status, 200);
+      assert.equal(applied.body.data.status, 'applied');
+      assert.equal(applied.body.data.summary.applied, 2);
+      assert.equal((await api.admin.get(`/voters/${first.id}`)).body.data.family, 'Moussa Jr');
+      assert.equal((await api.admin.get(`/voters/${second.id}`)).body.data.register_number_clean, '5003');
+      assert.equal((await api.admin.post(`/imports/${run.id}/apply`)).status, 409);
+
+      const rolledBack = await api.admin.post(`/imports/${run.id}/rollback`);
+      assert.equal(rolledBack.status, 200);
+      assert.equal(rolledBack.body.data.status, 'rolled_back');
+      assert.equal((await api.admin.get(`/voters/${first.id}`)).body.data.family, 'Moussa');
+      assert.equal((await api.admin.post(`/imports/${run.id}/rollback`)).status, 409);
+
+      // Both show in the voter's change history
+      const history = (await api.admin.get(`/voters/${first.id}/changes`)).body.data.slice(-2);
+      assert.deepEqual(history.map(change => change.after.family), ['Moussa Jr', 'Moussa']);
+      assert.deepEqual(history.map(change => change.before.family), ['Moussa', 'Moussa Jr']);
+      assert.equal(history[0].reason, `Import #${run.id} (update.xlsx)`);
+    });
+
+    it('validates imported values like hand edits', async () => {
+      const voter = await createVoter(api, { original_id: 701, full_name: 'Karim', family: 'Aoun' });
+      const file = spreadsheet([['id', 'name', 'family'], [701, 'K4rim!', '  Aoun   Jr ']]);
+
+      const { body } = await api.admin.post('/imports', {
+        file,
+        config: { match: { field: 'original_id', column: 'A' }, columns: { full_name: 'B', family: 'C' } }
+      });
+      assert.equal(body.data.run.summary.rejected, 1);
+      assert.match(body.data.unmatched[0].reason, /^full_name /);
+      assert.equal(body.data.changes.length, 1);
+      assert.equal(body.data.changes[0].new_value, 'Aoun Jr');
+      assert.equal((await api.admin.get(`/voters/${voter.id}`)).body.data.full_name, 'Karim');
+    });
+
+    it('applies right away without dry_run', async () => {
+      const voter = await createVoter(api, { original_id: 601, full_name: 'Samira', family: 'Saliba' });
+      const file = spreadsheet([['id', 'family'], [601, 'Saliba Haddad']]);
+
+      const { status, body } = await api.admin.post('/imports', {
+        file,
+        config: { match: { field: 'original_id', column: 'A' }, columns: { family: 'B' } },
+        dry_run: false
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.run.status, 'applied');
+      assert.equal((await api.admin.get(`/voters/${voter.id}`)).body.data.family, 'Saliba Haddad');
+    });
+
+    it('applies and rolls back a run only once when requests race', async () => {
+      const voter = await createVoter(api, { original_id: 801, full_name: 'Nadim', family: 'Gemayel' });
+      const file = spreadsheet([['id', 'family'], [801, 'Gemayel Jr']]);
+      const { run } = (await api.admin.post('/imports', { file, config })).body.data;
+
+      // Called directly: requests through the server would not overlap
+      const outcome = results => results.map(result => result.value?.status || result.reason.status).sort();
+      const applies = await Promise.allSettled([1, 2].map(() => applyImportRun(run.id, {})));
+      assert.deepEqual(outcome(applies), [409, 'applied']);
+      const rollbacks = await Promise.allSettled([1, 2].map(() => rollbackImportRun(run.id, {})));
+      assert.deepEqual(outcome(rollbacks), [409, 'rolled_back']);
+
+      const changes = (await api.admin.get(`/voters/${voter.id}/changes`)).body.data;
+      assert.deepEqual(changes.map(change => change.action), ['create', 'update', 'update']);
+      assert.equal((await api.admin.post('/imports/abc/apply')).status, 400);
+      assert.equal((await api.admin.post('/imports/abc/rollback')).status, 400);
+      assert.equal((await api.admin.get('/imports/abc')).status, 400);
+    });
+
+    it('keeps the changes an interrupted apply made', async () => {
+      const voter = await createVoter(api, { original_id: 901, full_name: 'Joumana', family: 'Frem' });
+      const file = spreadsheet([['id', 'family'], [901, 'Frem Jr']]);
+      const { run } = (await api.admin.post('/imports', { file, config })).body.data;
+
+      // The voter is changed, then writing the change history fails
+      await assert.rejects(applyImportRun(run.id, { no_such_column: true }));
+      assert.equal((await api.admin.get(`/imports/${run.id}`)).body.data.run.status, 'planned');
+      assert.equal((await api.admin.get(`/voters/${voter.id}`)).body.data.family, 'Frem Jr');
+
+      const applied = await applyImportRun(run.id, {});
+      assert.deepEqual([applied.summary.applied, applied.summary.conflicts], [1, 0]);
+      await rollbackImportRun(run.id, {});
+      assert.equal((await api.admin.get(`/voters/${voter.id}`)).body.data.family, 'Frem');
+    });
+
+    it('rejects bad uploads', async () => {
+      assert.equal((await api.admin.post('/imports', { config })).status, 400);
+      assert.equal((await api.admin.post('/imports', {
+        file: spreadsheet([['id']]),
+        config: { match: { field: 'name', column: 'A' }, columns: { family: 'B' } }
+      })).status, 400);
+      assert.equal((await api.admin.post('/imports', {
+        file: spreadsheet([['id']]),
+        config: { ...config, columns: { has_voted: 'B' } }
+      })).status, 400);
+      assert.equal((await api.admin.post('/imports', {
+        file: spreadsheet([['id']]),
+        config: { ...config, columns: { family: 2 } }
+      })).status, 400);
+      assert.equal((await api.admin.post('/imports', {
+        file: spreadsheet([['id']]),
+        config: { ...config, match: { field: 'original_id', column: ['A'] } }
+      })).status, 400);
+      assert.equal((await api.admin.get('/imports/999999')).status, 404);
+      assert.equal((await viewer.get('/imports')).status, 403);
+    });
+  });
+
+  describe('/duplicates', () => {
+    it('scans, merges and undoes a merge', async () => {
+      const kept = await createVoter(api, { full_name: 'Najib', father_name: 'Wadih', family: 'Mikati' });
+      const copy = await createVoter(api, { full_name: 'Najib', father_name: 'Wadih', family: 'Mikati', classification: 'B' });
+      await api.admin.post(`/voters/${copy.id}/vote`);
+
+      assert.equal((await api.admin.post('/duplicates/scan', { min_score: 101 })).status, 400);
+      const scan = await api.admin.post('/duplicates/scan', { min_score: 70 });
+      assert.equal(scan.status, 200);
+      assert.equal(scan.body.data.candidates, 1);
+
+      const { status, body } = await api.admin.get('/duplicates');
+      assert.equal(status, 200);
+      assert.equal(body.pagination.total, 1);
+      const candidate = body.data[0];
+      assert.deepEqual([candidate.a.id, candidate.b.id].sort(), [kept.id, copy.id].sort());
+      assert.ok(candidate.score >= 70);
+
+      assert.equal((await api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: 999999 })).status, 400);
+      const merged = await api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id });
+      assert.equal(merged.status, 200);
+      assert.equal(merged.body.data.survivor_id, kept.id);
+      assert.equal(merged.body.data.vote_transferred, true);
+      assert.equal((await api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id })).status, 409);
+
+      const survivor = (await api.admin.get(`/voters/${kept.id}`)).body.data;
+      assert.equal(survivor.has_voted, true);
+      assert.equal(survivor.classification, 'B');
+      const listed = await api.admin.get('/voters?family=Mikati');
+      assert.deepEqual(listed.body.data.map(voter => voter.id), [kept.id]);
+
+      const undone = await api.admin.post(`/duplicates/merges/${merged.body.data.id}/undo`);
+      assert.equal(undone.status, 200);
+      assert.ok(undone.body.data.undone_at);
+      assert.equal((await api.admin.post(`/duplicates/merges/${merged.body.data.id}/undo`)).status, 409);
+      assert.equal((await api.admin.get(`/voters/${kept.id}`)).body.data.has_voted, false);
+      assert.equal((await api.admin.get('/voters?family=Mikati')).body.data.length, 2);
+
+      // The pair goes back to the review queue
+      const pending = await api.admin.get('/duplicates');
+      assert.deepEqual(pending.body.data.map(item => item.id), [candidate.id]);
+      assert.equal((await api.admin.get('/duplicates?status=merged')).body.data.length, 0);
+      assert.equal((await api.admin.get('/duplicates?status=open')).status, 400);
+    });
+
+    it('keeps survivor edits made after the merge when undoing', async () => {
+      const kept = await createVoter(api, { full_name: 'Michel', father_name: 'Elias', family: 'Murr' });
+      await createVoter(api, { full_name: 'Michel', father_name: 'Elias', family: 'Murr', religion: 'Orthodox', classification: 'B' });
+      await api.admin.post('/duplicates/scan', { min_score: 70 });
+      const candidate = (await api.admin.get('/duplicates')).body.data.find(item => item.a.family === 'Murr');
+
+      const merged = await api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id });
+      assert.deepEqual(merged.body.data.fields, { religion: 'Orthodox', classification: 'B' });
+      await api.admin.patch(`/voters/${kept.id}`, { classification: 'C' });
+
+      const undone = await api.admin.post(`/duplicates/merges/${merged.body.data.id}/undo`);
+      assert.deepEqual(undone.body.data.restored, ['religion']);
+      assert.deepEqual(undone.body.data.kept, ['classification']);
+      const survivor = (await api.admin.get(`/voters/${kept.id}`)).body.data;
+      assert.equal(survivor.religion, null);
+      assert.equal(survivor.classification, 'C');
+    });
+
+    it('keeps a vote the survivor cast after the merge when undoing', async () => {
+      const kept = await createVoter(api, { full_name: 'Fouad', father_name: 'Toufic', family: 'Chehab' });
+      const copy = await createVoter(api, { full_name: 'Fouad', father_name: 'Toufic', family: 'Chehab' });
+      await api.admin.post(`/voters/${copy.id}/vote`);
+      await api.admin.post('/duplicates/scan', { min_score: 70 });
+      const candidate = (await api.admin.get('/duplicates')).body.data.find(item => item.a.family === 'Chehab');
+
+      const merged = await api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id });
+      assert.equal(merged.body.data.vote_transferred, true);
+      await api.admin.post(`/voters/${kept.id}/unvote`);
+      await api.admin.post(`/voters/${kept.id}/vote`);
+
+      assert.equal((await api.admin.post(`/duplicates/merges/${merged.body.data.id}/undo`)).status, 200);
+      assert.equal((await api.admin.get(`/voters/${kept.id}`)).body.data.has_voted, true);
+    });
+
+    it('dismisses a pair', async () => {
+      await createVoter(api, { full_name: 'Rafic', father_name: 'Bahaa', family: 'Hariri' });
+      await createVoter(api, { full_name: 'Rafic', father_name: 'Bahaa', family: 'Hariri' });
+      await api.admin.post('/duplicates/scan', { min_score: 70 });
+
+      const { body } = await api.admin.get('/duplicates');
+      const candidate = body.data.find(item => item.a.family === 'Hariri');
+      const dismissed = await api.admin.post(`/duplicates/${candidate.id}/dismiss`);
+      assert.equal(dismissed.status, 200);
+      assert.equal(dismissed.body.data.status, 'dismissed');
+
+      // Dismissed pairs are not queued again
+      await api.admin.post('/duplicates/scan', { min_score: 70 });
+      const pending = await api.admin.get('/duplicates');
+      assert.ok(!pending.body.data.some(item => item.a.family === 'Hariri'));
+      assert.equal((await api.admin.post('/duplicates/999999/dismiss')).status, 404);
+      assert.equal((await api.admin.post('/duplicates/abc/dismiss')).status, 400);
+      assert.equal((await api.admin.post('/duplicates/abc/merge')).status, 400);
+      assert.equal((await api.admin.post('/duplicates/merges/abc/undo')).status, 400);
+      assert.equal((await api.admin.get('/duplicates?limit=abc')).status, 400);
+      assert.equal((await api.admin.get('/duplicates?page=0')).status, 400);
+      assert.equal((await api.admin.get('/duplicates?limit=500')).status, 400);
+      assert.equal((await viewer.get('/duplicates')).status, 403);
+    });
+
+    it('never replaces the survivor\'s register number', async () => {
+      const kept = await createVoter(api, { full_name: 'Sleiman', father_name: 'Nakhle', family: 'Frangieh', register_number: '12' });
+      await createVoter(api, { full_name: 'Sleiman', father_name: 'Nakhle', family: 'Frangieh', register_number: '123' });
+      await api.admin.post('/duplicates/scan', { min_score: 30 });
+      const candidate = (await api.admin.get('/duplicates')).body.data.find(item => item.a.family === 'Frangieh');
+
+      // Two merges of the same pair: only one goes ahead
+      const [merged, again] = await Promise.all([
+        api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id }),
+        api.admin.post(`/duplicates/${candidate.id}/merge`, { keep: kept.id })
+      ]);
+      assert.equal(merged.status, 200);
+      assert.equal(again.status, 409);
+      assert.ok(!('register_number' in merged.body.data.fields));
+      assert.equal((await api.admin.get(`/voters/${kept.id}`)).body.data.register_number, '12');
+    });
+  });
+
+  describe('/sync', () => {
+    it('reports the Google Sheets queue', async () => {
+      const { status, body } = await api.admin.get('/sync/sheets');
+      assert.equal(status, 200);
+      assert.equal(body.data.configured, false);
+      assert.equal(body.data.backlog, 0);
+
+      const flushed = await api.admin.post('/sync/sheets/flush');
+      assert.equal(flushed.status, 200);
+      assert.equal(flushed.body.data.backlog, 0);
+    });
+
+    it('keeps changes with no sheet row until they are retried', async () => {
+      const electionId = (await viewer.get('/elections')).body.current;
+      const { error } = await supabase.from('sheet_sync_queue').insert({
+        election_id: electionId,
+        original_id: 901,
+        voted: true,
+        last_error: 'Voter ID not found in the sheet',
+        unmatched_at: new Date().toISOString()
+      });
+      assert.equal(error, null);
+
+      assert.equal((await api.admin.get('/sync/sheets')).body.data.unmatched, 1);
+      const listed = await api.admin.get('/sync/sheets/unmatched');
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.data.map(entry => [entry.original_id, entry.last_error]), [[901, 'Voter ID not found in the sheet']]);
+
+      const retried = await api.admin.post('/sync/sheets/unmatched/retry');
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.data.queued, 1);
+      const status = (await api.admin.get('/sync/sheets')).body.data;
+      assert.equal(status.unmatched, 0);
+      assert.equal(status.backlog, 1);
+      assert.deepEqual((await api.admin.get('/sync/sheets/unmatched')).body.data, []);
+    });
+
+    it('refuses to reconcile without a sheet', async () => {
+      assert.equal((await api.admin.get('/sync/sheets/reconcile')).status, 503);
+      assert.equal((await api.admin.post('/sync/sheets/reconcile', { policy: 'db_wins' })).status, 503);
+
+      const last = await api.admin.get('/sync/sheets/reconcile/last');
+      assert.equal(last.status, 200);
+      assert.equal(last.body.data, null);
+      assert.equal((await viewer.get('/sync/sheets')).status, 403);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, createClient, login, createUser } = require('./helpers');
+
+describe('health and auth', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('GET /health answers without a token', async () => {
+    const { status, body } = await api.anonymous.get('/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('refuses API calls without a valid token', async () => {
+    assert.equal((await api.anonymous.get('/voters')).status, 401);
+    assert.equal((await createClient(api.baseUrl, 'not-a-token').get('/voters')).status, 401);
+  });
+
+  it('POST /auth/login checks the credentials', async () => {
+    const missing = await api.anonymous.post('/auth/login', { email: ADMIN.email });
+    assert.equal(missing.status, 400);
+
+    const wrong = await api.anonymous.post('/auth/login', { ...ADMIN, password: 'wrong-password' });
+    assert.equal(wrong.status, 401);
+
+    const { status, body } = await api.anonymous.post('/auth/login', ADMIN);
+    assert.equal(status, 200);
+    assert.ok(body.data.access_token);
+    assert.ok(body.data.refresh_token);
+    assert.equal(body.data.user.email, ADMIN.email);
+    assert.equal(body.data.user.role, 'admin');
+  });
+
+  it('POST /auth/refresh exchanges a refresh token once', async () => {
+    const { body: session } = await api.anonymous.post('/auth/login', ADMIN);
+    const refreshToken = session.data.refresh_token;
+
+    const { status, body } = await api.anonymous.post('/auth/refresh', { refresh_token: refreshToken });
+    assert.equal(status, 200);
+    assert.notEqual(body.data.access_token, session.data.access_token);
+
+    const refreshed = createClient(api.baseUrl, body.data.access_token);
+    assert.equal((await refreshed.get('/auth/me')).status, 200);
+
+    assert.equal((await api.anonymous.post('/auth/refresh', { refresh_token: refreshToken })).status, 401);
+    assert.equal((await api.anonymous.post('/auth/refresh', {})).status, 400);
+  });
+
+  it('GET /auth/me returns the identity', async () => {
+    const { status, body } = await api.admin.get('/auth/me');
+    assert.equal(status, 200);
+    assert.equal(body.data.email, ADMIN.email);
+    assert.equal(body.data.role, 'admin');
+  });
+
+  it('POST /auth/users creates users with a role', async () => {
+    const invalid = await api.admin.post('/auth/users', {
+      email: 'someone@example.test',
+      password: 'user-password',
+      role: 'owner'
+    });
+    assert.equal(invalid.status, 400);
+
+    const viewer = await createUser(api, 'viewer');
+    assert.equal(viewer.user.role, 'viewer');
+    const { body } = await viewer.get('/auth/me');
+    assert.equal(body.data.id, viewer.user.id);
+
+    const duplicate = await api.admin.post('/auth/users', {
+      email: body.data.email,
+      password: 'user-password',
+      role: 'viewer'
+    });
+    assert.equal(duplicate.status, 422);
+
+    // Only admins manage users
+    const forbidden = await viewer.post('/auth/users', {
+      email: 'other@example.test',
+      password: 'user-password',
+      role: 'viewer'
+    });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('PATCH /auth/users/:id changes the role and station', async () => {
+    const viewer = await createUser(api, 'viewer');
+    const { body: station } = await api.admin.post('/stations', { name: 'School' });
+
+    assert.equal((await api.admin.patch(`/auth/users/${viewer.user.id}`, {})).status, 400);
+    assert.equal((await api.admin.patch(`/auth/users/${viewer.user.id}`, { station_id: 9999 })).status, 400);
+
+    const { status, body } = await api.admin.patch(`/auth/users/${viewer.user.id}`, {
+      role: 'delegate',
+      station_id: station.data.id
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.role, 'delegate');
+    assert.equal(body.data.station_id, station.data.id);
+
+    // The role is kept when only the station changes
+    const cleared = await api.admin.patch(`/auth/users/${viewer.user.id}`, { station_id: null });
+    assert.equal(cleared.body.data.role, 'delegate');
+    assert.equal(cleared.body.data.station_id, null);
+
+    const missing = await api.admin.patch('/auth/users/00000000-0000-0000-0000-000000000000', { role: 'viewer' });
+    assert.equal(missing.status, 404);
+
+    // A new login picks up the new role
+    const relogged = await login(api.baseUrl, { email: body.data.email, password: 'user-password' });
+    assert.equal((await relogged.get('/auth/me')).body.data.role, 'delegate');
+  });
+});
@@ -0,0 +1,320 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, createVoter } = require('./helpers');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+describe('canvassing', () => {
+  let api;
+  let viewer;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+  });
+
+  after(() => api.close());
+
+  describe('/volunteers', () => {
+    it('creates, updates and lists volunteers', async () => {
+      const created = await api.admin.post('/volunteers', { name: 'Carla', phone: '+961 3 123456' });
+      assert.equal(created.status, 201);
+      const volunteer = created.body.data;
+      assert.equal(volunteer.active, true);
+
+      assert.equal((await api.admin.post('/volunteers', { phone: '123456' })).status, 400);
+      assert.equal((await api.admin.post('/volunteers', { name: 'Carla', phone: 'call me' })).status, 400);
+      assert.equal((await viewer.post('/volunteers', { name: 'Paul' })).status, 403);
+
+      const updated = await api.admin.patch(`/volunteers/${volunteer.id}`, { active: false });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.data.active, false);
+      assert.equal((await api.admin.patch(`/volunteers/${volunteer.id}`, {})).status, 400);
+
+      const inactive = await viewer.get('/volunteers?active=false');
+      assert.ok(inactive.body.data.some(item => item.id === volunteer.id));
+      const active = await viewer.get('/volunteers?active=true');
+      assert.ok(!active.body.data.some(item => item.id === volunteer.id));
+      assert.equal((await viewer.get('/volunteers?active=maybe')).status, 400);
+    });
+
+    it('keeps volunteers and their stations to the current election', async () => {
+      const current = { 'X-Election-Id': String((await viewer.get('/elections')).body.current) };
+      const other = (await api.admin.post('/elections', { name: 'By-election', municipality: 'Roueiss' })).body.data;
+      const away = (await api.admin.post('/stations', { name: 'School' }, { 'X-Election-Id': String(other.id) })).body.data;
+      const station = (await api.admin.post('/stations', { name: 'Library' }, current)).body.data;
+
+      assert.equal((await api.admin.post('/volunteers', { name: 'Rami', station_id: 999999 }, current)).status, 400);
+      assert.equal((await api.admin.post('/volunteers', { name: 'Rami', station_id: away.id }, current)).status, 400);
+      const created = await api.admin.post('/volunteers', { name: 'Rami', station_id: station.id }, current);
+      assert.equal(created.status, 201);
+      const path = `/volunteers/${created.body.data.id}`;
+      assert.equal((await api.admin.patch(path, { station_id: away.id }, current)).status, 400);
+      assert.equal((await api.admin.patch(path, { station_id: null }, current)).status, 200);
+
+      // Volunteers stay in their election
+      const header = { 'X-Election-Id': String(other.id) };
+      const outsider = (await api.admin.post('/volunteers', { name: 'Walid', station_id: away.id }, header)).body.data;
+      assert.equal(outsider.election_id, other.id);
+      const listed = (await viewer.get('/volunteers', current)).body.data;
+      assert.ok(listed.some(item => item.id === created.body.data.id));
+      assert.ok(!listed.some(item => item.id === outsider.id));
+      assert.equal((await api.admin.patch(`/volunteers/${outsider.id}`, { active: false }, current)).status, 404);
+      const voter = await createVoter(api, { full_name: 'Rita', family: 'Khoury' }, current);
+      const contact = await api.admin.post(`/canvass/voters/${voter.id}/contacts`, { method: 'visit', volunteer_id: outsider.id }, current);
+      assert.equal(contact.status, 404);
+      const logged = await api.admin.post(`/canvass/voters/${voter.id}/contacts`, { method: 'visit', volunteer_id: created.body.data.id }, current);
+      assert.equal(logged.body.data.contact.election_id, Number(current['X-Election-Id']));
+      const list = await api.admin.post('/call-lists', { name: 'Mixed', volunteer_ids: [outsider.id] }, current);
+      assert.equal(list.status, 400);
+      await api.admin.post(`/elections/${other.id}/archive`);
+    });
+  });
+
+  describe('/canvass', () => {
+    it('logs contacts and updates the pledge status', async () => {
+      const volunteer = (await api.admin.post('/volunteers', { name: 'Maroun' })).body.data;
+      const voter = await createVoter(api, { full_name: 'Joseph', family: 'Karam' });
+
+      const logged = await api.admin.post(`/canvass/voters/${voter.id}/contacts`, {
+        method: 'call',
+        outcome: 'reached',
+        pledge_status: 'leaning',
+        follow_up_on: TODAY,
+        note: 'Call back before noon',
+        volunteer_id: volunteer.id
+      });
+      assert.equal(logged.status, 201);
+      assert.equal(logged.body.data.voter.pledge_status, 'leaning');
+      assert.equal(logged.body.data.voter.canvass_volunteer_id, volunteer.id);
+      assert.equal(logged.body.data.contact.outcome, 'reached');
+
+      assert.equal((await api.admin.post(`/canvass/voters/${voter.id}/contacts`, {})).status, 400);
+      assert.equal((await api.admin.post(`/canvass/voters/${voter.id}/contacts`, { method: 'fax' })).status, 400);
+      assert.equal((await viewer.post(`/canvass/voters/${voter.id}/contacts`, { method: 'call' })).status, 403);
+
+      const patched = await api.admin.patch(`/canvass/voters/${voter.id}`, { pledge_status: 'supporter' });
+      assert.equal(patched.status, 200);
+      assert.equal(patched.body.data.pledge_status, 'supporter');
+      assert.equal((await api.admin.patch(`/canvass/voters/${voter.id}`, {})).status, 400);
+
+      const { status, body } = await viewer.get(`/canvass/voters/${voter.id}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.voter.pledge_status, 'supporter');
+      assert.equal(body.data.owner.id, volunteer.id);
+      assert.equal(body.data.contacts.length, 2);
+
+      assert.equal((await viewer.get('/canvass/voters/999999')).status, 404);
+      assert.equal((await viewer.get('/canvass/voters/abc')).status, 400);
+      assert.equal((await api.admin.patch('/canvass/voters/abc', { pledge_status: 'leaning' })).status, 400);
+      assert.equal((await api.admin.post('/canvass/voters/abc/contacts', { method: 'call' })).status, 400);
+
+      const stats = await viewer.get('/stats?family=Karam');
+      assert.deepEqual(stats.body.data.byPledge.supporter, { total: 1, voted: 0 });
+      const filtered = await viewer.get('/voters?pledge_status=supporter');
+      assert.deepEqual(filtered.body.data.map(item => item.id), [voter.id]);
+    });
+
+    it('lists due follow-ups of voters who have not voted', async () => {
+      const volunteer = (await api.admin.post('/volunteers', { name: 'Nayla' })).body.data;
+      const pending = await createVoter(api, { full_name: 'Roger', family: 'Hajj' });
+      const voted = await createVoter(api, { full_name: 'Mona', family: 'Hajj' });
+      for (const voter of [pending, voted]) {
+        await api.admin.patch(`/canvass/voters/${voter.id}`, { follow_up_on: TODAY, volunteer_id: volunteer.id });
+      }
+      await api.admin.post(`/voters/${voted.id}/vote`);
+
+      const { status, body } = await viewer.get(`/canvass/follow-ups?volunteer_id=${volunteer.id}`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(voter => voter.id), [pending.id]);
+
+      const earlier = await viewer.get('/canvass/follow-ups?due=2000-01-01');
+      assert.equal(earlier.body.data.length, 0);
+      assert.equal((await viewer.get('/canvass/follow-ups?due=tomorrow')).status, 400);
+      assert.equal((await viewer.get('/canvass/follow-ups?limit=abc')).status, 400);
+      assert.equal((await viewer.get('/canvass/follow-ups?limit=0')).status, 400);
+      assert.equal((await viewer.get('/canvass/follow-ups?limit=501')).status, 400);
+      assert.equal((await viewer.get('/canvass/follow-ups?volunteer_id=x')).status, 400);
+    });
+  });
+
+  describe('/call-lists', () => {
+    it('splits non-voters across volunteers and tracks calls', async () => {
+      const first = (await api.admin.post('/volunteers', { name: 'Rola' })).body.data;
+      const second = (await api.admin.post('/volunteers', { name: 'Samir' })).body.data;
+      const voters = [];
+      for (const [name, family] of [['Adel', 'Bitar'], ['Amal', 'Bitar'], ['Bassam', 'Tabet'], ['Dina', 'Tabet']]) {
+        voters.push(await createVoter(api, { full_name: name, family, classification: 'Call' }));
+      }
+      await api.admin.post(`/voters/${voters[3].id}/vote`);
+
+      assert.equal((await api.admin.post('/call-lists', { name: 'Evening', volunteer_ids: [] })).status, 400);
+      assert.equal((await api.admin.post('/call-lists', {
+        name: 'Evening',
+        volunteer_ids: [first.id],
+        filters: { family: 'Nobody' }
+      })).status, 400);
+      assert.equal((await viewer.post('/call-lists', { name: 'Evening', volunteer_ids: [first.id] })).status, 403);
+
+      const created = await api.admin.post('/call-lists', {
+        name: 'Evening',
+        volunteer_ids: [first.id, second.id],
+        filters: { classification: 'Call' }
+      });
+      assert.equal(created.status, 201);
+      const list = created.body.data;
+      assert.equal(list.progress.total, 3);
+      // Families stay with one volunteer
+      assert.deepEqual(Object.values(list.progress.byVolunteer).map(counts => counts.total).sort(), [1, 2]);
+
+      const listed = await viewer.get('/call-lists?status=open');
+      assert.ok(listed.body.data.some(item => item.id === list.id));
+      assert.equal((await viewer.get('/call-lists?status=done')).status, 400);
+
+      const { status, body } = await viewer.get(`/call-lists/${list.id}`);
+      assert.equal(status, 200);
+      const assignments = body.data.volunteers.flatMap(volunteer => volunteer.families.flatMap(family => family.assignments));
+      assert.equal(assignments.length, 3);
+
+      const call = await api.admin.patch(`/call-lists/${list.id}/assignments/${assignments[0].id}`, {
+        status: 'reached',
+        pledge_status: 'supporter',
+        note: 'Will vote after lunch'
+      });
+      assert.equal(call.status, 200);
+      assert.equal(call.body.data.status, 'reached');
+      const canvass = await viewer.get(`/canvass/voters/${assignments[0].voter_id}`);
+      assert.equal(canvass.body.data.voter.pledge_status, 'supporter');
+
+      assert.equal((await api.admin.patch(`/call-lists/${list.id}/assignments/${assignments[0].id}`, { status: 'busy' })).status, 400);
+      assert.equal((await api.admin.patch(`/call-lists/${list.id}/assignments/999999`, { status: 'reached' })).status, 404);
+      assert.equal((await api.admin.patch(`/call-lists/${list.id}/assignments/abc`, { status: 'reached' })).status, 400);
+
+      // Voting takes the voter off the list
+      await api.admin.post(`/voters/${assignments[1].voter_id}/vote`);
+      const after = await viewer.get(`/call-lists/${list.id}`);
+      assert.equal(after.body.data.volunteers.flatMap(volunteer => volunteer.families.flatMap(family => family.assignments)).length, 2);
+      const withVoted = await viewer.get(`/call-lists/${list.id}?include_voted=true`);
+      assert.equal(withVoted.body.data.volunteers.flatMap(volunteer => volunteer.families.flatMap(family => family.assignments)).length, 3);
+
+      const closed = await api.admin.post(`/call-lists/${list.id}/close`);
+      assert.equal(closed.status, 200);
+      assert.equal(closed.body.data.status, 'closed');
+      assert.equal((await api.admin.patch(`/call-lists/${list.id}/assignments/${assignments[2].id}`, { status: 'reached' })).status, 409);
+      assert.equal((await viewer.get('/call-lists/999999')).status, 404);
+      assert.equal((await viewer.get('/call-lists/abc')).status, 400);
+      assert.equal((await api.admin.post('/call-lists/abc/close')).status, 400);
+
+      // A closed list keeps the state it was closed with
+      await api.admin.post(`/voters/${assignments[1].voter_id}/unvote`);
+      const kept = await viewer.get(`/call-lists/${list.id}?include_voted=true`);
+      const unvoted = kept.body.data.volunteers.flatMap(volunteer => volunteer.families.flatMap(family => family.assignments))
+        .find(assignment => assignment.id === assignments[1].id);
+      assert.equal(unvoted.status, 'voted');
+    });
+
+    it('splits a family larger than the fair share', async () => {
+      const first = (await api.admin.post('/volunteers', { name: 'Jad' })).body.data;
+      const second = (await api.admin.post('/volunteers', { name: 'Joelle' })).body.data;
+      for (const name of ['Antoine', 'Bachir', 'Chadi', 'Daoud', 'Elias']) {
+        await createVoter(api, { full_name: name, family: 'Daou', classification: 'Split' });
+      }
+      await createVoter(api, { full_name: 'Fares', family: 'Zein', classification: 'Split' });
+
+      const created = await api.admin.post('/call-lists', {
+        name: 'Large family',
+        volunteer_ids: [first.id, second.id],
+        filters: { classification: 'Split' }
+      });
+      assert.equal(created.status, 201);
+      assert.deepEqual(Object.values(created.body.data.progress.byVolunteer).map(counts => counts.total), [3, 3]);
+    });
+
+    it('limits delegates to their station\'s lists', async () => {
+      const station = (await api.admin.post('/stations', { name: 'Municipal hall' })).body.data;
+      const box = (await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box 1' })).body.data;
+      await api.admin.post('/stations/rules', { ballot_box_id: box.id, family: 'Karam' });
+      const local = await createVoter(api, { full_name: 'Joseph', family: 'Karam' });
+      await createVoter(api, { full_name: 'Ziad', family: 'Baroud' });
+      await api.admin.post('/stations/assign', { dry_run: false });
+      const delegate = await createUser(api, 'delegate', { station_id: station.id });
+      const volunteer = (await api.admin.post('/volunteers', { name: 'Nour', station_id: station.id })).body.data;
+
+      const everyone = (await api.admin.post('/call-lists', { name: 'Everyone', volunteer_ids: [volunteer.id] })).body.data;
+      const listed = await delegate.get('/call-lists');
+      assert.equal(listed.body.data.some(item => item.id === everyone.id), false);
+      assert.equal((await delegate.get(`/call-lists/${everyone.id}`)).status, 404);
+      assert.equal((await delegate.post(`/call-lists/${everyone.id}/close`)).status, 404);
+      const [other] = (await api.admin.get(`/call-lists/${everyone.id}`)).body.data.volunteers[0].families
+        .flatMap(family => family.assignments);
+      assert.equal((await delegate.patch(`/call-lists/${everyone.id}/assignments/${other.id}`, { status: 'pending' })).status, 404);
+
+      const own = await delegate.post('/call-lists', { name: 'Station', volunteer_ids: [volunteer.id] });
+      assert.equal(own.status, 201);
+      assert.equal(own.body.data.station_id, station.id);
+      assert.deepEqual((await delegate.get('/call-lists')).body.data.map(item => item.id), [own.body.data.id]);
+      const { body } = await delegate.get(`/call-lists/${own.body.data.id}`);
+      const assignments = body.data.volunteers.flatMap(item => item.families.flatMap(family => family.assignments));
+      assert.ok(assignments.some(assignment => assignment.voter_id === local.id));
+      assert.ok(assignments.every(assignment => assignment.voter.polling_station_id === station.id));
+      const call = await delegate.patch(`/call-lists/${own.body.data.id}/assignments/${assignments[0].id}`, { status: 'pending' });
+      assert.equal(call.status, 200);
+      assert.equal((await delegate.post(`/call-lists/${own.body.data.id}/close`)).status, 200);
+
+      const elsewhere = (await api.admin.post('/volunteers', { name: 'Hadi' })).body.data;
+      const logged = await delegate.post(`/canvass/voters/${local.id}/contacts`, { method: 'call', volunteer_id: elsewhere.id });
+      assert.equal(logged.status, 400);
+      assert.equal((await delegate.post(`/canvass/voters/${local.id}/contacts`, { method: 'call', volunteer_id: volunteer.id })).status, 201);
+    });
+  });
+
+  describe('/families', () => {
+    it('reports turnout per family and household', async () => {
+      const father = await createVoter(api, { full_name: 'Camille', father_name: 'Boutros', family: 'Chamoun' });
+      await createVoter(api, { full_name: 'Dory', father_name: 'Camille', family: 'Chamoun' });
+      await createVoter(api, { full_name: 'Tracy', father_name: 'Camille', family: 'Chamoun' });
+      await api.admin.post(`/voters/${father.id}/vote`);
+
+      const { status, body } = await viewer.get('/families?family=Chamoun');
+      assert.equal(status, 200);
+      assert.equal(body.data.length, 1);
+      assert.equal(body.data[0].family, 'Chamoun');
+      assert.equal(body.data[0].total, 3);
+      assert.equal(body.data[0].voted, 1);
+
+      const sorted = await viewer.get('/families?sort=family&limit=2');
+      assert.equal(sorted.body.pagination.limit, 2);
+      assert.ok(sorted.body.data[0].family <= sorted.body.data[1].family);
+      assert.equal((await viewer.get('/families?sort=size')).status, 400);
+
+      const family = await viewer.get('/families/Chamoun');
+      assert.equal(family.status, 200);
+      assert.equal(family.body.data.total, 3);
+      assert.equal(family.body.data.households.length, 2);
+      assert.equal((await viewer.get('/families/Nobody')).status, 404);
+    });
+
+    it('adds and removes family contacts', async () => {
+      const member = await createVoter(api, { full_name: 'Pierre', family: 'Eddeh' });
+      const outsider = await createVoter(api, { full_name: 'Walid', family: 'Jumblatt' });
+
+      const byVoter = await api.admin.post('/families/Eddeh/contacts', { voter_id: member.id, phone: '03 123 456' });
+      assert.equal(byVoter.status, 201);
+      assert.equal(byVoter.body.data.voter_id, member.id);
+
+      const byName = await api.admin.post('/families/Eddeh/contacts', { name: 'Mukhtar' });
+      assert.equal(byName.status, 201);
+
+      assert.equal((await api.admin.post('/families/Eddeh/contacts', {})).status, 400);
+      assert.equal((await api.admin.post('/families/Eddeh/contacts', { voter_id: outsider.id })).status, 400);
+      assert.equal((await viewer.post('/families/Eddeh/contacts', { name: 'Mukhtar' })).status, 403);
+
+      const family = await viewer.get('/families/Eddeh');
+      assert.equal(family.body.data.contacts.length, 2);
+
+      const removed = await api.admin.delete(`/families/Eddeh/contacts/${byName.body.data.id}`);
+      assert.equal(removed.status, 200);
+      assert.equal((await api.admin.delete(`/families/Eddeh/contacts/${byName.body.data.id}`)).status, 404);
+    });
+  });
+});
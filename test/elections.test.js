@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, createVoter } = require('./helpers');
+
+describe('elections', () => {
+  let api;
+  let viewer;
+  let seeded;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+    seeded = (await viewer.get('/elections')).body.current;
+  });
+
+  after(() => api.close());
+
+  it('lists the seeded election as current', async () => {
+    const { status, body } = await viewer.get('/elections');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(election => election.id), [seeded]);
+    assert.equal(body.data[0].status, 'active');
+    assert.equal(body.data[0].municipality.name, 'Roueiss');
+    assert.equal((await viewer.get('/elections?status=done')).status, 400);
+  });
+
+  it('returns one election with its results', async () => {
+    await createVoter(api, { full_name: 'Imad', family: 'Salem' });
+
+    const { status, body } = await viewer.get(`/elections/${seeded}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.id, seeded);
+    assert.equal(body.data.results.total, 1);
+    assert.equal((await viewer.get('/elections/999')).status, 404);
+    assert.equal((await viewer.get('/elections/abc')).status, 400);
+  });
+
+  it('creates and updates elections', async () => {
+    assert.equal((await api.admin.post('/elections', { name: 'Municipal 2030' })).status, 400);
+    assert.equal((await viewer.post('/elections', { name: 'Municipal 2030', municipality: 'Roueiss' })).status, 403);
+
+    const created = await api.admin.post('/elections', {
+      name: 'Municipal 2030',
+      municipality: 'Roueiss',
+      election_date: '2030-05-12',
+      turnout_target: 55
+    });
+    assert.equal(created.status, 201);
+    const election = created.body.data;
+    assert.equal(election.municipality.name, 'Roueiss');
+    assert.equal(election.status, 'active');
+
+    assert.equal((await api.admin.post('/elections', { name: 'Municipal 2030', municipality: 'Roueiss' })).status, 409);
+
+    const updated = await api.admin.patch(`/elections/${election.id}`, {
+      opens_at: '2030-05-12T07:00:00+03:00',
+      closes_at: '2030-05-12T19:00:00+03:00',
+      sheet_columns: { idColumn: 'l', votedColumn: 'B' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.sheet_columns.idColumn, 'L');
+    assert.equal((await api.admin.patch(`/elections/${election.id}`, {})).status, 400);
+    assert.equal((await api.admin.patch(`/elections/${election.id}`, {
+      opens_at: '2030-05-12T19:00:00Z',
+      closes_at: '2030-05-12T07:00:00Z'
+    })).status, 400);
+  });
+
+  it('scopes voters by X-Election-Id and the switched election', async () => {
+    const other = (await api.admin.post('/elections', { name: 'By-election', municipality: 'Hadath' })).body.data;
+    const header = { 'X-Election-Id': String(other.id) };
+
+    const voter = await createVoter(api, { full_name: 'Imad', family: 'Salem' }, header);
+    assert.equal(voter.election_id, other.id);
+
+    const scoped = await viewer.get('/voters?family=Salem', header);
+    assert.deepEqual(scoped.body.data.map(item => item.id), [voter.id]);
+    assert.equal((await viewer.get(`/voters/${voter.id}`, { 'X-Election-Id': String(seeded) })).status, 404);
+    assert.equal((await viewer.get('/voters', { 'X-Election-Id': '999' })).status, 404);
+
+    const switched = await viewer.post(`/elections/${seeded}/switch`);
+    assert.equal(switched.status, 200);
+    assert.equal((await viewer.get('/elections')).body.current, seeded);
+    const seededVoters = await viewer.get('/voters?family=Salem');
+    assert.ok(seededVoters.body.data.every(item => item.election_id === seeded));
+  });
+
+  it('archives an election read-only', async () => {
+    const election = (await api.admin.post('/elections', { name: 'Archive me', municipality: 'Roueiss' })).body.data;
+    const header = { 'X-Election-Id': String(election.id) };
+    const voter = await createVoter(api, { full_name: 'Ghassan', family: 'Tueni' }, header);
+
+    assert.equal((await viewer.post(`/elections/${election.id}/archive`)).status, 403);
+    const archived = await api.admin.post(`/elections/${election.id}/archive`);
+    assert.equal(archived.status, 200);
+    assert.equal(archived.body.data.status, 'archived');
+    assert.ok(archived.body.data.archived_at);
+    assert.equal((await api.admin.post(`/elections/${election.id}/archive`)).status, 409);
+
+    // Still readable, no longer writable
+    assert.equal((await api.admin.get('/voters', header)).status, 200);
+    assert.equal((await api.admin.post(`/voters/${voter.id}/vote`, {}, header)).status, 409);
+    assert.equal((await api.admin.post('/voters', { full_name: 'Nayla' }, header)).status, 409);
+    assert.equal((await api.admin.patch(`/elections/${election.id}`, { turnout_target: 50 })).status, 409);
+
+    const listed = await viewer.get('/elections?status=archived');
+    assert.deepEqual(listed.body.data.map(item => item.id), [election.id]);
+  });
+});
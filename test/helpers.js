@@ -0,0 +1,99 @@
+// Shared setup for the API tests: the app on the local storage backend,
+// in memory, with a seeded admin. Each test file runs in its own process,
+// so every file starts from an empty store.
+
+const ADMIN = { email: 'admin@example.test', password: 'admin-password' };
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DATA_FILE = ':memory:';
+process.env.LOCAL_ADMIN_EMAIL = ADMIN.email;
+process.env.LOCAL_ADMIN_PASSWORD = ADMIN.password;
+process.env.LOCAL_MUNICIPALITY_NAME = 'Roueiss';
+// Keep settings from a developer's .env (dotenv does not override these)
+// from reaching Google Sheets or moving the election day
+process.env.GOOGLE_SERVICE_ACCOUNT_KEY = '';
+process.env.GOOGLE_SHEET_ID = '';
+process.env.DEFAULT_ELECTION_ID = '';
+process.env.SHEETS_RECONCILE_INTERVAL_MINUTES = '';
+process.env.ELECTION_OPENS_AT = '2026-05-10T07:00:00+03:00';
+process.env.ELECTION_CLOSES_AT = '2026-05-10T19:00:00+03:00';
+process.env.TURNOUT_TARGET = '60';
+
+const app = require('../server');
+
+// Request helper bound to a token. Resolves with { status, headers, body };
+// JSON bodies are parsed, anything else is returned as text.
+function createClient(baseUrl, token = null) {
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const type = response.headers.get('content-type') || '';
+    const payload = type.includes('application/json') ? await response.json() : await response.text();
+    return { status: response.status, headers: response.headers, body: payload };
+  }
+
+  return {
+    token,
+    request,
+    get: (path, headers) => request('GET', path, undefined, headers),
+    post: (path, body = {}, headers) => request('POST', path, body, headers),
+    patch: (path, body = {}, headers) => request('PATCH', path, body, headers),
+    delete: (path, headers) => request('DELETE', path, undefined, headers)
+  };
+}
+
+async function login(baseUrl, { email, password }) {
+  const { status, body } = await createClient(baseUrl).post('/auth/login', { email, password });
+  if (status !== 200) throw new Error(`Login as ${email} failed (${status}): ${body.error}`);
+  return createClient(baseUrl, body.data.access_token);
+}
+
+// Start the app on a free port and log in as the seeded admin
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  return {
+    baseUrl,
+    admin: await login(baseUrl, ADMIN),
+    anonymous: createClient(baseUrl),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+let userCount = 0;
+
+// Create a user with a role (and station for delegates) and log in as them
+async function createUser(api, role, { station_id: stationId } = {}) {
+  userCount++;
+  const credentials = { email: `${role}${userCount}@example.test`, password: 'user-password' };
+  const { status, body } = await api.admin.post('/auth/users', {
+    ...credentials,
+    role,
+    ...(stationId !== undefined && { station_id: stationId })
+  });
+  if (status !== 201) throw new Error(`Creating ${role} failed (${status}): ${body.error}`);
+
+  const client = await login(api.baseUrl, credentials);
+  client.user = body.data;
+  return client;
+}
+
+// Create a voter through the API; fields override the defaults
+async function createVoter(api, fields = {}, headers) {
+  const { status, body } = await api.admin.post('/voters', { full_name: 'Voter', ...fields }, headers);
+  if (status !== 201) throw new Error(`Creating voter failed (${status}): ${body.error}`);
+  return body.data;
+}
+
+module.exports = { ADMIN, createClient, login, startServer, createUser, createVoter };
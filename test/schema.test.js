@@ -0,0 +1,253 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { TABLES } = require('../lib/storage/local/schema');
+const { FUNCTIONS } = require('../lib/storage/local/functions');
+const { openStore, MEMORY } = require('../lib/storage/local/store');
+const { NAMED_TRIGGERS, TRIGGERS } = require('../lib/storage/local/triggers');
+const { LocalQuery } = require('../lib/storage/local/query');
+const local = require('../lib/storage/local');
+const supabase = require('../lib/storage/supabase');
+
+const ROOT = path.join(__dirname, '..');
+const MIGRATIONS = path.join(ROOT, 'migrations');
+
+// voters predates migrations/: these columns come from the original table
+const BASE_COLUMNS = {
+  voters: [
+    'id', 'original_id', 'full_name', 'father_name', 'family_name', 'religion', 'family',
+    'classification', 'register_number', 'register_number_clean', 'has_voted', 'voted_at', 'created_at'
+  ]
+};
+
+const CONSTRAINT_KEYWORDS = ['primary', 'unique', 'check', 'constraint', 'foreign', 'exclude'];
+
+// Migrations without comments and function bodies, in order
+function readMigrations() {
+  return fs.readdirSync(MIGRATIONS)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => fs.readFileSync(path.join(MIGRATIONS, file), 'utf8')
+      .replace(/\$(\w*)\$[\s\S]*?\$\1\$/g, '')
+      .replace(/--.*$/gm, '')
+      .toLowerCase())
+    .join('\n');
+}
+
+// Split a column list on its top-level commas
+function splitColumns(body) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+// table -> Set of columns, replaying create table / alter table
+function migratedTables(sql) {
+  const tables = {};
+  Object.entries(BASE_COLUMNS).forEach(([table, columns]) => {
+    tables[table] = new Set(columns);
+  });
+
+  for (const statement of sql.split(';')) {
+    const created = statement.match(/create table (?:if not exists )?(\w+)\s*\(([\s\S]*)\)/);
+    if (created) {
+      tables[created[1]] = new Set(splitColumns(created[2])
+        .map(item => item.split(/\s+/)[0])
+        .filter(name => !CONSTRAINT_KEYWORDS.includes(name)));
+      continue;
+    }
+
+    const altered = statement.match(/alter table (?:if exists )?(\w+)\s([\s\S]*)/);
+    if (!altered) continue;
+    const columns = tables[altered[1]] || (tables[altered[1]] = new Set());
+    for (const [, name] of altered[2].matchAll(/add column (?:if not exists )?(\w+)/g)) columns.add(name);
+    for (const [, name] of altered[2].matchAll(/drop column (?:if exists )?(\w+)/g)) columns.delete(name);
+    for (const [, from, to] of altered[2].matchAll(/rename column (\w+) to (\w+)/g)) {
+      columns.delete(from);
+      columns.add(to);
+    }
+  }
+  return tables;
+}
+
+function migratedFunctions(sql) {
+  return new Set([...sql.matchAll(/create (?:or replace )?function (\w+)/g)].map(match => match[1]));
+}
+
+// table -> Set of BEFORE triggers, replaying create / drop trigger
+function migratedTriggers(sql) {
+  const triggers = {};
+  for (const statement of sql.split(';')) {
+    const created = statement.match(/create trigger (\w+)\s+before\s[\w\s,]*?\son (\w+)/);
+    if (created) (triggers[created[2]] || (triggers[created[2]] = new Set())).add(created[1]);
+    const dropped = statement.match(/drop trigger (?:if exists )?(\w+) on (\w+)/);
+    if (dropped) triggers[dropped[2]]?.delete(dropped[1]);
+  }
+  return triggers;
+}
+
+// Source of every .js file under dir, by path
+function sources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sources(file);
+    return entry.name.endsWith('.js') ? [[file, fs.readFileSync(file, 'utf8')]] : [];
+  });
+}
+
+// Functions the code calls through rpc()
+function calledFunctions(dir) {
+  const names = new Set();
+  for (const [, source] of sources(dir)) {
+    for (const [, name] of source.matchAll(/\brpc\('(\w+)'/g)) names.add(name);
+  }
+  return names;
+}
+
+describe('local backend schema', () => {
+  const sql = readMigrations();
+  const tables = migratedTables(sql);
+
+  it('has every table and column of the migrations', () => {
+    for (const [table, columns] of Object.entries(tables)) {
+      assert.ok(TABLES[table], `${table} is missing from lib/storage/local/schema.js`);
+      const local = Object.keys(TABLES[table].columns);
+      const missing = [...columns].filter(column => !local.includes(column));
+      assert.deepEqual(missing, [], `${table} is missing columns`);
+    }
+  });
+
+  it('has no tables or columns the migrations do not create', () => {
+    for (const [table, { columns }] of Object.entries(TABLES)) {
+      assert.ok(tables[table], `${table} is not created by migrations/`);
+      const extra = Object.keys(columns).filter(column => !tables[table].has(column));
+      assert.deepEqual(extra, [], `${table} has columns not in migrations/`);
+    }
+  });
+
+  it('implements only functions the migrations define, and every one the code calls', () => {
+    const defined = migratedFunctions(sql);
+    for (const name of Object.keys(FUNCTIONS)) {
+      assert.ok(defined.has(name), `${name} is not defined in migrations/`);
+    }
+    for (const name of ['lib', 'routes'].flatMap(dir => [...calledFunctions(path.join(ROOT, dir))])) {
+      assert.ok(defined.has(name), `${name} is called but not defined in migrations/`);
+      assert.ok(FUNCTIONS[name], `${name} is called but not implemented by the local backend`);
+    }
+  });
+
+  // Postgres fires the BEFORE triggers of one event in name order, and the
+  // local backend fires NAMED_TRIGGERS the same way, so the names must match
+  it('has the triggers of the migrations under the same names', () => {
+    const triggers = migratedTriggers(sql);
+    for (const table of new Set([...Object.keys(triggers), ...Object.keys(NAMED_TRIGGERS)])) {
+      assert.deepEqual(
+        Object.keys(NAMED_TRIGGERS[table] || {}).sort(),
+        [...(triggers[table] || [])].sort(),
+        `${table} triggers differ from migrations/`
+      );
+    }
+  });
+
+  it('gives both backends the same repositories', () => {
+    for (const name of ['createVoterRepository', 'createVoteEventRepository']) {
+      assert.deepEqual(
+        Object.keys(local[name]({})).sort(),
+        Object.keys(supabase[name]({})).sort(),
+        `${name} differs between the backends`
+      );
+    }
+  });
+
+  it('reaches voters and vote_events only through the repositories', () => {
+    const files = ['lib', 'routes', 'commands']
+      .flatMap(dir => sources(path.join(ROOT, dir)))
+      .filter(([file]) => !file.startsWith(path.join(ROOT, 'lib', 'storage')));
+    for (const [file, source] of files) {
+      assert.doesNotMatch(source, /\.from\('(voters|vote_events)'\)|\brpc\(/, `${path.relative(ROOT, file)} bypasses lib/storage`);
+    }
+  });
+});
+
+// The Supabase repositories build PostgREST queries; run them through the
+// local query client on the same store as the local repositories, which work
+// on the rows directly, and compare
+describe('storage repositories', () => {
+  const store = openStore({ file: MEMORY, triggers: TRIGGERS });
+  const client = { from: table => new LocalQuery(store, table) };
+  const voters = { local: local.createVoterRepository(store), supabase: supabase.createVoterRepository(client) };
+  const events = { local: local.createVoteEventRepository(store), supabase: supabase.createVoteEventRepository(client) };
+
+  const municipality = store.insert('municipalities', { name: 'Roueiss' });
+  const election = store.insert('elections', { municipality_id: municipality.id, name: 'Roueiss' });
+  [
+    { original_id: 3, full_name: 'علي حسن', family: 'حداد', register_number: '101', has_voted: true },
+    { original_id: null, full_name: 'عمر', family: null, register_number: '102' },
+    { original_id: 1, full_name: 'علي بكر', family: '--', register_number: '٢٠١' },
+    { original_id: 2, full_name: 'زيد', family: 'حداد', register_number: null, has_voted: true },
+    { original_id: 4, full_name: 'رامي', family: 'حداد', register_number: '103', deleted_at: '2026-01-01T00:00:00Z' }
+  ].forEach(voter => store.insert('voters', { election_id: election.id, has_voted: false, ...voter }));
+  [['vote', '2026-05-10T08:00:00Z'], ['unvote', '2026-05-10T09:00:00Z'], ['vote', '2026-05-10T10:00:00Z']]
+    .forEach(([action, at]) => store.insert('vote_events', { voter_id: 1, election_id: election.id, action, occurred_at: at }));
+
+  async function same(repositories, method, ...args) {
+    const expected = await repositories.supabase[method](...args);
+    assert.deepEqual(await repositories.local[method](...args), expected, `${method}(${JSON.stringify(args)})`);
+    return expected;
+  }
+
+  it('list voters the same way', async () => {
+    const cases = [
+      [{ election: election.id }, {}],
+      [{ election: election.id, include_deleted: true }, { sort: [{ field: 'original_id', ascending: false }] }],
+      [{ election: election.id, families: ['غير محدد'] }, { columns: ['id', 'family'] }],
+      [{ election: election.id, search: 'علي' }, { sort: [{ field: 'full_name', ascending: true }] }],
+      [{ election: election.id, register_number: '201', voted: false }, {}],
+      [{ election: election.id }, { sort: [{ field: 'original_id', ascending: true }], offset: 1, limit: 2 }],
+      [{ election: election.id }, { sort: [{ field: 'original_id', ascending: true }], limit: 2, after: [2, 4] }],
+      [{ election: election.id }, { sort: [{ field: 'original_id', ascending: false }], limit: 5, after: [null, 2] }]
+    ];
+    for (const [filters, options] of cases) await same(voters, 'list', filters, options);
+  });
+
+  it('find voters the same way', async () => {
+    assert.equal((await same(voters, 'findActive', { register_number_clean: '201' }, { electionId: election.id })).id, 3);
+    assert.equal(await same(voters, 'findActive', { id: 3 }, { electionId: election.id, excludeId: 3 }), null);
+    assert.equal(await same(voters, 'findActive', { original_id: 4 }, { electionId: election.id }), null);
+    await same(voters, 'findByIds', [2, 5]);
+    await same(voters, 'followUps', { until: '2026-05-10', electionId: election.id, limit: 10 });
+  });
+
+  it('read vote events the same way', async () => {
+    assert.equal((await same(events, 'latest', 1, { action: 'unvote' })).occurred_at, '2026-05-10T09:00:00.000Z');
+    await same(events, 'forVoter', 1);
+    await same(events, 'list', { electionId: election.id, action: 'vote', from: '2026-05-10T08:30:00.000Z' }, { offset: 0, limit: 10 });
+    assert.deepEqual(
+      [...await events.local.latestTimes([1, 2])],
+      [...await events.supabase.latestTimes([1, 2])]
+    );
+  });
+
+  it('writes the vote and its event together', async () => {
+    const event = { action: 'vote', election_id: election.id, occurred_at: '2026-05-10T11:00:00.000Z' };
+    assert.equal(await voters.local.compareAndSetVote(2, 5, { has_voted: true, voted_at: event.occurred_at }, event), null);
+    assert.equal((await events.local.forVoter(2)).length, 0);
+
+    const voter = await voters.local.compareAndSetVote(2, 0, { has_voted: true, voted_at: event.occurred_at }, event);
+    assert.equal(voter.vote_version, 1);
+    assert.deepEqual((await events.local.forVoter(2)).map(row => row.action), ['vote']);
+  });
+});
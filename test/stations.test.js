@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, createVoter } = require('./helpers');
+
+describe('polling stations', () => {
+  let api;
+  let viewer;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+  });
+
+  after(() => api.close());
+
+  it('creates, renames and lists stations with their boxes', async () => {
+    const created = await api.admin.post('/stations', { name: 'Town hall', location: 'Main square' });
+    assert.equal(created.status, 201);
+    const station = created.body.data;
+    assert.equal(station.location, 'Main square');
+
+    assert.equal((await api.admin.post('/stations', { name: 'Town hall' })).status, 409);
+    assert.equal((await api.admin.post('/stations', {})).status, 400);
+    assert.equal((await viewer.post('/stations', { name: 'Church' })).status, 403);
+
+    const renamed = await api.admin.patch(`/stations/${station.id}`, { name: 'Old town hall' });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.data.name, 'Old town hall');
+    assert.equal((await api.admin.patch('/stations/999999', { name: 'Nowhere' })).status, 404);
+
+    const box = await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box A' });
+    assert.equal(box.status, 201);
+    assert.equal(box.body.data.station_id, station.id);
+    assert.equal((await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box A' })).status, 409);
+    assert.equal((await api.admin.post('/stations/999999/boxes', { name: 'Box A' })).status, 404);
+
+    const { status, body } = await viewer.get('/stations');
+    assert.equal(status, 200);
+    const listed = body.data.stations.find(item => item.id === station.id);
+    assert.deepEqual(listed.ballot_boxes.map(item => item.name), ['Box A']);
+    assert.equal(listed.total, 0);
+    assert.ok(body.data.unassigned);
+  });
+
+  it('assigns voters to ballot boxes by rule', async () => {
+    const station = (await api.admin.post('/stations', { name: 'School' })).body.data;
+    const first = (await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box 1' })).body.data;
+    const second = (await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box 2' })).body.data;
+
+    const low = await createVoter(api, { full_name: 'Antoine', family: 'Rizk', register_number: '10' });
+    const high = await createVoter(api, { full_name: 'Claude', family: 'Rizk', register_number: '250' });
+    const other = await createVoter(api, { full_name: 'Fouad', family: 'Daher', register_number: '20' });
+
+    assert.equal((await api.admin.post('/stations/rules', { ballot_box_id: first.id })).status, 400);
+    assert.equal((await api.admin.post('/stations/rules', { ballot_box_id: 999999, family: 'Rizk' })).status, 404);
+    assert.equal((await api.admin.post('/stations/rules', {
+      ballot_box_id: first.id,
+      register_from: 100,
+      register_to: 1
+    })).status, 400);
+
+    const rangeRule = await api.admin.post('/stations/rules', {
+      ballot_box_id: first.id,
+      family: 'Rizk',
+      register_from: 1,
+      register_to: 100,
+      priority: 1
+    });
+    assert.equal(rangeRule.status, 201);
+    const familyRule = await api.admin.post('/stations/rules', { ballot_box_id: second.id, family: 'Rizk', priority: 2 });
+    assert.equal(familyRule.status, 201);
+
+    const rules = await api.admin.get('/stations/rules');
+    assert.deepEqual(rules.body.data.map(rule => rule.id), [rangeRule.body.data.id, familyRule.body.data.id]);
+
+    const planned = await api.admin.post('/stations/assign');
+    assert.equal(planned.status, 200);
+    assert.equal(planned.body.data.dryRun, true);
+    assert.equal(planned.body.data.byBox[String(first.id)], 1);
+    assert.equal(planned.body.data.byBox[String(second.id)], 1);
+
+    const applied = await api.admin.post('/stations/assign', { dry_run: false });
+    assert.equal(applied.body.data.dryRun, false);
+
+    const voterBox = async voter => (await api.admin.get(`/voters/${voter.id}`)).body.data;
+    assert.equal((await voterBox(low)).ballot_box_id, first.id);
+    assert.equal((await voterBox(high)).ballot_box_id, second.id);
+    assert.equal((await voterBox(high)).polling_station_id, station.id);
+    assert.equal((await voterBox(other)).ballot_box_id, null);
+
+    // New voters are placed on insert
+    const later = await createVoter(api, { full_name: 'Nicolas', family: 'Rizk', register_number: '300' });
+    assert.equal(later.ballot_box_id, second.id);
+
+    const stations = await viewer.get('/stations?family=Rizk');
+    const listed = stations.body.data.stations.find(item => item.id === station.id);
+    assert.equal(listed.total, 3);
+
+    const removed = await api.admin.delete(`/stations/rules/${familyRule.body.data.id}`);
+    assert.equal(removed.status, 200);
+    assert.equal((await api.admin.delete(`/stations/rules/${familyRule.body.data.id}`)).status, 404);
+    assert.equal((await viewer.get('/stations/rules')).status, 403);
+  });
+
+  it('places a new voter by register range alone', async () => {
+    const station = (await api.admin.post('/stations', { name: 'Library' })).body.data;
+    const box = (await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box R' })).body.data;
+    const rule = await api.admin.post('/stations/rules', {
+      ballot_box_id: box.id,
+      register_from: 5000,
+      register_to: 5999,
+      priority: 0
+    });
+    assert.equal(rule.status, 201);
+
+    const inRange = await createVoter(api, { full_name: 'Georges', family: 'Haddad', register_number: '٥١٢٣' });
+    assert.equal(inRange.ballot_box_id, box.id);
+    assert.equal(inRange.polling_station_id, station.id);
+
+    const outside = await createVoter(api, { full_name: 'Elie', family: 'Haddad', register_number: '6123' });
+    assert.equal(outside.ballot_box_id, null);
+
+    // Editing the register number moves the voter with it
+    const moved = await api.admin.patch(`/voters/${outside.id}`, { register_number: '5124' });
+    assert.equal(moved.body.data.ballot_box_id, box.id);
+    assert.equal(moved.body.data.polling_station_id, station.id);
+    const away = await api.admin.patch(`/voters/${inRange.id}`, { register_number: '7123' });
+    assert.equal(away.body.data.ballot_box_id, null);
+    assert.equal(away.body.data.polling_station_id, null);
+  });
+
+  it('limits delegates to their own station', async () => {
+    const own = (await api.admin.post('/stations', { name: 'Club' })).body.data;
+    const delegate = await createUser(api, 'delegate', { station_id: own.id });
+
+    const { body } = await delegate.get('/stations');
+    assert.deepEqual(body.data.stations.map(station => station.id), [own.id]);
+    assert.equal(body.data.unassigned, null);
+  });
+});
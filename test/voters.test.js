@@ -0,0 +1,260 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+// Small enough for the tests to go past
+process.env.EXPORT_XLSX_MAX_ROWS = '3';
+const { startServer, createUser, createVoter } = require('./helpers');
+const { supabase } = require('../lib/supabase');
+
+describe('voters', () => {
+  let api;
+  let viewer;
+  let voters;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+    voters = [
+      await createVoter(api, { original_id: 1, full_name: 'Georges', family_name: 'Haddad', family: 'Haddad', religion: 'Maronite', register_number: '101' }),
+      await createVoter(api, { original_id: 2, full_name: 'Rita', family_name: 'Haddad', family: 'Haddad', religion: 'Maronite', register_number: '102' }),
+      await createVoter(api, { original_id: 3, full_name: 'Karim', family_name: 'Khoury', family: 'Khoury', religion: 'Orthodox', register_number: '103' }),
+      await createVoter(api, { original_id: 4, full_name: 'جورج', family_name: 'نصر', family: 'نصر', classification: 'A' })
+    ];
+  });
+
+  after(() => api.close());
+
+  describe('POST /voters', () => {
+    it('creates a voter in the current election', async () => {
+      const voter = await createVoter(api, { full_name: 'Maya', family: 'Saad', register_number: '٠٠١٢٣' });
+      assert.equal(voter.full_name, 'Maya');
+      assert.equal(voter.register_number_clean, '123');
+      assert.equal(voter.has_voted, false);
+      assert.equal(voter.vote_version, 0);
+      assert.ok(voter.election_id);
+    });
+
+    it('validates the fields', async () => {
+      assert.equal((await api.admin.post('/voters', {})).status, 400);
+      assert.equal((await api.admin.post('/voters', { full_name: 'R2D2' })).status, 400);
+      assert.equal((await api.admin.post('/voters', { full_name: 'Rami', register_number: 'abc' })).status, 400);
+      assert.equal((await api.admin.post('/voters', { full_name: 'Rami', has_voted: true })).status, 400);
+    });
+
+    it('refuses a register number already held in the election', async () => {
+      const { status, body } = await api.admin.post('/voters', { full_name: 'Rami', register_number: '0101' });
+      assert.equal(status, 409);
+      assert.equal(body.details.holder.id, voters[0].id);
+    });
+
+    it('is admin only', async () => {
+      assert.equal((await viewer.post('/voters', { full_name: 'Rami' })).status, 403);
+    });
+  });
+
+  describe('GET /voters', () => {
+    it('pages through the voters by original_id', async () => {
+      const { status, body } = await viewer.get('/voters?limit=2');
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(voter => voter.original_id), [1, 2]);
+      assert.equal(body.pagination.limit, 2);
+      assert.ok(body.pagination.total >= 4);
+
+      const next = await viewer.get('/voters?limit=2&page=2');
+      assert.deepEqual(next.body.data.map(voter => voter.original_id), [3, 4]);
+    });
+
+    it('follows a cursor', async () => {
+      const first = await viewer.get('/voters?limit=2&cursor=');
+      assert.ok(first.body.pagination.nextCursor);
+      const second = await viewer.get(`/voters?limit=2&cursor=${first.body.pagination.nextCursor}`);
+      assert.deepEqual(second.body.data.map(voter => voter.original_id), [3, 4]);
+      assert.equal(second.body.pagination.total, first.body.pagination.total);
+    });
+
+    it('filters, sorts and selects fields', async () => {
+      const { body } = await viewer.get('/voters?family=Haddad&sort=-full_name&fields=id,full_name');
+      assert.deepEqual(body.data.map(voter => voter.full_name), ['Rita', 'Georges']);
+      assert.deepEqual(Object.keys(body.data[0]).sort(), ['full_name', 'id']);
+
+      const religion = await viewer.get('/voters?religion=Orthodox');
+      assert.deepEqual(religion.body.data.map(voter => voter.id), [voters[2].id]);
+
+      const register = await viewer.get('/voters?register_number=0103');
+      assert.deepEqual(register.body.data.map(voter => voter.id), [voters[2].id]);
+    });
+
+    it('searches names', async () => {
+      const { body } = await viewer.get(`/voters?search=${encodeURIComponent('جورج')}`);
+      assert.equal(body.data[0].id, voters[3].id);
+
+      const latin = await viewer.get('/voters?search=haddad');
+      assert.deepEqual(latin.body.data.map(voter => voter.id).sort(), [voters[0].id, voters[1].id].sort());
+    });
+
+    it('rejects bad query parameters', async () => {
+      assert.equal((await viewer.get('/voters?sort=unknown')).status, 400);
+      assert.equal((await viewer.get('/voters?limit=0')).status, 400);
+      assert.equal((await viewer.get('/voters?search=a&sort=full_name')).status, 400);
+      assert.equal((await viewer.get('/voters?include_deleted=true')).status, 403);
+    });
+  });
+
+  describe('GET /voters/:id', () => {
+    it('returns one voter', async () => {
+      const { status, body } = await viewer.get(`/voters/${voters[0].id}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.full_name, 'Georges');
+    });
+
+    it('answers 404 for an unknown voter', async () => {
+      assert.equal((await viewer.get('/voters/999999')).status, 404);
+      assert.equal((await viewer.get('/voters/abc')).status, 400);
+    });
+  });
+
+  describe('PATCH, DELETE and restore', () => {
+    it('updates fields and records the change', async () => {
+      const voter = await createVoter(api, { full_name: 'Nadim', family: 'Aoun' });
+
+      const { status, body } = await api.admin.patch(`/voters/${voter.id}`, { family: 'Abi Aoun', register_number: '555' });
+      assert.equal(status, 200);
+      assert.equal(body.data.family, 'Abi Aoun');
+      assert.equal(body.data.register_number_clean, '555');
+      assert.deepEqual(body.changed.sort(), ['family', 'register_number']);
+
+      assert.equal((await api.admin.patch(`/voters/${voter.id}`, { register_number: '101' })).status, 409);
+      assert.equal((await api.admin.patch('/voters/999999', { family: 'Aoun' })).status, 404);
+
+      const changes = await api.admin.get(`/voters/${voter.id}/changes`);
+      assert.equal(changes.status, 200);
+      assert.deepEqual(changes.body.data.map(change => change.action), ['create', 'update']);
+    });
+
+    it('soft-deletes and restores a voter', async () => {
+      const voter = await createVoter(api, { full_name: 'Salim', family: 'Azar' });
+
+      const deleted = await api.admin.delete(`/voters/${voter.id}`);
+      assert.equal(deleted.status, 200);
+      assert.ok(deleted.body.data.deleted_at);
+      assert.equal((await api.admin.delete(`/voters/${voter.id}`)).status, 409);
+
+      const listed = await api.admin.get('/voters?family=Azar');
+      assert.equal(listed.body.data.length, 0);
+      const withDeleted = await api.admin.get('/voters?family=Azar&include_deleted=true');
+      assert.equal(withDeleted.body.data.length, 1);
+
+      const restored = await api.admin.post(`/voters/${voter.id}/restore`);
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.data.deleted_at, null);
+      assert.equal((await api.admin.post(`/voters/${voter.id}/restore`)).status, 409);
+
+      const changes = await api.admin.get(`/voters/${voter.id}/changes`);
+      assert.deepEqual(changes.body.data.map(change => change.action), ['create', 'delete', 'restore']);
+      const [, deletion, restoration] = changes.body.data;
+      assert.equal(deletion.before.deleted_at, null);
+      assert.equal(deletion.after.deleted_at, deleted.body.data.deleted_at);
+      assert.equal(restoration.before.deleted_at, deleted.body.data.deleted_at);
+      assert.equal(restoration.after.deleted_at, null);
+    });
+
+    it('keeps viewers out of changes', async () => {
+      assert.equal((await viewer.get(`/voters/${voters[0].id}/changes`)).status, 403);
+    });
+
+    it('only shows changes of the election\'s voters', async () => {
+      const current = { 'X-Election-Id': String((await viewer.get('/elections')).body.current) };
+      const other = (await api.admin.post('/elections', { name: 'By-election 2027', municipality: 'Roueiss' })).body.data;
+      const voter = await createVoter(api, { full_name: 'Walid', family: 'Aoun' }, { 'X-Election-Id': String(other.id) });
+
+      assert.equal((await api.admin.get(`/voters/${voter.id}/changes`, current)).status, 404);
+      const scoped = await api.admin.get(`/voters/${voter.id}/changes`, { 'X-Election-Id': String(other.id) });
+      assert.equal(scoped.status, 200);
+      assert.deepEqual(scoped.body.data.map(change => change.action), ['create']);
+      assert.equal((await api.admin.get('/voters/abc/changes', current)).status, 400);
+      assert.equal((await api.admin.patch('/voters/abc', { family: 'Aoun' }, current)).status, 400);
+      assert.equal((await api.admin.delete('/voters/abc', current)).status, 400);
+      assert.equal((await api.admin.post('/voters/abc/restore', {}, current)).status, 400);
+      await api.admin.post(`/elections/${other.id}/archive`);
+    });
+  });
+
+  describe('GET /facets and /religions', () => {
+    it('counts each filter value', async () => {
+      const { status, body } = await viewer.get('/facets?family=Haddad');
+      assert.equal(status, 200);
+      const religions = Object.fromEntries(body.data.religion.map(item => [item.value, item.total]));
+      assert.equal(religions.Maronite, 2);
+      // A facet ignores its own filter
+      assert.ok(body.data.family.some(item => item.value === 'Khoury'));
+    });
+
+    it('lists the religions', async () => {
+      const { body } = await viewer.get('/religions');
+      assert.deepEqual(body.data, ['Maronite', 'Orthodox']);
+    });
+  });
+
+  describe('GET /export/voters', () => {
+    it('exports CSV', async () => {
+      const { status, headers, body } = await viewer.get('/export/voters?format=csv&family=Khoury');
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /text\/csv/);
+      assert.match(headers.get('content-disposition'), /attachment/);
+      assert.match(body, /Karim/);
+      assert.doesNotMatch(body, /Georges/);
+    });
+
+    it('exports XLSX', async () => {
+      const { status, headers } = await viewer.get('/export/voters?family=Haddad');
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /spreadsheetml/);
+    });
+
+    it('caps XLSX but not CSV', async () => {
+      assert.equal((await viewer.get('/export/voters')).status, 413);
+      assert.equal((await viewer.get('/export/voters?format=csv')).status, 200);
+    });
+
+    it('keeps imported text from running as a formula', async () => {
+      // Imports write names the API itself would refuse
+      const voter = await createVoter(api, { full_name: 'Formula', family: 'Injection' });
+      const { error } = await supabase.from('voters').update({ family: '=HYPERLINK("http://example.test")' }).eq('id', voter.id);
+      assert.equal(error, null);
+
+      const csv = await viewer.get('/export/voters?format=csv&lang=en&columns=full_name,family&search=Formula');
+      assert.match(csv.body, /Formula,"'=HYPERLINK\(""http:\/\/example\.test""\)"/);
+
+      const response = await fetch(`${api.baseUrl}/export/voters?lang=en&columns=full_name,family&search=Formula`, {
+        headers: { Authorization: `Bearer ${viewer.token}` }
+      });
+      const workbook = XLSX.read(Buffer.from(await response.arrayBuffer()));
+      const [, row] = XLSX.utils.sheet_to_json(workbook.Sheets.Voters, { header: 1 });
+      assert.deepEqual(row, ['Formula', '\'=HYPERLINK("http://example.test")']);
+    });
+
+    it('rejects an unknown format', async () => {
+      assert.equal((await viewer.get('/export/voters?format=pdf')).status, 400);
+    });
+  });
+
+  describe('register numbers', () => {
+    it('validates a number', async () => {
+      const valid = await api.admin.get(`/register-numbers/validate?value=${encodeURIComponent('٠٤٢')}`);
+      assert.equal(valid.status, 200);
+      assert.equal(valid.body.data.clean, '42');
+      assert.equal(valid.body.data.valid, true);
+
+      const invalid = await api.admin.get('/register-numbers/validate?value=12a');
+      assert.equal(invalid.body.data.valid, false);
+    });
+
+    it('lists malformed numbers', async () => {
+      const { status, body } = await api.admin.get('/register-numbers/conflicts');
+      assert.equal(status, 200);
+      assert.ok(Array.isArray(body.data.invalid));
+      assert.equal((await viewer.get('/register-numbers/conflicts')).status, 403);
+    });
+  });
+});
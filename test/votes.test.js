@@ -0,0 +1,326 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, createVoter } = require('./helpers');
+const { supabase } = require('../lib/supabase');
+
+// Read Server-Sent Events from a stream until count events have arrived
+async function readEvents(reader, count) {
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m);
+      const data = block.match(/^data: (.*)$/m);
+      if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+    }
+  }
+  return events;
+}
+
+describe('votes', () => {
+  let api;
+  let viewer;
+  let delegate;
+  let station;
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+    station = (await api.admin.post('/stations', { name: 'Public school' })).body.data;
+    delegate = await createUser(api, 'delegate', { station_id: station.id });
+  });
+
+  after(() => api.close());
+
+  describe('POST /voters/:id/vote and /unvote', () => {
+    it('records a vote and its removal', async () => {
+      const voter = await createVoter(api, { full_name: 'Elie', family: 'Sfeir' });
+
+      const voted = await api.admin.post(`/voters/${voter.id}/vote`);
+      assert.equal(voted.status, 200);
+      assert.equal(voted.body.data.has_voted, true);
+      assert.ok(voted.body.data.voted_at);
+      assert.equal(voted.body.data.vote_version, 1);
+
+      const again = await api.admin.post(`/voters/${voter.id}/vote`);
+      assert.equal(again.status, 409);
+
+      const unvoted = await api.admin.post(`/voters/${voter.id}/unvote`, { reason: 'Wrong person' });
+      assert.equal(unvoted.status, 200);
+      assert.equal(unvoted.body.data.has_voted, false);
+      assert.equal(unvoted.body.data.voted_at, null);
+      assert.equal(unvoted.body.data.vote_version, 2);
+
+      assert.equal((await api.admin.post(`/voters/${voter.id}/unvote`)).status, 409);
+    });
+
+    it('checks expected_version and If-Match', async () => {
+      const voter = await createVoter(api, { full_name: 'Joelle', family: 'Sfeir' });
+
+      const stale = await api.admin.post(`/voters/${voter.id}/vote`, { expected_version: 3 });
+      assert.equal(stale.status, 412);
+
+      const matched = await api.admin.post(`/voters/${voter.id}/vote`, {}, { 'If-Match': '"0"' });
+      assert.equal(matched.status, 200);
+
+      assert.equal((await api.admin.post(`/voters/${voter.id}/unvote`, { expected_version: -1 })).status, 400);
+    });
+
+    it('answers 404 for an unknown voter and 400 for a malformed id', async () => {
+      assert.equal((await api.admin.post('/voters/999999/vote')).status, 404);
+      assert.equal((await api.admin.post('/voters/abc/vote')).status, 400);
+      assert.equal((await api.admin.post('/voters/abc/unvote')).status, 400);
+    });
+
+    it('refuses viewers and limits delegates to their station', async () => {
+      const voter = await createVoter(api, { full_name: 'Tony', family: 'Sfeir' });
+      assert.equal((await viewer.post(`/voters/${voter.id}/vote`)).status, 403);
+      assert.equal((await delegate.post(`/voters/${voter.id}/vote`)).status, 403);
+      assert.equal((await delegate.get(`/voters/${voter.id}`)).status, 404);
+      assert.equal((await delegate.get(`/voters/${voter.id}/history`)).status, 404);
+      assert.equal((await viewer.get('/voters/999999/history')).status, 404);
+      assert.equal((await viewer.get('/voters/abc/history')).status, 400);
+    });
+
+    it('lets a delegate vote at their station', async () => {
+      const box = (await api.admin.post(`/stations/${station.id}/boxes`, { name: 'Box 1' })).body.data;
+      const voter = await createVoter(api, { full_name: 'Hoda', family: 'Sfeir' });
+      await api.admin.post('/stations/rules', { ballot_box_id: box.id, family: 'Sfeir' });
+      await api.admin.post('/stations/assign', { dry_run: false });
+
+      const { status, body } = await delegate.post(`/voters/${voter.id}/vote`);
+      assert.equal(status, 200);
+      assert.equal(body.data.polling_station_id, station.id);
+
+      const listed = await delegate.get('/voters');
+      assert.ok(listed.body.data.every(item => item.polling_station_id === station.id));
+    });
+  });
+
+  describe('GET /voters/:id/history and /audit', () => {
+    it('lists the vote events of a voter', async () => {
+      const voter = await createVoter(api, { full_name: 'Marc', family: 'Nassar' });
+      await api.admin.post(`/voters/${voter.id}/vote`);
+      await api.admin.post(`/voters/${voter.id}/unvote`, { reason: 'Mistake' });
+
+      const { status, body } = await viewer.get(`/voters/${voter.id}/history`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(event => event.action), ['vote', 'unvote']);
+      assert.equal(body.data[1].reason, 'Mistake');
+    });
+
+    it('filters the audit feed', async () => {
+      const voter = await createVoter(api, { full_name: 'Lina', family: 'Nassar' });
+      await api.admin.post(`/voters/${voter.id}/vote`);
+
+      const { status, body } = await api.admin.get(`/audit?voter_id=${voter.id}&action=vote`);
+      assert.equal(status, 200);
+      assert.equal(body.data.length, 1);
+      assert.equal(body.data[0].voter_id, voter.id);
+      assert.equal(body.pagination.total, 1);
+
+      const paged = await api.admin.get('/audit?limit=1&page=1');
+      assert.equal(paged.body.data.length, 1);
+      assert.ok(paged.body.pagination.total > 1);
+
+      const future = encodeURIComponent(new Date(Date.now() + 3600000).toISOString());
+      assert.equal((await api.admin.get(`/audit?from=${future}`)).body.pagination.total, 0);
+
+      assert.equal((await api.admin.get('/audit?action=delete')).status, 400);
+      assert.equal((await api.admin.get('/audit?page=0')).status, 400);
+      assert.equal((await api.admin.get('/audit?limit=-5')).status, 400);
+      assert.equal((await api.admin.get('/audit?limit=1000')).status, 400);
+      assert.equal((await api.admin.get('/audit?from=yesterday')).status, 400);
+      assert.equal((await viewer.get('/audit')).status, 403);
+    });
+  });
+
+  describe('POST /votes/batch', () => {
+    it('applies queued operations once', async () => {
+      const voter = await createVoter(api, { full_name: 'Fadi', family: 'Gemayel' });
+      const clientTimestamp = new Date().toISOString();
+      const operations = [
+        { idempotency_key: 'batch-1', voter_id: voter.id, action: 'vote', client_timestamp: clientTimestamp },
+        { idempotency_key: 'batch-2', voter_id: voter.id, action: 'vote', client_timestamp: clientTimestamp },
+        { idempotency_key: 'batch-3', voter_id: 999999, action: 'vote', client_timestamp: clientTimestamp },
+        { idempotency_key: 'batch-4', voter_id: voter.id, action: 'cheer', client_timestamp: clientTimestamp },
+        { idempotency_key: 'batch-5', voter_id: 'abc', action: 'vote', client_timestamp: clientTimestamp }
+      ];
+
+      const { status, body } = await api.admin.post('/votes/batch', { operations });
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.results.map(result => result.status), ['applied', 'already_applied', 'not_found', 'invalid', 'invalid']);
+      assert.equal(body.data.summary.applied, 1);
+
+      // Replays return the stored result
+      const replay = await api.admin.post('/votes/batch', { operations: operations.slice(0, 1) });
+      assert.equal(replay.body.data.results[0].status, 'applied');
+      assert.equal(replay.body.data.results[0].replayed, true);
+    });
+
+    it('supersedes operations older than the latest change', async () => {
+      const voter = await createVoter(api, { full_name: 'Rania', family: 'Gemayel' });
+      await api.admin.post(`/voters/${voter.id}/vote`);
+
+      const { body } = await api.admin.post('/votes/batch', {
+        operations: [{
+          idempotency_key: 'batch-old',
+          voter_id: voter.id,
+          action: 'unvote',
+          client_timestamp: new Date(Date.now() - 3600000).toISOString()
+        }]
+      });
+      assert.equal(body.data.results[0].status, 'superseded');
+    });
+
+    it('scopes idempotency keys and rejects reuse for another operation', async () => {
+      const first = await createVoter(api, { full_name: 'Tony', family: 'Frangieh' });
+      const second = await createVoter(api, { full_name: 'Vera', family: 'Frangieh' });
+      const clientTimestamp = new Date().toISOString();
+      const op = { idempotency_key: 'device-1', voter_id: first.id, action: 'vote', client_timestamp: clientTimestamp };
+      await api.admin.post('/votes/batch', { operations: [op] });
+
+      const reused = await api.admin.post('/votes/batch', { operations: [{ ...op, voter_id: second.id }] });
+      assert.equal(reused.status, 422);
+      assert.equal((await api.admin.get(`/voters/${second.id}`)).body.data.has_voted, false);
+      const twice = await api.admin.post('/votes/batch', { operations: [{ ...op, idempotency_key: 'device-2' }, { ...op, idempotency_key: 'device-2', action: 'unvote' }] });
+      assert.equal(twice.status, 422);
+
+      // Another user's key of the same name is their own
+      const other = await createUser(api, 'admin');
+      const { body } = await other.post('/votes/batch', { operations: [{ ...op, voter_id: second.id }] });
+      assert.equal(body.data.results[0].status, 'applied');
+      assert.equal(body.data.results[0].replayed, false);
+    });
+
+    it('takes over keys left processing by a failed request', async () => {
+      const voter = await createVoter(api, { full_name: 'Joe', family: 'Frangieh' });
+      const election = (await api.admin.get('/elections')).body.current;
+      const me = (await api.admin.get('/auth/me')).body.data;
+      await supabase.from('vote_operations').insert({
+        idempotency_key: 'crashed',
+        voter_id: voter.id,
+        action: 'vote',
+        actor_id: me.id,
+        election_id: election,
+        created_at: new Date(Date.now() - 3600000).toISOString()
+      });
+
+      const { body } = await api.admin.post('/votes/batch', {
+        operations: [{ idempotency_key: 'crashed', voter_id: voter.id, action: 'vote', client_timestamp: new Date().toISOString() }]
+      });
+      assert.equal(body.data.results[0].status, 'applied');
+      assert.equal(body.data.results[0].replayed, false);
+    });
+
+    it('rejects an empty batch and viewers', async () => {
+      assert.equal((await api.admin.post('/votes/batch', { operations: [] })).status, 400);
+      assert.equal((await viewer.post('/votes/batch', { operations: [] })).status, 403);
+    });
+  });
+
+  describe('GET /stats, /stats/timeline and /stats/stream', () => {
+    it('totals the turnout with breakdowns', async () => {
+      const { body: before } = await viewer.get('/stats?family=Chidiac');
+      assert.equal(before.data.total, 0);
+
+      const first = await createVoter(api, { full_name: 'Wadih', family: 'Chidiac', religion: 'Maronite' });
+      await createVoter(api, { full_name: 'Nabil', family: 'Chidiac', religion: 'Maronite' });
+      await api.admin.post(`/voters/${first.id}/vote`);
+
+      const { status, body } = await viewer.get('/stats?family=Chidiac');
+      assert.equal(status, 200);
+      assert.equal(body.data.total, 2);
+      assert.equal(body.data.voted, 1);
+      assert.equal(body.data.notVoted, 1);
+      assert.equal(body.data.percentage, '50.00');
+      assert.deepEqual(body.data.byReligion.Maronite, { total: 2, voted: 1 });
+
+      assert.equal((await viewer.get('/stats?voted=maybe')).status, 400);
+    });
+
+    it('buckets votes over time', async () => {
+      const voter = await createVoter(api, { full_name: 'Sami', family: 'Frem' });
+      await api.admin.post(`/voters/${voter.id}/vote`);
+
+      const from = new Date(Date.now() - 3600000).toISOString();
+      const to = new Date(Date.now() + 3600000).toISOString();
+      const { status, body } = await viewer.get(`/stats/timeline?family=Frem&bucket=60&from=${from}&to=${to}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.bucketMinutes, 60);
+      assert.equal(body.data.voted, 1);
+      assert.equal(body.data.buckets.reduce((sum, bucket) => sum + bucket.votes, 0), 1);
+      assert.ok(body.data.projection);
+
+      assert.equal((await viewer.get('/stats/timeline?bucket=0')).status, 400);
+      assert.equal((await viewer.get('/stats/timeline?group_by=unknown')).status, 400);
+    });
+
+    it('streams a snapshot and then each vote', async () => {
+      const voter = await createVoter(api, { full_name: 'Ziad', family: 'Baroud' });
+      const controller = new AbortController();
+      const response = await fetch(`${api.baseUrl}/stats/stream`, {
+        headers: { Authorization: `Bearer ${viewer.token}` },
+        signal: controller.signal
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+      const reader = response.body.getReader();
+      try {
+        const [snapshot] = await readEvents(reader, 1);
+        assert.equal(snapshot.event, 'snapshot');
+        assert.equal(typeof snapshot.data.data.total, 'number');
+
+        await api.admin.post(`/voters/${voter.id}/vote`);
+        const [turnout] = await readEvents(reader, 1);
+        assert.equal(turnout.event, 'turnout');
+        assert.equal(turnout.data.voter_id, voter.id);
+        assert.equal(turnout.data.delta, 1);
+      } finally {
+        controller.abort();
+      }
+    });
+
+    it('limits a delegate\'s stream and stats to their station', async () => {
+      const outside = await createVoter(api, { full_name: 'Rami', family: 'Khoury', religion: 'Druze' });
+      const own = await createVoter(api, { full_name: 'Rita', family: 'Sfeir' });
+      assert.equal(own.polling_station_id, station.id);
+
+      const stats = (await delegate.get('/stats')).body.data;
+      const election = await delegate.get(`/elections/${station.election_id}`);
+      assert.equal(election.status, 200);
+      assert.equal(election.body.data.results.total, stats.total);
+      assert.ok(!(await delegate.get('/religions')).body.data.includes('Druze'));
+      assert.ok((await viewer.get('/religions')).body.data.includes('Druze'));
+
+      const controller = new AbortController();
+      const response = await fetch(`${api.baseUrl}/stats/stream`, {
+        headers: { Authorization: `Bearer ${delegate.token}` },
+        signal: controller.signal
+      });
+      assert.equal(response.status, 200);
+
+      const reader = response.body.getReader();
+      try {
+        const [snapshot] = await readEvents(reader, 1);
+        assert.equal(snapshot.data.data.total, stats.total);
+
+        await api.admin.post(`/voters/${outside.id}/vote`);
+        await api.admin.post(`/voters/${own.id}/vote`);
+        const [turnout] = await readEvents(reader, 1);
+        assert.equal(turnout.data.voter_id, own.id);
+        assert.equal(turnout.data.seq, snapshot.data.seq + 1);
+      } finally {
+        controller.abort();
+      }
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Retry failed deliveries quickly
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+const { startServer, createUser, createVoter } = require('./helpers');
+
+// Local receiver recording every delivery. Answers with the statuses in
+// `failures` first, then 200; requests to a path in `held` get no answer
+// until release(path).
+async function startReceiver() {
+  const received = [];
+  const failures = [];
+  const held = new Map();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+      if (held.has(req.url)) {
+        held.get(req.url).push(res);
+        return;
+      }
+      res.writeHead(failures.shift() || 200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: path => `http://127.0.0.1:${server.address().port}${path}`,
+    received,
+    failures,
+    hold: path => held.set(path, []),
+    release: path => {
+      (held.get(path) || []).forEach(res => res.end('ok'));
+      held.delete(path);
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Poll until check returns a value (deliveries and checks run in the background)
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+describe('webhooks and alerts', () => {
+  let api;
+  let viewer;
+  let receiver;
+
+  const deliveriesTo = path => receiver.received.filter(item => item.path === path);
+
+  before(async () => {
+    api = await startServer();
+    viewer = await createUser(api, 'viewer');
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await receiver.close();
+    await api.close();
+  });
+
+  describe('/webhooks', () => {
+    it('creates, lists and updates webhooks', async () => {
+      assert.equal((await api.admin.post('/webhooks', { name: 'CRM', url: 'ftp://example.test' })).status, 400);
+      assert.equal((await api.admin.post('/webhooks', { name: 'CRM', url: receiver.url('/crm'), events: ['vote', 'nope'] })).status, 400);
+      assert.equal((await api.admin.post('/webhooks', { name: 'CRM', url: receiver.url('/crm'), secret: 'short' })).status, 400);
+      assert.equal((await viewer.get('/webhooks')).status, 403);
+      assert.equal((await viewer.post('/webhooks', { name: 'CRM', url: receiver.url('/crm') })).status, 403);
+
+      const created = await api.admin.post('/webhooks', { name: 'CRM', url: receiver.url('/crm') });
+      assert.equal(created.status, 201);
+      const webhook = created.body.data;
+      assert.match(webhook.secret, /^whsec_[0-9a-f]+$/);
+      assert.deepEqual(webhook.events, ['vote', 'unvote', 'import.applied', 'import.rolled_back', 'alert']);
+      assert.equal(webhook.active, true);
+
+      const listed = await api.admin.get('/webhooks');
+      assert.deepEqual(listed.body.data.map(item => item.id), [webhook.id]);
+      assert.equal(listed.body.data[0].secret, undefined);
+
+      const renamed = await api.admin.patch(`/webhooks/${webhook.id}`, { name: 'CRM sync', events: ['vote'] });
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.data.name, 'CRM sync');
+      assert.equal(renamed.body.data.secret, undefined);
+      const rotated = await api.admin.patch(`/webhooks/${webhook.id}`, { secret: 'a-new-secret-of-the-crm' });
+      assert.equal(rotated.body.data.secret, 'a-new-secret-of-the-crm');
+
+      assert.equal((await api.admin.patch(`/webhooks/${webhook.id}`, {})).status, 400);
+      assert.equal((await api.admin.patch('/webhooks/999', { name: 'Ghost' })).status, 404);
+      await api.admin.patch(`/webhooks/${webhook.id}`, { active: false });
+    });
+
+    it('sends signed vote and unvote events', async () => {
+      const secret = 'secret-of-the-tally-board';
+      const webhook = (await api.admin.post('/webhooks', {
+        name: 'Tally board',
+        url: receiver.url('/tally'),
+        events: ['vote', 'unvote'],
+        secret
+      })).body.data;
+      const voter = await createVoter(api, { full_name: 'Rita', family: 'Haddad' });
+
+      await api.admin.post(`/voters/${voter.id}/vote`);
+      await api.admin.post(`/voters/${voter.id}/unvote`, { reason: 'Wrong voter' });
+      const [vote, unvote] = await waitFor(() => deliveriesTo('/tally').length === 2 && deliveriesTo('/tally'));
+
+      assert.equal(vote.headers['x-webhook-event'], 'vote');
+      assert.equal(vote.payload.event, 'vote');
+      assert.equal(vote.payload.data.voter.id, voter.id);
+      assert.equal(vote.payload.data.voter.has_voted, true);
+      assert.equal(vote.payload.data.actor, 'admin@example.test');
+      assert.equal(unvote.payload.event, 'unvote');
+      assert.equal(unvote.payload.data.reason, 'Wrong voter');
+
+      const [, timestamp, signature] = vote.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${vote.body}`).digest('hex');
+      assert.equal(signature, expected);
+
+      const log = await api.admin.get(`/webhooks/${webhook.id}/deliveries`);
+      assert.equal(log.status, 200);
+      assert.equal(log.body.pagination.total, 2);
+      assert.ok(log.body.data.every(delivery => delivery.status === 'delivered' && delivery.attempts === 1));
+      assert.equal((await api.admin.get(`/webhooks/${webhook.id}/deliveries?status=lost`)).status, 400);
+      assert.equal((await api.admin.get(`/webhooks/${webhook.id}/deliveries?page=0`)).status, 400);
+      assert.equal((await api.admin.get(`/webhooks/${webhook.id}/deliveries?limit=abc`)).status, 400);
+      assert.equal((await api.admin.get(`/webhooks/${webhook.id}/deliveries?limit=1000`)).status, 400);
+      const paged = await api.admin.get(`/webhooks/${webhook.id}/deliveries?page=2&limit=1`);
+      assert.deepEqual(paged.body.pagination, { page: 2, limit: 1, total: 2, totalPages: 2 });
+      assert.equal(paged.body.data.length, 1);
+
+      // The inactive CRM webhook got nothing
+      assert.equal(deliveriesTo('/crm').length, 0);
+      await api.admin.patch(`/webhooks/${webhook.id}`, { active: false });
+    });
+
+    it('retries failed deliveries and logs every attempt', async () => {
+      const webhook = (await api.admin.post('/webhooks', { name: 'Flaky', url: receiver.url('/flaky'), events: ['vote'] })).body.data;
+      receiver.failures.push(500, 503);
+
+      const test = await api.admin.post(`/webhooks/${webhook.id}/test`);
+      assert.equal(test.status, 201);
+      assert.equal(test.body.data.event, 'ping');
+
+      const delivered = await waitFor(async () => {
+        const { body } = await api.admin.get(`/webhooks/${webhook.id}/deliveries`);
+        return body.data[0].status === 'delivered' && body.data[0];
+      });
+      assert.equal(delivered.attempts, 3);
+      assert.equal(delivered.response_status, 200);
+      assert.equal(deliveriesTo('/flaky').length, 3);
+      assert.equal(deliveriesTo('/flaky')[0].headers['x-webhook-id'], String(delivered.id));
+
+      assert.equal((await api.admin.post(`/webhooks/deliveries/${delivered.id}/retry`)).status, 409);
+      assert.equal((await api.admin.post('/webhooks/deliveries/999/retry')).status, 404);
+      await api.admin.patch(`/webhooks/${webhook.id}`, { active: false });
+    });
+
+    it('sends each delivery once when two instances sweep together', async () => {
+      const { supabase } = require('../lib/supabase');
+      const webhooks = require('../lib/webhooks');
+      const webhook = (await api.admin.post('/webhooks', { name: 'Shared', url: receiver.url('/shared'), events: ['vote'] })).body.data;
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .insert([1, 2, 3].map(n => ({ webhook_id: webhook.id, event_id: crypto.randomUUID(), event: 'ping', payload: { n } })));
+      assert.equal(error, null);
+
+      // A second copy of the module stands in for another server instance
+      const modulePath = require.resolve('../lib/webhooks');
+      delete require.cache[modulePath];
+      const other = require('../lib/webhooks');
+      require.cache[modulePath].exports = webhooks;
+
+      await Promise.all([webhooks.deliverWebhooks(), other.deliverWebhooks()]);
+      await waitFor(() => deliveriesTo('/shared').length >= 3);
+      assert.deepEqual(deliveriesTo('/shared').map(item => item.payload.n).sort(), [1, 2, 3]);
+      await api.admin.patch(`/webhooks/${webhook.id}`, { active: false });
+    });
+
+    it('does not hold up other endpoints behind a slow one', async () => {
+      const { supabase } = require('../lib/supabase');
+      const { deliverWebhooks } = require('../lib/webhooks');
+      const slow = (await api.admin.post('/webhooks', { name: 'Slow', url: receiver.url('/slow'), events: ['vote'] })).body.data;
+      const fast = (await api.admin.post('/webhooks', { name: 'Fast', url: receiver.url('/fast'), events: ['vote'] })).body.data;
+      receiver.hold('/slow');
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .insert([slow, fast].map(webhook => ({ webhook_id: webhook.id, event_id: crypto.randomUUID(), event: 'ping', payload: {} })));
+      assert.equal(error, null);
+
+      const run = deliverWebhooks();
+      await waitFor(async () => {
+        const { body } = await api.admin.get(`/webhooks/${fast.id}/deliveries`);
+        return body.data[0].status === 'delivered';
+      });
+      const pending = await api.admin.get(`/webhooks/${slow.id}/deliveries`);
+      assert.equal(pending.body.data[0].status, 'pending');
+      assert.equal(pending.body.data[0].attempts, 0);
+
+      receiver.release('/slow');
+      await run;
+      await api.admin.patch(`/webhooks/${slow.id}`, { active: false });
+      await api.admin.patch(`/webhooks/${fast.id}`, { active: false });
+    });
+
+    it('sends import events', async () => {
+      await api.admin.post('/webhooks', { name: 'Imports', url: receiver.url('/imports'), events: ['import.applied', 'import.rolled_back'] });
+      const XLSX = require('xlsx');
+      await createVoter(api, { original_id: 801, full_name: 'Nada', family: 'Khoury' });
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['id', 'family'], [801, 'Khoury Jr']]), 'Sheet1');
+      const file = XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+      const config = { match: { field: 'original_id', column: 'A' }, columns: { family: 'B' } };
+
+      const { run } = (await api.admin.post('/imports', { file, filename: 'families.xlsx', config })).body.data;
+      await api.admin.post(`/imports/${run.id}/apply`);
+      await api.admin.post(`/imports/${run.id}/rollback`);
+
+      const [applied, rolledBack] = await waitFor(() => deliveriesTo('/imports').length === 2 && deliveriesTo('/imports'));
+      assert.equal(applied.payload.event, 'import.applied');
+      assert.equal(applied.payload.data.import.id, run.id);
+      assert.equal(applied.payload.data.import.summary.applied, 1);
+      assert.equal(rolledBack.payload.event, 'import.rolled_back');
+      assert.equal(rolledBack.payload.data.import.status, 'rolled_back');
+    });
+  });
+
+  describe('/alerts', () => {
+    before(async () => {
+      await api.admin.post('/webhooks', { name: 'Alerts', url: receiver.url('/alerts'), events: ['alert'] });
+    });
+
+    it('validates alert rules', async () => {
+      assert.equal((await viewer.get('/alerts')).status, 403);
+      assert.equal((await api.admin.post('/alerts', { name: 'Nope', kind: 'weather' })).status, 400);
+      assert.equal((await api.admin.post('/alerts', { name: 'Too high', kind: 'family_turnout', family: 'Haddad', threshold: 120 })).status, 400);
+      assert.equal((await api.admin.post('/alerts', { name: 'No family', kind: 'family_turnout', threshold: 60 })).status, 400);
+      // The seeded election day is in the past
+      const soon = new Date(Date.now() + 60000).toISOString();
+      assert.equal((await api.admin.post('/alerts', { name: 'Late', kind: 'behind_target', check_at: soon })).status, 400);
+      assert.equal((await api.admin.patch('/alerts/999', { name: 'Ghost' })).status, 404);
+      assert.equal((await api.admin.delete('/alerts/999')).status, 404);
+    });
+
+    it('fires a family alert when turnout passes the threshold', async () => {
+      const voters = [];
+      for (const name of ['Samir', 'Mona', 'Fadi']) {
+        voters.push(await createVoter(api, { full_name: name, family: 'Nasr' }));
+      }
+
+      const created = await api.admin.post('/alerts', { name: 'Nasr at 60%', kind: 'family_turnout', family: 'Nasr', threshold: 60 });
+      assert.equal(created.status, 201);
+      const rule = created.body.data;
+      assert.equal(rule.fired_at, null);
+
+      await api.admin.post(`/voters/${voters[0].id}/vote`);
+      await api.admin.post(`/voters/${voters[1].id}/vote`);
+      const [alert] = await waitFor(() => deliveriesTo('/alerts').length === 1 && deliveriesTo('/alerts'));
+      assert.equal(alert.payload.event, 'alert');
+      assert.equal(alert.payload.data.rule.id, rule.id);
+      assert.equal(alert.payload.data.result.turnout, 66.7);
+
+      // Fires once until turnout drops back below the threshold
+      const findRule = async () => (await api.admin.get('/alerts')).body.data.find(item => item.id === rule.id);
+      await api.admin.post(`/voters/${voters[2].id}/vote`);
+      assert.ok((await findRule()).fired_at);
+      await api.admin.post(`/voters/${voters[2].id}/unvote`);
+      await api.admin.post(`/voters/${voters[1].id}/unvote`);
+      const rearmed = await waitFor(async () => {
+        const current = await findRule();
+        return current.fired_at === null && current;
+      });
+      assert.equal(rearmed.last_result.turnout, 33.3);
+      assert.equal(deliveriesTo('/alerts').length, 1);
+
+      assert.equal((await api.admin.delete(`/alerts/${rule.id}`)).status, 200);
+      assert.equal((await api.admin.get('/alerts')).body.data.some(item => item.id === rule.id), false);
+    });
+
+    it('fires when turnout is behind the target curve at check time', async () => {
+      const hour = 3600000;
+      const election = (await api.admin.post('/elections', { name: 'Runoff', municipality: 'Roueiss' })).body.data;
+      await api.admin.patch(`/elections/${election.id}`, {
+        opens_at: new Date(Date.now() - 3 * hour).toISOString(),
+        closes_at: new Date(Date.now() + hour).toISOString(),
+        turnout_target: 80
+      });
+      const header = { 'X-Election-Id': String(election.id) };
+      await api.admin.post('/webhooks', { name: 'Runoff alerts', url: receiver.url('/runoff'), events: ['alert'] }, header);
+      for (const name of ['Karim', 'Lina']) {
+        await createVoter(api, { full_name: name, family: 'Aoun' }, header);
+      }
+
+      const created = await api.admin.post('/alerts', {
+        name: 'Behind at check time',
+        kind: 'behind_target',
+        check_at: new Date(Date.now() + 300).toISOString()
+      }, header);
+      assert.equal(created.status, 201);
+      assert.equal((await api.admin.patch(`/alerts/${created.body.data.id}`, { kind: 'family_turnout' }, header)).status, 400);
+      const afterClose = new Date(Date.now() + 2 * hour).toISOString();
+      assert.equal((await api.admin.patch(`/alerts/${created.body.data.id}`, { check_at: afterClose }, header)).status, 400);
+
+      const [alert] = await waitFor(() => deliveriesTo('/runoff').length === 1 && deliveriesTo('/runoff'));
+      assert.equal(alert.payload.election_id, election.id);
+      assert.equal(alert.payload.data.result.status, 'behind');
+      assert.equal(alert.payload.data.result.voted, 0);
+      assert.ok(alert.payload.data.result.expected > 0);
+    });
+  });
+});